@@ -0,0 +1,56 @@
+import { ANALYSER_DEFAULTS, createAnalyserEmulator, createBlackmanWindow } from '../analyser-emulation.js';
+
+const FFT_SIZE = ANALYSER_DEFAULTS.fftSize;
+
+function sineAtBin(bin, amplitude, size = FFT_SIZE) {
+  const samples = new Float32Array(size);
+  for (let i = 0; i < size; i += 1) {
+    samples[i] = amplitude * Math.sin((2 * Math.PI * bin * i) / size);
+  }
+  return samples;
+}
+
+describe('analyser emulation', () => {
+  test('builds the spec Blackman window', () => {
+    const window = createBlackmanWindow(8);
+    expect(window[0]).toBeCloseTo(0, 6);
+    expect(window[4]).toBeCloseTo(1, 6);
+    expect(window[2]).toBeCloseTo(0.34, 6);
+  });
+
+  test('windows and scales magnitudes like getFloatFrequencyData', () => {
+    const analyser = createAnalyserEmulator({ smoothingTimeConstant: 0 });
+    const { frequencyDb, frequencyByte } = analyser.process(sineAtBin(64, 0.5));
+    // A bin-centred sine of amplitude A reads A * a0 / 2 after the Blackman window and 1/N scaling.
+    expect(frequencyDb[64]).toBeCloseTo(20 * Math.log10(0.5 * 0.42 / 2), 3);
+    // The window leaks into the neighbouring bins but not far beyond them.
+    expect(frequencyDb[65]).toBeLessThan(frequencyDb[64]);
+    expect(frequencyDb[80]).toBeLessThan(frequencyDb[64] - 90);
+    expect(frequencyByte[64]).toBe(255);
+    expect(analyser.frequencyBinCount).toBe(FFT_SIZE / 2);
+  });
+
+  test('smooths over successive frames and resets', () => {
+    const analyser = createAnalyserEmulator();
+    const tone = sineAtBin(32, 0.5);
+    const peak = 0.5 * 0.42 / 2;
+    expect(analyser.process(tone).frequencyDb[32]).toBeCloseTo(20 * Math.log10(0.2 * peak), 3);
+    expect(analyser.process(tone).frequencyDb[32]).toBeCloseTo(20 * Math.log10(0.36 * peak), 3);
+    analyser.reset();
+    expect(analyser.process(tone).frequencyDb[32]).toBeCloseTo(20 * Math.log10(0.2 * peak), 3);
+  });
+
+  test('reports silence as -Infinity dB and clamps byte data to the dB range', () => {
+    const analyser = createAnalyserEmulator({ smoothingTimeConstant: 0, minDecibels: -60, maxDecibels: -10 });
+    const silent = analyser.process(new Float32Array(FFT_SIZE));
+    expect(silent.frequencyDb[10]).toBe(-Infinity);
+    expect(silent.frequencyByte[10]).toBe(0);
+
+    // -39.5 dB sits 20.5 dB into a 50 dB range.
+    const amplitude = (2 * 10 ** (-39.5 / 20)) / 0.42;
+    const { frequencyDb, frequencyByte } = analyser.process(sineAtBin(16, amplitude));
+    expect(frequencyDb[16]).toBeCloseTo(-39.5, 3);
+    expect(frequencyByte[16]).toBe(Math.floor((255 / 50) * 20.5));
+    expect(() => createAnalyserEmulator({ fftSize: 1000 })).toThrow('power of two');
+  });
+});
@@ -0,0 +1,114 @@
+import {
+  analysisConfigFromDataset,
+  DEFAULT_ANALYSIS_CONFIG,
+  hopSamplesFor,
+  isHopDue,
+  resolveAnalysisConfig,
+  sameBands,
+  sanitizeAnalysisConfig,
+} from '../analysis-config.js';
+import { createFeatureExtractor, FEATURE_INDEX } from '../audio-features.js';
+import { planAnalysisFrames } from '../byom-intake.js';
+import { createFreshModelDefinition } from '../training-core.js';
+import { sanitizePreset } from '../presets.js';
+
+function toneSpectrum(fftSize, sampleRate, frequency) {
+  const magnitudes = new Float32Array(fftSize / 2);
+  magnitudes[Math.round((frequency * fftSize) / sampleRate)] = 1;
+  return magnitudes;
+}
+
+describe('analysis config', () => {
+  test('keeps supported FFT sizes and clamps the hop', () => {
+    expect(sanitizeAnalysisConfig({ fftSize: 4096, hopMs: 1 })).toEqual({ fftSize: 4096, hopMs: 5 });
+    expect(sanitizeAnalysisConfig({ fftSize: 3000, hopMs: 250 })).toEqual({ hopMs: 100 });
+    expect(sanitizeAnalysisConfig({ fftSize: 512 })).toBeNull();
+    expect(sanitizeAnalysisConfig('4096')).toBeNull();
+  });
+
+  test('resolves each field from the first source that sets it', () => {
+    expect(resolveAnalysisConfig()).toEqual(DEFAULT_ANALYSIS_CONFIG);
+    const model = { fftSize: 8192 };
+    const preset = { fftSize: 1024, hopMs: 40 };
+    expect(resolveAnalysisConfig(model, preset)).toEqual({ fftSize: 8192, hopMs: 40 });
+    expect(resolveAnalysisConfig(null, { fftSize: 9000 }, preset)).toEqual({ fftSize: 1024, hopMs: 40 });
+  });
+
+  test('carries declared band edges like any other field', () => {
+    const bands = [0, 100, 1000, 8000];
+    expect(sanitizeAnalysisConfig({ bands: [0, 100] })).toBeNull();
+    expect(resolveAnalysisConfig({ fftSize: 4096 }, { bands, hopMs: 40 })).toEqual({ fftSize: 4096, hopMs: 40, bands });
+    expect(analysisConfigFromDataset({ frameSize: 2048, bands }).bands).toEqual(bands);
+    expect(sameBands(resolveAnalysisConfig(), DEFAULT_ANALYSIS_CONFIG)).toBe(true);
+    expect(sameBands(resolveAnalysisConfig({ bands }), { bands: bands.slice() })).toBe(true);
+    expect(sameBands(resolveAnalysisConfig({ bands }), DEFAULT_ANALYSIS_CONFIG)).toBe(false);
+  });
+
+  test('converts between hop milliseconds and samples', () => {
+    expect(hopSamplesFor({ hopMs: 1000 / 60 }, 44100)).toBe(735);
+    expect(hopSamplesFor({ hopMs: 25 }, 48000)).toBe(1200);
+    expect(analysisConfigFromDataset({ frameSize: 4096, hopSamples: 1200, sampleRate: 48000 })).toEqual({
+      fftSize: 4096,
+      hopMs: 25,
+    });
+    expect(analysisConfigFromDataset({})).toEqual(DEFAULT_ANALYSIS_CONFIG);
+  });
+
+  test('meets the hop on the nearest frame', () => {
+    const hop = 1000 / 30;
+    expect(isHopDue(16.7, hop, 16.7)).toBe(false);
+    expect(isHopDue(33.4, hop, 16.7)).toBe(true);
+    expect(isHopDue(15, 1000 / 60, 15)).toBe(true);
+    expect(isHopDue(13.9, 1000 / 60, 6.9)).toBe(true);
+    expect(isHopDue(6.9, 1000 / 60, 6.9)).toBe(false);
+  });
+
+  test('plans intake frames at the configured window and hop', () => {
+    const plan = planAnalysisFrames(48000, 48000, { fftSize: 8192, hopMs: 50 });
+    expect(plan.hopSamples).toBe(2400);
+    expect(plan.frameStarts[1]).toBe(2400);
+    expect(plan.frameStarts.at(-1)).toBe(48000 - 8192);
+  });
+
+  test('stores the dataset resolution on fresh models and presets', () => {
+    const dataset = {
+      features: new Float32Array(4),
+      frameCount: 2,
+      featureSize: 2,
+      targetSize: 1,
+      frameSize: 1024,
+      hopSamples: 441,
+      sampleRate: 44100,
+    };
+    expect(createFreshModelDefinition(dataset, () => 0.5).analysis).toEqual({ fftSize: 1024, hopMs: 10 });
+    expect(sanitizePreset({ id: 'fine', analysis: { fftSize: 8192, hopMs: 'soon' } }).analysis).toEqual({
+      fftSize: 8192,
+    });
+    expect(sanitizePreset({ id: 'plain' })).not.toHaveProperty('analysis');
+  });
+});
+
+describe('feature extractor reconfigure', () => {
+  test('rebuilds the band lookup for a new FFT size', () => {
+    const sampleRate = 44100;
+    const extractor = createFeatureExtractor({ sampleRate, fftSize: 2048 });
+    extractor.process({ magnitudes: toneSpectrum(2048, sampleRate, 1000) });
+    const centroid = extractor.getVector()[FEATURE_INDEX.CENTROID];
+    expect(centroid).toBeCloseTo(1000 / 22050, 2);
+
+    extractor.reconfigure(sampleRate, 8192);
+    expect(extractor.getFftSize()).toBe(8192);
+    expect(extractor.getVector()[FEATURE_INDEX.CENTROID]).toBe(0);
+    extractor.process({ magnitudes: toneSpectrum(8192, sampleRate, 1000) });
+    expect(extractor.getVector()[FEATURE_INDEX.CENTROID]).toBeCloseTo(centroid, 2);
+  });
+
+  test('reconfigures when a frame reports a different sample rate or size', () => {
+    const extractor = createFeatureExtractor({ sampleRate: 44100, fftSize: 2048 });
+    extractor.process({ magnitudes: toneSpectrum(4096, 48000, 1000), sampleRateOverride: 48000, fftSizeOverride: 4096 });
+    expect(extractor.getSampleRate()).toBe(48000);
+    expect(extractor.getFftSize()).toBe(4096);
+    expect(extractor.getVector()[FEATURE_INDEX.CENTROID]).toBeCloseTo(1000 / 24000, 2);
+    expect(() => extractor.reconfigure(48000, 0)).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,221 @@
+import {
+  createAnalysisPipeline,
+  createAnalysisProcessor,
+  createInputLayout,
+  createOutputLayout,
+  INPUT_META,
+  OUTPUT_META,
+} from '../analysis-pipeline.js';
+import { FEATURE_COUNT, FEATURE_LABELS, FEATURE_SCHEMA_VERSION, LIVE_FEATURE_LABELS } from '../audio-features.js';
+import { attachFrameRing, readLatestFrame, writeFrame } from '../frame-ring.js';
+import { PARAM_NAMES } from '../map.js';
+
+const BIN_COUNT = 1024;
+const FFT_SIZE = 2048;
+
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.listeners = { message: [], error: [] };
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type].push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = this.listeners[type].filter((entry) => entry !== listener);
+  }
+
+  emit(data) {
+    this.listeners.message.forEach((listener) => listener({ data }));
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  last(type) {
+    return this.messages.filter((message) => message.type === type).at(-1);
+  }
+}
+
+function createBiasModel() {
+  return {
+    input: FEATURE_COUNT,
+    featureSchemaVersion: FEATURE_SCHEMA_VERSION,
+    features: FEATURE_LABELS.slice(),
+    normalization: {
+      mean: new Array(FEATURE_COUNT).fill(0),
+      std: new Array(FEATURE_COUNT).fill(1),
+    },
+    layers: [{
+      activation: 'linear',
+      weights: new Array(FEATURE_COUNT * PARAM_NAMES.length).fill(0),
+      bias: PARAM_NAMES.map((_, index) => index / 20),
+    }],
+  };
+}
+
+function createAnalyserFrame(timestamp = 100) {
+  const frequency = new Float32Array(BIN_COUNT).fill(-60);
+  frequency[12] = -12;
+  const waveform = new Float32Array(FFT_SIZE);
+  for (let i = 0; i < FFT_SIZE; i += 1) {
+    waveform[i] = 0.4 * Math.sin(i / 8);
+  }
+  return { frequency, waveform, deltaMs: 16, trackPosition: -0.5, sampleRate: 44100, fftSize: FFT_SIZE, timestamp };
+}
+
+function toWorkerInput(frame) {
+  const meta = new Float32Array(INPUT_META.LENGTH);
+  meta[INPUT_META.DELTA_MS] = frame.deltaMs;
+  meta[INPUT_META.TRACK_POSITION] = frame.trackPosition;
+  meta[INPUT_META.SAMPLE_RATE] = frame.sampleRate;
+  meta[INPUT_META.FFT_SIZE] = frame.fftSize;
+  meta[INPUT_META.TIMESTAMP] = frame.timestamp;
+  return { frequencyDb: frame.frequency, waveform: frame.waveform, meta };
+}
+
+describe('createAnalysisProcessor', () => {
+  it('extracts features and reports outputs only once a model is set', () => {
+    const processor = createAnalysisProcessor();
+    const input = toWorkerInput(createAnalyserFrame());
+
+    const first = processor.process(input);
+    expect(first.features).toHaveLength(FEATURE_COUNT);
+    expect(first.features[FEATURE_LABELS.indexOf('rms')]).toBeGreaterThan(0);
+    expect(first.meta[OUTPUT_META.OUTPUTS_VALID]).toBe(0);
+
+    processor.setModel(3, createBiasModel());
+    const second = processor.process(input);
+    expect(second.meta[OUTPUT_META.OUTPUTS_VALID]).toBe(1);
+    expect(second.meta[OUTPUT_META.MODEL_TOKEN]).toBe(3);
+    expect(second.meta[OUTPUT_META.TIMESTAMP]).toBe(100);
+    expect(second.outputs[2]).toBeCloseTo(0.1, 5);
+  });
+
+  it('computes the extended features only while the model reads them', () => {
+    const processor = createAnalysisProcessor();
+    const input = toWorkerInput(createAnalyserFrame());
+    const chroma = FEATURE_LABELS.indexOf('chromaC');
+
+    expect(processor.process(input).features[chroma]).toBe(0);
+    processor.setModel(1, createBiasModel());
+    expect(processor.process(input).features[chroma]).toBeGreaterThan(0);
+    processor.setModel(2, null);
+    expect(processor.process(input).features[chroma]).toBe(0);
+  });
+
+  it('reads the stereo features from the left and right windows', () => {
+    const processor = createAnalysisProcessor();
+    const input = toWorkerInput(createAnalyserFrame());
+    const balance = FEATURE_LABELS.indexOf('balance');
+    expect(processor.process(input).features[balance]).toBe(0);
+
+    input.left = input.waveform.map((value) => value * 0.2);
+    input.right = input.waveform;
+    expect(processor.process(input).features[balance]).toBeGreaterThan(0.9);
+  });
+});
+
+describe('createAnalysisPipeline (message transport)', () => {
+  it('posts copies of analyser frames and caps frames in flight', () => {
+    const worker = new FakeWorker();
+    const pipeline = createAnalysisPipeline({
+      binCount: BIN_COUNT,
+      fftSize: FFT_SIZE,
+      shared: false,
+      createWorker: () => worker,
+    });
+    expect(pipeline.transport).toBe('message');
+    expect(worker.last('init')).toMatchObject({ transport: 'message', binCount: BIN_COUNT, inputBuffer: null });
+
+    const frame = createAnalyserFrame();
+    pipeline.submit(frame);
+    pipeline.submit(frame);
+    pipeline.submit(frame);
+    const frames = worker.messages.filter((message) => message.type === 'frame');
+    expect(frames).toHaveLength(2);
+    expect(frames[0].frequencyDb).not.toBe(frame.frequency);
+    expect(Array.from(frames[0].left)).toEqual(Array.from(frame.waveform));
+    expect(frames[0].meta[INPUT_META.TIMESTAMP]).toBe(100);
+    expect(pipeline.read()).toBeNull();
+  });
+
+  it('ignores outputs produced for a previous model', () => {
+    const worker = new FakeWorker();
+    const processor = createAnalysisProcessor();
+    const pipeline = createAnalysisPipeline({
+      binCount: BIN_COUNT,
+      fftSize: FFT_SIZE,
+      shared: false,
+      createWorker: () => worker,
+    });
+    const respond = (sequence) => {
+      const { features, outputs, meta } = processor.process(worker.last('frame'));
+      worker.emit({ type: 'result', sequence, features: features.slice(), outputs: outputs.slice(), meta: meta.slice() });
+    };
+
+    pipeline.setModel(createBiasModel());
+    processor.setModel(worker.last('model').token, worker.last('model').definition);
+    pipeline.submit(createAnalyserFrame());
+    respond(1);
+    const result = pipeline.read();
+    expect(result.outputsValid).toBe(true);
+    expect(result.outputs[4]).toBeCloseTo(0.2, 5);
+    expect(result.rms).toBeGreaterThan(0);
+
+    pipeline.setModel(createBiasModel(), { features: LIVE_FEATURE_LABELS });
+    expect(worker.last('model').features).toEqual(Array.from(LIVE_FEATURE_LABELS));
+
+    pipeline.setModel(null);
+    pipeline.submit(createAnalyserFrame());
+    respond(2);
+    expect(pipeline.read().outputsValid).toBe(false);
+
+    pipeline.destroy();
+    expect(worker.terminated).toBe(true);
+  });
+});
+
+describe('createAnalysisPipeline (shared transport)', () => {
+  it('exchanges frames through the SharedArrayBuffer rings', () => {
+    const worker = new FakeWorker();
+    const pipeline = createAnalysisPipeline({
+      binCount: BIN_COUNT,
+      fftSize: FFT_SIZE,
+      shared: true,
+      createWorker: () => worker,
+    });
+    const init = worker.last('init');
+    expect(init.inputBuffer).toBeInstanceOf(SharedArrayBuffer);
+    const inputRing = attachFrameRing(createInputLayout(BIN_COUNT, FFT_SIZE), init.inputBuffer);
+    const outputRing = attachFrameRing(createOutputLayout(PARAM_NAMES.length), init.outputBuffer);
+
+    pipeline.submit(createAnalyserFrame(250));
+    const input = {
+      frequencyDb: new Float32Array(BIN_COUNT),
+      waveform: new Float32Array(FFT_SIZE),
+      left: new Float32Array(FFT_SIZE),
+      right: new Float32Array(FFT_SIZE),
+      meta: new Float32Array(INPUT_META.LENGTH),
+    };
+    expect(readLatestFrame(inputRing, input)).toBe(1);
+    expect(input.frequencyDb[12]).toBe(-12);
+    // Without channels the waveform is sent for both sides.
+    expect(input.right[8]).toBeCloseTo(0.4 * Math.sin(1), 6);
+
+    const processor = createAnalysisProcessor();
+    writeFrame(outputRing, processor.process(input));
+    const result = pipeline.read();
+    expect(result.sequence).toBe(1);
+    expect(result.features[FEATURE_LABELS.indexOf('trackPosition')]).toBeCloseTo(-0.5, 5);
+    expect(pipeline.read().beat.onBeat).toBe(false);
+  });
+});
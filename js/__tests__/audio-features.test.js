@@ -0,0 +1,106 @@
+import {
+  BAND_LIMITS,
+  buildFeatureRemap,
+  createFeatureExtractor,
+  createFeatureLayout,
+  DEFAULT_FEATURE_LAYOUT,
+  FEATURE_COUNT,
+  FEATURE_INDEX,
+  FEATURE_LABELS,
+  getFeatureType,
+  sanitizeBandEdges,
+  usesExtendedFeatures,
+} from '../audio-features.js';
+
+const SAMPLE_RATE = 44100;
+const FFT_SIZE = 2048;
+
+function toneFrame(frequency) {
+  const frequencyDb = new Float32Array(FFT_SIZE / 2).fill(-120);
+  frequencyDb[Math.round((frequency * FFT_SIZE) / SAMPLE_RATE)] = -6;
+  return { frequencyDb, waveform: new Float32Array(FFT_SIZE), deltaMs: 1000 / 60 };
+}
+
+describe('feature layouts', () => {
+  test('reproduces the fixed layout when no bands are declared', () => {
+    expect(createFeatureLayout()).toBe(DEFAULT_FEATURE_LAYOUT);
+    expect(DEFAULT_FEATURE_LAYOUT.bands).toBeNull();
+    expect(DEFAULT_FEATURE_LAYOUT.labels).toEqual(FEATURE_LABELS);
+    expect(DEFAULT_FEATURE_LAYOUT.count).toBe(FEATURE_COUNT);
+    const { BAND_0, DELTA_BAND_0, EMA_BAND_0, ...shared } = DEFAULT_FEATURE_LAYOUT.index;
+    expect(FEATURE_INDEX).toMatchObject(shared);
+    expect([BAND_0, DELTA_BAND_0, EMA_BAND_0]).toEqual([FEATURE_INDEX.SUB, FEATURE_INDEX.DELTA_SUB, FEATURE_INDEX.EMA_SUB]);
+  });
+
+  test('names declared bands after their edges', () => {
+    const layout = createFeatureLayout([0, 150, 2000, 16000]);
+    expect(layout).toBe(createFeatureLayout([0, 150, 2000, 16000]));
+    expect(layout.count).toBe(FEATURE_COUNT - 8);
+    expect(layout.labels.slice(0, 4)).toEqual(['band0_150', 'band150_2000', 'band2000_16000', 'rms']);
+    expect(layout.labels[layout.index.DELTA_BAND_0 + 1]).toBe('deltaBand150_2000');
+    expect(layout.labels[layout.index.EMA_BAND_0 + 2]).toBe('emaBand2000_16000');
+    expect(layout.labels[layout.index.CONTRAST_0]).toBe('contrastBand0_150');
+    expect(layout.labels[layout.index.BPM]).toBe('bpm');
+    expect(layout.labels[layout.index.HP_RATIO]).toBe('hpRatio');
+    expect(new Set(layout.labels).size).toBe(layout.count);
+    expect(usesExtendedFeatures(['contrastBand0_150'])).toBe(true);
+    expect(usesExtendedFeatures(['band0_150'])).toBe(false);
+  });
+
+  test('supports up to twelve bands', () => {
+    const edges = [0, 30, 60, 120, 250, 500, 1000, 2000, 4000, 6000, 9000, 13000, 20000];
+    const layout = createFeatureLayout(edges);
+    expect(layout.bandDefs).toHaveLength(BAND_LIMITS.max);
+    expect(layout.count).toBe(FEATURE_COUNT + 4 * (BAND_LIMITS.max - 5));
+    expect(layout.bandGains.every((gain) => gain > 0)).toBe(true);
+  });
+
+  test('rejects malformed band edges', () => {
+    expect(sanitizeBandEdges([0, 100.4, 1000, 8000])).toEqual([0, 100, 1000, 8000]);
+    expect(sanitizeBandEdges([0, 100, 1000])).toBeNull();
+    expect(sanitizeBandEdges([0, 1000, 100, 8000])).toBeNull();
+    expect(sanitizeBandEdges([0, 100, 100, 8000])).toBeNull();
+    expect(sanitizeBandEdges([-10, 100, 1000, 8000])).toBeNull();
+    expect(sanitizeBandEdges([0, 100, 'x', 8000])).toBeNull();
+    expect(sanitizeBandEdges(Array.from({ length: 14 }, (_, i) => i * 100))).toBeNull();
+    expect(sanitizeBandEdges('0,100,1000,8000')).toBeNull();
+  });
+
+  test('types generated band features like their fixed counterparts', () => {
+    expect(getFeatureType('band40_90')).toBe(getFeatureType('sub'));
+    expect(getFeatureType('band40_90')).toBe('signed');
+    expect(getFeatureType('deltaBand40_90')).toBe('signed');
+    expect(getFeatureType('emaBand40_90')).toBe('signed');
+    expect(getFeatureType('contrastBand40_90')).toBe('positive');
+    expect(getFeatureType('deltaRms')).toBe('signed');
+    expect(getFeatureType('mfcc3')).toBe('signed');
+  });
+
+  test('binds default-layout models by name where the names survive', () => {
+    const layout = createFeatureLayout([0, 150, 2000, 16000]);
+    const { indices, missing } = buildFeatureRemap(['bass', 'rms', 'band150_2000'], layout.labels);
+    expect(missing).toEqual(['bass']);
+    expect(indices[1]).toBe(layout.index.RMS);
+    expect(indices[2]).toBe(1);
+  });
+});
+
+describe('feature extractor bands', () => {
+  test('switches layouts and sizes the vector to match', () => {
+    const extractor = createFeatureExtractor({ sampleRate: SAMPLE_RATE, fftSize: FFT_SIZE });
+    expect(extractor.process(toneFrame(1000))).toHaveLength(FEATURE_COUNT);
+    expect(extractor.setBands(null)).toBe(false);
+
+    expect(extractor.setBands([0, 150, 2000, 16000])).toBe(true);
+    const { index, labels } = extractor.getLayout();
+    const features = extractor.process(toneFrame(1000));
+    expect(features).toHaveLength(labels.length);
+    expect(features[1]).toBeGreaterThan(features[0]);
+    expect(features[1]).toBeGreaterThan(features[2]);
+    expect(features[index.RMS]).toBe(0);
+
+    expect(extractor.setBands(undefined)).toBe(true);
+    expect(extractor.getLayout()).toBe(DEFAULT_FEATURE_LAYOUT);
+    expect(extractor.getVector()).toHaveLength(FEATURE_COUNT);
+  });
+});
@@ -1,4 +1,112 @@
-import { getActivityLevel } from '../audio.js';
+import { jest } from '@jest/globals';
+import {
+  beginCrossfade,
+  cancelCrossfade,
+  connectStream,
+  disconnectStream,
+  frame,
+  getActivityLevel,
+  getAnalysisConfig,
+  getAvailableFeatures,
+  getCrossfadeProgress,
+  getInputSource,
+  init,
+  INPUT_SOURCES,
+  setAnalysisConfig,
+  setVolume,
+  unlock,
+} from '../audio.js';
+import { DEFAULT_ANALYSIS_CONFIG } from '../analysis-config.js';
+import { FEATURE_INDEX, FEATURE_LABELS } from '../audio-features.js';
+
+class FakeParam {
+  constructor(value) {
+    this.value = value;
+    this.curves = [];
+  }
+
+  cancelScheduledValues() {}
+
+  setValueAtTime(value) {
+    this.value = value;
+  }
+
+  setTargetAtTime(value) {
+    this.value = value;
+  }
+
+  setValueCurveAtTime(curve, time, duration) {
+    this.curves.push({ curve, time, duration });
+  }
+}
+
+class FakeNode {
+  constructor() {
+    this.gain = new FakeParam(1);
+    this.outputs = [];
+  }
+
+  connect(node) {
+    this.outputs.push(node);
+  }
+
+  disconnect() {
+    this.outputs = [];
+  }
+}
+
+class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.sampleRate = 44100;
+    this.state = 'running';
+    this.destination = new FakeNode();
+    this.sources = [];
+    this.streams = [];
+    this.analysers = [];
+  }
+
+  createMediaElementSource(element) {
+    const node = new FakeNode();
+    node.element = element;
+    this.sources.push(node);
+    return node;
+  }
+
+  createMediaStreamSource(stream) {
+    const node = new FakeNode();
+    node.stream = stream;
+    this.streams.push(node);
+    return node;
+  }
+
+  createGain() {
+    return new FakeNode();
+  }
+
+  createChannelSplitter() {
+    const node = new FakeNode();
+    node.channelInterpretation = 'discrete';
+    return node;
+  }
+
+  createAnalyser() {
+    const node = new FakeNode();
+    node.fftSize = 2048;
+    Object.defineProperty(node, 'frequencyBinCount', {
+      get() {
+        return this.fftSize / 2;
+      },
+    });
+    node.getFloatFrequencyData = jest.fn();
+    node.getByteFrequencyData = jest.fn();
+    node.getFloatTimeDomainData = jest.fn();
+    this.analysers.push(node);
+    return node;
+  }
+
+  async resume() {}
+}
 
 describe('audio activity level', () => {
   test('clamps invalid values to zero', () => {
@@ -20,3 +128,147 @@ describe('audio activity level', () => {
     expect(getActivityLevel(rmsMinus55Db)).toBe(0);
   });
 });
+
+describe('audio decks and inputs', () => {
+  let context;
+  let element;
+
+  beforeAll(async () => {
+    globalThis.AudioContext = jest.fn(() => {
+      context = new FakeAudioContext();
+      return context;
+    });
+    jest.spyOn(HTMLMediaElement.prototype, 'play').mockResolvedValue(undefined);
+    jest.spyOn(HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+    jest.spyOn(HTMLMediaElement.prototype, 'load').mockImplementation(() => {});
+    jest.spyOn(HTMLMediaElement.prototype, 'readyState', 'get').mockReturnValue(4);
+    element = document.createElement('audio');
+    Object.defineProperty(element, 'paused', { value: false });
+    Object.defineProperty(element, 'currentSrc', { value: 'https://example.test/outgoing.mp3' });
+    init(element);
+    await unlock();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    delete globalThis.AudioContext;
+  });
+
+  test('hands the outgoing track to a second deck and ramps both with equal power', async () => {
+    jest.useFakeTimers();
+    element.currentTime = 12;
+    expect(getCrossfadeProgress()).toBe(-1);
+
+    await expect(beginCrossfade({ duration: 4 })).resolves.toBe(true);
+    const [mainSource, tailSource] = context.sources;
+    const deckGain = mainSource.outputs[0];
+    const tailGain = tailSource.outputs[0];
+    expect(tailSource.element.src).toBe('https://example.test/outgoing.mp3');
+    expect(tailSource.element.currentTime).toBe(12);
+    expect(tailGain.outputs[0]).toBe(deckGain.outputs[0]);
+    expect(deckGain.gain.value).toBe(0);
+    expect(tailGain.gain.value).toBe(1);
+    expect(getCrossfadeProgress()).toBe(0);
+
+    context.currentTime = 10;
+    element.dispatchEvent(new Event('playing'));
+    expect(deckGain.gain.curves[0]).toMatchObject({ time: 10, duration: 4 });
+    expect(tailGain.gain.curves[0]).toMatchObject({ time: 10, duration: 4 });
+    expect(deckGain.gain.curves[0].curve[0]).toBe(0);
+
+    context.currentTime = 11;
+    expect(getCrossfadeProgress()).toBeCloseTo(0.25, 6);
+
+    jest.advanceTimersByTime(4100);
+    expect(getCrossfadeProgress()).toBe(-1);
+    expect(deckGain.gain.value).toBe(1);
+    expect(tailGain.gain.value).toBe(0);
+    jest.useRealTimers();
+  });
+
+  test('cancelling restores the main deck immediately', async () => {
+    await expect(beginCrossfade({ duration: 2 })).resolves.toBe(true);
+    const deckGain = context.sources[0].outputs[0];
+    expect(deckGain.gain.value).toBe(0);
+    cancelCrossfade();
+    expect(getCrossfadeProgress()).toBe(-1);
+    expect(deckGain.gain.value).toBe(1);
+  });
+
+  test('refuses to crossfade without a duration', async () => {
+    await expect(beginCrossfade({ duration: 0 })).resolves.toBe(false);
+    expect(getCrossfadeProgress()).toBe(-1);
+  });
+
+  test('routes a live stream into the analyser without monitoring it', async () => {
+    const track = { stop: jest.fn() };
+    const stream = { getAudioTracks: () => [track], getTracks: () => [track] };
+    const [mainSource] = context.sources;
+    const deckGain = mainSource.outputs[0];
+    const output = deckGain.outputs[0].outputs[0];
+    setVolume(0.5);
+    expect(getInputSource()).toBe(INPUT_SOURCES.ELEMENT);
+
+    await connectStream(stream);
+    expect(getInputSource()).toBe(INPUT_SOURCES.STREAM);
+    expect(mainSource.outputs).toHaveLength(0);
+    expect(context.streams[0].outputs[0]).toBe(deckGain);
+    expect(output.gain.value).toBe(0);
+    setVolume(0.6);
+    expect(output.gain.value).toBe(0);
+    expect(getAvailableFeatures()).toHaveLength(FEATURE_LABELS.length);
+    expect(getAvailableFeatures()).not.toContain('trackPosition');
+
+    expect(disconnectStream()).toBe(true);
+    expect(track.stop).toHaveBeenCalled();
+    expect(mainSource.outputs[0]).toBe(deckGain);
+    expect(output.gain.value).toBe(0.6);
+    expect(getAvailableFeatures()).toBe(FEATURE_LABELS);
+    expect(disconnectStream()).toBe(false);
+    await expect(connectStream({ getAudioTracks: () => [] })).rejects.toThrow('audio track');
+  });
+
+  test('resizes the analyser and reads it only when the analysis hop is due', () => {
+    const [analyser] = context.analysers;
+    const now = jest.spyOn(performance, 'now');
+    expect(setAnalysisConfig({ fftSize: 4096, hopMs: 50 })).toEqual({ fftSize: 4096, hopMs: 50 });
+    expect(analyser.fftSize).toBe(4096);
+
+    now.mockReturnValue(1000);
+    const state = frame();
+    expect(state.analyzed).toBe(true);
+    expect(state.waveform).toHaveLength(4096);
+    expect(state.frequency).toHaveLength(2048);
+    now.mockReturnValue(1017);
+    expect(frame().analyzed).toBe(false);
+    now.mockReturnValue(1034);
+    expect(frame().analyzed).toBe(false);
+    now.mockReturnValue(1051);
+    expect(frame()).toMatchObject({ analyzed: true, deltaMs: 51 });
+    expect(analyser.getFloatFrequencyData).toHaveBeenCalledTimes(2);
+
+    setAnalysisConfig(null);
+    expect(getAnalysisConfig()).toEqual(DEFAULT_ANALYSIS_CONFIG);
+    expect(analyser.fftSize).toBe(2048);
+    now.mockRestore();
+  });
+
+  test('splits both decks into a left and a right analyser for the stereo features', () => {
+    const [mainSource, tailSource] = context.sources;
+    const [, left, right] = context.analysers;
+    const splitter = mainSource.outputs[0].outputs[1];
+    expect(splitter.channelInterpretation).toBe('speakers');
+    expect(splitter.outputs).toEqual([left, right]);
+    expect(tailSource.outputs[0].outputs[1]).toBe(splitter);
+    expect(left.fftSize).toBe(2048);
+
+    left.getFloatTimeDomainData.mockImplementation((data) => data.fill(0.25));
+    right.getFloatTimeDomainData.mockImplementation((data) => data.fill(0));
+    const now = jest.spyOn(performance, 'now').mockReturnValue(5000);
+    const state = frame();
+    now.mockRestore();
+    expect(state.channels.map((data) => data.length)).toEqual([2048, 2048]);
+    expect(state.features[FEATURE_INDEX.BALANCE]).toBe(-1);
+    expect(state.features[FEATURE_INDEX.WIDTH]).toBeCloseTo(0.5, 6);
+  });
+});
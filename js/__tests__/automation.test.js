@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+import {
+  applyAutomation,
+  evaluateLane,
+  parseAutomationTime,
+  sanitizeAutomation,
+  serializeAutomation,
+} from '../automation.js';
+import { getParamNames } from '../map.js';
+
+const PARAM_COUNT = getParamNames().length;
+
+function lane(param, blend, keyframes, extra = {}) {
+  return sanitizeAutomation({ lanes: [{ param, blend, keyframes, ...extra }] }).lanes[0];
+}
+
+describe('automation lanes', () => {
+  test('parses seconds and clock-style keyframe times', () => {
+    expect(parseAutomationTime(12.5)).toBe(12.5);
+    expect(parseAutomationTime('2:14')).toBe(134);
+    expect(parseAutomationTime('1:02:03.5')).toBeCloseTo(3723.5, 5);
+    expect(parseAutomationTime('-1')).toBeNaN();
+    expect(parseAutomationTime('2:xx')).toBeNaN();
+    expect(parseAutomationTime(-3)).toBeNaN();
+  });
+
+  test('interpolates linear, step, and ease segments', () => {
+    const linear = lane('glow', 'override', [
+      { time: 10, value: 0 },
+      { time: 20, value: 1 },
+    ]);
+    expect(evaluateLane(linear, 15)).toBeCloseTo(0.5, 5);
+
+    const step = lane('glow', 'override', [
+      { time: 10, value: 0.2, curve: 'step' },
+      { time: 20, value: 1 },
+    ]);
+    expect(evaluateLane(step, 19.9)).toBeCloseTo(0.2, 5);
+
+    const ease = lane('glow', 'override', [
+      { time: 10, value: 0, curve: 'ease' },
+      { time: 20, value: 1 },
+    ]);
+    expect(evaluateLane(ease, 12.5)).toBeCloseTo(0.15625, 5);
+    expect(evaluateLane(ease, 15)).toBeCloseTo(0.5, 5);
+  });
+
+  test('lanes are inactive outside their keyframes unless held', () => {
+    const keyframes = [
+      { time: 5, value: 0.4 },
+      { time: 6, value: 0.8 },
+    ];
+    const open = lane('glow', 'override', keyframes);
+    expect(evaluateLane(open, 4.9)).toBeNaN();
+    expect(evaluateLane(open, 6.1)).toBeNaN();
+
+    const held = lane('glow', 'override', keyframes, { hold: true });
+    expect(evaluateLane(held, 60)).toBeCloseTo(0.8, 5);
+  });
+
+  test('blends override, add, and multiply into the NN outputs', () => {
+    const names = getParamNames();
+    const automation = sanitizeAutomation({
+      lanes: [
+        { param: 'spawnRate', blend: 'override', keyframes: [{ time: 0, value: -0.5 }, { time: 10, value: -0.5 }] },
+        { param: 'glow', blend: 'add', keyframes: [{ time: 0, value: 0.75 }, { time: 10, value: 0.75 }] },
+        { param: 'hueShift', blend: 'multiply', keyframes: [{ time: 0, value: 0.5 }, { time: 10, value: 0.5 }] },
+      ],
+    });
+    const outputs = new Float32Array(PARAM_COUNT).fill(0.5);
+    const target = new Float32Array(PARAM_COUNT);
+    const result = applyAutomation(automation, 5, outputs, target);
+
+    expect(result).toBe(target);
+    expect(result[names.indexOf('spawnRate')]).toBeCloseTo(-0.5, 5);
+    expect(result[names.indexOf('glow')]).toBe(1);
+    expect(result[names.indexOf('hueShift')]).toBeCloseTo(0.25, 5);
+    expect(result[names.indexOf('cohesion')]).toBeCloseTo(0.5, 5);
+    expect(outputs[names.indexOf('spawnRate')]).toBeCloseTo(0.5, 5);
+
+    const after = applyAutomation(automation, 11, outputs, target);
+    expect(after[names.indexOf('spawnRate')]).toBeCloseTo(0.5, 5);
+  });
+
+  test('sanitize drops malformed lanes and round-trips through serialization', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const automation = sanitizeAutomation({
+      lanes: [
+        { param: 'notAParam', keyframes: [{ time: 0, value: 1 }] },
+        { param: 'glow', blend: 'screen', keyframes: [{ time: 0, value: 1 }] },
+        { param: 'zoom', keyframes: [{ time: 'soon', value: 1 }] },
+        { param: 'glow', keyframes: [{ time: 8, value: 3 }, { time: '0:02', value: 0.1, curve: 'wobble' }] },
+      ],
+    });
+    expect(warn).toHaveBeenCalledTimes(3);
+    warn.mockRestore();
+
+    expect(automation.lanes).toHaveLength(1);
+    const [glow] = automation.lanes;
+    expect(glow.blend).toBe('override');
+    expect(glow.keyframes).toEqual([
+      { time: 2, value: 0.1, curve: 'linear' },
+      { time: 8, value: 1, curve: 'linear' },
+    ]);
+
+    const serialized = serializeAutomation(automation);
+    expect(serialized.lanes[0]).not.toHaveProperty('index');
+    expect(sanitizeAutomation(JSON.parse(JSON.stringify(serialized)))).toEqual(automation);
+    expect(sanitizeAutomation({ lanes: [] })).toBeNull();
+    expect(sanitizeAutomation(null)).toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+import {
+  BUNDLE_FORMAT,
+  createEntryPayload,
+  deleteEntry,
+  exportBundle,
+  getEntry,
+  importBundle,
+  listEntries,
+  putEntry,
+} from '../byom-storage.js';
+
+function createModel() {
+  return {
+    input: 2,
+    featureSchemaVersion: 2,
+    features: ['rms', 'centroid'],
+    analysis: { fftSize: 4096, hopMs: 25 },
+    normalization: { mean: [0.1, 0.2], std: [0.5, 2] },
+    layers: [{ activation: 'tanh', weights: [0.5, -0.25], bias: [0.1] }],
+  };
+}
+
+async function storeEntry() {
+  const payload = createEntryPayload({
+    id: 'bundle-test',
+    name: 'Night Drive',
+    file: { name: 'night-drive.mp3', size: 4, lastModified: 7, signature: 'night-drive.mp3:4:7' },
+    baseline: { presetId: 'clouds', modelId: 'models/clouds.json' },
+    summary: { durationSeconds: 12, tempo: { bpm: 122, confidence: 0.8 } },
+    stats: { epochs: 12, valLoss: 0.04 },
+    correlations: [{ feature: 'rms', output: 'glow', strength: 0.8 }],
+    model: createModel(),
+  });
+  return putEntry(payload);
+}
+
+describe('byom bundles', () => {
+  afterEach(async () => {
+    for (const entry of await listEntries()) {
+      await deleteEntry(entry.id);
+    }
+  });
+
+  test('round-trips an entry without audio', async () => {
+    await storeEntry();
+    const bundle = await exportBundle('bundle-test');
+
+    expect(bundle.format).toBe(BUNDLE_FORMAT);
+    expect(bundle.schemaVersion).toBe(1);
+    expect(bundle.audio).toBeNull();
+    expect(bundle.checksum.value).toMatch(/^[0-9a-f]{8}$/);
+    expect(bundle.entry.correlations).toEqual([{ feature: 'rms', output: 'glow', strength: 0.8 }]);
+    expect(bundle.entry.model.norm.invStd).toEqual([2, 0.5]);
+
+    await deleteEntry('bundle-test');
+    const { entry, audio } = await importBundle(JSON.stringify(bundle));
+    expect(audio).toBeNull();
+    expect(entry.id).toBe('bundle-test');
+    expect(entry.name).toBe('Night Drive');
+    expect(entry.summary.tempo.bpm).toBe(122);
+    expect(entry.model.features).toEqual(['rms', 'centroid']);
+    expect(entry.model.analysis).toEqual({ fftSize: 4096, hopMs: 25 });
+    expect(entry.model.layers[0].weights).toEqual([0.5, -0.25]);
+    expect(await getEntry('bundle-test')).not.toBeNull();
+  });
+
+  test('embeds optional audio and keeps existing entries on id conflicts', async () => {
+    await storeEntry();
+    const bytes = new Uint8Array([1, 2, 250, 255]);
+    const bundle = await exportBundle('bundle-test', {
+      audio: { name: 'night-drive.mp3', type: 'audio/mpeg', data: bytes.buffer },
+    });
+    expect(bundle.audio).toMatchObject({ name: 'night-drive.mp3', size: 4, encoding: 'base64' });
+
+    const { entry, audio } = await importBundle(bundle);
+    expect(entry.id).not.toBe('bundle-test');
+    expect(await listEntries()).toHaveLength(2);
+    expect(audio.size).toBe(4);
+    expect(audio.type).toBe('audio/mpeg');
+    const restored = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(new Uint8Array(reader.result));
+      reader.readAsArrayBuffer(audio);
+    });
+    expect(Array.from(restored)).toEqual(Array.from(bytes));
+  });
+
+  test('rejects tampered or foreign bundles', async () => {
+    await storeEntry();
+    const bundle = await exportBundle('bundle-test');
+    const tampered = JSON.parse(JSON.stringify(bundle));
+    tampered.entry.model.layers[0].bias = [9];
+    await expect(importBundle(tampered)).rejects.toThrow('checksum mismatch');
+    await expect(importBundle({ ...bundle, schemaVersion: 99 })).rejects.toThrow('schema version');
+    await expect(importBundle({ format: 'other' })).rejects.toThrow('Not a Latent Noise BYOM bundle.');
+
+    // Property order does not affect the checksum.
+    const reordered = { checksum: bundle.checksum, entry: bundle.entry, audio: null, ...bundle };
+    await expect(importBundle(reordered)).resolves.toHaveProperty('entry');
+  });
+});
@@ -0,0 +1,128 @@
+import {
+  createConstellationBuilder,
+  DEFAULT_CONSTELLATION,
+  MAX_DEGREE,
+  resolveConstellation,
+  resolveLinkDensity,
+} from '../constellation.js';
+import { listPresets } from '../presets.js';
+
+const WORLD = { width: 2, height: 2 };
+
+function createParticles(points, alive) {
+  const count = points.length;
+  return {
+    count,
+    positions: {
+      x: Float32Array.from(points, (point) => point[0]),
+      y: Float32Array.from(points, (point) => point[1]),
+    },
+    alive: alive ? Uint8Array.from(alive) : undefined,
+    indices: Uint32Array.from(points, (_, i) => i),
+  };
+}
+
+function randomPoints(count, seed = 1) {
+  let state = seed;
+  const next = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+  return Array.from({ length: count }, () => [next() * 2 - 1, next() * 2 - 1]);
+}
+
+function bruteForceNearest(points, index, radius) {
+  return points
+    .map((point, other) => ({ other, dist: Math.hypot(point[0] - points[index][0], point[1] - points[index][1]) }))
+    .filter(({ other, dist }) => other !== index && dist < radius)
+    .sort((a, b) => a.dist - b.dist);
+}
+
+test('resolveConstellation clamps fields and accepts numeric or bound densities', () => {
+  expect(DEFAULT_CONSTELLATION).toMatchObject({ maxDistance: 0.14, maxDegree: 3 });
+  expect(DEFAULT_CONSTELLATION.density).toMatchObject({ param: 'cohesion' });
+  const config = resolveConstellation({ maxDistance: 9, maxDegree: 40, density: 3 });
+  expect(config).toEqual({ maxDistance: 0.5, maxDegree: MAX_DEGREE, density: 1 });
+  expect(Object.isFrozen(config)).toBe(true);
+  expect(resolveConstellation({ density: { param: 'glow', scale: 2 } }).density).toEqual({
+    param: 'glow',
+    scale: 2,
+    offset: 0,
+  });
+  listPresets().forEach((preset) => {
+    if (preset.constellation) {
+      expect(() => resolveConstellation(preset.constellation)).not.toThrow();
+    }
+  });
+});
+
+test('resolveLinkDensity reads the bound mapped param and clamps to 0..1', () => {
+  const bound = resolveConstellation({ density: { param: 'glow', scale: 0.5, offset: 0.25 } });
+  expect(resolveLinkDensity(bound, { glow: 1 })).toBeCloseTo(0.75);
+  expect(resolveLinkDensity(bound, { glow: 4 })).toBe(1);
+  expect(resolveLinkDensity(bound, {})).toBeCloseTo(0.25);
+  expect(resolveLinkDensity(resolveConstellation({ density: 0.3 }), { glow: 1 })).toBe(0.3);
+});
+
+test('builder links each particle to its nearest neighbours within range and respects the degree limit', () => {
+  const points = randomPoints(400);
+  const particles = createParticles(points);
+  const builder = createConstellationBuilder();
+  const links = builder.build(particles, { maxDistance: 0.2, maxDegree: 3, density: 1, world: WORLD });
+
+  expect(links.count).toBeGreaterThan(0);
+  const degree = new Array(points.length).fill(0);
+  const pairs = new Set();
+  for (let k = 0; k < links.count; k += 1) {
+    const from = links.from[k];
+    const to = links.to[k];
+    const dist = Math.hypot(points[from][0] - points[to][0], points[from][1] - points[to][1]);
+    expect(dist).toBeLessThan(0.2);
+    expect(links.strength[k]).toBeCloseTo(1 - dist / 0.2, 4);
+    const key = from < to ? `${from}:${to}` : `${to}:${from}`;
+    expect(pairs.has(key)).toBe(false);
+    pairs.add(key);
+    degree[from] += 1;
+    degree[to] += 1;
+    if (k > 0) {
+      expect(links.slot[k]).toBeGreaterThanOrEqual(links.slot[k - 1]);
+    }
+  }
+  expect(Math.max(...degree)).toBeLessThanOrEqual(3);
+
+  // The first particle has free degree budget, so it takes its true nearest neighbours.
+  const expected = bruteForceNearest(points, 0, 0.2).slice(0, 3).map(({ other }) => other);
+  const actual = [];
+  for (let k = 0; k < links.count && links.slot[k] === 0; k += 1) {
+    actual.push(links.to[k]);
+  }
+  expect(actual).toEqual(expected);
+});
+
+test('builder skips dead particles and draws nothing at zero density', () => {
+  const particles = createParticles(
+    [
+      [0, 0],
+      [0.05, 0],
+      [0.1, 0],
+    ],
+    [1, 0, 1],
+  );
+  const builder = createConstellationBuilder();
+  const links = builder.build(particles, { maxDistance: 0.3, maxDegree: 2, density: 1, world: WORLD });
+  expect(links.count).toBe(1);
+  expect([links.from[0], links.to[0]]).toEqual([0, 2]);
+
+  expect(builder.build(particles, { maxDistance: 0.3, maxDegree: 2, density: 0, world: WORLD }).count).toBe(0);
+});
+
+test('builder caps the total number of links', () => {
+  const builder = createConstellationBuilder({ maxLinks: 5 });
+  const links = builder.build(createParticles(randomPoints(200, 7)), {
+    maxDistance: 0.5,
+    maxDegree: MAX_DEGREE,
+    density: 1,
+    world: WORLD,
+  });
+  expect(links.count).toBe(5);
+});
@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+import { createFeatureLayout, FEATURE_INDEX } from '../audio-features.js';
+import {
+  blendOutputs,
+  buildEqualPowerCurve,
+  equalPowerGains,
+  interpolatePalette,
+  sanitizeCrossfadeSeconds,
+} from '../crossfade.js';
+import { createModel, infer } from '../nn.js';
+
+describe('crossfade helpers', () => {
+  test('equal-power gains keep the summed power constant', () => {
+    [0, 0.2, 0.5, 0.8, 1].forEach((t) => {
+      const { fadeIn, fadeOut } = equalPowerGains(t);
+      expect(fadeIn * fadeIn + fadeOut * fadeOut).toBeCloseTo(1, 6);
+    });
+    expect(equalPowerGains(0)).toEqual({ fadeIn: 0, fadeOut: 1 });
+    expect(equalPowerGains(0.5).fadeIn).toBeCloseTo(Math.SQRT1_2, 6);
+    expect(equalPowerGains(2).fadeIn).toBeCloseTo(1, 6);
+  });
+
+  test('builds fade curves that run between silence and unity', () => {
+    const fadeIn = buildEqualPowerCurve('in', 16);
+    const fadeOut = buildEqualPowerCurve('out', 16);
+    expect(fadeIn).toHaveLength(16);
+    expect(fadeIn[0]).toBe(0);
+    expect(fadeIn[15]).toBeCloseTo(1, 6);
+    expect(fadeOut[0]).toBeCloseTo(1, 6);
+    expect(fadeOut[15]).toBeCloseTo(0, 6);
+  });
+
+  test('blends outputs linearly and treats missing values as zero', () => {
+    const out = new Float32Array(3);
+    blendOutputs([1, -1, 0.5], [0, 1, Number.NaN], 0.25, out);
+    expect(out[0]).toBeCloseTo(0.75, 6);
+    expect(out[1]).toBeCloseTo(-0.5, 6);
+    expect(out[2]).toBeCloseTo(0.375, 6);
+    blendOutputs([1, 1], [0, 0], 1, out);
+    expect(Array.from(out)).toEqual([0, 0, 0]);
+  });
+
+  test('interpolates palettes through the shortest hue arc', () => {
+    const from = { background: '#000000', accents: ['#ff0000', '#00ff00'], baseHue: 350 };
+    const to = { background: '#ffffff', accents: ['#0000ff'], baseHue: 10 };
+    expect(interpolatePalette(from, to, 0)).toEqual({
+      background: '#000000',
+      accents: ['#ff0000', '#00ff00'],
+      baseHue: 350,
+    });
+    const mid = interpolatePalette(from, to, 0.5);
+    expect(mid.background).toBe('#808080');
+    expect(mid.accents).toEqual(['#800080', '#008080']);
+    expect(mid.baseHue).toBeCloseTo(0, 6);
+    expect(interpolatePalette(from, to, 1).accents).toEqual(['#0000ff', '#0000ff']);
+  });
+
+  test('sanitizes crossfade lengths', () => {
+    expect(sanitizeCrossfadeSeconds('4')).toBe(4);
+    expect(sanitizeCrossfadeSeconds(null)).toBe(0);
+    expect(sanitizeCrossfadeSeconds(-2)).toBe(0);
+    expect(sanitizeCrossfadeSeconds(600)).toBe(30);
+  });
+});
+
+describe('crossfade outgoing model', () => {
+  // app.js binds the outgoing model to the live labels after the incoming track may have rebanded the extractor.
+  test('reads a rebanded vector by name and holds missing features at their mean', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const definition = {
+      input: 3,
+      features: ['rms', 'mid', 'bpm'],
+      normalization: { mean: [0, 0.3, 0], std: [1, 1, 1] },
+      layers: [{ activation: 'linear', weights: [1, 0, 0, 0, 1, 0, 0, 0, 1], bias: [0, 0, 0] }],
+    };
+    const layout = createFeatureLayout([0, 150, 2000, 16000]);
+    const features = new Float32Array(layout.count);
+    features[layout.index.RMS] = 0.5;
+    features[layout.index.BPM] = 0.8;
+
+    const bound = createModel(definition, { features: layout.labels });
+    expect(bound.missingFeatures).toEqual(['mid']);
+    const outputs = Array.from(infer(bound, features));
+    expect(outputs[0]).toBeCloseTo(0.5, 6);
+    expect(outputs[1]).toBeCloseTo(0, 6);
+    expect(outputs[2]).toBeCloseTo(0.8, 6);
+
+    // Bound to the default layout, the same vector is read at the wrong offsets.
+    expect(layout.index.RMS).not.toBe(FEATURE_INDEX.RMS);
+    expect(infer(createModel(definition), features)[0]).not.toBeCloseTo(0.5, 6);
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals';
+
+import { buildSpriteAtlas, createStylePainters, DRAW_STYLES, resolveDrawStyle } from '../draw-styles.js';
+import { listPresets } from '../presets.js';
+
+function createContextStub(canvas) {
+  return {
+    canvas,
+    beginPath: jest.fn(),
+    closePath: jest.fn(),
+    arc: jest.fn(),
+    fill: jest.fn(),
+    stroke: jest.fn(),
+    moveTo: jest.fn(),
+    lineTo: jest.fn(),
+    drawImage: jest.fn(),
+    fillText: jest.fn(),
+    putImageData: jest.fn(),
+    createImageData: (width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+    createRadialGradient: () => ({ addColorStop: jest.fn() }),
+    globalAlpha: 1,
+    globalCompositeOperation: 'lighter',
+  };
+}
+
+function createCanvasStub(width = 1, height = 1) {
+  const canvas = { width, height };
+  canvas.context = createContextStub(canvas);
+  canvas.getContext = () => canvas.context;
+  return canvas;
+}
+
+function createParticle(overrides = {}) {
+  return {
+    sx: 50,
+    sy: 40,
+    vx: 0,
+    vy: 0,
+    radius: 3,
+    hue: 200,
+    saturation: 80,
+    bodyLight: 55,
+    glowLight: 70,
+    alpha: 0.6,
+    glowAlpha: 0.45,
+    lifeT: 0.2,
+    rng: 0.4,
+    ...overrides,
+  };
+}
+
+function createEnv(style, params = { glow: 0.5 }) {
+  return { style: resolveDrawStyle(style), params, logicalWidth: 120, logicalHeight: 80 };
+}
+
+test('resolveDrawStyle normalizes names, blocks, and option bounds', () => {
+  expect(resolveDrawStyle(undefined)).toEqual({ type: 'orbs' });
+  expect(resolveDrawStyle('bogus')).toEqual({ type: 'orbs' });
+  expect(resolveDrawStyle('streaks')).toEqual({ type: 'streaks', streakSeconds: 0.08, maxLength: 48 });
+  expect(resolveDrawStyle({ type: 'metaballs', cellSize: 100, threshold: 'x' })).toEqual({
+    type: 'metaballs',
+    cellSize: 24,
+    threshold: 0.9,
+  });
+  expect(resolveDrawStyle({ type: 'glyphs', glyphs: ' 0 1 ' }).glyphs).toBe('01');
+  expect(resolveDrawStyle({ type: 'glyphs' }).glyphs).toBe('.:-=+*#%@');
+  expect(Object.isFrozen(resolveDrawStyle('sprites'))).toBe(true);
+});
+
+test('every preset draw style resolves to its declared type', () => {
+  listPresets()
+    .filter((preset) => preset.drawStyle)
+    .forEach((preset) => {
+      expect(Object.values(DRAW_STYLES)).toContain(preset.drawStyle.type);
+      expect(resolveDrawStyle(preset.drawStyle).type).toBe(preset.drawStyle.type);
+    });
+});
+
+test('streaks trail behind the particle along its velocity and mirror into the glow buffer', () => {
+  const painter = createStylePainters(createCanvasStub).get(DRAW_STYLES.STREAKS);
+  const ctx = createContextStub();
+  const glowCtx = createContextStub();
+  const env = createEnv({ type: 'streaks', streakSeconds: 0.1 });
+
+  painter.begin(ctx, glowCtx, env);
+  painter.particle(ctx, glowCtx, createParticle({ vx: 200, vy: 0 }), env);
+
+  expect(ctx.moveTo).toHaveBeenCalledWith(30, 40);
+  expect(ctx.lineTo).toHaveBeenCalledWith(50, 40);
+  expect(glowCtx.stroke).toHaveBeenCalledTimes(1);
+  expect(glowCtx.lineWidth).toBeGreaterThan(ctx.lineWidth);
+
+  painter.particle(ctx, null, createParticle({ vx: 0, vy: 0 }), env);
+  expect(ctx.moveTo).toHaveBeenLastCalledWith(50, 40);
+});
+
+test('glyphs snap to a character grid and pick denser glyphs for larger particles', () => {
+  const painter = createStylePainters(createCanvasStub).get(DRAW_STYLES.GLYPHS);
+  const ctx = createContextStub();
+  const env = createEnv({ type: 'glyphs', glyphs: '.o@', cellSize: 10 });
+
+  painter.begin(ctx, null, env);
+  painter.particle(ctx, null, createParticle({ sx: 53, sy: 41, radius: 0.5 }), env);
+  painter.particle(ctx, null, createParticle({ sx: 53, sy: 41, radius: 8, lifeT: 0 }), env);
+
+  expect(ctx.font).toContain('10px');
+  expect(ctx.fillText).toHaveBeenNthCalledWith(1, '.', 55, 45);
+  expect(ctx.fillText).toHaveBeenNthCalledWith(2, '@', 55, 45);
+});
+
+test('sprite atlas bakes one row per hue bucket and is built once per painter', () => {
+  const created = [];
+  const createCanvas = (width, height) => {
+    const canvas = createCanvasStub(width, height);
+    created.push(canvas);
+    return canvas;
+  };
+  const atlas = buildSpriteAtlas(createCanvas);
+  expect(atlas.canvas.width).toBe(atlas.cell * atlas.shapes);
+  expect(atlas.canvas.height).toBe(atlas.cell * atlas.hueBuckets);
+
+  const painter = createStylePainters(createCanvas).get(DRAW_STYLES.SPRITES);
+  const ctx = createContextStub();
+  const glowCtx = createContextStub();
+  const env = createEnv('sprites');
+  painter.begin(ctx, glowCtx, env);
+  painter.begin(ctx, glowCtx, env);
+  painter.particle(ctx, glowCtx, createParticle({ hue: 30, rng: 0.6 }), env);
+
+  expect(created).toHaveLength(2);
+  const [source, sx, sy, sw, sh, , , width] = ctx.drawImage.mock.calls[0];
+  expect(source).toBe(created[1]);
+  expect([sx, sy, sw, sh]).toEqual([2 * atlas.cell, 1 * atlas.cell, atlas.cell, atlas.cell]);
+  expect(width).toBeCloseTo(3 * 2.8);
+  expect(glowCtx.drawImage.mock.calls[0][7]).toBeGreaterThan(width);
+});
+
+test('metaballs merge nearby particles into a thresholded low-res field', () => {
+  const created = [];
+  const painter = createStylePainters((width, height) => {
+    const canvas = createCanvasStub(width, height);
+    created.push(canvas);
+    return canvas;
+  }).get(DRAW_STYLES.METABALLS);
+  const ctx = createContextStub();
+  const glowCtx = createContextStub();
+  const env = createEnv({ type: 'metaballs', cellSize: 10, threshold: 1 });
+
+  painter.begin(ctx, glowCtx, env);
+  painter.particle(ctx, glowCtx, createParticle({ sx: 45, sy: 45, radius: 6 }), env);
+  painter.particle(ctx, glowCtx, createParticle({ sx: 55, sy: 45, radius: 6 }), env);
+  painter.end(ctx, glowCtx, env);
+
+  const [field] = created;
+  expect(field.width).toBe(12);
+  expect(field.height).toBe(8);
+  const [image] = field.context.putImageData.mock.calls[0];
+  const alphaAt = (x, y) => image.data[(y * 12 + x) * 4 + 3];
+  expect(alphaAt(4, 4)).toBeGreaterThan(0);
+  expect(alphaAt(5, 4)).toBeGreaterThan(0);
+  expect(alphaAt(0, 0)).toBe(0);
+  expect(ctx.drawImage).toHaveBeenCalledWith(field, 0, 0, 120, 80);
+  expect(glowCtx.drawImage).toHaveBeenCalledTimes(1);
+
+  // The field is cleared between frames.
+  painter.begin(ctx, glowCtx, env);
+  painter.end(ctx, glowCtx, env);
+  const [cleared] = field.context.putImageData.mock.calls[1];
+  expect(cleared.data[(4 * 12 + 4) * 4 + 3]).toBe(0);
+});
@@ -0,0 +1,183 @@
+import {
+  createFeatureExtractor,
+  EXTENDED_FEATURE_LABELS,
+  FEATURE_COUNT,
+  FEATURE_INDEX,
+  FEATURE_LABELS,
+  FEATURE_SCHEMAS,
+  FEATURE_TYPES,
+  resolveModelFeatures,
+  usesExtendedFeatures,
+} from '../audio-features.js';
+import { createAnalyserEmulator } from '../analyser-emulation.js';
+import { buildAnalysisDataset } from '../byom-intake.js';
+import { buildChromaMap, buildMelFilterbank } from '../extended-features.js';
+import { createModel } from '../nn.js';
+
+const SAMPLE_RATE = 44100;
+const FFT_SIZE = 2048;
+const FRAME_MS = 1000 / 60;
+
+function createRandom(seed = 7) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 0x100000000;
+  };
+}
+
+function sine(frequency, offset = 0, amplitude = 0.5) {
+  const samples = new Float32Array(FFT_SIZE);
+  for (let i = 0; i < FFT_SIZE; i += 1) {
+    samples[i] = amplitude * Math.sin((2 * Math.PI * frequency * (offset + i)) / SAMPLE_RATE);
+  }
+  return samples;
+}
+
+function createRunner() {
+  const extractor = createFeatureExtractor({ sampleRate: SAMPLE_RATE, fftSize: FFT_SIZE, extended: true });
+  const analyser = createAnalyserEmulator({ fftSize: FFT_SIZE, smoothingTimeConstant: 0 });
+  return (waveform) => extractor.process({ frequencyDb: analyser.process(waveform).frequencyDb, waveform, deltaMs: FRAME_MS });
+}
+
+function read(features, name) {
+  return features[FEATURE_LABELS.indexOf(name)];
+}
+
+describe('extended feature layout', () => {
+  test('appends the extended block after the tempo features', () => {
+    expect(EXTENDED_FEATURE_LABELS).toHaveLength(32);
+    expect(FEATURE_LABELS.slice(FEATURE_INDEX.MFCC_0, FEATURE_INDEX.HP_RATIO + 1)).toEqual(EXTENDED_FEATURE_LABELS);
+    expect(FEATURE_LABELS).toHaveLength(FEATURE_COUNT);
+    expect(FEATURE_LABELS[FEATURE_INDEX.CHROMA_0 + 9]).toBe('chromaA');
+    expect(FEATURE_LABELS[FEATURE_INDEX.CONTRAST_0 + 2]).toBe('contrastLowMid');
+    expect(FEATURE_LABELS[FEATURE_INDEX.ZCR]).toBe('zcr');
+    expect(FEATURE_LABELS[FEATURE_INDEX.HP_RATIO]).toBe('hpRatio');
+    expect(FEATURE_TYPES.mfcc0).toBe('positive');
+    expect(FEATURE_TYPES.mfcc5).toBe('signed');
+    expect(FEATURE_TYPES.chromaFs).toBe('positive');
+  });
+
+  test('keeps earlier schemas and flags models that read the block', () => {
+    expect(FEATURE_SCHEMAS[2]).toHaveLength(FEATURE_INDEX.BEAT_CONFIDENCE + 1);
+    expect(FEATURE_SCHEMAS[3]).toHaveLength(FEATURE_INDEX.HP_RATIO + 1);
+    const legacy = resolveModelFeatures({ input: 27, featureSchemaVersion: 2 }).features;
+    expect(usesExtendedFeatures(legacy)).toBe(false);
+    expect(usesExtendedFeatures(['rms', 'chromaG'])).toBe(true);
+    expect(usesExtendedFeatures(undefined)).toBe(false);
+  });
+
+  test('builds unit-area mel filters and a pitch-class map', () => {
+    const { starts, weights } = buildMelFilterbank(SAMPLE_RATE, FFT_SIZE);
+    expect(starts).toHaveLength(26);
+    weights.forEach((filter) => {
+      expect(filter.reduce((sum, value) => sum + value, 0)).toBeCloseTo(1, 4);
+    });
+    const chroma = buildChromaMap(SAMPLE_RATE, FFT_SIZE);
+    const binHz = SAMPLE_RATE / FFT_SIZE;
+    expect(chroma[Math.round(440 / binHz)]).toBe(9);
+    expect(chroma[Math.round(1046.5 / binHz)]).toBe(0);
+    expect(chroma[1]).toBe(-1);
+    expect(chroma[Math.round(8000 / binHz)]).toBe(-1);
+  });
+});
+
+describe('extended feature extraction', () => {
+  test('stays at zero unless enabled', () => {
+    const extractor = createFeatureExtractor({ sampleRate: SAMPLE_RATE, fftSize: FFT_SIZE });
+    const waveform = sine(440);
+    const analyser = createAnalyserEmulator({ fftSize: FFT_SIZE });
+    const features = extractor.process({ frequencyDb: analyser.process(waveform).frequencyDb, waveform, deltaMs: FRAME_MS });
+    expect(extractor.isExtended()).toBe(false);
+    expect(Array.from(features.subarray(FEATURE_INDEX.MFCC_0, FEATURE_INDEX.HP_RATIO + 1)).every((value) => value === 0)).toBe(true);
+
+    extractor.setExtended(true);
+    extractor.process({ frequencyDb: analyser.process(waveform).frequencyDb, waveform, deltaMs: FRAME_MS });
+    expect(read(extractor.getVector(), 'chromaA')).toBe(1);
+    extractor.setExtended(false);
+    expect(read(extractor.getVector(), 'chromaA')).toBe(0);
+  });
+
+  test('puts a pure tone in its pitch class with high contrast in its band', () => {
+    const run = createRunner();
+    const features = run(sine(440));
+    expect(read(features, 'chromaA')).toBe(1);
+    ['chromaC', 'chromaE', 'chromaFs', 'chromaB'].forEach((name) => {
+      expect(read(features, name)).toBeLessThan(0.1);
+    });
+    expect(read(features, 'contrastLowMid')).toBeGreaterThan(0.5);
+    expect(read(features, 'mfcc0')).toBeGreaterThan(0);
+    for (let i = 1; i < 13; i += 1) {
+      const value = read(features, `mfcc${i}`);
+      expect(value).toBeGreaterThanOrEqual(-1);
+      expect(value).toBeLessThanOrEqual(1);
+    }
+  });
+
+  test('reads a lower contrast and a higher zero-crossing rate from noise', () => {
+    const random = createRandom();
+    const noise = new Float32Array(FFT_SIZE).map(() => random() * 2 - 1);
+    const noiseFeatures = createRunner()(noise);
+    const toneFeatures = createRunner()(sine(440));
+    expect(read(noiseFeatures, 'contrastLowMid')).toBeLessThan(read(toneFeatures, 'contrastLowMid'));
+    expect(read(noiseFeatures, 'zcr')).toBeGreaterThan(0.3);
+    expect(read(toneFeatures, 'zcr')).toBeLessThan(0.05);
+
+    const alternating = new Float32Array(FFT_SIZE).map((_, i) => (i % 2 === 0 ? 0.5 : -0.5));
+    expect(read(createRunner()(alternating), 'zcr')).toBeCloseTo(1, 5);
+  });
+
+  test('separates sustained tones from clicks in the harmonic/percussive ratio', () => {
+    const toneRun = createRunner();
+    let tone = null;
+    for (let frame = 0; frame < 12; frame += 1) {
+      tone = toneRun(sine(440, frame * 735));
+    }
+    expect(read(tone, 'hpRatio')).toBeGreaterThan(0.7);
+
+    const clickRun = createRunner();
+    const silence = new Float32Array(FFT_SIZE);
+    for (let frame = 0; frame < 8; frame += 1) {
+      clickRun(silence);
+    }
+    const click = new Float32Array(FFT_SIZE);
+    click[FFT_SIZE / 2] = 1;
+    expect(read(clickRun(click), 'hpRatio')).toBeLessThan(0.2);
+  });
+
+  test('reads silence as zero across the block', () => {
+    const features = createRunner()(new Float32Array(FFT_SIZE));
+    expect(Array.from(features.subarray(FEATURE_INDEX.MFCC_0)).every((value) => value === 0)).toBe(true);
+  });
+});
+
+describe('extended feature datasets', () => {
+  const mono = new Float32Array(SAMPLE_RATE / 4);
+  mono.set(sine(440));
+
+  function build(options) {
+    return buildAnalysisDataset({ mono, sampleRate: SAMPLE_RATE, ...options }).then(({ dataset }) => dataset);
+  }
+
+  test('leave the block out unless asked for', async () => {
+    const core = await build();
+    expect(usesExtendedFeatures(core.featureNames)).toBe(false);
+    expect(core.featureSize).toBe(FEATURE_COUNT - EXTENDED_FEATURE_LABELS.length);
+    expect(core.features).toHaveLength(core.frameCount * core.featureSize);
+    expect(core.featureNames.slice(-4)).toEqual(['balance', 'width', 'midEnergy', 'sideEnergy']);
+
+    const extended = await build({ extended: true });
+    expect(extended.featureNames).toEqual(FEATURE_LABELS);
+    const rms = FEATURE_INDEX.RMS;
+    expect(core.features[core.featureSize + rms]).toBe(extended.features[extended.featureSize + rms]);
+  });
+
+  test('keep the block when the base model reads it', async () => {
+    const model = createModel({
+      input: 2,
+      features: ['rms', 'mfcc3'],
+      layers: [{ activation: 'linear', weights: [1, 0, 0, 1], bias: [0, 0] }],
+    });
+    expect((await build({ model })).featureNames).toEqual(FEATURE_LABELS);
+  });
+});
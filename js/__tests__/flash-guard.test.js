@@ -0,0 +1,102 @@
+import { createFlashGuard, createFlashMonitor, FLASH_LIMIT_PER_SECOND, measurePixels } from '../flash-guard.js';
+
+const FRAME_MS = 1000 / 30;
+const DARK = { luminance: 0.02, red: 0 };
+const BRIGHT = { luminance: 0.6, red: 0 };
+
+function pixels(r, g, b, count = 4) {
+  const data = new Uint8ClampedArray(count * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = 255;
+  }
+  return data;
+}
+
+// Alternates between two samples every `period` frames for `seconds` at 30 fps.
+function drive(guard, a, b, { period, seconds, startMs = 0 }) {
+  let damping = 1;
+  const frames = Math.round((seconds * 1000) / FRAME_MS);
+  for (let i = 0; i < frames; i += 1) {
+    const sample = Math.floor(i / period) % 2 === 0 ? a : b;
+    damping = guard.update(sample, startMs + i * FRAME_MS, FRAME_MS / 1000);
+  }
+  return damping;
+}
+
+describe('flash guard', () => {
+  test('measures relative luminance and saturated red', () => {
+    expect(measurePixels(pixels(255, 255, 255)).luminance).toBeCloseTo(1, 5);
+    expect(measurePixels(pixels(0, 0, 0))).toEqual({ luminance: 0, red: 0 });
+    const red = measurePixels(pixels(255, 0, 0));
+    expect(red.luminance).toBeCloseTo(0.2126, 4);
+    expect(red.red).toBeCloseTo(320, 5);
+    // Orange-ish pixels are not saturated red.
+    expect(measurePixels(pixels(255, 160, 0)).red).toBe(0);
+    expect(measurePixels(new Uint8ClampedArray(0))).toEqual({ luminance: 0, red: 0 });
+  });
+
+  test('counts opposing transitions as flashes within a one-second window', () => {
+    const monitor = createFlashMonitor();
+    let result = null;
+    // 5 Hz square wave: ten transitions per second.
+    for (let i = 0; i < 30; i += 1) {
+      result = monitor.push(Math.floor(i / 3) % 2 === 0 ? DARK : BRIGHT, i * FRAME_MS);
+    }
+    expect(result.generalFlashes).toBeGreaterThan(FLASH_LIMIT_PER_SECOND);
+    expect(result.risk).toBeGreaterThan(1);
+    expect(monitor.read(5000).risk).toBe(0);
+  });
+
+  test('ignores small swings and changes among bright states', () => {
+    const dim = createFlashMonitor();
+    const bright = createFlashMonitor();
+    for (let i = 0; i < 60; i += 1) {
+      dim.push(i % 2 === 0 ? { luminance: 0.3, red: 0 } : { luminance: 0.35, red: 5 }, i * FRAME_MS);
+      bright.push(i % 2 === 0 ? { luminance: 0.85, red: 0 } : { luminance: 0.98, red: 0 }, i * FRAME_MS);
+    }
+    expect(dim.read(60 * FRAME_MS).risk).toBe(0);
+    expect(bright.read(60 * FRAME_MS).risk).toBe(0);
+  });
+
+  test('detects red flashes on their own', () => {
+    const monitor = createFlashMonitor();
+    let result = null;
+    for (let i = 0; i < 30; i += 1) {
+      result = monitor.push({ luminance: 0.9, red: i % 4 < 2 ? 0 : 60 }, i * FRAME_MS);
+    }
+    expect(result.generalFlashes).toBe(0);
+    expect(result.redFlashes).toBeGreaterThan(FLASH_LIMIT_PER_SECOND);
+  });
+
+  test('damps quickly under flashing and recovers slowly once it stops', () => {
+    const guard = createFlashGuard();
+    expect(drive(guard, BRIGHT, BRIGHT, { period: 1, seconds: 2 })).toBe(1);
+
+    const damped = drive(guard, DARK, BRIGHT, { period: 2, seconds: 1, startMs: 2000 });
+    expect(damped).toBeLessThan(0.35);
+    expect(guard.getRisk()).toBeGreaterThan(1);
+
+    const recovering = drive(guard, DARK, DARK, { period: 1, seconds: 1.5, startMs: 3000 });
+    expect(recovering).toBeGreaterThan(damped);
+    expect(recovering).toBeLessThan(1);
+    expect(drive(guard, DARK, DARK, { period: 1, seconds: 10, startMs: 4500 })).toBeGreaterThan(0.98);
+  });
+
+  test('reduced motion damps slow flicker that stays under the limit', () => {
+    // About two flashes per second: inside WCAG, but still strobing.
+    const standard = createFlashGuard();
+    const reduced = createFlashGuard({ reducedMotion: true });
+    const slow = { period: 8, seconds: 3 };
+    const standardDamping = drive(standard, DARK, BRIGHT, slow);
+    const reducedDamping = drive(reduced, DARK, BRIGHT, slow);
+    expect(reducedDamping).toBeLessThan(standardDamping);
+
+    reduced.reset();
+    expect(reduced.getDamping()).toBe(1);
+    reduced.setReducedMotion(false);
+    expect(drive(reduced, DARK, BRIGHT, slow)).toBeCloseTo(standardDamping, 6);
+  });
+});
@@ -0,0 +1,49 @@
+import {
+  attachFrameRing,
+  createRingLayout,
+  getFrameSequence,
+  readLatestFrame,
+  writeFrame,
+} from '../frame-ring.js';
+
+function createRing(slots = 4) {
+  const layout = createRingLayout({ values: 3, meta: 1 }, slots);
+  return attachFrameRing(layout, new ArrayBuffer(layout.byteLength));
+}
+
+describe('frame ring', () => {
+  it('lays out named fields back to back in each slot', () => {
+    const layout = createRingLayout({ values: 3, meta: 1 }, 4);
+    expect(layout.slotSize).toBe(4);
+    expect(layout.offsets.meta).toEqual({ offset: 3, length: 1 });
+    expect(layout.byteLength).toBe(8 + 4 * 4 * 4);
+  });
+
+  it('reads nothing before the first write and only new frames afterwards', () => {
+    const ring = createRing();
+    const target = { values: new Float32Array(3), meta: new Float32Array(1) };
+    expect(readLatestFrame(ring, target)).toBe(0);
+
+    expect(writeFrame(ring, { values: [1, 2, 3], meta: [9] })).toBe(1);
+    expect(readLatestFrame(ring, target)).toBe(1);
+    expect(Array.from(target.values)).toEqual([1, 2, 3]);
+    expect(target.meta[0]).toBe(9);
+    expect(readLatestFrame(ring, target, 1)).toBe(0);
+  });
+
+  it('skips to the newest frame after the writer wraps around', () => {
+    const ring = createRing(3);
+    const target = { values: new Float32Array(3) };
+    for (let i = 1; i <= 7; i += 1) {
+      writeFrame(ring, { values: [i, i * 2, i * 3] });
+    }
+    expect(getFrameSequence(ring)).toBe(7);
+    expect(readLatestFrame(ring, target, 2)).toBe(7);
+    expect(Array.from(target.values)).toEqual([7, 14, 21]);
+  });
+
+  it('rejects buffers smaller than the layout', () => {
+    const layout = createRingLayout({ values: 8 });
+    expect(() => attachFrameRing(layout, new ArrayBuffer(16))).toThrow('smaller than its layout');
+  });
+});
@@ -1,4 +1,4 @@
-import { configure, reset, update, getParamNames, getParamSpec } from '../map.js';
+import { configure, reset, update, getParamNames, getParamSpec, getParams, snapshot, restore } from '../map.js';
 
 describe('map module', () => {
   beforeEach(() => {
@@ -113,4 +113,45 @@ describe('map module', () => {
     params = update(outputs, { dt: 1 / 60, activity: 0, forceSilence: true });
     expect(params.spawnRate).toBe(0);
   });
+
+  test('beat sync kicks impulse params on tracked beats', () => {
+    const outputs = new Float32Array(getParamNames().length);
+    const beat = { phase: 0, confidence: 0.9, onBeat: true };
+
+    let params = update(outputs, { dt: 1 / 60, activity: 1, beat });
+    expect(params.repelImpulse).toBe(0);
+    expect(params.beatPulse).toBe(0);
+
+    configure({ beatSync: { repelImpulse: 0.6, glow: 0.5 } });
+    reset();
+    params = update(outputs, { dt: 1 / 60, activity: 1, beat });
+    expect(params.repelImpulse).toBeGreaterThan(0.4);
+    expect(params.beatPulse).toBeCloseTo(0.45, 5);
+
+    reset();
+    params = update(outputs, { dt: 1 / 60, activity: 1, beat: { ...beat, confidence: 0.1 } });
+    expect(params.repelImpulse).toBe(0);
+    expect(params.beatPulse).toBe(0);
+
+    configure({ beatSync: null });
+  });
+
+  test('snapshot and restore resume the same trajectory', () => {
+    const outputs = new Float32Array(getParamNames().length);
+    outputs.fill(0.6);
+    for (let i = 0; i < 20; i += 1) {
+      update(outputs, { dt: 1 / 60, timestamp: (i + 1) * 16, activity: 1 });
+    }
+    const saved = snapshot();
+    const before = getParams();
+    const expected = { ...update(outputs, { dt: 1 / 60, timestamp: 400, activity: 1 }) };
+
+    reset({ spawnRate: 0.1 });
+    update(new Float32Array(getParamNames().length).fill(-1), { dt: 1 / 60, activity: 0 });
+
+    restore(saved);
+    expect(getParams()).toEqual(before);
+    expect({ ...update(outputs, { dt: 1 / 60, timestamp: 400, activity: 1 }) }).toEqual(expected);
+    expect(() => restore({ version: 99 })).toThrow('Unsupported map snapshot.');
+  });
 });
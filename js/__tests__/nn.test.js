@@ -1,4 +1,12 @@
-import { loadModel, normalize, forward } from '../nn.js';
+import { jest } from '@jest/globals';
+import { loadModel, normalize, forward, createModel, infer } from '../nn.js';
+import {
+  FEATURE_INDEX,
+  FEATURE_LABELS,
+  FEATURE_SCHEMAS,
+  LIVE_FEATURE_LABELS,
+  resolveModelFeatures,
+} from '../audio-features.js';
 
 function createDummyModel() {
   return {
@@ -49,3 +57,73 @@ describe('nn runtime', () => {
     expect(Number.isFinite(result[0])).toBe(true);
   });
 });
+
+function createPassThroughModel(extra = {}) {
+  return {
+    input: 2,
+    normalization: { mean: [0, 0], std: [1, 1] },
+    layers: [{ activation: 'linear', weights: [1, 0, 0, 1], bias: [0, 0] }],
+    ...extra,
+  };
+}
+
+describe('nn feature schema', () => {
+  test('legacy definitions resolve to the v1 schema prefix', () => {
+    expect(resolveModelFeatures({ input: 24 })).toEqual({ version: 1, features: FEATURE_SCHEMAS[1].slice() });
+    expect(resolveModelFeatures({ input: FEATURE_LABELS.length }).features).toEqual(FEATURE_LABELS.slice());
+    expect(() => resolveModelFeatures({ input: FEATURE_LABELS.length + 1 })).toThrow(/only defines/);
+    expect(() => resolveModelFeatures({ input: 2, featureSchemaVersion: 99 })).toThrow(/Unsupported feature schema/);
+  });
+
+  test('rejects malformed feature lists', () => {
+    expect(() => createModel(createPassThroughModel({ features: ['rms'] }))).toThrow(/lists 1 features/);
+    expect(() => createModel(createPassThroughModel({ features: ['rms', 'rms'] }))).toThrow(/duplicate/);
+  });
+
+  test('remaps named inputs onto the live feature vector', () => {
+    const model = createModel(createPassThroughModel({ featureSchemaVersion: 2, features: ['beatPhase', 'rms'] }));
+    const features = new Float32Array(FEATURE_LABELS.length);
+    features[FEATURE_INDEX.BEAT_PHASE] = 0.25;
+    features[FEATURE_INDEX.RMS] = 0.75;
+    expect(Array.from(infer(model, features))).toEqual([0.25, 0.75]);
+    expect(model.featureSchemaVersion).toBe(2);
+    expect(model.missingFeatures).toEqual([]);
+  });
+
+  test('adapts missing features to their normalization mean or rejects them', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const definition = createPassThroughModel({
+      features: ['futureFeature', 'rms'],
+      normalization: { mean: [0.4, 0], std: [2, 1] },
+    });
+    const model = createModel(definition);
+    expect(model.missingFeatures).toEqual(['futureFeature']);
+    expect(warn).toHaveBeenCalled();
+    const features = new Float32Array(FEATURE_LABELS.length);
+    features[FEATURE_INDEX.RMS] = 0.5;
+    expect(Array.from(infer(model, features))).toEqual([0, 0.5]);
+    warn.mockRestore();
+
+    expect(() => createModel(definition, { onMissingFeatures: 'reject' })).toThrow(/futureFeature/);
+  });
+
+  test('matches against a caller-supplied feature list', () => {
+    const model = createModel(createPassThroughModel({ features: ['a', 'b'] }), { features: ['b', 'a'] });
+    expect(Array.from(infer(model, new Float32Array([3, 4])))).toEqual([4, 3]);
+  });
+
+  test('holds track position at its mean for a live input', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const definition = createPassThroughModel({
+      features: ['trackPosition', 'bpm'],
+      normalization: { mean: [0.2, 0], std: [1, 1] },
+    });
+    const model = createModel(definition, { features: LIVE_FEATURE_LABELS });
+    expect(model.missingFeatures).toEqual(['trackPosition']);
+    const features = new Float32Array(FEATURE_LABELS.length);
+    features[FEATURE_INDEX.TRACK_POSITION] = -1;
+    features[FEATURE_INDEX.BPM] = 0.5;
+    expect(Array.from(infer(model, features))).toEqual([0, 0.5]);
+    warn.mockRestore();
+  });
+});
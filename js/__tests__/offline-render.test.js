@@ -0,0 +1,115 @@
+import { computeFrameSchedule, createOfflineSession } from '../offline-render.js';
+import { sanitizeAutomation } from '../automation.js';
+import { FEATURE_INDEX } from '../audio-features.js';
+
+function createToneBuffer({ sampleRate = 22050, seconds = 0.5, frequency = 110 } = {}) {
+  const length = Math.round(sampleRate * seconds);
+  const left = new Float32Array(length);
+  const right = new Float32Array(length);
+  for (let i = 0; i < length; i += 1) {
+    const t = i / sampleRate;
+    const envelope = 0.5 + 0.5 * Math.sin(t * Math.PI * 4);
+    left[i] = Math.sin(t * frequency * Math.PI * 2) * envelope * 0.6;
+    right[i] = Math.sin(t * frequency * 2 * Math.PI * 2) * envelope * 0.4;
+  }
+  return { sampleRate, channels: [left, right] };
+}
+
+function runSession(options) {
+  const session = createOfflineSession(options);
+  const snapshots = [];
+  for (let frame = session.step(); frame; frame = session.step()) {
+    const { particles } = frame;
+    const positions = [];
+    for (let i = 0; i < particles.count; i += 1) {
+      const index = particles.indices[i];
+      positions.push(particles.positions.x[index], particles.positions.y[index]);
+    }
+    snapshots.push({ count: particles.count, positions });
+  }
+  return { session, snapshots };
+}
+
+describe('offline render schedule', () => {
+  test('covers the full buffer at the requested frame rate', () => {
+    const schedule = computeFrameSchedule(44100, 44100, 30);
+    expect(schedule.fps).toBe(30);
+    expect(schedule.hopSamples).toBeCloseTo(1470, 5);
+    expect(schedule.frameCount).toBe(30);
+  });
+
+  test('clamps frame rate and handles empty audio', () => {
+    expect(computeFrameSchedule(1000, 48000, 1000).fps).toBe(120);
+    expect(computeFrameSchedule(0, 48000, 60).frameCount).toBe(0);
+  });
+});
+
+describe('offline render session', () => {
+  test('produces identical particle state for the same seed', () => {
+    const audioBuffer = createToneBuffer();
+    const first = runSession({ audioBuffer, seed: 42, fps: 30 });
+    const second = runSession({ audioBuffer, seed: 42, fps: 30 });
+
+    expect(first.session.frameCount).toBe(15);
+    expect(first.snapshots).toHaveLength(15);
+    expect(first.snapshots[first.snapshots.length - 1].count).toBeGreaterThan(0);
+    expect(second.snapshots).toEqual(first.snapshots);
+  });
+
+  test('re-extracts features on the analysis hop', () => {
+    const audioBuffer = createToneBuffer();
+    const session = createOfflineSession({
+      audioBuffer,
+      fps: 60,
+      modelDefinition: null,
+      analysis: { fftSize: 1024, hopMs: 1000 / 30 },
+    });
+    const rms = [];
+    for (let frame = session.step(); frame; frame = session.step()) {
+      rms.push(frame.features[FEATURE_INDEX.RMS]);
+    }
+    expect(rms).toHaveLength(30);
+    for (let index = 1; index < rms.length; index += 2) {
+      expect(rms[index]).toBe(rms[index - 1]);
+    }
+    expect(rms[2]).not.toBe(rms[1]);
+  });
+
+  test('diverges when the seed changes', () => {
+    const audioBuffer = createToneBuffer();
+    const first = runSession({ audioBuffer, seed: 1, fps: 30 });
+    const second = runSession({ audioBuffer, seed: 2, fps: 30 });
+    expect(second.snapshots).not.toEqual(first.snapshots);
+  });
+
+  test('routes mapped params through the resolver', () => {
+    const audioBuffer = createToneBuffer({ seconds: 0.1 });
+    const seen = [];
+    const session = createOfflineSession({
+      audioBuffer,
+      fps: 30,
+      resolveParams: (mapped) => {
+        seen.push(mapped.spawnRate);
+        return { sim: { ...mapped, spawnRate: 0 }, render: mapped };
+      },
+    });
+    const frame = session.step();
+    expect(seen).toHaveLength(1);
+    expect(frame.sim.spawnRate).toBe(0);
+    expect(frame.particles.count).toBe(0);
+  });
+
+  test('blends automation lanes into the outputs at track time', () => {
+    const audioBuffer = createToneBuffer({ seconds: 0.5 });
+    const automation = sanitizeAutomation({
+      lanes: [{ param: 'spawnRate', blend: 'override', keyframes: [{ time: 0.25, value: -1, curve: 'step' }], hold: true }],
+    });
+    const session = createOfflineSession({ audioBuffer, fps: 30, automation });
+    const spawnOutputs = [];
+    for (let frame = session.step(); frame; frame = session.step()) {
+      spawnOutputs.push(frame.outputs[0]);
+    }
+    expect(spawnOutputs[0]).toBe(0);
+    expect(spawnOutputs[spawnOutputs.length - 1]).toBe(-1);
+  });
+});
@@ -0,0 +1,289 @@
+import { jest } from '@jest/globals';
+
+import {
+  configure,
+  DEFAULT_FORCE_FIELDS,
+  EMITTER_TYPES,
+  getFlocking,
+  getForceFields,
+  getMetrics,
+  getParticles,
+  getSnapshotTransferables,
+  reset,
+  restore,
+  setSeed,
+  snapshot,
+  step,
+} from '../physics.js';
+
+const PARAMS = Object.freeze({
+  spawnRate: 0.8,
+  fieldStrength: 0.6,
+  cohesion: 0.5,
+  repelImpulse: 0.2,
+  vortexAmount: 0.4,
+});
+const STEP_OPTIONS = Object.freeze({ dt: 1 / 60, frameTime: 16, frameTimeAvg: 16 });
+
+function capturePositions() {
+  const particles = getParticles();
+  const values = [];
+  for (let i = 0; i < particles.count; i += 1) {
+    const index = particles.indices[i];
+    values.push(particles.positions.x[index], particles.positions.y[index], particles.life[index]);
+  }
+  return values;
+}
+
+function advance(frames) {
+  for (let i = 0; i < frames; i += 1) {
+    step(PARAMS, STEP_OPTIONS);
+  }
+}
+
+function meanVelocity() {
+  const particles = getParticles();
+  let sumX = 0;
+  let sumY = 0;
+  for (let i = 0; i < particles.count; i += 1) {
+    const index = particles.indices[i];
+    sumX += particles.velocities.x[index];
+    sumY += particles.velocities.y[index];
+  }
+  const count = Math.max(1, particles.count);
+  return { x: sumX / count, y: sumY / count };
+}
+
+beforeEach(() => {
+  configure({ capacity: 2048, baseCap: 1200, minCap: 600, fields: null, flocking: null });
+  reset();
+  setSeed(7);
+});
+
+describe('physics seeding', () => {
+  test('setSeed makes spawns reproducible', () => {
+    advance(30);
+    const first = capturePositions();
+
+    reset();
+    setSeed(7);
+    advance(30);
+    expect(capturePositions()).toEqual(first);
+
+    reset();
+    setSeed(8);
+    advance(30);
+    expect(capturePositions()).not.toEqual(first);
+  });
+});
+
+describe('physics snapshots', () => {
+  test('only copies live particles', () => {
+    advance(10);
+    const data = snapshot();
+    expect(data.liveCount).toBe(getParticles().count);
+    expect(data.particles).toHaveLength(data.liveCount * 8);
+    expect(data.liveList.length + data.freeList.length).toBe(data.capacity);
+  });
+
+  test('restore resumes the exact same trajectory', () => {
+    advance(40);
+    const saved = snapshot();
+    advance(40);
+    const expected = capturePositions();
+
+    reset();
+    setSeed(999);
+    advance(5);
+
+    restore(saved);
+    advance(40);
+    expect(capturePositions()).toEqual(expected);
+  });
+
+  test('snapshot buffers are compact and detached from the pools', () => {
+    advance(20);
+    const data = snapshot();
+    const buffers = getSnapshotTransferables(data);
+    expect(buffers).toHaveLength(4);
+    expect(buffers[3].byteLength).toBe(data.liveCount * 8 * 4);
+
+    const expected = capturePositions();
+    data.particles.fill(0);
+    expect(capturePositions()).toEqual(expected);
+  });
+
+  test('rejects malformed snapshots', () => {
+    expect(() => restore(null)).toThrow('Unsupported physics snapshot.');
+    const data = snapshot();
+    expect(() => restore({ ...data, liveCount: data.liveCount + 1 })).toThrow('Physics snapshot is malformed.');
+  });
+});
+
+describe('physics force emitters', () => {
+  test('falls back to the default well layout', () => {
+    const fields = getForceFields();
+    expect(fields).toHaveLength(DEFAULT_FORCE_FIELDS.length);
+    expect(fields.map((field) => field.type)).toEqual(['point', 'point', 'point', 'turbulence']);
+  });
+
+  test('drops unknown emitter types and unknown keys', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    configure({
+      fields: [
+        { type: 'wind', angle: 90, strength: 2, bogus: 4 },
+        { type: 'black-hole', strength: 10 },
+      ],
+    });
+    expect(getForceFields()).toEqual([{ type: 'wind', angle: 90, strength: 2 }]);
+    expect(warn).toHaveBeenCalledWith('[physics] Ignoring unknown force emitter', 'black-hole');
+    warn.mockRestore();
+  });
+
+  test('wind pushes particles along its heading', () => {
+    configure({ fields: [{ type: 'wind', angle: 0, strength: 3 }] });
+    advance(30);
+    const velocity = meanVelocity();
+    expect(velocity.x).toBeGreaterThan(0.5);
+    expect(Math.abs(velocity.y)).toBeLessThan(velocity.x);
+  });
+
+  test('bindings follow mapped inputs supplied to step()', () => {
+    configure({ fields: [{ type: 'wind', angle: 90, strength: { param: 'glow', scale: 4 } }] });
+    for (let i = 0; i < 30; i += 1) {
+      step(PARAMS, { ...STEP_OPTIONS, fieldInputs: { glow: 0 } });
+    }
+    const still = meanVelocity().y;
+
+    reset();
+    setSeed(7);
+    for (let i = 0; i < 30; i += 1) {
+      step(PARAMS, { ...STEP_OPTIONS, fieldInputs: { glow: 1 } });
+    }
+    expect(meanVelocity().y).toBeGreaterThan(still + 0.5);
+  });
+
+  test('global drag zones slow particles down', () => {
+    configure({ fields: [{ type: 'wind', strength: 3 }] });
+    advance(30);
+    const free = meanVelocity().x;
+
+    configure({ fields: [{ type: 'wind', strength: 3 }, { type: 'drag', strength: 4 }] });
+    reset();
+    setSeed(7);
+    advance(30);
+    expect(meanVelocity().x).toBeLessThan(free * 0.75);
+  });
+
+  test('exports every supported emitter type', () => {
+    expect(EMITTER_TYPES).toEqual(['point', 'line', 'ring', 'wind', 'turbulence', 'drag']);
+  });
+});
+
+describe('physics stereo-field params', () => {
+  function meanPositionX() {
+    const particles = getParticles();
+    let sum = 0;
+    for (let i = 0; i < particles.count; i += 1) {
+      sum += particles.positions.x[particles.indices[i]];
+    }
+    return sum / Math.max(1, particles.count);
+  }
+
+  test('wellPan slides the point wells sideways', () => {
+    configure({ fields: [{ type: 'point', strength: 3 }] });
+    const run = (wellPan) => {
+      reset();
+      setSeed(7);
+      for (let i = 0; i < 90; i += 1) {
+        step({ ...PARAMS, wellPan }, STEP_OPTIONS);
+      }
+      return meanPositionX();
+    };
+    const centred = run(0);
+    expect(run(1)).toBeGreaterThan(centred + 0.05);
+    expect(run(-1)).toBeLessThan(centred - 0.05);
+  });
+
+  test('emitDirection pushes new particles left or right', () => {
+    configure({ fields: [] });
+    step({ ...PARAMS, emitDirection: 1 }, STEP_OPTIONS);
+    expect(meanVelocity().x).toBeGreaterThan(0.3);
+
+    reset();
+    setSeed(7);
+    step({ ...PARAMS, emitDirection: -4 }, STEP_OPTIONS);
+    expect(meanVelocity().x).toBeLessThan(-0.3);
+    expect(meanVelocity().x).toBeGreaterThanOrEqual(-0.9);
+  });
+});
+
+describe('physics neighbour forces', () => {
+  function meanNearestDistance() {
+    const particles = getParticles();
+    const xs = particles.positions.x;
+    const ys = particles.positions.y;
+    let total = 0;
+    for (let i = 0; i < particles.count; i += 1) {
+      const a = particles.indices[i];
+      let best = Infinity;
+      for (let j = 0; j < particles.count; j += 1) {
+        if (i !== j) {
+          const b = particles.indices[j];
+          best = Math.min(best, Math.hypot(xs[a] - xs[b], ys[a] - ys[b]));
+        }
+      }
+      total += best;
+    }
+    return total / Math.max(1, particles.count);
+  }
+
+  test('is disabled by default and sanitizes preset options', () => {
+    expect(getFlocking()).toMatchObject({ enabled: false, neighborLimit: 0 });
+    configure({ flocking: { radius: 5, separation: -1, maxNeighbors: 500 } });
+    expect(getFlocking()).toMatchObject({ enabled: true, radius: 0.5, separation: 0, maxNeighbors: 32 });
+  });
+
+  test('separation spreads crowded particles apart', () => {
+    const calm = { ...PARAMS, fieldStrength: 0, vortexAmount: 0, repelImpulse: 0, cohesion: 0 };
+    configure({ fields: [{ type: 'drag', strength: 0 }] });
+    for (let i = 0; i < 40; i += 1) {
+      step(calm, STEP_OPTIONS);
+    }
+    const baseline = meanNearestDistance();
+
+    configure({ flocking: { enabled: true, radius: 0.1, separation: 4, alignment: 0, cohesion: 0 } });
+    reset();
+    setSeed(7);
+    for (let i = 0; i < 40; i += 1) {
+      step(calm, STEP_OPTIONS);
+    }
+    expect(meanNearestDistance()).toBeGreaterThan(baseline * 1.1);
+  });
+
+  test('a truncated neighbour sample has no directional skew', () => {
+    const calm = { ...PARAMS, fieldStrength: 0, vortexAmount: 0, repelImpulse: 0, cohesion: 0 };
+    configure({
+      fields: [{ type: 'drag', strength: 0 }],
+      flocking: { enabled: true, radius: 0.2, separation: 4, alignment: 0, cohesion: 0, maxNeighbors: 2 },
+    });
+    reset();
+    setSeed(7);
+    for (let i = 0; i < 30; i += 1) {
+      step(calm, STEP_OPTIONS);
+    }
+    const velocity = meanVelocity();
+    expect(Math.abs(velocity.x)).toBeLessThan(0.15);
+    expect(Math.abs(velocity.y)).toBeLessThan(0.15);
+  });
+
+  test('neighbour budget shrinks when frames run long', () => {
+    configure({ flocking: { enabled: true, maxNeighbors: 12 } });
+    step(PARAMS, STEP_OPTIONS);
+    expect(getMetrics().neighborLimit).toBe(12);
+
+    step(PARAMS, { dt: 1 / 30, frameTime: 40, frameTimeAvg: 40 });
+    expect(getMetrics().neighborLimit).toBeLessThan(12);
+    expect(getMetrics().neighborLimit).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,173 @@
+import { jest } from '@jest/globals';
+import {
+  createPlaybackQueue,
+  initQueuePanel,
+  REPEAT_MODES,
+  sanitizeQueueState,
+  shuffleIds,
+} from '../playback-queue.js';
+
+const IDS = ['album-0', 'album-1', 'album-2', 'album-3', 'byom-a'];
+
+function playThrough(queue, startId, steps, options) {
+  const visited = [startId];
+  let current = startId;
+  for (let i = 0; i < steps; i += 1) {
+    current = queue.next(current, options);
+    visited.push(current);
+  }
+  return visited;
+}
+
+describe('playback queue', () => {
+  test('shuffles deterministically for a seed', () => {
+    const first = shuffleIds(IDS, 42);
+    expect(shuffleIds(IDS, 42)).toEqual(first);
+    expect([...first].sort()).toEqual([...IDS].sort());
+    expect(shuffleIds(IDS, 7)).not.toEqual(first);
+  });
+
+  test('reconciles the stored order with the playlist', () => {
+    const queue = createPlaybackQueue({ order: ['album-2', 'gone', 'album-0'] });
+    expect(queue.sync(IDS)).toEqual(['album-2', 'album-0', 'album-1', 'album-3', 'byom-a']);
+    expect(queue.move(4, 0)).toBe(true);
+    expect(queue.getOrder()[0]).toBe('byom-a');
+    expect(queue.move(0, 0)).toBe(false);
+  });
+
+  test('steps through the queue order and honours the repeat mode on auto advance', () => {
+    const queue = createPlaybackQueue({ order: ['album-1', 'album-0'] });
+    queue.sync(['album-0', 'album-1']);
+    expect(queue.next('album-1')).toBe('album-0');
+    expect(queue.next('album-0', { auto: true })).toBe('album-1');
+    expect(queue.previous('album-1')).toBe('album-0');
+
+    queue.setRepeat(REPEAT_MODES.OFF);
+    expect(queue.next('album-0', { auto: true })).toBeNull();
+    expect(queue.next('album-0')).toBe('album-1');
+
+    queue.setRepeat(REPEAT_MODES.ONE);
+    expect(queue.next('album-0', { auto: true })).toBe('album-0');
+    expect(queue.next('album-0')).toBe('album-1');
+  });
+
+  test('shuffle plays every track once per cycle before reshuffling', () => {
+    const queue = createPlaybackQueue();
+    queue.sync(IDS);
+    queue.setShuffle(true, 99);
+    queue.markPlayed('album-0');
+    const cycle = playThrough(queue, 'album-0', IDS.length - 1, { auto: true });
+    expect(new Set(cycle).size).toBe(IDS.length);
+
+    const next = queue.next(cycle[cycle.length - 1], { auto: true });
+    expect(next).not.toBe(cycle[cycle.length - 1]);
+    expect(queue.serialize().cycle).toBe(1);
+  });
+
+  test('each shuffle cycle ends on a different track', () => {
+    const ids = Array.from({ length: 11 }, (_, i) => `a${i}`);
+    [1760900000000, 1729000000, 1729000003, 5, 99].forEach((seed) => {
+      const queue = createPlaybackQueue();
+      queue.sync(ids);
+      queue.setShuffle(true, seed);
+      const lastTracks = [];
+      let current = queue.next(null, { auto: true });
+      for (let cycle = 0; cycle < 4; cycle += 1) {
+        current = playThrough(queue, current, ids.length - 1, { auto: true }).at(-1);
+        lastTracks.push(current);
+        current = queue.next(current, { auto: true });
+      }
+      expect(new Set(lastTracks).size).toBeGreaterThan(1);
+    });
+  });
+
+  test('peeking does not advance the shuffle and stop-at-end halts after a cycle', () => {
+    const queue = createPlaybackQueue({ shuffle: true, seed: 5, repeat: REPEAT_MODES.OFF });
+    queue.sync(IDS);
+    const peeked = queue.peekNext('album-0', { auto: true });
+    expect(queue.peekNext('album-0', { auto: true })).toBe(peeked);
+    expect(queue.next('album-0', { auto: true })).toBe(peeked);
+    const cycle = playThrough(queue, peeked, IDS.length - 2, { auto: true });
+    expect(queue.next(cycle[cycle.length - 1], { auto: true })).toBeNull();
+  });
+
+  test('round-trips through its serialized state', () => {
+    const queue = createPlaybackQueue({ shuffle: true, seed: 3 });
+    queue.sync(IDS);
+    queue.next('album-1');
+    const restored = createPlaybackQueue(JSON.parse(JSON.stringify(queue.serialize())));
+    restored.sync(IDS);
+    expect(restored.peekNext('album-2')).toBe(queue.peekNext('album-2'));
+    expect(sanitizeQueueState({ repeat: 'sometimes', order: ['a', 'a', 3] })).toMatchObject({
+      repeat: REPEAT_MODES.ALL,
+      order: ['a'],
+      shuffle: false,
+    });
+  });
+});
+
+describe('queue panel', () => {
+  function mountPanel() {
+    document.body.innerHTML = `
+      <div id="queue">
+        <button id="shuffle" type="button"></button>
+        <select id="repeat">
+          <option value="all">Repeat All</option>
+          <option value="one">Repeat One</option>
+          <option value="off">Stop at End</option>
+        </select>
+        <ol id="list"></ol>
+      </div>`;
+    const queue = createPlaybackQueue();
+    queue.sync(['album-0', 'album-1', 'byom-a']);
+    const onSelect = jest.fn();
+    const onChange = jest.fn();
+    initQueuePanel({
+      root: document.getElementById('queue'),
+      list: document.getElementById('list'),
+      shuffleToggle: document.getElementById('shuffle'),
+      repeatSelect: document.getElementById('repeat'),
+      queue,
+      getEntry: (id) => ({ title: id.toUpperCase(), type: id.startsWith('byom') ? 'byom' : 'album' }),
+      getCurrentId: () => 'album-1',
+      onSelect,
+      onChange,
+    });
+    return { queue, onSelect, onChange, list: document.getElementById('list') };
+  }
+
+  test('lists the queue and marks the current and BYOM entries', () => {
+    const { list } = mountPanel();
+    const items = list.querySelectorAll('li');
+    expect(Array.from(items, (item) => item.textContent)).toEqual(['ALBUM-0', 'ALBUM-1', 'BYOM-A']);
+    expect(items[1].getAttribute('aria-current')).toBe('true');
+    expect(items[2].dataset.type).toBe('byom');
+  });
+
+  test('reorders with Alt+Arrow and selects with a click', () => {
+    const { queue, onSelect, onChange, list } = mountPanel();
+    list.querySelector('[data-queue-index="2"]').dispatchEvent(
+      new KeyboardEvent('keydown', { key: 'ArrowUp', altKey: true, bubbles: true }),
+    );
+    expect(queue.getOrder()).toEqual(['album-0', 'byom-a', 'album-1']);
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(document.activeElement?.dataset.queueIndex).toBe('1');
+
+    list.querySelector('[data-queue-index="2"]').click();
+    expect(onSelect).toHaveBeenCalledWith('album-1');
+  });
+
+  test('toggles shuffle and repeat mode', () => {
+    const { queue, onChange } = mountPanel();
+    const shuffle = document.getElementById('shuffle');
+    shuffle.click();
+    expect(queue.isShuffled()).toBe(true);
+    expect(shuffle.getAttribute('aria-pressed')).toBe('true');
+
+    const repeat = document.getElementById('repeat');
+    repeat.value = REPEAT_MODES.OFF;
+    repeat.dispatchEvent(new Event('change'));
+    expect(queue.getRepeat()).toBe(REPEAT_MODES.OFF);
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+});
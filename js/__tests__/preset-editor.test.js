@@ -0,0 +1,124 @@
+import { jest } from '@jest/globals';
+
+import {
+  EDITOR_CONTROLS,
+  getDraft,
+  mount,
+  open,
+  readControlValue,
+  readPresetFile,
+  writeControlValue,
+} from '../preset-editor.js';
+import { getPreset, PRESET_FORMAT, registerPreset, removePreset, RENDER_LIMITS, SIM_LIMITS } from '../presets.js';
+
+const DRAWER_HTML = `
+  <button id="preset-editor-toggle" type="button">Edit Preset</button>
+  <div id="preset-drawer" data-state="closed" aria-hidden="true">
+    <div class="byom-backdrop" data-action="close"></div>
+    <button type="button" id="preset-close">Close</button>
+    <select id="preset-select"></select>
+    <p id="preset-status"></p>
+    <input id="preset-background" type="color">
+    <div id="preset-accents"></div>
+    <button type="button" id="preset-add-accent">Add accent</button>
+    <output id="preset-base-hue-value"></output>
+    <input id="preset-base-hue" type="range" min="0" max="359">
+    <section id="preset-sliders"></section>
+    <button type="button" id="preset-import">Import</button>
+    <button type="button" id="preset-export">Export</button>
+    <button type="button" id="preset-revert">Revert</button>
+    <button type="button" id="preset-save">Save</button>
+    <input id="preset-import-input" type="file" hidden>
+  </div>
+`;
+
+const handlers = {
+  getActivePreset: jest.fn(() => getPreset('clouds')),
+  onPreview: jest.fn(),
+  onSave: jest.fn((draft) => registerPreset(draft)),
+  onRevert: jest.fn((id) => {
+    removePreset(id);
+  }),
+  onExport: jest.fn(),
+  onImport: jest.fn(),
+};
+
+function dispatchInput(element, value) {
+  element.value = String(value);
+  element.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+beforeAll(() => {
+  document.body.innerHTML = DRAWER_HTML;
+  mount({
+    drawer: document.getElementById('preset-drawer'),
+    toggle: document.getElementById('preset-editor-toggle'),
+    ...handlers,
+  });
+});
+
+beforeEach(() => {
+  Object.values(handlers).forEach((handler) => handler.mockClear());
+});
+
+test('builds one control per SIM_LIMITS and RENDER_LIMITS entry', () => {
+  expect(EDITOR_CONTROLS).toHaveLength(Object.keys(SIM_LIMITS).length + Object.keys(RENDER_LIMITS).length);
+  expect(EDITOR_CONTROLS.find((control) => control.key === 'hueShift')).toMatchObject({ mode: 'offset', min: -90 });
+  expect(EDITOR_CONTROLS.find((control) => control.key === 'glow')).toMatchObject({ mode: 'scale', neutral: 1 });
+  expect(document.querySelectorAll('#preset-sliders input[type="range"]')).toHaveLength(EDITOR_CONTROLS.length);
+});
+
+test('writeControlValue keeps the other half of an adjustment and clamps to the control range', () => {
+  const control = EDITOR_CONTROLS.find((item) => item.key === 'spawnRate');
+  const draft = { sim: { spawnRate: { scale: 2, offset: 0.1 } } };
+  writeControlValue(draft, control, 9);
+  expect(draft.sim.spawnRate).toEqual({ scale: control.max, offset: 0.1 });
+  expect(readControlValue({}, control)).toBe(1);
+});
+
+test('opening loads the active preset and slider input previews the draft live', () => {
+  open();
+  const drawer = document.getElementById('preset-drawer');
+  expect(drawer.dataset.state).toBe('open');
+  expect(getDraft().id).toBe('clouds');
+  expect(document.getElementById('preset-select').value).toBe('clouds');
+  expect(document.getElementById('preset-save').disabled).toBe(true);
+
+  dispatchInput(document.getElementById('preset-render-glow'), 0.5);
+  expect(handlers.onPreview).toHaveBeenCalledTimes(1);
+  expect(handlers.onPreview.mock.calls[0][0].render.glow.scale).toBe(0.5);
+  expect(document.getElementById('preset-save').disabled).toBe(false);
+
+  dispatchInput(document.getElementById('preset-base-hue'), 42);
+  expect(getDraft().palette.baseHue).toBe(42);
+
+  const accent = document.querySelector('#preset-accents input[type="color"]');
+  dispatchInput(accent, '#00ff00');
+  expect(getDraft().palette.accents[0]).toBe('#00ff00');
+  // The built-in preset is untouched until the draft is saved.
+  expect(getPreset('clouds').render.glow.scale).not.toBe(0.5);
+});
+
+test('save, export, and revert hand the draft to the app handlers', () => {
+  document.getElementById('preset-save').click();
+  expect(handlers.onSave).toHaveBeenCalledWith(expect.objectContaining({ id: 'clouds' }));
+  expect(document.getElementById('preset-save').disabled).toBe(true);
+  expect(document.querySelector('#preset-select option[value="clouds"]').textContent).toBe('Clouds (edited)');
+
+  document.getElementById('preset-export').click();
+  const payload = handlers.onExport.mock.calls[0][0];
+  expect(payload.format).toBe(PRESET_FORMAT);
+  expect(payload.preset.palette.baseHue).toBe(42);
+
+  document.getElementById('preset-revert').click();
+  expect(handlers.onRevert).toHaveBeenCalledWith('clouds');
+  expect(getDraft().palette.baseHue).toBe(getPreset('clouds').palette.baseHue);
+  expect(getPreset('clouds').palette.baseHue).not.toBe(42);
+  expect(handlers.onPreview).toHaveBeenLastCalledWith(getDraft());
+});
+
+test('readPresetFile parses exported JSON and reports invalid files', async () => {
+  const exported = JSON.stringify({ format: PRESET_FORMAT, version: 1, preset: { title: 'Shared', sim: {} } });
+  await expect(readPresetFile({ text: async () => exported })).resolves.toMatchObject({ id: 'shared' });
+  await expect(readPresetFile({ text: async () => '{oops' })).rejects.toThrow('Preset file is not valid JSON.');
+});
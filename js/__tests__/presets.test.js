@@ -3,9 +3,18 @@ import {
   describePreset,
   getDefaultPreset,
   getPreset,
+  hasCustomPreset,
+  listCustomPresets,
   listPresets,
+  PRESET_FORMAT,
+  registerPreset,
+  removePreset,
   resolvePreset,
+  sanitizePreset,
+  serializePreset,
 } from '../presets.js';
+import { EMITTER_TYPES } from '../physics.js';
+import { sanitizeAutomation } from '../automation.js';
 
 describe('presets', () => {
   test('listPresets returns a fresh array with cloned top-level objects', () => {
@@ -95,4 +104,99 @@ describe('presets', () => {
     expect(summary.palette).not.toBe(getPreset('Clouds').palette);
     expect(describePreset('missing')).toBeNull();
   });
+
+  test('preset force emitters only use supported types', () => {
+    const withFields = listPresets().filter((preset) => Array.isArray(preset.fields));
+    expect(withFields.length).toBeGreaterThan(0);
+    for (const preset of withFields) {
+      for (const field of preset.fields) {
+        expect(EMITTER_TYPES).toContain(field.type);
+      }
+    }
+  });
+
+  test('beat sync blocks only target impulse params and render glow', () => {
+    const synced = listPresets().filter((preset) => preset.beatSync);
+    expect(synced.length).toBeGreaterThan(0);
+    const allowed = ['repelImpulse', 'sparkleDensity', 'glow', 'minConfidence'];
+    for (const preset of synced) {
+      for (const [key, value] of Object.entries(preset.beatSync)) {
+        expect(allowed).toContain(key);
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThanOrEqual(1);
+      }
+    }
+  });
+
+  test('preset automation lanes are fully valid', () => {
+    const automated = listPresets().filter((preset) => preset.automation);
+    expect(automated.map((preset) => preset.id)).toContain('unsound');
+    for (const preset of automated) {
+      const sanitized = sanitizeAutomation(preset.automation);
+      expect(sanitized?.lanes).toHaveLength(preset.automation.lanes.length);
+      for (const [index, lane] of sanitized.lanes.entries()) {
+        expect(lane.keyframes).toHaveLength(preset.automation.lanes[index].keyframes.length);
+      }
+    }
+  });
+
+  test('sanitizePreset keeps known adjustments and rejects malformed input', () => {
+    const clean = sanitizePreset({
+      title: 'My Preset',
+      palette: { background: '#ABCDEF', accents: ['#112233', 'red', '#445566'], baseHue: -30 },
+      sim: { spawnRate: 1.4, bogus: { scale: 2 }, cohesion: { scale: 'x', offset: 0.1 } },
+      render: { hueShift: { offset: 12 } },
+      drawStyle: { type: 'streaks' },
+      extra: true,
+    });
+
+    expect(clean).toEqual({
+      id: 'my-preset',
+      title: 'My Preset',
+      description: '',
+      palette: { background: '#abcdef', accents: ['#112233', '#445566'], baseHue: 330 },
+      sim: { spawnRate: { scale: 1.4 }, cohesion: { offset: 0.1 } },
+      render: { hueShift: { offset: 12 } },
+      drawStyle: { type: 'streaks' },
+    });
+    expect(() => sanitizePreset('nope')).toThrow('Preset must be a JSON object.');
+    expect(() => sanitizePreset({ palette: {} })).toThrow('Preset needs an id or a title.');
+  });
+
+  test('serialized presets round-trip through JSON and resolvePreset', () => {
+    const payload = JSON.parse(JSON.stringify(serializePreset(getPreset('clouds'))));
+    expect(payload.format).toBe(PRESET_FORMAT);
+
+    const resolved = resolvePreset(payload);
+    expect(resolved.id).toBe('clouds');
+    expect(resolved.sim).toEqual(getPreset('clouds').sim);
+    expect(resolved.drawStyle).toEqual(getPreset('clouds').drawStyle);
+    expect(resolvePreset({ format: PRESET_FORMAT, preset: null }, 'fallback')).toBe('fallback');
+  });
+
+  test('registered presets override built-ins until removed and extend the list', () => {
+    const original = getPreset('meditation');
+    const edited = registerPreset({ ...original, render: { glow: { scale: 0.5 } } });
+    const custom = registerPreset({ id: 'night-drive', title: 'Night Drive' });
+
+    try {
+      expect(getPreset('meditation')).toBe(edited);
+      expect(getPreset(0)).toBe(edited);
+      expect(getDefaultPreset()).toBe(edited);
+      expect(hasCustomPreset('meditation')).toBe(true);
+      expect(getPreset('Night Drive')).toBe(custom);
+      expect(resolvePreset('night-drive')).toBe(custom);
+
+      const ids = listPresets().map((preset) => preset.id);
+      expect(ids.filter((id) => id === 'meditation')).toHaveLength(1);
+      expect(ids[ids.length - 1]).toBe('night-drive');
+      expect(listCustomPresets().map((preset) => preset.id)).toEqual(['meditation', 'night-drive']);
+    } finally {
+      removePreset('meditation');
+      removePreset('night-drive');
+    }
+
+    expect(getPreset('meditation')).toBe(original);
+    expect(getPreset('night-drive')).toBeNull();
+  });
 });
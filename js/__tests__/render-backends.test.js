@@ -0,0 +1,260 @@
+import { jest } from '@jest/globals';
+
+import {
+  createCanvas2dBackend,
+  createOffscreenBackend,
+  isBackendSupported,
+  resolveBackendName,
+  snapshotParticles,
+} from '../render-backends.js';
+
+function createContextStub(canvas) {
+  return {
+    canvas,
+    setTransform: jest.fn(),
+    fillRect: jest.fn(),
+    save: jest.fn(),
+    restore: jest.fn(),
+    beginPath: jest.fn(),
+    arc: jest.fn(),
+    fill: jest.fn(),
+    stroke: jest.fn(),
+    moveTo: jest.fn(),
+    lineTo: jest.fn(),
+    drawImage: jest.fn(),
+    globalAlpha: 1,
+    globalCompositeOperation: 'source-over',
+    filter: 'none',
+  };
+}
+
+function createCanvasStub(width = 0, height = 0) {
+  const canvas = { width, height };
+  canvas.context = createContextStub(canvas);
+  canvas.getContext = () => canvas.context;
+  return canvas;
+}
+
+function createParticles() {
+  return {
+    count: 3,
+    positions: {
+      x: new Float32Array([0, 0.5, -0.5, 0.9]),
+      y: new Float32Array([0, 0.25, -0.25, 0.9]),
+    },
+    velocities: {
+      x: new Float32Array([0.2, -0.1, 0, 0]),
+      y: new Float32Array([0, 0.1, 0, 0]),
+    },
+    life: new Float32Array([0.2, 0.5, 0.8, 0]),
+    maxLife: new Float32Array([1, 1, 1, 1]),
+    masses: new Float32Array([1, 1, 1, 1]),
+    alive: new Uint8Array([1, 1, 0, 0]),
+    indices: new Uint32Array([0, 1, 2, 3]),
+  };
+}
+
+const PALETTE = {
+  backgroundRgb: { r: 5, g: 5, b: 5 },
+  accentHsl: [{ h: 260, s: 90, l: 75 }],
+  baseHue: 218,
+};
+
+const FRAME = {
+  dt: 1 / 60,
+  frameSeed: 0.37,
+  fadeAlpha: 0.3,
+  glowLevel: 0.5,
+  beatPulse: 0,
+  palette: PALETTE,
+  world: { width: 2, height: 2 },
+};
+
+const PARAMS = { trailFade: 0.65, glow: 0.5, sizeJitter: 0.25, hueShift: 0, sparkleDensity: 0.05, zoom: 1 };
+
+test('resolveBackendName and isBackendSupported default to Canvas 2D', () => {
+  expect(resolveBackendName('offscreen')).toBe('offscreen');
+  expect(resolveBackendName('unknown')).toBe('canvas2d');
+  expect(isBackendSupported('canvas2d')).toBe(true);
+  expect(isBackendSupported('offscreen')).toBe(false);
+});
+
+test('Canvas 2D backend sizes the canvas and draws only live particles through the frame hooks', () => {
+  const glowCanvases = [];
+  const backend = createCanvas2dBackend({
+    createCanvas: (width, height) => {
+      const canvas = createCanvasStub(width, height);
+      glowCanvases.push(canvas);
+      return canvas;
+    },
+  });
+  const canvas = createCanvasStub();
+  backend.init({ canvas });
+  backend.resize({ pixelWidth: 400, pixelHeight: 200, transformScale: 2, logicalWidth: 200, logicalHeight: 100 });
+
+  expect(canvas.width).toBe(400);
+  expect(canvas.height).toBe(200);
+  expect(glowCanvases).toHaveLength(1);
+  expect(glowCanvases[0].width).toBe(200);
+
+  backend.beginFrame(FRAME);
+  backend.drawParticles(createParticles(), PARAMS, FRAME);
+  backend.endFrame(FRAME);
+
+  // Two live particles → one body arc each on the main canvas and one glow arc each.
+  const bodyArcs = canvas.context.arc.mock.calls.filter((call) => call[2] > 1);
+  expect(bodyArcs.length).toBeGreaterThanOrEqual(2);
+  expect(glowCanvases[0].context.arc).toHaveBeenCalledTimes(2);
+  expect(canvas.context.drawImage).toHaveBeenCalledWith(glowCanvases[0], 0, 0, 200, 100);
+});
+
+test('Canvas 2D backend skips glow compositing when glow is off', () => {
+  const backend = createCanvas2dBackend({ createCanvas: createCanvasStub });
+  const canvas = createCanvasStub();
+  backend.init({ canvas });
+  backend.resize({ pixelWidth: 100, pixelHeight: 100, transformScale: 1, logicalWidth: 100, logicalHeight: 100 });
+
+  const frame = { ...FRAME, glowLevel: 0 };
+  backend.beginFrame(frame);
+  backend.drawParticles(createParticles(), PARAMS, frame);
+  backend.endFrame(frame);
+
+  expect(canvas.context.drawImage).not.toHaveBeenCalled();
+});
+
+test('snapshotParticles copies particle arrays into transferable buffers', () => {
+  const particles = createParticles();
+  const { snapshot, transfer } = snapshotParticles(particles);
+
+  expect(snapshot.count).toBe(3);
+  expect(snapshot.indices).toEqual(new Uint32Array([0, 1, 2]));
+  expect(snapshot.positions.x).not.toBe(particles.positions.x);
+  expect(Array.from(snapshot.positions.x)).toEqual(Array.from(particles.positions.x));
+  expect(Array.from(snapshot.velocities.x)).toEqual(Array.from(particles.velocities.x));
+  expect(transfer).toHaveLength(9);
+  expect(snapshotParticles(null)).toBeNull();
+});
+
+test('offscreen backend transfers the canvas and drops frames while the worker is busy', () => {
+  const worker = {
+    messages: [],
+    transfers: [],
+    listeners: {},
+    postMessage(message, transfer) {
+      this.messages.push(message);
+      this.transfers.push(transfer);
+    },
+    addEventListener(type, handler) {
+      this.listeners[type] = handler;
+    },
+    removeEventListener(type) {
+      delete this.listeners[type];
+    },
+    terminate: jest.fn(),
+  };
+  const offscreen = { offscreen: true };
+  const canvas = { transferControlToOffscreen: jest.fn(() => offscreen) };
+  const backend = createOffscreenBackend({ createWorker: () => worker });
+
+  backend.init({ canvas });
+  expect(worker.messages[0]).toEqual({ type: 'init', canvas: offscreen });
+  expect(worker.transfers[0]).toEqual([offscreen]);
+
+  const renderOnce = () => {
+    backend.beginFrame(FRAME);
+    backend.drawParticles(createParticles(), PARAMS, FRAME);
+    backend.endFrame(FRAME);
+  };
+  renderOnce();
+  renderOnce();
+  renderOnce();
+
+  const frames = worker.messages.filter((message) => message.type === 'frame');
+  expect(frames).toHaveLength(2);
+  expect(frames[0].particles.count).toBe(3);
+  expect(frames[0].params.zoom).toBe(1);
+  expect(backend.getDroppedFrames()).toBe(1);
+
+  worker.listeners.message({ data: { type: 'frameDone' } });
+  renderOnce();
+  expect(worker.messages.filter((message) => message.type === 'frame')).toHaveLength(3);
+
+  backend.destroy();
+  expect(worker.terminate).toHaveBeenCalled();
+});
+
+test('Canvas 2D backend routes particles through the frame draw style', () => {
+  const backend = createCanvas2dBackend({ createCanvas: createCanvasStub });
+  const canvas = createCanvasStub();
+  canvas.context.lineCap = 'butt';
+  backend.init({ canvas });
+  backend.resize({ pixelWidth: 100, pixelHeight: 100, transformScale: 1, logicalWidth: 100, logicalHeight: 100 });
+
+  const frame = { ...FRAME, glowLevel: 0, drawStyle: { type: 'streaks', streakSeconds: 0.1, maxLength: 48 } };
+  backend.beginFrame(frame);
+  backend.drawParticles(createParticles(), { ...PARAMS, sparkleDensity: 0 }, frame);
+  backend.endFrame(frame);
+
+  expect(canvas.context.lineCap).toBe('round');
+  // Body arcs are replaced by streak strokes; only connection lines and streaks stroke.
+  expect(canvas.context.arc).not.toHaveBeenCalled();
+  expect(canvas.context.stroke.mock.calls.length).toBeGreaterThanOrEqual(2);
+});
+
+test('Canvas 2D backend links nearby particles from the frame constellation config', () => {
+  const backend = createCanvas2dBackend({ createCanvas: createCanvasStub });
+  const canvas = createCanvasStub();
+  backend.init({ canvas });
+  backend.resize({ pixelWidth: 100, pixelHeight: 100, transformScale: 1, logicalWidth: 100, logicalHeight: 100 });
+
+  const frame = {
+    ...FRAME,
+    glowLevel: 0,
+    constellation: { maxDistance: 0.5, maxDegree: 3, density: 1 },
+  };
+  const params = { ...PARAMS, sparkleDensity: 0, linkDensity: 1 };
+  const particles = createParticles();
+  particles.positions.x[1] = 0.3;
+  particles.positions.y[1] = 0.2;
+  backend.beginFrame(frame);
+  backend.drawParticles(particles, params, frame);
+  backend.endFrame(frame);
+
+  // Particles 0 and 1 sit ~0.36 apart, within the full-density radius; particle 2 is dead.
+  expect(canvas.context.stroke).toHaveBeenCalledTimes(1);
+  expect(canvas.context.moveTo).toHaveBeenCalledWith(50, 50);
+  expect(canvas.context.lineTo.mock.calls[0][0]).toBeCloseTo(65);
+  expect(canvas.context.lineTo.mock.calls[0][1]).toBeCloseTo(60);
+
+  canvas.context.stroke.mockClear();
+  backend.beginFrame(frame);
+  backend.drawParticles(particles, { ...params, linkDensity: 0 }, frame);
+  backend.endFrame(frame);
+  expect(canvas.context.stroke).not.toHaveBeenCalled();
+});
+
+test('Canvas 2D backend measures a downscaled copy of the frame when sampling is requested', () => {
+  const samplers = [];
+  const backend = createCanvas2dBackend({
+    createCanvas: (width, height) => {
+      const canvas = createCanvasStub(width, height);
+      canvas.context.getImageData = jest.fn(() => ({ data: new Uint8ClampedArray(width * height * 4).fill(255) }));
+      samplers.push(canvas);
+      return canvas;
+    },
+  });
+  const canvas = createCanvasStub();
+  backend.init({ canvas });
+  backend.resize({ pixelWidth: 100, pixelHeight: 100, transformScale: 1, logicalWidth: 100, logicalHeight: 100 });
+
+  backend.beginFrame(FRAME);
+  backend.endFrame(FRAME);
+  expect(backend.getFrameSample()).toBeNull();
+
+  const frame = { ...FRAME, sampleFlash: true };
+  backend.beginFrame(frame);
+  backend.endFrame(frame);
+  const sampler = samplers[samplers.length - 1];
+  expect(sampler.context.drawImage).toHaveBeenCalledWith(canvas, 0, 0, sampler.width, sampler.height);
+  expect(backend.getFrameSample()).toEqual({ luminance: expect.closeTo(1, 5), red: 0, sequence: 1 });
+});
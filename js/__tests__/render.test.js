@@ -1,6 +1,16 @@
 import { jest } from '@jest/globals';
 
-import { destroy, init, setPalette } from '../render.js';
+import {
+  destroy,
+  getBackend,
+  getCanvas,
+  init,
+  on,
+  renderFrame,
+  setBackend,
+  setOfflineMode,
+  setPalette,
+} from '../render.js';
 
 beforeAll(() => {
   Object.defineProperty(HTMLCanvasElement.prototype, 'getContext', {
@@ -37,6 +47,7 @@ beforeEach(() => {
 
 afterEach(() => {
   destroy();
+  setBackend('canvas2d');
   setPalette();
   document.body.innerHTML = '';
   document.documentElement.style.cssText = '';
@@ -100,3 +111,115 @@ test('setPalette applies gradient background after render init', () => {
   const root = document.documentElement;
   expect(root.style.getPropertyValue('--accent')).toBe('#ffaa00');
 });
+
+test('setOfflineMode locks the canvas to a fixed size until released', () => {
+  setupRenderDom();
+  init();
+
+  expect(setOfflineMode({ width: 640, height: 360 })).toBe(true);
+  const canvas = getCanvas();
+  expect(canvas.width).toBe(640);
+  expect(canvas.height).toBe(360);
+
+  expect(setOfflineMode(null)).toBe(false);
+  expect(canvas.width).not.toBe(640);
+});
+
+function createFakeWorker() {
+  const listeners = new Map();
+  return {
+    messages: [],
+    terminated: false,
+    postMessage(message) {
+      this.messages.push(message);
+    },
+    addEventListener(type, handler) {
+      listeners.set(type, handler);
+    },
+    removeEventListener(type) {
+      listeners.delete(type);
+    },
+    terminate() {
+      this.terminated = true;
+    },
+    dispatch(type, event) {
+      listeners.get(type)?.(event);
+    },
+  };
+}
+
+function withOffscreenSupport(run) {
+  const originalWorker = global.Worker;
+  const originalOffscreen = global.OffscreenCanvas;
+  global.Worker = function WorkerStub() {};
+  global.OffscreenCanvas = function OffscreenCanvasStub() {};
+  HTMLCanvasElement.prototype.transferControlToOffscreen = function transfer() {
+    return { transferredFrom: this };
+  };
+  try {
+    run();
+  } finally {
+    global.Worker = originalWorker;
+    global.OffscreenCanvas = originalOffscreen;
+    delete HTMLCanvasElement.prototype.transferControlToOffscreen;
+  }
+}
+
+test('setBackend keeps Canvas 2D when OffscreenCanvas is unavailable', () => {
+  setupRenderDom();
+  init();
+
+  expect(setBackend('offscreen')).toBe('canvas2d');
+  expect(getBackend()).toBe('canvas2d');
+  expect(setBackend('webgpu')).toBe('canvas2d');
+});
+
+test('offscreen backend receives frames in a worker and yields to Canvas 2D for offline renders', () => {
+  withOffscreenSupport(() => {
+    const worker = createFakeWorker();
+    setupRenderDom();
+    init({ backend: 'offscreen', createWorker: () => worker });
+    expect(getBackend()).toBe('offscreen');
+    const liveCanvas = getCanvas();
+    expect(worker.messages[0].type).toBe('init');
+    expect(worker.messages[0].canvas.transferredFrom).toBe(liveCanvas);
+    expect(worker.messages[1].type).toBe('resize');
+
+    renderFrame(null, { glow: 0.4 }, { dt: 1 / 60 });
+    const frameMessage = worker.messages.find((message) => message.type === 'frame');
+    expect(frameMessage.frame.glowLevel).toBeCloseTo(0.4);
+    expect(frameMessage.frame.palette.backgroundHex).toBe('#050505');
+
+    setOfflineMode({ width: 320, height: 180 });
+    expect(worker.terminated).toBe(true);
+    const offlineCanvas = getCanvas();
+    expect(offlineCanvas).not.toBe(liveCanvas);
+    expect(offlineCanvas.width).toBe(320);
+    expect(document.getElementById('c')).toBe(offlineCanvas);
+    expect(getBackend()).toBe('offscreen');
+
+    setOfflineMode(null);
+    expect(getCanvas()).not.toBe(offlineCanvas);
+    expect(document.querySelectorAll('canvas')).toHaveLength(1);
+  });
+});
+
+test('render worker errors fall back to Canvas 2D and emit backendError', () => {
+  withOffscreenSupport(() => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const worker = createFakeWorker();
+    const onError = jest.fn();
+    const unsubscribe = on('backendError', onError);
+    setupRenderDom();
+    init({ backend: 'offscreen', createWorker: () => worker });
+
+    worker.dispatch('message', { data: { type: 'error', error: { message: 'boom' } } });
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ backend: 'offscreen' }));
+    expect(getBackend()).toBe('canvas2d');
+    expect(worker.terminated).toBe(true);
+    expect(warn).toHaveBeenCalled();
+    unsubscribe();
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,56 @@
+import { buildSpatialGrid, cellOf, createSpatialGrid } from '../spatial-grid.js';
+
+test('cellOf clamps coordinates outside the bounds to the border cells', () => {
+  expect(cellOf(-5, -1, 0.5, 4)).toBe(0);
+  expect(cellOf(0.1, -1, 0.5, 4)).toBe(2);
+  expect(cellOf(9, -1, 0.5, 4)).toBe(3);
+});
+
+test('buildSpatialGrid sorts the listed particles into cells by position', () => {
+  const positionsX = new Float32Array([-0.9, 0.9, -0.8, 0.1, 5]);
+  const positionsY = new Float32Array([-0.9, 0.9, -0.7, 0.1, 5]);
+  const grid = buildSpatialGrid(createSpatialGrid(), {
+    positionsX,
+    positionsY,
+    indices: new Uint32Array([0, 1, 2, 3]),
+    count: 4,
+    minX: -1,
+    minY: -1,
+    width: 2,
+    height: 2,
+    cellSize: 1,
+  });
+
+  expect(grid.cols).toBe(2);
+  expect(grid.rows).toBe(2);
+  // Cell 0 (bottom-left) holds particles 0 and 2, cell 3 holds 1 and 3; index 4 was not listed.
+  expect(Array.from(grid.cellStart)).toEqual([0, 2, 2, 2, 4]);
+  expect(Array.from(grid.index.subarray(0, 2)).sort()).toEqual([0, 2]);
+  expect(Array.from(grid.index.subarray(2, 4)).sort()).toEqual([1, 3]);
+  expect(grid.posX[grid.index[0] === 0 ? 0 : 1]).toBeCloseTo(-0.9);
+});
+
+test('buildSpatialGrid grows buffers and shrinks the cell count under maxCells', () => {
+  const grid = createSpatialGrid();
+  const count = 50;
+  const positionsX = new Float32Array(count).map((_, i) => (i / count) * 2 - 1);
+  const positionsY = new Float32Array(count);
+  const indices = new Uint32Array(count).map((_, i) => i);
+  buildSpatialGrid(grid, {
+    positionsX,
+    positionsY,
+    indices,
+    count,
+    minX: -1,
+    minY: -1,
+    width: 2,
+    height: 2,
+    cellSize: 0.01,
+    maxCells: 64,
+  });
+
+  expect(grid.cols * grid.rows).toBeLessThanOrEqual(64);
+  expect(grid.cellWidth).toBeGreaterThanOrEqual(0.01);
+  expect(grid.index.length).toBeGreaterThanOrEqual(count);
+  expect(grid.cellStart[grid.cols * grid.rows]).toBe(count);
+});
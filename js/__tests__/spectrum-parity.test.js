@@ -0,0 +1,130 @@
+import { createAnalyserEmulator } from '../analyser-emulation.js';
+import {
+  compareSpectrumFrames,
+  computeEmulatedFrames,
+  formatParityReport,
+  measureSpectrumParity,
+  planParityFrames,
+} from '../spectrum-parity.js';
+
+const SAMPLE_RATE = 44100;
+
+function createSignal(seconds) {
+  const mono = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  for (let i = 0; i < mono.length; i += 1) {
+    const t = i / SAMPLE_RATE;
+    const gate = Math.floor(t * 4) % 2 === 0 ? 1 : 0.2;
+    mono[i] = gate * (0.4 * Math.sin(2 * Math.PI * 110 * t) + 0.2 * Math.sin(2 * Math.PI * 2500 * t));
+  }
+  return mono;
+}
+
+// Minimal OfflineAudioContext: honours suspend points in time order and serves analyser reads from the
+// samples rendered so far, using `analyserFactory` as the "browser" analyser.
+function createFakeContextFactory(analyserFactory) {
+  return (length, sampleRate) => {
+    const suspends = [];
+    let resumeWaiter = null;
+    let buffer = null;
+    let currentTime = 0;
+    let analyserOptions = null;
+    let analyser = null;
+    const node = () => ({ connect() {} });
+    return {
+      destination: node(),
+      createBuffer(channels, frames) {
+        const data = new Float32Array(frames);
+        buffer = { getChannelData: () => data };
+        return buffer;
+      },
+      createBufferSource() {
+        return { ...node(), start() {} };
+      },
+      createAnalyser() {
+        analyserOptions = { fftSize: 2048, smoothingTimeConstant: 0.8 };
+        return {
+          ...node(),
+          set fftSize(value) {
+            analyserOptions.fftSize = value;
+          },
+          set smoothingTimeConstant(value) {
+            analyserOptions.smoothingTimeConstant = value;
+          },
+          get frequencyBinCount() {
+            return analyserOptions.fftSize / 2;
+          },
+          getFloatFrequencyData(target) {
+            analyser = analyser ?? analyserFactory(analyserOptions);
+            const end = Math.round(currentTime * sampleRate);
+            const window = buffer.getChannelData(0).subarray(end - analyserOptions.fftSize, end);
+            target.set(analyser.process(window).frequencyDb);
+          },
+        };
+      },
+      suspend(time) {
+        return new Promise((resolve) => {
+          suspends.push({ time, resolve });
+        });
+      },
+      resume() {
+        resumeWaiter?.();
+        return Promise.resolve();
+      },
+      async startRendering() {
+        suspends.sort((a, b) => a.time - b.time);
+        for (const { time, resolve } of suspends) {
+          currentTime = time;
+          const resumed = new Promise((done) => {
+            resumeWaiter = done;
+          });
+          resolve();
+          await resumed;
+        }
+        currentTime = length / sampleRate;
+        return buffer;
+      },
+    };
+  };
+}
+
+describe('spectrum parity', () => {
+  test('plans frame ends on render-quantum boundaries at about 60 fps', () => {
+    const ends = planParityFrames(SAMPLE_RATE * 2, SAMPLE_RATE, { seconds: 1 });
+    expect(ends[0]).toBe(2048);
+    expect(ends.every((end) => end % 128 === 0)).toBe(true);
+    expect(ends[1] - ends[0]).toBe(768);
+    expect(ends[ends.length - 1]).toBeLessThanOrEqual(SAMPLE_RATE);
+  });
+
+  test('reports zero error when the analyser matches the emulation', async () => {
+    const mono = createSignal(1.5);
+    const report = await measureSpectrumParity({
+      mono,
+      sampleRate: SAMPLE_RATE,
+      seconds: 1,
+      createContext: createFakeContextFactory((options) => createAnalyserEmulator(options)),
+    });
+    expect(report.frameCount).toBe(planParityFrames(mono.length, SAMPLE_RATE, { seconds: 1 }).length);
+    expect(report.spectrum.meanAbsDb).toBe(0);
+    expect(report.spectrum.comparedBins).toBeGreaterThan(0);
+    expect(report.features.every((feature) => feature.maxAbsDiff === 0)).toBe(true);
+    expect(formatParityReport(report)).toMatch(/0\.00 dB mean/);
+  });
+
+  test('flags spectra smoothed differently from the live analyser', () => {
+    const mono = createSignal(1.5);
+    const frameEnds = planParityFrames(mono.length, SAMPLE_RATE, { seconds: 1 });
+    const live = computeEmulatedFrames(mono, frameEnds);
+    const unsmoothed = computeEmulatedFrames(mono, frameEnds, { smoothingTimeConstant: 0 });
+    const report = compareSpectrumFrames({ live, offline: unsmoothed, mono, frameEnds, sampleRate: SAMPLE_RATE });
+    expect(report.spectrum.meanAbsDb).toBeGreaterThan(0.5);
+    expect(report.spectrum.maxAbsDb).toBeGreaterThanOrEqual(report.spectrum.meanAbsDb);
+    expect(report.features[0].meanAbsDiff).toBeGreaterThan(0);
+    expect(report.features.find((feature) => feature.name === 'rms').maxAbsDiff).toBe(0);
+  });
+
+  test('skips the check without an OfflineAudioContext', async () => {
+    await expect(measureSpectrumParity({ mono: createSignal(0.1), sampleRate: SAMPLE_RATE })).resolves.toBeNull();
+    expect(formatParityReport(null)).toBe('Spectrum parity: not measured.');
+  });
+});
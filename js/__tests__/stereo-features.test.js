@@ -0,0 +1,95 @@
+import { FEATURE_INDEX } from '../audio-features.js';
+import { analyzeFrames } from '../byom-intake.js';
+import { measureStereoField, resolveStereoPair, STEREO_FEATURE_COUNT } from '../stereo-features.js';
+
+const SAMPLE_RATE = 22050;
+
+function tone(length, gain = 0.5, frequency = 220) {
+  const data = new Float32Array(length);
+  for (let i = 0; i < length; i += 1) {
+    data[i] = gain * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE);
+  }
+  return data;
+}
+
+function measure(left, right) {
+  return measureStereoField(left, right, new Float32Array(STEREO_FEATURE_COUNT));
+}
+
+describe('measureStereoField', () => {
+  test('reads balance from where the energy sits', () => {
+    const signal = tone(1024);
+    const silent = new Float32Array(1024);
+    expect(measure(signal, silent)[0]).toBeCloseTo(-1, 5);
+    expect(measure(silent, signal)[0]).toBeCloseTo(1, 5);
+    expect(measure(signal, signal)[0]).toBeCloseTo(0, 5);
+    expect(measure(signal, tone(1024, 0.25))[0]).toBeCloseTo(-0.6, 5);
+  });
+
+  test('reads width from the side/mid mix', () => {
+    const signal = tone(1024);
+    const inverted = signal.map((value) => -value);
+    expect(measure(signal, signal)[1]).toBeCloseTo(0, 5);
+    expect(measure(signal, new Float32Array(1024))[1]).toBeCloseTo(0.5, 5);
+    expect(measure(signal, inverted)[1]).toBeCloseTo(1, 5);
+  });
+
+  test('reports mid and side energy as RMS', () => {
+    const signal = tone(1024);
+    const [, , mid, side] = measure(signal, signal.map((value) => -value));
+    expect(mid).toBeCloseTo(0, 5);
+    expect(side).toBeCloseTo(0.5 / Math.SQRT2, 2);
+  });
+
+  test('holds balance and width at zero through silence', () => {
+    const hiss = new Float32Array(1024);
+    hiss[10] = 1e-6;
+    expect(Array.from(measure(hiss, new Float32Array(1024)))).toEqual([0, 0, expect.any(Number), expect.any(Number)]);
+    expect(Array.from(measure(new Float32Array(0), new Float32Array(0)))).toEqual([0, 0, 0, 0]);
+  });
+});
+
+describe('resolveStereoPair', () => {
+  test('falls back to the mono mix for mono or missing channels', () => {
+    const left = new Float32Array(4);
+    const right = new Float32Array(4);
+    const mono = new Float32Array(4);
+    expect(resolveStereoPair([left, right], mono)).toEqual([left, right]);
+    expect(resolveStereoPair([left], mono)).toEqual([left, left]);
+    expect(resolveStereoPair(null, mono)).toEqual([mono, mono]);
+    expect(resolveStereoPair(null)).toBeNull();
+  });
+});
+
+describe('offline stereo analysis', () => {
+  async function collect(options) {
+    const frames = [];
+    await analyzeFrames({
+      sampleRate: SAMPLE_RATE,
+      extended: false,
+      ...options,
+      onFrame: (features) => frames.push(features.slice(FEATURE_INDEX.BALANCE, FEATURE_INDEX.SIDE_ENERGY + 1)),
+    });
+    return frames;
+  }
+
+  test('reads the stereo field from the decoded channels', async () => {
+    const left = tone(SAMPLE_RATE / 2);
+    const right = new Float32Array(left.length);
+    const mono = left.map((value) => value / 2);
+    const frames = await collect({ mono, channels: [left, right] });
+    expect(frames.length).toBeGreaterThan(10);
+    const [balance, width] = frames[frames.length - 1];
+    expect(balance).toBeCloseTo(-1, 5);
+    expect(width).toBeCloseTo(0.5, 5);
+  });
+
+  test('treats a mono source as centred', async () => {
+    const mono = tone(SAMPLE_RATE / 2);
+    const frames = await collect({ mono, channels: [mono] });
+    const [balance, width, , side] = frames[frames.length - 1];
+    expect(balance).toBeCloseTo(0, 5);
+    expect(width).toBe(0);
+    expect(side).toBe(0);
+  });
+});
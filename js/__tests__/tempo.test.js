@@ -0,0 +1,92 @@
+import { createTempoTracker, normalizeBpm, TEMPO_RANGE } from '../tempo.js';
+import { createFeatureExtractor, FEATURE_INDEX, FEATURE_LABELS, FEATURE_COUNT } from '../audio-features.js';
+
+function runClickTrain(tracker, { bpm, seconds = 12, frameMs = 1000 / 60 }) {
+  const period = 60000 / bpm;
+  const beatTimes = [];
+  let time = 0;
+  let state = null;
+  const frames = Math.round((seconds * 1000) / frameMs);
+  for (let i = 0; i < frames; i += 1) {
+    time += frameMs;
+    const onset = time % period < frameMs ? 0.8 : 0.05;
+    state = tracker.update(onset, frameMs);
+    if (state.onBeat) {
+      beatTimes.push(time);
+    }
+  }
+  return { state, beatTimes, period };
+}
+
+describe('tempo tracker', () => {
+  test.each([90, 120, 150])('locks onto a %i BPM click train', (bpm) => {
+    const tracker = createTempoTracker();
+    const { state } = runClickTrain(tracker, { bpm });
+    expect(state.bpm).toBeGreaterThan(bpm * 0.98);
+    expect(state.bpm).toBeLessThan(bpm * 1.02);
+    expect(state.confidence).toBeGreaterThan(0.6);
+  });
+
+  test('fires beats in step with the clicks at an uneven frame rate', () => {
+    const tracker = createTempoTracker();
+    const { beatTimes, period } = runClickTrain(tracker, { bpm: 120, frameMs: 19 });
+    const late = beatTimes.filter((time) => time > 8000);
+    expect(late.length).toBeGreaterThanOrEqual(6);
+    for (const time of late) {
+      const offset = (time % period) / period;
+      expect(Math.min(offset, 1 - offset)).toBeLessThan(0.15);
+    }
+  });
+
+  test('stays unlocked on silence and resets cleanly', () => {
+    const tracker = createTempoTracker();
+    for (let i = 0; i < 600; i += 1) {
+      tracker.update(0, 1000 / 60);
+    }
+    expect(tracker.getState()).toMatchObject({ bpm: 0, confidence: 0, onBeat: false });
+
+    runClickTrain(tracker, { bpm: 120 });
+    tracker.reset();
+    expect(tracker.getState()).toMatchObject({ bpm: 0, phase: 0, confidence: 0 });
+  });
+
+  test('normalizeBpm spans the tracked range', () => {
+    expect(normalizeBpm(0)).toBe(0);
+    expect(normalizeBpm(TEMPO_RANGE.minBpm)).toBe(0);
+    expect(normalizeBpm(TEMPO_RANGE.maxBpm)).toBe(1);
+    expect(normalizeBpm(120)).toBeCloseTo(0.5, 5);
+  });
+});
+
+describe('feature extractor tempo features', () => {
+  test('appends bpm, beatPhase and beatConfidence after trackPosition', () => {
+    expect(FEATURE_INDEX.TRACK_POSITION).toBe(23);
+    expect(FEATURE_LABELS.slice(24, FEATURE_INDEX.BEAT_CONFIDENCE + 1)).toEqual(['bpm', 'beatPhase', 'beatConfidence']);
+    expect(FEATURE_LABELS).toHaveLength(FEATURE_COUNT);
+  });
+
+  test('publishes tempo estimates from spectral flux', () => {
+    const extractor = createFeatureExtractor({ sampleRate: 44100, fftSize: 2048 });
+    const quiet = new Float32Array(1024).fill(0.001);
+    const loud = new Float32Array(1024).fill(0.02);
+    const frameMs = 1000 / 60;
+    const period = 60000 / 120;
+    let time = 0;
+    let features = null;
+    for (let i = 0; i < 720; i += 1) {
+      time += frameMs;
+      features = extractor.process({
+        magnitudes: time % period < frameMs ? loud : quiet,
+        deltaMs: frameMs,
+      });
+    }
+    expect(extractor.getBeat().bpm).toBeCloseTo(120, 0);
+    expect(features[FEATURE_INDEX.BPM]).toBeCloseTo(normalizeBpm(extractor.getBeat().bpm), 5);
+    expect(features[FEATURE_INDEX.BEAT_CONFIDENCE]).toBeGreaterThan(0.5);
+    expect(features[FEATURE_INDEX.BEAT_PHASE]).toBeGreaterThanOrEqual(0);
+    expect(features[FEATURE_INDEX.BEAT_PHASE]).toBeLessThan(1);
+
+    extractor.reset();
+    expect(extractor.getBeat().bpm).toBe(0);
+  });
+});
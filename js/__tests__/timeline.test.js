@@ -0,0 +1,129 @@
+import { getParamNames, getParams, reset, update } from '../map.js';
+import { createFeatureLayout, FEATURE_INDEX, FEATURE_LABELS } from '../audio-features.js';
+import {
+  TIMELINE_GROUPS,
+  TIMELINE_SOURCES,
+  createTimelineData,
+  precomputeTimeline,
+  recordTimelineFrame,
+} from '../timeline.js';
+
+function createToneBuffer({ sampleRate = 22050, seconds = 1, frequency = 220 } = {}) {
+  const length = Math.round(sampleRate * seconds);
+  const samples = new Float32Array(length);
+  for (let i = 0; i < length; i += 1) {
+    const t = i / sampleRate;
+    const envelope = 0.5 + 0.5 * Math.sin(t * Math.PI * 2);
+    samples[i] = Math.sin(t * frequency * Math.PI * 2) * envelope * 0.6;
+  }
+  return { sampleRate, channels: [samples] };
+}
+
+function createRmsModel() {
+  const outputs = getParamNames().length;
+  return {
+    input: 1,
+    output: outputs,
+    features: ['rms'],
+    normalization: { mean: [0], std: [1] },
+    layers: [
+      {
+        activation: 'tanh',
+        weights: Array.from({ length: outputs }, () => 4),
+        bias: Array.from({ length: outputs }, () => -0.5),
+      },
+    ],
+  };
+}
+
+describe('timeline data', () => {
+  test('folds frames into per-bin min/max envelopes', () => {
+    const data = createTimelineData({ duration: 2, rateHz: 10 });
+    expect(data.binCount).toBe(20);
+    expect(data.source).toBe(TIMELINE_SOURCES.LIVE);
+
+    const outputs = new Float32Array(getParamNames().length);
+    outputs[0] = 0.2;
+    expect(recordTimelineFrame(data, 0.52, { outputs })).toBe(5);
+    outputs[0] = -0.4;
+    recordTimelineFrame(data, 0.58, { outputs, params: { spawnRate: 0.7 } });
+
+    const { channelCount, min, max } = data.groups.outputs;
+    expect(min[5 * channelCount]).toBeCloseTo(-0.4, 5);
+    expect(max[5 * channelCount]).toBeCloseTo(0.2, 5);
+    expect(data.groups.params.max[5 * data.groups.params.channelCount]).toBeCloseTo(0.7, 5);
+    expect(data.filled[5]).toBe(1);
+    expect(data.filled[4]).toBe(0);
+    expect(recordTimelineFrame(data, 5, { outputs })).toBe(-1);
+  });
+
+  test('plots declared-band frames by name on the default channels', () => {
+    const data = createTimelineData({ duration: 1, rateHz: 10 });
+    const layout = createFeatureLayout([0, 150, 2000, 16000]);
+    const features = new Float32Array(layout.count);
+    features[0] = 0.3;
+    features[layout.index.RMS] = 0.6;
+    recordTimelineFrame(data, 0.1, { features, featureNames: layout.labels });
+
+    const { channelCount, max } = data.groups.features;
+    expect(max[channelCount + FEATURE_INDEX.RMS]).toBeCloseTo(0.6, 5);
+    expect(max[channelCount + FEATURE_INDEX.SUB]).toBe(-Infinity);
+  });
+
+  test('exposes one channel per feature label and mapped param', () => {
+    expect(TIMELINE_GROUPS.features.channels).toEqual(FEATURE_LABELS);
+    expect(TIMELINE_GROUPS.params.channels).toEqual(getParamNames());
+    expect(TIMELINE_GROUPS.params.ranges).toHaveLength(getParamNames().length);
+    expect(() => createTimelineData({ duration: 0 })).toThrow(RangeError);
+  });
+});
+
+describe('timeline precompute', () => {
+  test('covers the track and leaves the live mapping untouched', async () => {
+    reset();
+    const liveOutputs = new Float32Array(getParamNames().length).fill(0.3);
+    update(liveOutputs, { dt: 1 / 60, timestamp: 16, activity: 1 });
+    const liveParams = getParams();
+
+    const progress = [];
+    const data = await precomputeTimeline({
+      audioBuffer: createToneBuffer(),
+      modelDefinition: createRmsModel(),
+      onProgress: (fraction) => progress.push(fraction),
+    });
+
+    expect(data.source).toBe(TIMELINE_SOURCES.OFFLINE);
+    expect(data.duration).toBeCloseTo(1, 5);
+    const filled = data.filled.reduce((sum, value) => sum + value, 0);
+    expect(filled).toBeGreaterThan(data.binCount * 0.9);
+
+    const { channelCount, min, max } = data.groups.outputs;
+    const spawnMins = [];
+    const spawnMaxes = [];
+    for (let bin = 0; bin < data.binCount; bin += 1) {
+      if (data.filled[bin]) {
+        spawnMins.push(min[bin * channelCount]);
+        spawnMaxes.push(max[bin * channelCount]);
+      }
+    }
+    // The model follows RMS, so the swelling tone should sweep its outputs.
+    expect(Math.max(...spawnMaxes) - Math.min(...spawnMins)).toBeGreaterThan(0.2);
+    expect(Number.isFinite(data.groups.params.max[0])).toBe(true);
+    expect(Number.isFinite(data.groups.features.max[0])).toBe(true);
+    const features = data.groups.features;
+    const zcr = FEATURE_LABELS.indexOf('zcr');
+    const zcrPeak = Math.max(...Array.from({ length: data.binCount }, (_, bin) => features.max[bin * features.channelCount + zcr]));
+    expect(zcrPeak).toBeGreaterThan(0);
+
+    expect(progress[progress.length - 1]).toBe(1);
+    expect(getParams()).toEqual(liveParams);
+  });
+
+  test('stops when the signal aborts', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      precomputeTimeline({ audioBuffer: createToneBuffer({ seconds: 0.2 }), signal: controller.signal }),
+    ).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,136 @@
+import { FEATURE_COUNT, FEATURE_INDEX, FEATURE_LABELS } from '../audio-features.js';
+import { PARAM_NAMES } from '../map.js';
+import { createModel, infer } from '../nn.js';
+import {
+  computeDatasetNormalization,
+  createFreshModelDefinition,
+  trainCorrelationModel,
+} from '../training-core.js';
+
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 0x100000000;
+  };
+}
+
+function createDataset(frameCount = 120) {
+  const features = new Float32Array(frameCount * FEATURE_COUNT);
+  for (let frame = 0; frame < frameCount; frame += 1) {
+    const offset = frame * FEATURE_COUNT;
+    for (let i = 0; i < FEATURE_COUNT; i += 1) {
+      features[offset + i] = 0.1 * Math.sin(frame * 0.05 + i);
+    }
+    features[offset + FEATURE_INDEX.RMS] = 0.5 + 0.5 * Math.sin(frame * 0.11);
+  }
+  const trainCount = Math.floor(frameCount * 0.8);
+  return {
+    features,
+    targets: new Float32Array(frameCount * PARAM_NAMES.length),
+    frameCount,
+    featureSize: FEATURE_COUNT,
+    featureNames: FEATURE_LABELS.slice(),
+    targetSize: PARAM_NAMES.length,
+    splits: {
+      train: { start: 0, count: trainCount },
+      validation: { start: trainCount, count: frameCount - trainCount },
+    },
+  };
+}
+
+const GLOW_FROM_RMS = [{
+  featureIndex: FEATURE_INDEX.RMS,
+  outputIndex: PARAM_NAMES.indexOf('glow'),
+}];
+
+describe('computeDatasetNormalization', () => {
+  it('computes per-feature mean and std with a unit fallback for flat columns', () => {
+    const dataset = createDataset(40);
+    dataset.features.fill(0.25);
+    const { mean, std } = computeDatasetNormalization(dataset);
+    expect(mean).toHaveLength(FEATURE_COUNT);
+    expect(mean[0]).toBeCloseTo(0.25, 5);
+    expect(std[0]).toBe(1);
+  });
+});
+
+describe('trainCorrelationModel', () => {
+  it('produces a loadable model that tracks the correlated feature', async () => {
+    const dataset = createDataset();
+    const random = createSeededRandom(3);
+    const progress = [];
+    const result = await trainCorrelationModel(
+      {
+        dataset,
+        correlations: GLOW_FROM_RMS,
+        model: createFreshModelDefinition(dataset, random),
+        hyperparameters: { epochs: 30, learningRate: 0.02, batchSize: 8 },
+      },
+      { random, onProgress: (entry) => progress.push(entry) },
+    );
+
+    expect(progress.at(-1)).toMatchObject({ epoch: 30, epochs: 30, progress: 1 });
+    expect(result.stats.epochsCompleted).toBe(30);
+    expect(result.stats.correlations[0]).toMatchObject({ featureName: 'rms', outputName: 'glow' });
+    expect(result.stats.correlations[0].correlation).toBeGreaterThan(0.9);
+
+    const model = createModel(JSON.parse(JSON.stringify(result.model)));
+    expect(model.inputSize).toBe(FEATURE_COUNT);
+    const quiet = infer(model, dataset.features.subarray(0, FEATURE_COUNT).map((value, i) => (i === FEATURE_INDEX.RMS ? 0 : value)));
+    const glowQuiet = quiet[PARAM_NAMES.indexOf('glow')];
+    const loud = infer(model, dataset.features.subarray(0, FEATURE_COUNT).map((value, i) => (i === FEATURE_INDEX.RMS ? 1 : value)));
+    expect(loud[PARAM_NAMES.indexOf('glow')]).toBeGreaterThan(glowQuiet);
+  });
+
+  it('is reproducible with the same random source', async () => {
+    const dataset = createDataset(60);
+    const run = async () => {
+      const random = createSeededRandom(11);
+      const result = await trainCorrelationModel(
+        {
+          dataset,
+          correlations: GLOW_FROM_RMS,
+          model: createFreshModelDefinition(dataset, random),
+          hyperparameters: { epochs: 3, batchSize: 4 },
+        },
+        { random },
+      );
+      return result.model.layers[0].weights;
+    };
+    expect(await run()).toEqual(await run());
+  });
+
+  it('widens base models that predate newer outputs', async () => {
+    const dataset = createDataset(40);
+    const base = createFreshModelDefinition({ ...dataset, targetSize: PARAM_NAMES.length - 2 }, createSeededRandom(5));
+    const wellPan = PARAM_NAMES.indexOf('wellPan');
+    const result = await trainCorrelationModel(
+      {
+        dataset,
+        correlations: [{ featureIndex: FEATURE_INDEX.BALANCE, outputIndex: wellPan }],
+        model: base,
+        hyperparameters: { epochs: 2, batchSize: 8 },
+      },
+      { random: createSeededRandom(5) },
+    );
+    const output = result.model.layers.at(-1);
+    expect(output.bias ?? output.biases).toHaveLength(PARAM_NAMES.length);
+    expect(createModel(JSON.parse(JSON.stringify(result.model))).outputSize).toBe(PARAM_NAMES.length);
+  });
+
+  it('returns null when cancelled', async () => {
+    const dataset = createDataset(40);
+    let calls = 0;
+    const result = await trainCorrelationModel(
+      {
+        dataset,
+        correlations: GLOW_FROM_RMS,
+        model: createFreshModelDefinition(dataset),
+        hyperparameters: { epochs: 5 },
+      },
+      { isCancelled: () => (calls += 1) > 3 },
+    );
+    expect(result).toBeNull();
+  });
+});
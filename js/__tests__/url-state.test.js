@@ -0,0 +1,71 @@
+import {
+  formatTimestamp,
+  formatUrlState,
+  parseTimestamp,
+  parseUrlState,
+  slugify,
+} from '../url-state.js';
+
+describe('url state', () => {
+  test('parses and formats timestamps', () => {
+    expect(parseTimestamp('92')).toBe(92);
+    expect(parseTimestamp('1:32')).toBe(92);
+    expect(parseTimestamp('1:01:32')).toBe(3692);
+    expect(parseTimestamp('12.5')).toBe(12.5);
+    expect(parseTimestamp('soon')).toBeNaN();
+    expect(parseTimestamp(null)).toBeNaN();
+    expect(formatTimestamp(92.8)).toBe('1:32');
+    expect(formatTimestamp(3692)).toBe('1:01:32');
+  });
+
+  test('reads a full deep link', () => {
+    expect(
+      parseUrlState('#track=Binary%20Mirage&t=1:32&preset=unsound&palette=-2&safe=1&bypass=0&glow=0.2&spawn=-0.1'),
+    ).toEqual({
+      track: 'binary-mirage',
+      time: 92,
+      preset: 'unsound',
+      palette: -2,
+      safeMode: true,
+      nnBypass: false,
+      adjustments: { spawnOffset: -0.1, glowOffset: 0.2 },
+    });
+  });
+
+  test('ignores malformed values and clamps adjustments', () => {
+    expect(parseUrlState('')).toBeNull();
+    expect(parseUrlState('#debug=1&safe=maybe&t=later&glow=')).toBeNull();
+    expect(parseUrlState('palette=40&sparkle=5')).toEqual({
+      palette: 9,
+      adjustments: { sparkleOffset: 0.6 },
+    });
+  });
+
+  test('formats state and round-trips through the parser', () => {
+    const state = {
+      track: 'Epoch ∞',
+      time: 92.4,
+      preset: null,
+      palette: 1,
+      safeMode: false,
+      nnBypass: true,
+      adjustments: { spawnOffset: 0, glowOffset: -0.123, sparkleOffset: 0 },
+    };
+    const hash = formatUrlState(state);
+    expect(hash).toBe('#track=epoch&t=1:32&palette=1&safe=0&bypass=1&glow=-0.12');
+    expect(parseUrlState(hash)).toEqual({
+      track: 'epoch',
+      time: 92,
+      palette: 1,
+      safeMode: false,
+      nnBypass: true,
+      adjustments: { glowOffset: -0.12 },
+    });
+    expect(formatUrlState({})).toBe('');
+  });
+
+  test('slugifies track titles the same way presets do', () => {
+    expect(slugify('Built on the Steppers')).toBe('built-on-the-steppers');
+    expect(slugify('System.js')).toBe('system-js');
+  });
+});
@@ -0,0 +1,70 @@
+import { decodeWav } from '../wav.js';
+
+function createWav({ channels, sampleRate, bitsPerSample, formatTag, samples, dataSize }) {
+  const bytesPerSample = bitsPerSample / 8;
+  const blockAlign = channels * bytesPerSample;
+  const byteLength = samples.length * bytesPerSample;
+  const buffer = new ArrayBuffer(44 + byteLength);
+  const view = new DataView(buffer);
+  const writeTag = (offset, tag) => {
+    for (let i = 0; i < 4; i += 1) {
+      view.setUint8(offset + i, tag.charCodeAt(i));
+    }
+  };
+  writeTag(0, 'RIFF');
+  view.setUint32(4, 36 + byteLength, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, formatTag, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitsPerSample, true);
+  writeTag(36, 'data');
+  view.setUint32(40, dataSize ?? byteLength, true);
+  samples.forEach((value, index) => {
+    const offset = 44 + index * bytesPerSample;
+    if (formatTag === 3) {
+      view.setFloat32(offset, value, true);
+    } else {
+      view.setInt16(offset, value, true);
+    }
+  });
+  return buffer;
+}
+
+describe('decodeWav', () => {
+  it('deinterleaves 16-bit PCM into float channels', () => {
+    const decoded = decodeWav(createWav({
+      channels: 2,
+      sampleRate: 8000,
+      bitsPerSample: 16,
+      formatTag: 1,
+      samples: [16384, -32768, 0, 32767],
+    }));
+    expect(decoded.sampleRate).toBe(8000);
+    expect(decoded.channels).toHaveLength(2);
+    expect(Array.from(decoded.channels[0])).toEqual([0.5, 0]);
+    expect(decoded.channels[1][0]).toBe(-1);
+    expect(decoded.channels[1][1]).toBeCloseTo(1, 4);
+    expect(decoded.duration).toBeCloseTo(2 / 8000, 8);
+  });
+
+  it('reads float samples and clamps placeholder data sizes from piped encoders', () => {
+    const decoded = decodeWav(new Uint8Array(createWav({
+      channels: 1,
+      sampleRate: 44100,
+      bitsPerSample: 32,
+      formatTag: 3,
+      samples: [0.25, -0.75, 1],
+      dataSize: 0xffffffff,
+    })));
+    expect(Array.from(decoded.channels[0])).toEqual([0.25, -0.75, 1]);
+  });
+
+  it('rejects non-WAV input', () => {
+    expect(() => decodeWav(new ArrayBuffer(16))).toThrow('Not a RIFF/WAVE file.');
+  });
+});
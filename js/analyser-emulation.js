@@ -0,0 +1,164 @@
+/**
+ * Offline stand-in for the live `AnalyserNode`.
+ * Live features are computed from `getFloatFrequencyData()`, which the Web Audio spec defines as: take the most
+ * recent `fftSize` samples, apply a Blackman window (alpha 0.16), FFT, scale magnitudes by 1/N, smooth them
+ * over time with `smoothingTimeConstant`, then convert to dB. The byte data additionally clamps dB to
+ * [`minDecibels`, `maxDecibels`]. Running the same stages offline keeps BYOM datasets and offline renders on the
+ * features the model sees at playback.
+ */
+
+export const ANALYSER_DEFAULTS = Object.freeze({
+  fftSize: 2048,
+  smoothingTimeConstant: 0.8,
+  minDecibels: -100,
+  maxDecibels: -30,
+});
+
+const BLACKMAN_ALPHA = 0.16;
+
+function bitReverse(index, bits) {
+  let reversed = 0;
+  for (let i = 0; i < bits; i += 1) {
+    reversed = (reversed << 1) | (index & 1);
+    index >>= 1;
+  }
+  return reversed;
+}
+
+/**
+ * In-place radix-2 FFT.
+ * @param {Float32Array} real
+ * @param {Float32Array} imag
+ */
+export function fft(real, imag) {
+  const n = real.length;
+  const bits = Math.log2(n);
+  if (!Number.isInteger(bits)) {
+    throw new Error('FFT input length must be a power of two.');
+  }
+
+  for (let i = 0; i < n; i += 1) {
+    const j = bitReverse(i, bits);
+    if (j > i) {
+      const tmpR = real[i];
+      real[i] = real[j];
+      real[j] = tmpR;
+      const tmpI = imag[i];
+      imag[i] = imag[j];
+      imag[j] = tmpI;
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const halfSize = size >> 1;
+    const angleStep = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let offset = 0; offset < halfSize; offset += 1) {
+        const index = start + offset;
+        const match = index + halfSize;
+        const angle = angleStep * offset;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const tre = cos * real[match] - sin * imag[match];
+        const tim = sin * real[match] + cos * imag[match];
+        real[match] = real[index] - tre;
+        imag[match] = imag[index] - tim;
+        real[index] += tre;
+        imag[index] += tim;
+      }
+    }
+  }
+}
+
+/**
+ * Blackman window as the Web Audio spec defines it for `AnalyserNode`.
+ * @param {number} size
+ * @returns {Float32Array}
+ */
+export function createBlackmanWindow(size) {
+  const a0 = 0.5 * (1 - BLACKMAN_ALPHA);
+  const a1 = 0.5;
+  const a2 = 0.5 * BLACKMAN_ALPHA;
+  const window = new Float32Array(size);
+  for (let i = 0; i < size; i += 1) {
+    const phase = (2 * Math.PI * i) / size;
+    window[i] = a0 - a1 * Math.cos(phase) + a2 * Math.cos(2 * phase);
+  }
+  return window;
+}
+
+function clamp(value, min, max) {
+  if (!Number.isFinite(value)) {
+    return min;
+  }
+  if (value < min) {
+    return min;
+  }
+  if (value > max) {
+    return max;
+  }
+  return value;
+}
+
+/**
+ * Creates an analyser emulator. Call `process()` once per analysis frame with the most recent `fftSize`
+ * samples (zero-padded at the front when fewer are available); smoothing carries over between calls exactly as
+ * successive `getFloatFrequencyData()` calls do live.
+ * @param {{fftSize?: number, smoothingTimeConstant?: number, minDecibels?: number, maxDecibels?: number}} [options]
+ */
+export function createAnalyserEmulator(options = {}) {
+  const fftSize = options.fftSize ?? ANALYSER_DEFAULTS.fftSize;
+  if (!Number.isInteger(Math.log2(fftSize))) {
+    throw new Error('Analyser fftSize must be a power of two.');
+  }
+  const smoothing = clamp(options.smoothingTimeConstant ?? ANALYSER_DEFAULTS.smoothingTimeConstant, 0, 1);
+  const minDecibels = options.minDecibels ?? ANALYSER_DEFAULTS.minDecibels;
+  const maxDecibels = options.maxDecibels ?? ANALYSER_DEFAULTS.maxDecibels;
+  if (!(maxDecibels > minDecibels)) {
+    throw new Error('Analyser maxDecibels must exceed minDecibels.');
+  }
+
+  const frequencyBinCount = fftSize / 2;
+  const window = createBlackmanWindow(fftSize);
+  const real = new Float32Array(fftSize);
+  const imag = new Float32Array(fftSize);
+  const smoothed = new Float32Array(frequencyBinCount);
+  const frequencyDb = new Float32Array(frequencyBinCount);
+  const frequencyByte = new Uint8Array(frequencyBinCount);
+  const byteScale = 255 / (maxDecibels - minDecibels);
+
+  /**
+   * @param {Float32Array} samples `fftSize` time-domain samples, newest last.
+   * @returns {{frequencyDb: Float32Array, frequencyByte: Uint8Array}} Shared buffers, overwritten on the next call.
+   *   Silent bins read -Infinity dB, as `getFloatFrequencyData()` reports them.
+   */
+  function process(samples) {
+    for (let i = 0; i < fftSize; i += 1) {
+      const sample = samples[i];
+      real[i] = Number.isFinite(sample) ? sample * window[i] : 0;
+    }
+    imag.fill(0);
+    fft(real, imag);
+
+    for (let k = 0; k < frequencyBinCount; k += 1) {
+      const magnitude = Math.hypot(real[k], imag[k]) / fftSize;
+      const value = smoothing * smoothed[k] + (1 - smoothing) * magnitude;
+      smoothed[k] = Number.isFinite(value) ? value : 0;
+      const db = 20 * Math.log10(smoothed[k]);
+      frequencyDb[k] = db;
+      frequencyByte[k] = clamp(Math.floor(byteScale * (db - minDecibels)), 0, 255);
+    }
+    return { frequencyDb, frequencyByte };
+  }
+
+  function reset() {
+    smoothed.fill(0);
+  }
+
+  return {
+    fftSize,
+    frequencyBinCount,
+    process,
+    reset,
+  };
+}
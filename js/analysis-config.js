@@ -0,0 +1,133 @@
+import { sanitizeBandEdges } from './audio-features.js';
+
+/**
+ * Analysis resolution.
+ * The FFT size sets the analyser window (and with it frequency resolution and latency); the hop sets how often
+ * features are extracted. Presets may carry an `analysis` block and trained models always do, holding the values
+ * their dataset was built with. Resolution is per field: the model wins over the preset, which wins over the
+ * defaults, so a model always runs at the resolution it was trained on.
+ *
+ *   "analysis": { "fftSize": 4096, "hopMs": 33.3, "bands": [0, 40, 120, 400, 1500, 6000, 20000] }
+ *
+ * `bands` is optional and declares the extractor's band edges (see `createFeatureLayout` in audio-features.js);
+ * without it the default sub/bass/lowMid/mid/high layout is used and the resolved config has no `bands`.
+ *
+ * Live extraction runs on animation frames, so a hop is met on the frame nearest to it and cannot be shorter
+ * than the display's frame interval.
+ */
+
+export const FFT_SIZES = Object.freeze([1024, 2048, 4096, 8192]);
+
+export const HOP_MS_LIMITS = Object.freeze({ min: 5, max: 100 });
+
+export const DEFAULT_ANALYSIS_CONFIG = Object.freeze({
+  fftSize: 2048,
+  hopMs: 1000 / 60,
+});
+
+function clamp(value, min, max) {
+  if (!Number.isFinite(value)) {
+    return min;
+  }
+  if (value < min) {
+    return min;
+  }
+  if (value > max) {
+    return max;
+  }
+  return value;
+}
+
+/**
+ * Keeps the valid fields of an `analysis` block. `fftSize` must be one of `FFT_SIZES`; `hopMs` is clamped to
+ * `HOP_MS_LIMITS`; `bands` must pass `sanitizeBandEdges`. Returns null when nothing usable is left.
+ * @param {unknown} input
+ * @returns {{fftSize?: number, hopMs?: number, bands?: number[]}|null}
+ */
+export function sanitizeAnalysisConfig(input) {
+  if (!input || typeof input !== 'object') {
+    return null;
+  }
+  const config = {};
+  const fftSize = Number(input.fftSize);
+  if (FFT_SIZES.includes(fftSize)) {
+    config.fftSize = fftSize;
+  }
+  const hopMs = Number(input.hopMs);
+  if (Number.isFinite(hopMs) && hopMs > 0) {
+    config.hopMs = clamp(hopMs, HOP_MS_LIMITS.min, HOP_MS_LIMITS.max);
+  }
+  const bands = sanitizeBandEdges(input.bands);
+  if (bands) {
+    config.bands = bands;
+  }
+  return Object.keys(config).length > 0 ? config : null;
+}
+
+/**
+ * Merges `analysis` blocks in priority order (first valid value per field wins) over the defaults.
+ * @param {...unknown} sources e.g. `resolveAnalysisConfig(model?.analysis, preset?.analysis)`
+ * @returns {{fftSize: number, hopMs: number, bands?: number[]}}
+ */
+export function resolveAnalysisConfig(...sources) {
+  const resolved = { ...DEFAULT_ANALYSIS_CONFIG };
+  const assigned = new Set();
+  sources.forEach((source) => {
+    const config = sanitizeAnalysisConfig(source);
+    if (!config) {
+      return;
+    }
+    Object.entries(config).forEach(([key, value]) => {
+      if (!assigned.has(key)) {
+        resolved[key] = value;
+        assigned.add(key);
+      }
+    });
+  });
+  return resolved;
+}
+
+/**
+ * @param {{hopMs: number}} config
+ * @param {number} sampleRate
+ * @returns {number} Whole samples between analysis frames, at least 1.
+ */
+export function hopSamplesFor(config, sampleRate) {
+  return Math.max(1, Math.round((sampleRate * config.hopMs) / 1000));
+}
+
+/**
+ * The analysis block a dataset was built with (from its `frameSize`, `hopSamples`, `sampleRate`, and `bands`).
+ * @param {{frameSize?: number, hopSamples?: number, sampleRate?: number, bands?: number[]|null}} dataset
+ * @returns {{fftSize: number, hopMs: number, bands?: number[]}}
+ */
+export function analysisConfigFromDataset(dataset) {
+  const sampleRate = Number(dataset?.sampleRate);
+  const hopSamples = Number(dataset?.hopSamples);
+  return resolveAnalysisConfig({
+    fftSize: dataset?.frameSize,
+    hopMs: sampleRate > 0 && hopSamples > 0 ? (hopSamples / sampleRate) * 1000 : undefined,
+    bands: dataset?.bands,
+  });
+}
+
+/**
+ * Whether two resolved configs use the same band layout.
+ * @param {{bands?: readonly number[]}} a
+ * @param {{bands?: readonly number[]}} b
+ * @returns {boolean}
+ */
+export function sameBands(a, b) {
+  return (a?.bands?.join(',') ?? '') === (b?.bands?.join(',') ?? '');
+}
+
+/**
+ * Whether a frame-driven loop should analyse now: true on the frame that lands nearest the hop.
+ * @param {number} elapsedMs Time since the last analysed frame.
+ * @param {number} hopMs
+ * @param {number} frameMs Interval of the current frame.
+ * @returns {boolean}
+ */
+export function isHopDue(elapsedMs, hopMs, frameMs) {
+  return elapsedMs + Math.max(0, frameMs) / 2 >= hopMs;
+}
@@ -0,0 +1,352 @@
+import { createFeatureExtractor, createFeatureLayout, usesExtendedFeatures } from './audio-features.js';
+import {
+  attachFrameRing,
+  createRingLayout,
+  readLatestFrame,
+  supportsSharedRing,
+  writeFrame,
+} from './frame-ring.js';
+import { PARAM_NAMES } from './map.js';
+import { resolveStereoPair } from './stereo-features.js';
+import { createModel, infer } from './nn.js';
+
+/**
+ * Optional off-main-thread analysis. The main thread still reads the AnalyserNode (so features match the
+ * synchronous path bit for bit) and hands the spectrum, waveform, and left/right windows to
+ * `workers/analysis-worker.js`, which runs feature extraction and NN inference and publishes feature/output
+ * vectors back. Transport is a pair of
+ * SharedArrayBuffer frame rings when the page is cross-origin isolated, otherwise transferable postMessage.
+ * Results lag the analyser by about one frame; `map.update()` and everything after it stay on the main thread.
+ */
+
+export const ANALYSIS_MODES = Object.freeze({
+  SYNC: 'sync',
+  WORKER: 'worker',
+});
+
+export const ANALYSIS_TRANSPORTS = Object.freeze({
+  SHARED: 'shared',
+  MESSAGE: 'message',
+});
+
+export const INPUT_META = Object.freeze({
+  DELTA_MS: 0,
+  TRACK_POSITION: 1,
+  SAMPLE_RATE: 2,
+  FFT_SIZE: 3,
+  TIMESTAMP: 4,
+  LENGTH: 5,
+});
+
+export const OUTPUT_META = Object.freeze({
+  TIMESTAMP: 0,
+  MODEL_TOKEN: 1,
+  OUTPUTS_VALID: 2,
+  BPM: 3,
+  PHASE: 4,
+  CONFIDENCE: 5,
+  ON_BEAT: 6,
+  PROCESSING_MS: 7,
+  LENGTH: 8,
+});
+
+const RING_SLOTS = 4;
+// Frames posted but not yet answered before the message transport starts dropping input.
+const MAX_MESSAGES_IN_FLIGHT = 2;
+
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+export function createInputLayout(binCount, fftSize) {
+  return createRingLayout(
+    { frequencyDb: binCount, waveform: fftSize, left: fftSize, right: fftSize, meta: INPUT_META.LENGTH },
+    RING_SLOTS,
+  );
+}
+
+/**
+ * @param {number} outputCount
+ * @param {readonly number[]|null} [bands] Band edges; the feature slot is sized for their layout.
+ */
+export function createOutputLayout(outputCount, bands = null) {
+  const features = createFeatureLayout(bands).count;
+  return createRingLayout({ features, outputs: outputCount, meta: OUTPUT_META.LENGTH }, RING_SLOTS);
+}
+
+/**
+ * Feature extraction + inference state that lives inside the analysis worker.
+ * @param {{outputCount?: number, bands?: readonly number[]|null}} [options]
+ */
+export function createAnalysisProcessor({ outputCount = PARAM_NAMES.length, bands = null } = {}) {
+  const extractor = createFeatureExtractor({ bands });
+  const outputs = new Float32Array(outputCount);
+  const meta = new Float32Array(OUTPUT_META.LENGTH);
+  let model = null;
+  let modelToken = 0;
+
+  return {
+    /**
+     * @param {number} token Echoed with every result so the main thread can ignore outputs of a previous model.
+     * @param {object|null} definition
+     * @param {{features?: readonly string[]}} [options] Feature names the model may bind to (see nn.createModel).
+     */
+    setModel(token, definition, options) {
+      modelToken = token;
+      model = null;
+      outputs.fill(0);
+      if (definition) {
+        model = createModel(definition, options);
+      }
+      // The extended block only runs while the model reads from it.
+      extractor.setExtended(Boolean(model) && usesExtendedFeatures(model.featureNames));
+    },
+
+    reset() {
+      extractor.reset();
+    },
+
+    /**
+     * @param {{frequencyDb: Float32Array, waveform: Float32Array, left?: Float32Array, right?: Float32Array,
+     *   meta: ArrayLike<number>}} input
+     * @returns {{features: Float32Array, outputs: Float32Array, meta: Float32Array}}
+     */
+    process(input) {
+      const startedAt = now();
+      const inputMeta = input.meta;
+      const features = extractor.process({
+        frequencyDb: input.frequencyDb,
+        waveform: input.waveform,
+        channels: input.left && input.right ? [input.left, input.right] : null,
+        deltaMs: inputMeta[INPUT_META.DELTA_MS],
+        trackPosition: inputMeta[INPUT_META.TRACK_POSITION],
+        sampleRateOverride: inputMeta[INPUT_META.SAMPLE_RATE],
+        fftSizeOverride: inputMeta[INPUT_META.FFT_SIZE],
+      });
+      let outputsValid = 0;
+      if (model) {
+        try {
+          const inferred = infer(model, features);
+          outputs.set(inferred.subarray(0, Math.min(inferred.length, outputs.length)));
+          outputsValid = 1;
+        } catch (error) {
+          console.warn('[analysis] Worker inference failed.', error);
+          outputs.fill(0);
+        }
+      }
+      const beat = extractor.getBeat();
+      meta[OUTPUT_META.TIMESTAMP] = inputMeta[INPUT_META.TIMESTAMP];
+      meta[OUTPUT_META.MODEL_TOKEN] = modelToken;
+      meta[OUTPUT_META.OUTPUTS_VALID] = outputsValid;
+      meta[OUTPUT_META.BPM] = beat.bpm;
+      meta[OUTPUT_META.PHASE] = beat.phase;
+      meta[OUTPUT_META.CONFIDENCE] = beat.confidence;
+      meta[OUTPUT_META.ON_BEAT] = beat.onBeat ? 1 : 0;
+      meta[OUTPUT_META.PROCESSING_MS] = now() - startedAt;
+      return { features, outputs, meta };
+    },
+  };
+}
+
+function defaultCreateWorker() {
+  const url = new URL('./workers/analysis-worker.js', import.meta.url);
+  return new Worker(url, { type: 'module' });
+}
+
+/**
+ * Main-thread client for the analysis worker.
+ * @param {{
+ *   binCount: number,
+ *   fftSize: number,
+ *   bands?: readonly number[]|null,
+ *   outputCount?: number,
+ *   shared?: boolean,
+ *   createWorker?: () => Worker,
+ *   onError?: (error: Error) => void,
+ * }} options
+ */
+export function createAnalysisPipeline({
+  binCount,
+  fftSize,
+  bands = null,
+  outputCount = PARAM_NAMES.length,
+  shared = supportsSharedRing(),
+  createWorker = defaultCreateWorker,
+  onError,
+}) {
+  const transport = shared ? ANALYSIS_TRANSPORTS.SHARED : ANALYSIS_TRANSPORTS.MESSAGE;
+  const inputRing = shared ? attachFrameRing(createInputLayout(binCount, fftSize)) : null;
+  const outputRing = shared ? attachFrameRing(createOutputLayout(outputCount, bands)) : null;
+  const inputMeta = new Float32Array(INPUT_META.LENGTH);
+  const featureLayout = createFeatureLayout(bands);
+  const scratch = {
+    features: new Float32Array(featureLayout.count),
+    outputs: new Float32Array(outputCount),
+    meta: new Float32Array(OUTPUT_META.LENGTH),
+  };
+  const result = {
+    features: scratch.features,
+    outputs: scratch.outputs,
+    outputsValid: false,
+    rms: 0,
+    beat: { bpm: 0, phase: 0, confidence: 0, onBeat: false },
+    latencyMs: 0,
+    processingMs: 0,
+    sequence: 0,
+  };
+  const state = {
+    worker: createWorker(),
+    modelToken: 0,
+    lastSequence: 0,
+    messageSequence: 0,
+    inFlight: 0,
+    received: false,
+    destroyed: false,
+  };
+
+  function decodeResult(sequence) {
+    const { meta } = scratch;
+    result.sequence = sequence;
+    result.outputsValid = meta[OUTPUT_META.OUTPUTS_VALID] === 1 && meta[OUTPUT_META.MODEL_TOKEN] === state.modelToken;
+    const rms = scratch.features[featureLayout.index.RMS];
+    result.rms = Number.isFinite(rms) ? rms : 0;
+    result.beat.bpm = meta[OUTPUT_META.BPM];
+    result.beat.phase = meta[OUTPUT_META.PHASE];
+    result.beat.confidence = meta[OUTPUT_META.CONFIDENCE];
+    result.beat.onBeat = meta[OUTPUT_META.ON_BEAT] === 1;
+    result.latencyMs = Math.max(0, now() - meta[OUTPUT_META.TIMESTAMP]);
+    result.processingMs = meta[OUTPUT_META.PROCESSING_MS];
+    state.received = true;
+  }
+
+  function handleMessage(event) {
+    const message = event.data;
+    if (!message || typeof message !== 'object') {
+      return;
+    }
+    if (message.type === 'result') {
+      state.inFlight = Math.max(0, state.inFlight - 1);
+      scratch.features.set(message.features.subarray(0, featureLayout.count));
+      scratch.outputs.set(message.outputs.subarray(0, outputCount));
+      scratch.meta.set(message.meta);
+      state.messageSequence = message.sequence;
+    } else if (message.type === 'error') {
+      onError?.(new Error(message.error?.message ?? 'Analysis worker failed.'));
+    }
+  }
+
+  function handleError(event) {
+    event.preventDefault?.();
+    onError?.(event.error instanceof Error ? event.error : new Error(event.message || 'Analysis worker failed.'));
+  }
+
+  state.worker.addEventListener('message', handleMessage);
+  state.worker.addEventListener('error', handleError);
+  state.worker.postMessage({
+    type: 'init',
+    transport,
+    binCount,
+    fftSize,
+    bands: featureLayout.bands ? Array.from(featureLayout.bands) : null,
+    outputCount,
+    inputBuffer: inputRing?.buffer ?? null,
+    outputBuffer: outputRing?.buffer ?? null,
+  });
+
+  return {
+    transport,
+
+    /**
+     * Hands the current analyser frame to the worker. Call once per animation frame.
+     * @param {{frequency: Float32Array, waveform: Float32Array, channels?: Float32Array[], deltaMs: number, trackPosition: number, sampleRate: number, fftSize: number, timestamp: number}} frame
+     *   Without `channels` the waveform stands in for both sides.
+     */
+    submit(frame) {
+      if (state.destroyed) {
+        return;
+      }
+      inputMeta[INPUT_META.DELTA_MS] = frame.deltaMs;
+      inputMeta[INPUT_META.TRACK_POSITION] = frame.trackPosition;
+      inputMeta[INPUT_META.SAMPLE_RATE] = frame.sampleRate;
+      inputMeta[INPUT_META.FFT_SIZE] = frame.fftSize;
+      inputMeta[INPUT_META.TIMESTAMP] = frame.timestamp;
+      const [leftSource, rightSource] = resolveStereoPair(frame.channels, frame.waveform);
+      if (inputRing) {
+        writeFrame(inputRing, {
+          frequencyDb: frame.frequency,
+          waveform: frame.waveform,
+          left: leftSource,
+          right: rightSource,
+          meta: inputMeta,
+        });
+        return;
+      }
+      if (state.inFlight >= MAX_MESSAGES_IN_FLIGHT) {
+        return;
+      }
+      state.inFlight += 1;
+      const frequencyDb = frame.frequency.slice();
+      const waveform = frame.waveform.slice();
+      const left = leftSource.slice();
+      const right = rightSource.slice();
+      const meta = inputMeta.slice();
+      state.worker.postMessage({ type: 'frame', frequencyDb, waveform, left, right, meta }, [
+        frequencyDb.buffer,
+        waveform.buffer,
+        left.buffer,
+        right.buffer,
+        meta.buffer,
+      ]);
+    },
+
+    /**
+     * Latest worker result, or null before the first one arrives. The returned object and its arrays are reused.
+     * `beat.onBeat` is only reported on the read that first sees a frame.
+     */
+    read() {
+      let sequence = 0;
+      if (outputRing) {
+        sequence = readLatestFrame(outputRing, scratch, state.lastSequence);
+      } else if (state.messageSequence !== state.lastSequence) {
+        sequence = state.messageSequence;
+      }
+      if (sequence > 0) {
+        state.lastSequence = sequence;
+        decodeResult(sequence);
+      } else {
+        result.beat.onBeat = false;
+      }
+      return state.received ? result : null;
+    },
+
+    /**
+     * Swaps the worker's model. Outputs produced by earlier models are reported as invalid.
+     * @param {object|null} definition
+     * @param {{features?: readonly string[]}} [options]
+     */
+    setModel(definition, options) {
+      state.modelToken += 1;
+      result.outputsValid = false;
+      state.worker.postMessage({
+        type: 'model',
+        token: state.modelToken,
+        definition: definition ?? null,
+        features: options?.features ? Array.from(options.features) : null,
+      });
+    },
+
+    reset() {
+      state.worker.postMessage({ type: 'reset' });
+    },
+
+    destroy() {
+      if (state.destroyed) {
+        return;
+      }
+      state.destroyed = true;
+      state.worker.removeEventListener('message', handleMessage);
+      state.worker.removeEventListener('error', handleError);
+      state.worker.terminate();
+    },
+  };
+}
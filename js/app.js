@@ -1,9 +1,19 @@
 import * as audio from './audio.js';
+import { resolveModelFeatures, usesExtendedFeatures } from './audio-features.js';
 import * as nn from './nn.js';
 import * as physics from './physics.js';
 import * as map from './map.js';
 import * as render from './render.js';
-import { applyPreset as applyPresetScaling, getDefaultPreset, getPreset } from './presets.js';
+import {
+  applyPreset as applyPresetScaling,
+  getDefaultPreset,
+  getPreset,
+  listCustomPresets,
+  listPresets,
+  registerPreset,
+  removePreset,
+} from './presets.js';
+import * as presetEditor from './preset-editor.js';
 import { getList, resolveUrl } from './playlist.js';
 import { initDebugOverlay, runStartupDiagnostics, updateDebugOverlay } from './diagnostics.js';
 import * as byom from './byom.js';
@@ -12,6 +22,23 @@ import { createController as createTrainingController } from './training.js';
 import * as byomStorage from './byom-storage.js';
 import { init as initNotifications, notify } from './notifications.js';
 import { formatCorrelation } from './correlation-math.js';
+import { OFFLINE_FORMATS, renderOffline } from './offline-render.js';
+import * as timeline from './timeline.js';
+import { applyAutomation, sanitizeAutomation, serializeAutomation } from './automation.js';
+import { ANALYSIS_MODES, createAnalysisPipeline } from './analysis-pipeline.js';
+import { resolveAnalysisConfig, sameBands } from './analysis-config.js';
+import { isBackendSupported, RENDER_BACKEND_LABELS, RENDER_BACKENDS } from './render-backends.js';
+import { resolveLinkDensity } from './constellation.js';
+import { blendOutputs, interpolatePalette, sanitizeCrossfadeSeconds } from './crossfade.js';
+import {
+  createPlaybackQueue,
+  initQueuePanel,
+  isQueuePanelVisible,
+  renderQueuePanel,
+  setQueuePanelVisible,
+} from './playback-queue.js';
+import { formatUrlState, PALETTE_STEP_DEGREES, parseUrlState, slugify } from './url-state.js';
+import { createFlashGuard } from './flash-guard.js';
 
 const MODEL_FILES = Object.freeze([
   'models/meditation.json',
@@ -31,6 +58,13 @@ const STORAGE_KEYS = Object.freeze({
   TRACK_INDEX: 'ln.lastTrack',
   SAFE_MODE: 'ln.safeMode',
   NN_BYPASS: 'ln.nnBypass',
+  ANALYSIS_MODE: 'ln.analysisMode',
+  RENDER_BACKEND: 'ln.renderBackend',
+  PRESET_EDITS: 'ln.presetEdits',
+  CROSSFADE: 'ln.crossfade',
+  PLAYBACK_QUEUE: 'ln.queue',
+  LIVE_INPUT: 'ln.liveInput',
+  LIVE_SET: 'ln.liveSet',
 });
 
 const MAP_PARAM_COUNT = map.PARAM_NAMES.length;
@@ -93,6 +127,8 @@ const RENDER_PARAMS_DEFAULT = Object.freeze({
   hueShift: 0,
   sparkleDensity: 0.14,
   zoom: 1,
+  beatPulse: 0,
+  linkDensity: 0.4,
 });
 
 const SIM_PARAMS_DEFAULT = Object.freeze({
@@ -101,6 +137,8 @@ const SIM_PARAMS_DEFAULT = Object.freeze({
   cohesion: 0.54,
   repelImpulse: 0,
   vortexAmount: 0.28,
+  wellPan: 0,
+  emitDirection: 0,
 });
 
 const PERFORMANCE_SAMPLE_WINDOW = 90;
@@ -243,6 +281,12 @@ function validateModelDefinition(definition, contextLabel = 'model') {
     throw new Error(`[${contextLabel}] "input" must be a positive number.`);
   }
 
+  try {
+    resolveModelFeatures(definition, inputSize);
+  } catch (error) {
+    throw new Error(`[${contextLabel}] ${error.message}`);
+  }
+
   const norm = definition.normalization ?? {};
   ensureNumberArray(norm.mean, inputSize, 'normalization.mean', contextLabel);
   ensureNumberArray(norm.std, inputSize, 'normalization.std', contextLabel, { positive: true });
@@ -314,6 +358,18 @@ function readStoredBoolean(key, defaultValue) {
   return stored === '1' || stored.toLowerCase() === 'true';
 }
 
+function readStoredLiveSet() {
+  try {
+    const parsed = JSON.parse(readStorage(STORAGE_KEYS.LIVE_SET) ?? 'null');
+    return {
+      presetId: typeof parsed?.presetId === 'string' ? parsed.presetId : '',
+      modelEntryId: typeof parsed?.modelEntryId === 'string' ? parsed.modelEntryId : '',
+    };
+  } catch {
+    return { presetId: '', modelEntryId: '' };
+  }
+}
+
 function wrapHue(value) {
   if (!Number.isFinite(value)) {
     return 0;
@@ -332,6 +388,11 @@ const playlistSelect = document.getElementById('playlist');
 const playlistAttachButton = document.getElementById('playlist-attach');
 const playlistRenameButton = document.getElementById('playlist-rename');
 const playlistDeleteButton = document.getElementById('playlist-delete');
+const playlistAutomationButton = document.getElementById('playlist-automation');
+const automationInput = document.getElementById('automation-input');
+const playlistExportButton = document.getElementById('playlist-export');
+const byomImportButton = document.getElementById('byom-import');
+const byomBundleInput = document.getElementById('byom-bundle-input');
 const audioElement = document.getElementById('player');
 const volumeSlider = document.getElementById('volume');
 const playButton = document.getElementById('play');
@@ -344,6 +405,26 @@ const introOverlay = document.getElementById('intro-overlay');
 const introPlayButton = document.getElementById('intro-play');
 const byomToggleButton = document.getElementById('byom-toggle');
 const byomDrawer = document.getElementById('byom-drawer');
+const offlineRenderButton = document.getElementById('render-offline');
+const timelineToggleButton = document.getElementById('timeline-toggle');
+const analysisToggleButton = document.getElementById('analysis-toggle');
+const renderBackendSelect = document.getElementById('render-backend');
+const crossfadeSelect = document.getElementById('crossfade');
+const queueToggleButton = document.getElementById('queue-toggle');
+const queuePanel = document.getElementById('queue');
+const queueList = document.getElementById('queue-list');
+const queueShuffleButton = document.getElementById('queue-shuffle');
+const queueRepeatSelect = document.getElementById('queue-repeat');
+const liveOptInButton = document.getElementById('live-optin');
+const liveControls = document.getElementById('live-controls');
+const liveStartButton = document.getElementById('live-start');
+const livePresetSelect = document.getElementById('live-preset');
+const liveModelSelect = document.getElementById('live-model');
+const timelinePanel = document.getElementById('timeline');
+const timelineCanvas = document.getElementById('timeline-canvas');
+const timelineGroupSelect = document.getElementById('timeline-group');
+const timelineAnalyzeButton = document.getElementById('timeline-analyze');
+const timelineStatus = document.getElementById('timeline-status');
 
 function dismissIntroOverlay() {
   if (!introOverlay || introOverlay.dataset.hidden === 'true') {
@@ -376,7 +457,7 @@ if (
 
 initNotifications(document);
 
-render.init();
+render.init({ backend: readStorage(STORAGE_KEYS.RENDER_BACKEND) ?? RENDER_BACKENDS.CANVAS_2D });
 render.setWorldSize(2, 2);
 render.setStatus('Idle · Particles 0');
 updateFullscreenButtonUi(render.getToggles().fullscreen);
@@ -401,16 +482,54 @@ if (visibilityState.hidden) {
   applyQualityCap();
 }
 
+function loadStoredPresets() {
+  const raw = readStorage(STORAGE_KEYS.PRESET_EDITS);
+  if (!raw) {
+    return;
+  }
+  try {
+    const stored = JSON.parse(raw);
+    (Array.isArray(stored) ? stored : []).forEach((preset) => {
+      try {
+        registerPreset(preset);
+      } catch (error) {
+        console.warn('[app] Skipping invalid stored preset', error);
+      }
+    });
+  } catch (error) {
+    console.warn('[app] Failed to read stored presets', error);
+  }
+}
+
+function storeCustomPresets() {
+  writeStorage(STORAGE_KEYS.PRESET_EDITS, JSON.stringify(listCustomPresets()));
+}
+
+loadStoredPresets();
+
 const renderParams = { ...RENDER_PARAMS_DEFAULT };
 const simParams = { ...SIM_PARAMS_DEFAULT };
 let activePreset = getDefaultPreset();
 render.setPalette(activePreset?.palette);
+let activeConstellation = render.setConstellation(activePreset?.constellation);
+let activeAutomation = null;
+const automatedOutputs = new Float32Array(MAP_PARAM_COUNT);
 const manualAdjustments = {
   spawnOffset: 0,
   glowOffset: 0,
   sparkleOffset: 0,
   hueOffset: 0,
 };
+// Preset named by a deep link; applies to the linked track until another track is chosen.
+let presetOverride = /** @type {{entryId: string, presetId: string}|null} */ (null);
+let lastUrlHash = window.location.hash;
+// Microphone / line-in input. `enabled` is the stored opt-in; nothing asks for the device until the user goes live.
+const liveState = {
+  enabled: readStoredBoolean(STORAGE_KEYS.LIVE_INPUT, false),
+  active: false,
+  token: 0,
+  ...readStoredLiveSet(),
+};
 const nnOffsets = {
   spawnOffset: 0,
   glowOffset: 0,
@@ -469,6 +588,9 @@ const albumEntries = albumTracks.map((track, index) => {
 
 let byomEntries = [];
 let playlistEntries = [...albumEntries];
+const playbackQueue = createPlaybackQueue(loadStoredQueue());
+// Stored BYOM entries load asynchronously; reconciling before then would drop their saved queue slots.
+let playbackQueueReady = false;
 rebuildPlaylistOrder();
 
 const storedTrackPreference = readStorage(STORAGE_KEYS.TRACK_INDEX);
@@ -481,9 +603,34 @@ function rebuildPlaylistOrder() {
   playlistEntries.forEach((entry, index) => {
     entry.listIndex = index;
   });
+  if (playbackQueueReady) {
+    playbackQueue.sync(playlistEntries.map((entry) => entry.id));
+    renderQueuePanel();
+  }
   return playlistEntries;
 }
 
+function loadStoredQueue() {
+  const raw = readStorage(STORAGE_KEYS.PLAYBACK_QUEUE);
+  if (!raw) {
+    return null;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.warn('[app] Ignoring invalid stored playback queue', error);
+    return null;
+  }
+}
+
+function storeQueue() {
+  writeStorage(STORAGE_KEYS.PLAYBACK_QUEUE, JSON.stringify(playbackQueue.serialize()));
+}
+
+function getEntryById(id) {
+  return playlistEntries.find((entry) => entry.id === id) ?? null;
+}
+
 function getEntryByIndex(index) {
   if (!Number.isInteger(index) || index < 0 || index >= playlistEntries.length) {
     return null;
@@ -534,11 +681,18 @@ function renderPlaylistOptions(activeIndex = currentTrackIndex) {
   if (Number.isInteger(activeIndex) && activeIndex >= 0 && activeIndex < playlistEntries.length) {
     playlistSelect.value = String(activeIndex);
   }
+  renderLiveOptions();
 }
 
 function updatePlaylistControls(entry) {
   const isByom = isByomEntry(entry);
-  [playlistAttachButton, playlistRenameButton, playlistDeleteButton].forEach((button) => {
+  [
+    playlistAttachButton,
+    playlistRenameButton,
+    playlistDeleteButton,
+    playlistAutomationButton,
+    playlistExportButton,
+  ].forEach((button) => {
     if (!button) {
       return;
     }
@@ -634,6 +788,14 @@ function resolveStoredTrackIndex(reference) {
   return 0;
 }
 
+function resolveUrlTrackIndex(slug) {
+  if (!slug) {
+    return null;
+  }
+  const entry = playlistEntries.find((candidate) => candidate.id === slug || slugify(candidate.title) === slug);
+  return entry ? entry.listIndex : null;
+}
+
 function createFileMetadata(file, summary) {
   if (file instanceof File) {
     const lastModified = Number.isFinite(file.lastModified) ? file.lastModified : 0;
@@ -667,6 +829,8 @@ function buildRuntimeByomEntry(record, objectUrl = '') {
     baseline: record.baseline ?? null,
     presetId: record.baseline?.presetId ?? null,
     presetOverrides: record.presetOverrides ?? null,
+    automation: sanitizeAutomation(record.automation),
+    correlations: Array.isArray(record.correlations) ? record.correlations : [],
     summary: record.summary ?? null,
     stats: record.stats ?? null,
     file: record.file ?? null,
@@ -710,6 +874,43 @@ byom.mount({
   modelOptions,
 });
 
+presetEditor.mount({
+  drawer: document.getElementById('preset-drawer'),
+  toggle: document.getElementById('preset-editor-toggle'),
+  getActivePreset: () => activePreset,
+  onPreview: (draft) => {
+    activatePreset(draft, getCurrentEntry());
+  },
+  onSave: (draft) => {
+    const saved = registerPreset(draft);
+    storeCustomPresets();
+    activatePreset(saved, getCurrentEntry());
+    notify(`Saved preset “${saved.title}”.`, { tone: 'success' });
+    return saved;
+  },
+  onRevert: (id) => {
+    removePreset(id);
+    storeCustomPresets();
+    const builtin = getPreset(id);
+    if (builtin) {
+      return builtin;
+    }
+    // A deleted import may still be the track's preset; fall back to the default then.
+    const fallback = resolveEntryPreset(getCurrentEntry());
+    return fallback.id === id ? getDefaultPreset() : fallback;
+  },
+  onExport: (payload) => {
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${payload.preset.id}.preset.json`);
+  },
+  onImport: (preset) => {
+    const saved = registerPreset(preset);
+    storeCustomPresets();
+    notify(`Imported preset “${saved.title}”.`, { tone: 'success' });
+    return saved;
+  },
+});
+
 let latestTrainingResult = null;
 let activeTrainingContext = null;
 
@@ -845,11 +1046,16 @@ byom.setHandlers({
   },
 });
 
-const storedSafeMode = readStoredBoolean(STORAGE_KEYS.SAFE_MODE, false);
+// The OS reduced-motion setting is the safe-mode default; a stored `ln.safeMode` or the `safe` link flag wins.
+const reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') ?? null;
+const reducedMotion = Boolean(reducedMotionQuery?.matches);
+const storedSafeMode = readStoredBoolean(STORAGE_KEYS.SAFE_MODE, reducedMotion);
 const storedBypass = readStoredBoolean(STORAGE_KEYS.NN_BYPASS, false);
 
-const safeModeEnabled = storedSafeMode;
-const nnBypass = storedBypass;
+// Deep links override the stored toggles for this session without persisting them.
+const urlState = parseUrlState(window.location.hash);
+const safeModeEnabled = urlState?.safeMode ?? storedSafeMode;
+const nnBypass = urlState?.nnBypass ?? storedBypass;
 let lastModelOutputs = FALLBACK_NN_OUTPUTS;
 let currentTrackIndex = -1;
 
@@ -865,9 +1071,15 @@ rebuildPlaylistOrder();
 renderPlaylistOptions(currentTrackIndex);
 
 await loadStoredByomEntries();
+playbackQueueReady = true;
+rebuildPlaylistOrder();
 
-const initialTrackIndex = resolveStoredTrackIndex(storedTrackPreference);
+const initialTrackIndex = resolveUrlTrackIndex(urlState?.track) ?? resolveStoredTrackIndex(storedTrackPreference);
 const initialEntry = getEntryByIndex(initialTrackIndex);
+const urlPreset = urlState?.preset ? getPreset(urlState.preset) : null;
+if (urlPreset && initialEntry) {
+  presetOverride = { entryId: initialEntry.id, presetId: urlPreset.id };
+}
 render.setTrackTitle(initialEntry?.title ?? 'Latent Noise');
 updatePlaylistControls(initialEntry);
 
@@ -875,6 +1087,15 @@ const modelCache = new Map();
 let activeModelEntryId = '';
 let modelLoadToken = 0;
 
+// Worker analysis is opt-in; the synchronous rAF path stays the default.
+const analysisState = {
+  mode: readStorage(STORAGE_KEYS.ANALYSIS_MODE) === ANALYSIS_MODES.WORKER ? ANALYSIS_MODES.WORKER : ANALYSIS_MODES.SYNC,
+  pipeline: /** @type {ReturnType<typeof createAnalysisPipeline>|null} */ (null),
+  modelDefinition: /** @type {object|null} */ (null),
+  modelOptions: /** @type {{features: readonly string[]}|undefined} */ (undefined),
+  outputs: new Float32Array(MAP_PARAM_COUNT),
+};
+
 const playback = {
   status: 'Idle',
   lastStatusText: '',
@@ -884,6 +1105,20 @@ let autoAdvanceTimer = 0;
 let pendingPlayTimer = 0;
 let pendingPlayToken = 0;
 
+// Outgoing side of a track crossfade: the palette it started from and a standalone instance of its model, which
+// keeps answering the live (mixed) features until the incoming model has fully taken over.
+const crossfadeState = {
+  seconds: sanitizeCrossfadeSeconds(readStorage(STORAGE_KEYS.CROSSFADE)),
+  active: false,
+  token: 0,
+  advanceQueued: false,
+  fromPalette: /** @type {{background: string, accents: string[], baseHue: number}|null} */ (null),
+  definition: /** @type {object|null} */ (null),
+  model: /** @type {object|null} */ (null),
+  outgoing: new Float32Array(MAP_PARAM_COUNT),
+  outputs: new Float32Array(MAP_PARAM_COUNT),
+};
+
 function clearAutoAdvanceTimer() {
   if (autoAdvanceTimer) {
     window.clearTimeout(autoAdvanceTimer);
@@ -1008,33 +1243,39 @@ function updatePerformanceScaling(averageFps) {
   }
 }
 
-function applyPresetForEntry(entry, options = {}) {
-  let preset = null;
-  if (entry) {
-    if (isByomEntry(entry)) {
-      if (entry.presetId) {
-        preset = getPreset(entry.presetId);
-      }
-      if (!preset && entry.presetTitle) {
-        preset = getPreset(entry.presetTitle);
-      }
-    } else if (entry.type === 'album') {
-      preset = getPreset(entry.albumIndex);
-    }
-  }
-  if (!preset) {
-    preset = activePreset ?? getDefaultPreset();
+function buildMapBaselines() {
+  return {
+    spawnRate: simParams.spawnRate,
+    fieldStrength: simParams.fieldStrength,
+    cohesion: simParams.cohesion,
+    repelImpulse: simParams.repelImpulse,
+    vortexAmount: simParams.vortexAmount,
+    trailFade: renderParams.trailFade,
+    glow: renderParams.glow,
+    sizeJitter: renderParams.sizeJitter,
+    hueShift: renderParams.hueShift,
+    sparkleDensity: renderParams.sparkleDensity,
+  };
+}
+
+// BYOM entries may carry their own lanes; otherwise the track's preset supplies them.
+function resolveEntryAutomation(entry, preset) {
+  if (isByomEntry(entry) && entry.automation) {
+    return entry.automation;
   }
+  return sanitizeAutomation(preset?.automation);
+}
 
+// Applies a preset's palette, draw style, and sim/render scaling on top of the defaults. The preset editor
+// calls this directly to preview drafts without resetting manual adjustments.
+function activatePreset(preset, entry) {
   activePreset = preset;
   if (preset?.palette) {
     render.setPalette(preset.palette);
   }
+  render.setDrawStyle(preset?.drawStyle);
+  activeConstellation = render.setConstellation(preset?.constellation);
 
-  const forceSilence = options.forceSilence === true;
-
-  resetManualAdjustments();
-  resetNnOffsets();
   copyParams(simParams, SIM_PARAMS_DEFAULT);
   copyParams(renderParams, RENDER_PARAMS_DEFAULT);
 
@@ -1065,20 +1306,76 @@ function applyPresetForEntry(entry, options = {}) {
       repelImpulse: simParams.repelImpulse,
       vortexAmount: simParams.vortexAmount,
     },
+    fields: preset?.fields ?? null,
+    flocking: preset?.flocking ?? null,
   });
 
-  map.reset({
-    spawnRate: simParams.spawnRate,
-    fieldStrength: simParams.fieldStrength,
-    cohesion: simParams.cohesion,
-    repelImpulse: simParams.repelImpulse,
-    vortexAmount: simParams.vortexAmount,
-    trailFade: renderParams.trailFade,
-    glow: renderParams.glow,
-    sizeJitter: renderParams.sizeJitter,
-    hueShift: renderParams.hueShift,
-    sparkleDensity: renderParams.sparkleDensity,
-  });
+  map.configure({ beatSync: preset?.beatSync ?? null });
+  map.reset(buildMapBaselines());
+  activeAutomation = resolveEntryAutomation(entry, preset);
+  syncAnalysisConfig();
+}
+
+// FFT size and hop: the loaded model's block wins over the preset's (js/analysis-config.js).
+function resolveActiveAnalysisConfig(modelDefinition = analysisState.modelDefinition, preset = activePreset) {
+  return resolveAnalysisConfig(modelDefinition?.analysis, preset?.analysis);
+}
+
+/**
+ * Applies the active model's and preset's analysis config. A new band layout renames the features, so the
+ * loaded model is bound again unless `rebind` is false (the caller is about to load one).
+ * @param {object|null} [modelDefinition]
+ * @param {{rebind?: boolean}} [options]
+ */
+function syncAnalysisConfig(modelDefinition = analysisState.modelDefinition, { rebind = true } = {}) {
+  const previous = audio.getAnalysisConfig();
+  const next = audio.setAnalysisConfig(resolveActiveAnalysisConfig(modelDefinition));
+  const rebanded = !sameBands(next, previous);
+  if (next.fftSize !== previous.fftSize || rebanded) {
+    // The worker's frame rings and extractor are sized for the old layout; the next frame starts a new one.
+    stopAnalysisPipeline();
+    const bands = next.bands ? `${next.bands.length - 1} declared bands` : 'default bands';
+    console.info(`[app] Analysis resolution ${next.fftSize}-point FFT, ${next.hopMs.toFixed(1)} ms hop, ${bands}.`);
+  }
+  if (rebanded) {
+    bindCrossfadeModel();
+  }
+  if (rebanded && rebind && analysisState.modelDefinition) {
+    const modelOptions = { features: audio.getAvailableFeatures() };
+    analysisState.modelOptions = modelOptions;
+    nn.loadModel(analysisState.modelDefinition, modelOptions).catch((error) => {
+      console.warn('[app] Failed to rebind the model to the new band layout.', error);
+    });
+  }
+}
+
+function resolveEntryPreset(entry) {
+  let preset = null;
+  if (entry && presetOverride?.entryId === entry.id) {
+    preset = getPreset(presetOverride.presetId);
+  }
+  if (entry && !preset) {
+    if (isByomEntry(entry)) {
+      if (entry.presetId) {
+        preset = getPreset(entry.presetId);
+      }
+      if (!preset && entry.presetTitle) {
+        preset = getPreset(entry.presetTitle);
+      }
+    } else if (entry.type === 'album') {
+      preset = getPreset(entry.albumIndex);
+    }
+  }
+  return preset ?? activePreset ?? getDefaultPreset();
+}
+
+function applyPresetForEntry(entry, options = {}) {
+  const preset = resolveEntryPreset(entry);
+  const forceSilence = options.forceSilence === true;
+
+  resetManualAdjustments();
+  resetNnOffsets();
+  activatePreset(preset, entry);
 
   if (forceSilence) {
     const restParams = map.update(FALLBACK_NN_OUTPUTS, {
@@ -1156,6 +1453,8 @@ function applyMappedParams(mapped) {
   const cohesionBase = Number.isFinite(mapped.cohesion) ? mapped.cohesion : SIM_PARAMS_DEFAULT.cohesion;
   const repelBase = Number.isFinite(mapped.repelImpulse) ? mapped.repelImpulse : SIM_PARAMS_DEFAULT.repelImpulse;
   const vortexBase = Number.isFinite(mapped.vortexAmount) ? mapped.vortexAmount : SIM_PARAMS_DEFAULT.vortexAmount;
+  const panBase = Number.isFinite(mapped.wellPan) ? mapped.wellPan : SIM_PARAMS_DEFAULT.wellPan;
+  const directionBase = Number.isFinite(mapped.emitDirection) ? mapped.emitDirection : SIM_PARAMS_DEFAULT.emitDirection;
 
   const trailBase = Number.isFinite(mapped.trailFade) ? mapped.trailFade : RENDER_PARAMS_DEFAULT.trailFade;
   const glowBase = Number.isFinite(mapped.glow) ? mapped.glow : RENDER_PARAMS_DEFAULT.glow;
@@ -1190,6 +1489,8 @@ function applyMappedParams(mapped) {
   simParams.cohesion = clamp(cohesionBase, 0.1, 1.2);
   simParams.repelImpulse = clamp(repelBase, 0, 1);
   simParams.vortexAmount = clamp(vortexBase, 0, 1.2);
+  simParams.wellPan = clamp(panBase, -1, 1);
+  simParams.emitDirection = clamp(directionBase, -1, 1);
 
   renderParams.trailFade = clamp(trailBase, 0.2, 0.98);
   renderParams.glow = clamp(glowAdjusted, 0, glowMax);
@@ -1197,6 +1498,8 @@ function applyMappedParams(mapped) {
   renderParams.hueShift = wrapHue(hueAdjusted);
   renderParams.sparkleDensity = clamp(sparkleAdjusted, 0, sparkleMax);
   renderParams.zoom = clamp(zoomScaled, zoomMin, zoomMax);
+  renderParams.beatPulse = Number.isFinite(mapped.beatPulse) ? clamp(mapped.beatPulse, 0, 1) : 0;
+  renderParams.linkDensity = resolveLinkDensity(activeConstellation, mapped);
 }
 
 function cacheEntryIsPromise(entry) {
@@ -1271,10 +1574,17 @@ async function prepareModelForEntry(entry) {
       return null;
     }
 
-    const info = await nn.loadModel(definition);
+    // Bind to what the current input and the model's band layout provide; a live input has no track position.
+    syncAnalysisConfig(definition, { rebind: false });
+    const modelOptions = { features: audio.getAvailableFeatures() };
+    const info = await nn.loadModel(definition, modelOptions);
     if (token !== modelLoadToken) {
       return info;
     }
+    analysisState.modelDefinition = definition;
+    analysisState.modelOptions = modelOptions;
+    analysisState.pipeline?.setModel(definition, modelOptions);
+    audio.setExtendedFeatures(usesExtendedFeatures(resolveModelFeatures(definition).features));
 
     audio.frame();
     const features = audio.getFeatureVector();
@@ -1288,6 +1598,9 @@ async function prepareModelForEntry(entry) {
     return info;
   } catch (error) {
     console.error(`[app] Failed to load model for "${entry.title ?? entry.id}"`, error);
+    if (token === modelLoadToken) {
+      syncAnalysisConfig();
+    }
     return null;
   }
 }
@@ -1339,6 +1652,7 @@ async function finalizeByomTraining({ modelDefinition, stats }) {
       file: fileMeta,
       summary: context.summary ?? null,
       stats: stats ?? null,
+      correlations: context.correlations,
       model: modelDefinition,
       version: 1,
     });
@@ -1384,7 +1698,14 @@ async function finalizeByomTraining({ modelDefinition, stats }) {
 }
 
 function setTrack(index, options = {}) {
+  if (liveState.active) {
+    endLiveInput();
+  }
   clearAutoAdvanceTimer();
+  crossfadeState.advanceQueued = false;
+  if (!options.crossfade) {
+    endCrossfade();
+  }
   if (!Number.isInteger(index) || index < 0 || index >= playlistEntries.length) {
     console.warn('[app] Ignoring out-of-range track index', index);
     return;
@@ -1409,6 +1730,7 @@ function setTrack(index, options = {}) {
     storeTrackSelection(entry);
     updatePlaylistControls(entry);
     promptAttachForEntry(entry, 'attach-file');
+    resetTimelineForTrack();
     audioElement.pause();
     audioElement.removeAttribute('src');
     audioElement.load();
@@ -1431,6 +1753,13 @@ function setTrack(index, options = {}) {
   playlistSelect.value = String(index);
   storeTrackSelection(entry);
   updatePlaylistControls(entry);
+  resetTimelineForTrack();
+  playbackQueue.markPlayed(entry.id);
+  storeQueue();
+  renderQueuePanel();
+  if (presetOverride && presetOverride.entryId !== entry.id) {
+    presetOverride = null;
+  }
 
   if (isByomEntry(entry)) {
     audioElement.src = entry.objectUrl;
@@ -1479,13 +1808,145 @@ function setTrack(index, options = {}) {
   }
 
   updatePlayButtonUi();
+  syncUrlState();
+}
+
+function canCrossfadeTo(index) {
+  if (crossfadeState.seconds <= 0 || audioElement.paused || offlineRenderState.active) {
+    return false;
+  }
+  if (currentTrackIndex < 0 || index === currentTrackIndex || audio.getAnalyser() === null) {
+    return false;
+  }
+  const entry = getEntryByIndex(index);
+  return Boolean(entry && (!isByomEntry(entry) || entry.objectUrl));
+}
+
+/**
+ * Hands the playing track to the audio module's second deck, then switches to `index` without the usual
+ * intermission. Falls back to a regular track change when the hand-off is not possible.
+ */
+async function crossfadeToTrack(index) {
+  const token = ++crossfadeState.token;
+  const fromPalette = render.getPalette();
+  const outgoingDefinition = nnBypass ? null : analysisState.modelDefinition;
+  crossfadeState.advanceQueued = true;
+  const handedOff = await audio.beginCrossfade({ duration: crossfadeState.seconds });
+  if (token !== crossfadeState.token) {
+    // Another track change won the race; drop the hand-off it no longer needs.
+    if (handedOff) {
+      audio.cancelCrossfade();
+    }
+    return;
+  }
+  if (!handedOff) {
+    startParticleIntermission(TRACK_INTERMISSION_MS);
+    setTrack(index, { autoplay: true, autoplayDelayMs: TRACK_INTERMISSION_MS });
+    return;
+  }
+  crossfadeState.definition = outgoingDefinition;
+  crossfadeState.model = null;
+  crossfadeState.outgoing.fill(0);
+  for (let i = 0; i < MAP_PARAM_COUNT && i < lastModelOutputs.length; i += 1) {
+    crossfadeState.outgoing[i] = lastModelOutputs[i];
+  }
+  crossfadeState.fromPalette = fromPalette;
+  crossfadeState.active = true;
+  setTrack(index, { autoplay: true, crossfade: true });
+  // setTrack applied the incoming preset's palette; start the blend from the outgoing one instead.
+  render.setPalette(fromPalette);
+  // Bound after setTrack, which may have switched the extractor to the incoming band layout.
+  bindCrossfadeModel();
+}
+
+/**
+ * Binds the outgoing model to the live extractor's current labels by name, like the incoming model. Features
+ * the layout lacks are held at their normalization mean.
+ */
+function bindCrossfadeModel() {
+  crossfadeState.model = null;
+  if (!crossfadeState.active || !crossfadeState.definition) {
+    return;
+  }
+  try {
+    crossfadeState.model = nn.createModel(crossfadeState.definition, { features: audio.getAvailableFeatures() });
+  } catch (error) {
+    console.warn('[app] Outgoing model unavailable for crossfade; holding its last outputs.', error);
+  }
+}
+
+function endCrossfade() {
+  crossfadeState.token += 1;
+  audio.cancelCrossfade();
+  if (!crossfadeState.active) {
+    return;
+  }
+  crossfadeState.active = false;
+  crossfadeState.definition = null;
+  crossfadeState.model = null;
+  crossfadeState.fromPalette = null;
+  render.setPalette(activePreset?.palette);
+}
+
+/**
+ * Blends the outgoing model's outputs into `incoming` and eases the palette while a crossfade runs.
+ * @param {Float32Array} features
+ * @param {ArrayLike<number>} incoming
+ */
+function resolveCrossfadeOutputs(features, incoming) {
+  if (!crossfadeState.active) {
+    return incoming;
+  }
+  const progress = audio.getCrossfadeProgress();
+  if (progress < 0) {
+    endCrossfade();
+    return incoming;
+  }
+  let outgoing = crossfadeState.outgoing;
+  if (crossfadeState.model) {
+    try {
+      outgoing = nn.infer(crossfadeState.model, features);
+    } catch (error) {
+      console.warn('[app] Outgoing model inference failed; holding its last outputs.', error);
+      crossfadeState.model = null;
+    }
+  }
+  if (crossfadeState.fromPalette && activePreset?.palette) {
+    render.setPalette(interpolatePalette(crossfadeState.fromPalette, activePreset.palette, progress));
+  }
+  return blendOutputs(outgoing, incoming, progress, crossfadeState.outputs);
 }
 
+/**
+ * Steps through the playback queue. `options.auto` marks end-of-track advances, which follow the repeat mode
+ * (repeat-one restarts the track, stop-at-end stops after the last one).
+ */
 function nextTrack(step = 1, options = {}) {
   if (playlistEntries.length === 0) {
     return;
   }
-  const nextIndex = (currentTrackIndex + step + playlistEntries.length) % playlistEntries.length;
+  const currentId = getCurrentEntry()?.id ?? '';
+  const nextEntry = getEntryById(
+    step < 0 ? playbackQueue.previous(currentId) : playbackQueue.next(currentId, { auto: options.auto === true }),
+  );
+  storeQueue();
+  if (!nextEntry) {
+    return;
+  }
+  const nextIndex = nextEntry.listIndex;
+  if (nextIndex === currentTrackIndex) {
+    audioElement.currentTime = 0;
+    if (options.autoplay ?? !audioElement.paused) {
+      audioElement.play().catch((error) => {
+        console.warn('[app] Playback restart blocked', error);
+      });
+    }
+    return;
+  }
+  if (canCrossfadeTo(nextIndex) && options.autoplay !== false) {
+    void crossfadeToTrack(nextIndex);
+    return;
+  }
   const autoplay = options.autoplay ?? !audioElement.paused;
   const autoplayDelayMs = Number.isFinite(options.autoplayDelayMs)
     ? Math.max(0, options.autoplayDelayMs)
@@ -1505,15 +1966,203 @@ function prevTrack(options = {}) {
 
 function togglePlayback() {
   dismissIntroOverlay();
+  if (liveState.active) {
+    stopLiveInput({ resume: true });
+    return;
+  }
   if (audioElement.paused) {
     audioElement.play().catch((error) => {
       console.warn('[app] Playback start blocked', error);
     });
   } else {
+    endCrossfade();
     audioElement.pause();
   }
 }
 
+// Raw input for analysis: browser voice processing would flatten the dynamics the features react to.
+const LIVE_INPUT_CONSTRAINTS = Object.freeze({
+  echoCancellation: false,
+  noiseSuppression: false,
+  autoGainControl: false,
+});
+
+function appendOption(select, value, label) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  select.append(option);
+}
+
+function renderLiveOptions() {
+  if (livePresetSelect) {
+    livePresetSelect.innerHTML = '';
+    appendOption(livePresetSelect, '', 'Preset: Current Track');
+    listPresets().forEach((preset) => appendOption(livePresetSelect, preset.id, preset.title));
+    livePresetSelect.value = liveState.presetId;
+    if (livePresetSelect.value !== liveState.presetId) {
+      livePresetSelect.value = '';
+    }
+  }
+  if (liveModelSelect) {
+    liveModelSelect.innerHTML = '';
+    appendOption(liveModelSelect, '', 'Model: Current Track');
+    playlistEntries.forEach((entry) => appendOption(liveModelSelect, entry.id, entry.title ?? entry.id));
+    liveModelSelect.value = liveState.modelEntryId;
+    if (liveModelSelect.value !== liveState.modelEntryId) {
+      liveModelSelect.value = '';
+    }
+  }
+}
+
+function updateLiveControls() {
+  liveOptInButton?.setAttribute('aria-pressed', liveState.enabled ? 'true' : 'false');
+  if (liveControls) {
+    liveControls.hidden = !liveState.enabled;
+  }
+  if (liveStartButton) {
+    liveStartButton.textContent = liveState.active ? 'End Live' : 'Go Live';
+    liveStartButton.setAttribute('aria-pressed', liveState.active ? 'true' : 'false');
+  }
+}
+
+function storeLiveSet() {
+  writeStorage(
+    STORAGE_KEYS.LIVE_SET,
+    JSON.stringify({ presetId: liveState.presetId, modelEntryId: liveState.modelEntryId }),
+  );
+}
+
+function getLiveModelEntry() {
+  return getEntryById(liveState.modelEntryId) ?? getCurrentEntry();
+}
+
+/**
+ * Applies the live set's preset and model. Empty picks follow the track selected in the playlist.
+ */
+function applyLiveSet() {
+  const preset = getPreset(liveState.presetId) ?? resolveEntryPreset(getCurrentEntry());
+  resetManualAdjustments();
+  resetNnOffsets();
+  activatePreset(preset, null);
+  // Automation lanes are keyed to track time, which a live input does not have.
+  activeAutomation = null;
+
+  activeModelEntryId = '';
+  lastModelOutputs = FALLBACK_NN_OUTPUTS;
+  const modelEntry = getLiveModelEntry();
+  if (modelEntry && !nnBypass) {
+    void prepareModelForEntry(modelEntry);
+  } else {
+    modelLoadToken += 1;
+  }
+}
+
+/**
+ * Asks for a microphone or line-in stream and analyses it in place of the current track. Only available once
+ * the user has opted in; the browser's permission prompt appears on the first call.
+ */
+async function startLiveInput() {
+  if (!liveState.enabled || liveState.active || offlineRenderState.active) {
+    return;
+  }
+  if (!navigator.mediaDevices?.getUserMedia) {
+    notify('Live input needs microphone access (getUserMedia), which this page cannot use.', { tone: 'error' });
+    return;
+  }
+  dismissIntroOverlay();
+  const token = ++liveState.token;
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: LIVE_INPUT_CONSTRAINTS });
+  } catch (error) {
+    console.warn('[app] Live input unavailable', error);
+    notify(`Live input unavailable: ${error?.message ?? error}`, { tone: 'error' });
+    return;
+  }
+  if (token !== liveState.token || !liveState.enabled || offlineRenderState.active) {
+    stream.getTracks().forEach((track) => track.stop());
+    return;
+  }
+
+  clearAutoAdvanceTimer();
+  endCrossfade();
+  if (pendingPlayTimer) {
+    window.clearTimeout(pendingPlayTimer);
+    pendingPlayTimer = 0;
+  }
+  pendingPlayToken += 1;
+  audioElement.pause();
+  try {
+    await audio.connectStream(stream);
+  } catch (error) {
+    stream.getTracks().forEach((track) => track.stop());
+    console.warn('[app] Failed to connect live input', error);
+    notify(`Live input unavailable: ${error?.message ?? error}`, { tone: 'error' });
+    return;
+  }
+
+  liveState.active = true;
+  // Unplugging the device or revoking the permission ends the track.
+  stream.getAudioTracks()[0]?.addEventListener(
+    'ended',
+    () => {
+      if (liveState.active && token === liveState.token) {
+        stopLiveInput();
+      }
+    },
+    { once: true },
+  );
+  resetTimelineForTrack();
+  applyLiveSet();
+  render.setTrackTitle('Live Input');
+  render.updateTrackTime(0, NaN);
+  updateSeekUi(0, NaN);
+  playback.status = 'Live';
+  updateStatus(physics.getMetrics());
+  updatePlayButtonUi();
+  updateLiveControls();
+}
+
+/** Disconnects the live stream without touching the track selection. */
+function endLiveInput() {
+  liveState.active = false;
+  liveState.token += 1;
+  audio.disconnectStream();
+  // The live model was bound without track position; force the track's model to reload.
+  activeModelEntryId = '';
+  lastModelOutputs = FALLBACK_NN_OUTPUTS;
+  playback.status = 'Idle';
+  updateLiveControls();
+}
+
+/**
+ * Ends the live input and returns to the selected track, optionally resuming playback.
+ * @param {{resume?: boolean}} [options]
+ */
+function stopLiveInput({ resume = false } = {}) {
+  if (!liveState.active) {
+    return;
+  }
+  endLiveInput();
+  setTrack(currentTrackIndex >= 0 ? currentTrackIndex : 0, { autoplay: resume });
+}
+
+function setLiveInputEnabled(enabled) {
+  liveState.enabled = Boolean(enabled);
+  writeStorage(STORAGE_KEYS.LIVE_INPUT, liveState.enabled ? '1' : '0');
+  if (!liveState.enabled) {
+    if (liveState.active) {
+      stopLiveInput();
+    } else {
+      // Drop a permission prompt that is still pending.
+      liveState.token += 1;
+    }
+  }
+  renderLiveOptions();
+  updateLiveControls();
+}
+
 function startExperience() {
   audio
     .unlock()
@@ -1575,8 +2224,431 @@ function seekBy(seconds) {
   updateSeekUi(audioElement.currentTime, audioElement.duration);
 }
 
-// Default to the stored track (or first) and ensure the audio element points to bundled media only.
+const offlineRenderState = {
+  active: false,
+  controller: /** @type {AbortController|null} */ (null),
+};
+
+function updateOfflineRenderButton() {
+  if (!offlineRenderButton) {
+    return;
+  }
+  offlineRenderButton.textContent = offlineRenderState.active ? 'Cancel Render' : 'Render Video';
+  offlineRenderButton.setAttribute('aria-busy', offlineRenderState.active ? 'true' : 'false');
+}
+
+async function decodeEntryAudio(entry) {
+  const url = isByomEntry(entry) ? entry.objectUrl : entry.audioUrl;
+  if (!url) {
+    throw new Error('Attach the audio file for this entry before rendering.');
+  }
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch audio "${url}" (${response.status} ${response.statusText}).`);
+  }
+  const arrayBuffer = await response.arrayBuffer();
+  const decodeContext = new AudioContext();
+  try {
+    return await decodeContext.decodeAudioData(arrayBuffer);
+  } finally {
+    try {
+      await decodeContext.close();
+    } catch {
+      // Ignore close errors; the context is only used for decoding.
+    }
+  }
+}
+
+function makeExportBaseName(entry) {
+  const title = String(entry?.title ?? 'latent-noise').toLowerCase();
+  return title.replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'latent-noise';
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => {
+    URL.revokeObjectURL(url);
+  }, 1000);
+}
+
+async function pickFrameDirectory() {
+  if (typeof window.showDirectoryPicker !== 'function') {
+    notify('PNG sequences need a browser with directory access (File System Access API).', { tone: 'error' });
+    return null;
+  }
+  try {
+    return await window.showDirectoryPicker({ mode: 'readwrite' });
+  } catch (error) {
+    if (error?.name !== 'AbortError') {
+      console.warn('[app] Directory selection failed', error);
+    }
+    return null;
+  }
+}
+
+async function startOfflineRender({ format = OFFLINE_FORMATS.WEBM } = {}) {
+  if (offlineRenderState.active) {
+    offlineRenderState.controller?.abort();
+    return;
+  }
+  const entry = getCurrentEntry();
+  if (!entry) {
+    return;
+  }
+
+  const directory = format === OFFLINE_FORMATS.PNG ? await pickFrameDirectory() : null;
+  if (format === OFFLINE_FORMATS.PNG && !directory) {
+    return;
+  }
+
+  dismissIntroOverlay();
+  endCrossfade();
+  if (liveState.active) {
+    stopLiveInput();
+  }
+  audioElement.pause();
+  const controller = new AbortController();
+  offlineRenderState.active = true;
+  offlineRenderState.controller = controller;
+  updateOfflineRenderButton();
+  const baseName = makeExportBaseName(entry);
+  const liveSnapshot = physics.snapshot();
+
+  try {
+    render.setStatus('Rendering · decoding audio');
+    const audioBuffer = await decodeEntryAudio(entry);
+    const modelDefinition = nnBypass ? null : await fetchModelDefinitionForEntry(entry);
+    applyPresetForEntry(entry);
+    const result = await renderOffline({
+      audioBuffer,
+      modelDefinition,
+      analysis: resolveActiveAnalysisConfig(modelDefinition),
+      format,
+      baseCap: BASE_PARTICLE_CAP,
+      mapBaselines: buildMapBaselines(),
+      automation: activeAutomation,
+      resolveParams: (mapped) => {
+        applyMappedParams(mapped);
+        return { sim: simParams, render: renderParams };
+      },
+      onFrame: directory
+        ? async (blob, index) => {
+            const handle = await directory.getFileHandle(`${baseName}-${String(index).padStart(6, '0')}.png`, {
+              create: true,
+            });
+            const writable = await handle.createWritable();
+            await writable.write(blob);
+            await writable.close();
+          }
+        : undefined,
+      onProgress: ({ frame, frameCount }) => {
+        render.setStatus(`Rendering · ${frame}/${frameCount}`);
+      },
+      signal: controller.signal,
+    });
+    if (result.blob) {
+      downloadBlob(result.blob, `${baseName}-seed${result.seed}.webm`);
+    }
+    notify(`Rendered ${result.frameCount} frames at ${result.fps} fps (seed ${result.seed}).`, { tone: 'success' });
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      notify('Offline render cancelled.', { tone: 'info' });
+    } else {
+      console.error('[app] Offline render failed', error);
+      notify(`Offline render failed: ${error?.message ?? error}`, { tone: 'error' });
+    }
+  } finally {
+    offlineRenderState.active = false;
+    offlineRenderState.controller = null;
+    lastAppliedCap = 0;
+    applyQualityCap();
+    applyPresetForEntry(entry);
+    physics.restore(liveSnapshot);
+    updateOfflineRenderButton();
+    updateStatus(physics.getMetrics());
+  }
+}
+
+function stopAnalysisPipeline() {
+  analysisState.pipeline?.destroy();
+  analysisState.pipeline = null;
+}
+
+function setAnalysisMode(mode, { persist = true } = {}) {
+  analysisState.mode = mode === ANALYSIS_MODES.WORKER ? ANALYSIS_MODES.WORKER : ANALYSIS_MODES.SYNC;
+  if (analysisState.mode === ANALYSIS_MODES.SYNC) {
+    stopAnalysisPipeline();
+  }
+  analysisToggleButton?.setAttribute('aria-pressed', analysisState.mode === ANALYSIS_MODES.WORKER ? 'true' : 'false');
+  if (persist) {
+    writeStorage(STORAGE_KEYS.ANALYSIS_MODE, analysisState.mode);
+  }
+}
+
+function handleAnalysisPipelineError(error) {
+  console.warn('[app] Analysis worker failed; falling back to main-thread analysis.', error);
+  setAnalysisMode(ANALYSIS_MODES.SYNC, { persist: false });
+  notify('Worker analysis failed; switched back to main-thread analysis.', { tone: 'warning' });
+}
+
+function toggleAnalysisMode() {
+  const next = analysisState.mode === ANALYSIS_MODES.WORKER ? ANALYSIS_MODES.SYNC : ANALYSIS_MODES.WORKER;
+  if (next === ANALYSIS_MODES.WORKER && typeof Worker === 'undefined') {
+    notify('This browser cannot run worker analysis.', { tone: 'warning' });
+    return;
+  }
+  setAnalysisMode(next);
+  notify(
+    next === ANALYSIS_MODES.WORKER
+      ? 'Feature extraction and NN inference now run in a worker.'
+      : 'Feature extraction and NN inference now run on the main thread.',
+    { tone: 'info' },
+  );
+}
+
+function syncRenderBackendSelect() {
+  if (!renderBackendSelect) {
+    return;
+  }
+  Array.from(renderBackendSelect.options).forEach((option) => {
+    option.disabled = !isBackendSupported(option.value);
+  });
+  renderBackendSelect.value = render.getBackend();
+}
+
+function selectRenderBackend(name) {
+  const active = render.setBackend(name);
+  syncRenderBackendSelect();
+  writeStorage(STORAGE_KEYS.RENDER_BACKEND, active);
+  if (active !== name) {
+    notify(`${RENDER_BACKEND_LABELS[name] ?? name} rendering is not supported here; using Canvas 2D.`, { tone: 'warning' });
+    return;
+  }
+  notify(`Renderer switched to ${RENDER_BACKEND_LABELS[active]}.`, { tone: 'info' });
+}
+
+function handleRenderBackendError({ backend, error }) {
+  console.warn('[app] Render backend failed; switched to Canvas 2D.', error);
+  syncRenderBackendSelect();
+  notify(`${RENDER_BACKEND_LABELS[backend] ?? backend} renderer failed; switched back to Canvas 2D.`, { tone: 'warning' });
+}
+
+/**
+ * Lazily starts the analysis worker once the analyser exists, replaying the current model into it.
+ * @returns {ReturnType<typeof createAnalysisPipeline>|null}
+ */
+function ensureAnalysisPipeline(audioState) {
+  if (analysisState.pipeline) {
+    return analysisState.pipeline;
+  }
+  try {
+    const pipeline = createAnalysisPipeline({
+      binCount: audioState.frequency.length,
+      fftSize: audioState.waveform.length,
+      bands: audio.getAnalysisConfig().bands ?? null,
+      onError: handleAnalysisPipelineError,
+    });
+    pipeline.setModel(analysisState.modelDefinition, analysisState.modelOptions);
+    analysisState.pipeline = pipeline;
+    console.info(`[app] Analysis worker started (${pipeline.transport} transport).`);
+    return pipeline;
+  } catch (error) {
+    handleAnalysisPipelineError(error);
+    return null;
+  }
+}
+
+const timelineState = {
+  controller: /** @type {AbortController|null} */ (null),
+};
+
+function setTimelineStatus(text) {
+  if (timelineStatus) {
+    timelineStatus.textContent = text;
+  }
+}
+
+function updateTimelineAnalyzeButton() {
+  if (!timelineAnalyzeButton) {
+    return;
+  }
+  const busy = Boolean(timelineState.controller);
+  timelineAnalyzeButton.textContent = busy ? 'Cancel Analysis' : 'Analyze Track';
+  timelineAnalyzeButton.setAttribute('aria-busy', busy ? 'true' : 'false');
+}
+
+function toggleQueuePanel(force) {
+  const next = typeof force === 'boolean' ? force : !isQueuePanelVisible();
+  const visible = setQueuePanelVisible(next);
+  queueToggleButton?.setAttribute('aria-pressed', visible ? 'true' : 'false');
+}
+
+function toggleTimeline(force) {
+  const next = typeof force === 'boolean' ? force : !timeline.isTimelineVisible();
+  const visible = timeline.setTimelineVisible(next);
+  timelineToggleButton?.setAttribute('aria-pressed', visible ? 'true' : 'false');
+  if (visible) {
+    timeline.setTimelinePlayhead(audioElement.currentTime);
+  }
+}
+
+function resetTimelineForTrack() {
+  timelineState.controller?.abort();
+  timelineState.controller = null;
+  timeline.setTimelineData(null);
+  timeline.setTimelinePlayhead(0);
+  setTimelineStatus('Recording live');
+  updateTimelineAnalyzeButton();
+}
+
+function seekToTime(seconds) {
+  if (!Number.isFinite(audioElement.duration) || audioElement.duration <= 0) {
+    return;
+  }
+  audioElement.currentTime = clamp(seconds, 0, audioElement.duration);
+  render.updateTrackTime(audioElement.currentTime, audioElement.duration);
+  updateSeekUi(audioElement.currentTime, audioElement.duration);
+}
+
+async function analyzeTimeline() {
+  if (timelineState.controller) {
+    timelineState.controller.abort();
+    return;
+  }
+  const entry = getCurrentEntry();
+  if (!entry) {
+    return;
+  }
+  const controller = new AbortController();
+  timelineState.controller = controller;
+  updateTimelineAnalyzeButton();
+
+  try {
+    setTimelineStatus('Decoding audio');
+    const audioBuffer = await decodeEntryAudio(entry);
+    const modelDefinition = nnBypass ? null : await fetchModelDefinitionForEntry(entry);
+    if (controller.signal.aborted) {
+      return;
+    }
+    const data = await timeline.precomputeTimeline({
+      audioBuffer,
+      modelDefinition,
+      analysis: resolveActiveAnalysisConfig(modelDefinition, resolveEntryPreset(entry)),
+      automation: activeAutomation,
+      onProgress: (fraction) => {
+        setTimelineStatus(`Analyzing · ${Math.round(fraction * 100)}%`);
+      },
+      signal: controller.signal,
+    });
+    timeline.setTimelineData(data);
+    setTimelineStatus(`Pre-computed · ${data.binCount} bins`);
+  } catch (error) {
+    if (error?.name !== 'AbortError') {
+      console.error('[app] Timeline analysis failed', error);
+      notify(`Timeline analysis failed: ${error?.message ?? error}`, { tone: 'error' });
+    }
+    if (timelineState.controller === controller) {
+      setTimelineStatus('Recording live');
+    }
+  } finally {
+    if (timelineState.controller === controller) {
+      timelineState.controller = null;
+    }
+    updateTimelineAnalyzeButton();
+  }
+}
+
+setAnalysisMode(analysisState.mode, { persist: false });
+analysisToggleButton?.addEventListener('click', () => {
+  toggleAnalysisMode();
+});
+
+syncRenderBackendSelect();
+renderBackendSelect?.addEventListener('change', () => {
+  selectRenderBackend(renderBackendSelect.value);
+});
+
+updateLiveControls();
+liveOptInButton?.addEventListener('click', () => {
+  setLiveInputEnabled(!liveState.enabled);
+});
+liveStartButton?.addEventListener('click', () => {
+  if (liveState.active) {
+    stopLiveInput();
+  } else {
+    void startLiveInput();
+  }
+});
+livePresetSelect?.addEventListener('change', () => {
+  liveState.presetId = livePresetSelect.value;
+  storeLiveSet();
+  if (liveState.active) {
+    applyLiveSet();
+  }
+});
+liveModelSelect?.addEventListener('change', () => {
+  liveState.modelEntryId = liveModelSelect.value;
+  storeLiveSet();
+  if (liveState.active) {
+    applyLiveSet();
+  }
+});
+
+if (crossfadeSelect) {
+  crossfadeSelect.value = String(crossfadeState.seconds);
+  crossfadeSelect.addEventListener('change', () => {
+    crossfadeState.seconds = sanitizeCrossfadeSeconds(crossfadeSelect.value);
+    writeStorage(STORAGE_KEYS.CROSSFADE, String(crossfadeState.seconds));
+  });
+}
+
+if (queuePanel && queueList) {
+  initQueuePanel({
+    root: queuePanel,
+    list: queueList,
+    shuffleToggle: queueShuffleButton,
+    repeatSelect: queueRepeatSelect,
+    queue: playbackQueue,
+    getEntry: getEntryById,
+    getCurrentId: () => getCurrentEntry()?.id ?? '',
+    onSelect: (id) => {
+      const entry = getEntryById(id);
+      if (entry && entry.listIndex !== currentTrackIndex) {
+        playlistSelect.value = String(entry.listIndex);
+        playlistSelect.dispatchEvent(new Event('change'));
+      }
+    },
+    onChange: storeQueue,
+  });
+  queueToggleButton?.addEventListener('click', () => {
+    toggleQueuePanel();
+  });
+}
+
+if (timelinePanel && timelineCanvas) {
+  timeline.initTimeline({
+    root: timelinePanel,
+    canvas: timelineCanvas,
+    groupSelect: timelineGroupSelect,
+    onSeek: seekToTime,
+  });
+  timelineToggleButton?.addEventListener('click', () => {
+    toggleTimeline();
+  });
+  timelineAnalyzeButton?.addEventListener('click', () => {
+    analyzeTimeline();
+  });
+}
+
+// Default to the linked or stored track (or first) and ensure the audio element points to bundled media only.
 setTrack(initialTrackIndex, { autoplay: false });
+applyUrlStateToTrack(urlState);
 
 const restoredVolume = audio.init(audioElement);
 const initialVolume = Number.isFinite(restoredVolume) ? restoredVolume : Number(volumeSlider.value);
@@ -1609,6 +2681,12 @@ fullscreenButton.addEventListener('click', () => {
   render.setToggle('fullscreen', !toggles.fullscreen);
 });
 
+if (offlineRenderButton) {
+  offlineRenderButton.addEventListener('click', (event) => {
+    startOfflineRender({ format: event.shiftKey ? OFFLINE_FORMATS.PNG : OFFLINE_FORMATS.WEBM });
+  });
+}
+
 playButton.addEventListener('click', () => {
   togglePlayback();
 });
@@ -1635,6 +2713,10 @@ playlistSelect.addEventListener('change', (event) => {
   }
   const entry = getEntryByIndex(selected);
   updatePlaylistControls(entry);
+  if (canCrossfadeTo(selected)) {
+    void crossfadeToTrack(selected);
+    return;
+  }
   if (selected !== currentTrackIndex && currentTrackIndex >= 0) {
     startParticleIntermission(TRACK_INTERMISSION_MS);
   }
@@ -1782,6 +2864,133 @@ byomAttachInput.addEventListener('change', async () => {
   }
 });
 
+if (playlistAutomationButton && automationInput) {
+  playlistAutomationButton.addEventListener('click', () => {
+    if (!isByomEntry(getCurrentEntry())) {
+      return;
+    }
+    automationInput.value = '';
+    automationInput.click();
+  });
+
+  automationInput.addEventListener('change', async () => {
+    const file = automationInput.files?.[0] ?? null;
+    automationInput.value = '';
+    const entry = getCurrentEntry();
+    if (!file || !isByomEntry(entry)) {
+      return;
+    }
+    let automation = null;
+    try {
+      const raw = JSON.parse(await file.text());
+      automation = sanitizeAutomation(raw);
+      if (!automation && !(Array.isArray(raw?.lanes) && raw.lanes.length === 0)) {
+        notify('No usable automation lanes found in that file.', { tone: 'error' });
+        return;
+      }
+    } catch (error) {
+      console.warn('[byom] Failed to read automation JSON', error);
+      notify(`Automation import failed: ${error?.message ?? error}`, { tone: 'error' });
+      return;
+    }
+    entry.automation = automation;
+    if (getCurrentEntry()?.id === entry.id) {
+      activeAutomation = automation;
+    }
+    try {
+      await byomStorage.updateEntry(entry.id, { automation: serializeAutomation(automation) });
+    } catch (error) {
+      console.warn('[byom] Failed to persist automation lanes', error);
+    }
+    notify(
+      automation
+        ? `Saved ${automation.lanes.length} automation lane(s) for "${entry.title}".`
+        : `Cleared automation for "${entry.title}".`,
+      { tone: 'success' },
+    );
+  });
+}
+
+async function readEntryAudioFile(entry) {
+  const response = await fetch(entry.objectUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to read attached audio (${response.status} ${response.statusText}).`);
+  }
+  const blob = await response.blob();
+  return new File([blob], entry.file?.name ?? `${makeExportBaseName(entry)}.mp3`, {
+    type: blob.type || 'audio/mpeg',
+    lastModified: entry.file?.lastModified ?? 0,
+  });
+}
+
+async function exportByomBundle(entry) {
+  const includeAudio = Boolean(entry.objectUrl)
+    && typeof window.confirm === 'function'
+    && window.confirm('Include the audio file in the bundle? Only share audio you have the rights to.');
+  try {
+    const audioFile = includeAudio ? await readEntryAudioFile(entry) : null;
+    const bundle = await byomStorage.exportBundle(entry.id, { audio: audioFile });
+    const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+    downloadBlob(blob, `${makeExportBaseName(entry)}.byom.json`);
+    notify(`Exported "${entry.title}"${audioFile ? ' with audio' : ''}.`, { tone: 'success' });
+  } catch (error) {
+    console.error('[byom] Failed to export bundle', error);
+    notify(`Bundle export failed: ${error?.message ?? error}`, { tone: 'error' });
+  }
+}
+
+async function importByomBundle(file) {
+  let imported;
+  try {
+    imported = await byomStorage.importBundle(await file.text());
+  } catch (error) {
+    console.error('[byom] Failed to import bundle', error);
+    notify(`Bundle import failed: ${error?.message ?? error}`, { tone: 'error' });
+    return;
+  }
+  const runtimeEntry = buildRuntimeByomEntry(imported.entry);
+  if (imported.audio) {
+    try {
+      setEntryObjectUrl(runtimeEntry, URL.createObjectURL(imported.audio), null);
+    } catch (error) {
+      console.warn('[byom] Failed to create Object URL for bundled audio', error);
+    }
+  }
+  byomEntries.push(runtimeEntry);
+  rebuildPlaylistOrder();
+  renderPlaylistOptions(currentTrackIndex);
+  updatePlaylistControls(getCurrentEntry());
+  notify(
+    runtimeEntry.objectUrl
+      ? `Imported "${runtimeEntry.title}" with its audio.`
+      : `Imported "${runtimeEntry.title}". Attach the audio file to play it.`,
+    { tone: 'success' },
+  );
+}
+
+if (playlistExportButton) {
+  playlistExportButton.addEventListener('click', () => {
+    const entry = getCurrentEntry();
+    if (isByomEntry(entry)) {
+      exportByomBundle(entry);
+    }
+  });
+}
+
+if (byomImportButton && byomBundleInput) {
+  byomImportButton.addEventListener('click', () => {
+    byomBundleInput.value = '';
+    byomBundleInput.click();
+  });
+  byomBundleInput.addEventListener('change', () => {
+    const file = byomBundleInput.files?.[0] ?? null;
+    byomBundleInput.value = '';
+    if (file) {
+      importByomBundle(file);
+    }
+  });
+}
+
 render.on('playToggle', togglePlayback);
 render.on('nextTrack', () => nextTrack(1, { autoplayDelayMs: TRACK_INTERMISSION_MS }));
 render.on('prevTrack', () => prevTrack({ autoplayDelayMs: TRACK_INTERMISSION_MS }));
@@ -1801,6 +3010,10 @@ render.on('selectTrack', ({ index }) => {
   const nextIndex = (index + playlistEntries.length) % playlistEntries.length;
   const entry = getEntryByIndex(nextIndex);
   updatePlaylistControls(entry);
+  if (canCrossfadeTo(nextIndex)) {
+    void crossfadeToTrack(nextIndex);
+    return;
+  }
   if (nextIndex !== currentTrackIndex && currentTrackIndex >= 0) {
     startParticleIntermission(TRACK_INTERMISSION_MS);
   }
@@ -1812,6 +3025,7 @@ render.on('adjustParticles', ({ delta }) => {
   }
   manualAdjustments.spawnOffset = clamp(manualAdjustments.spawnOffset + delta, -0.4, 0.6);
   constrainManualAdjustmentsForSafeMode(safeModeEnabled);
+  syncUrlState();
 });
 render.on('adjustIntensity', ({ delta }) => {
   if (!Number.isFinite(delta)) {
@@ -1820,11 +3034,20 @@ render.on('adjustIntensity', ({ delta }) => {
   manualAdjustments.glowOffset = clamp(manualAdjustments.glowOffset + delta, -0.5, 0.5);
   manualAdjustments.sparkleOffset = clamp(manualAdjustments.sparkleOffset + delta * 0.6, -0.6, 0.6);
   constrainManualAdjustmentsForSafeMode(safeModeEnabled);
+  syncUrlState();
+});
+render.on('toggleTimeline', () => {
+  toggleTimeline();
+});
+render.on('toggleQueue', () => {
+  toggleQueuePanel();
 });
 render.on('cyclePalette', ({ direction }) => {
   const dir = direction >= 0 ? 1 : -1;
-  manualAdjustments.hueOffset = wrapHue(manualAdjustments.hueOffset + dir * 20);
+  manualAdjustments.hueOffset = wrapHue(manualAdjustments.hueOffset + dir * PALETTE_STEP_DEGREES);
+  syncUrlState();
 });
+render.on('backendError', handleRenderBackendError);
 render.on('toggle', ({ name, value }) => {
   if (name === 'fullscreen') {
     updateFullscreenButtonUi(Boolean(value));
@@ -1856,20 +3079,99 @@ audioElement.addEventListener('ended', () => {
   updateStatus(physics.getMetrics());
   updatePlayButtonUi();
   clearAutoAdvanceTimer();
+  if (!playbackQueue.peekNext(getCurrentEntry()?.id ?? '', { auto: true })) {
+    return;
+  }
   startParticleIntermission(TRACK_INTERMISSION_MS);
   autoAdvanceTimer = window.setTimeout(() => {
     autoAdvanceTimer = 0;
-    nextTrack(1, { autoplay: true, skipIntermission: true });
+    nextTrack(1, { autoplay: true, auto: true, skipIntermission: true });
   }, TRACK_INTERMISSION_MS);
 });
 
+/**
+ * Mirrors the current track, position, preset override, palette step, toggles, and manual adjustments into
+ * the URL hash so the address bar is always a shareable deep link.
+ */
+function syncUrlState() {
+  if (typeof window.history?.replaceState !== 'function') {
+    return;
+  }
+  const entry = getCurrentEntry();
+  const hash = formatUrlState({
+    track: entry ? slugify(entry.title) || entry.id : '',
+    time: audioElement.currentTime,
+    preset: entry && presetOverride?.entryId === entry.id ? presetOverride.presetId : null,
+    palette: Math.round(manualAdjustments.hueOffset / PALETTE_STEP_DEGREES),
+    safeMode: safeModeEnabled,
+    nnBypass,
+    adjustments: manualAdjustments,
+  });
+  if (hash === lastUrlHash) {
+    return;
+  }
+  lastUrlHash = hash;
+  window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+}
+
+/**
+ * Applies a deep link's palette step, manual adjustments, and start time after its track has been set
+ * (setting a track resets manual adjustments).
+ */
+function applyUrlStateToTrack(state) {
+  if (!state) {
+    return;
+  }
+  if (state.adjustments) {
+    Object.assign(manualAdjustments, state.adjustments);
+  }
+  if (Number.isInteger(state.palette)) {
+    manualAdjustments.hueOffset = wrapHue(state.palette * PALETTE_STEP_DEGREES);
+  }
+  constrainManualAdjustmentsForSafeMode(safeModeEnabled);
+  if (Number.isFinite(state.time) && state.time > 0) {
+    const entryId = getCurrentEntry()?.id;
+    const seek = () => {
+      if (getCurrentEntry()?.id === entryId) {
+        seekToTime(state.time);
+      }
+    };
+    if (Number.isFinite(audioElement.duration)) {
+      seek();
+    } else {
+      audioElement.addEventListener('loadedmetadata', seek, { once: true });
+    }
+  }
+  syncUrlState();
+}
+
 const updateTrackTime = () => {
   const { currentTime, duration } = audioElement;
   render.updateTrackTime(currentTime, duration);
   updateSeekUi(currentTime, duration);
+  syncUrlState();
+  // With crossfades on, start the next track early so the fade ends as this one does.
+  if (
+    crossfadeState.seconds > 0
+    && !crossfadeState.advanceQueued
+    && Number.isFinite(duration)
+    && duration > crossfadeState.seconds * 2
+    && duration - currentTime <= crossfadeState.seconds
+  ) {
+    const nextEntry = getEntryById(playbackQueue.peekNext(getCurrentEntry()?.id ?? '', { auto: true }));
+    if (nextEntry && canCrossfadeTo(nextEntry.listIndex)) {
+      nextTrack(1, { autoplay: true, auto: true });
+    }
+  }
 };
 
 audioElement.addEventListener('timeupdate', updateTrackTime);
+window.addEventListener('hashchange', () => {
+  // replaceState never fires this, so it means a new link was pasted into this tab; boot from it.
+  if (window.location.hash !== lastUrlHash) {
+    window.location.reload();
+  }
+});
 audioElement.addEventListener('loadedmetadata', updateTrackTime);
 
 const blockFileInput = (event) => {
@@ -1894,11 +3196,77 @@ document.addEventListener('visibilitychange', () => {
   queueVisibilityUpdate(document.visibilityState === 'hidden');
 });
 
+const flashGuardState = {
+  guard: createFlashGuard({ reducedMotion }),
+  lastSequence: -1,
+  hueShift: Number.NaN,
+  // Mapped params as emitter bindings see them, with the guard's damping applied.
+  fieldInputs: /** @type {Record<string, number>} */ ({}),
+};
+
+reducedMotionQuery?.addEventListener?.('change', (event) => {
+  flashGuardState.guard.setReducedMotion(event.matches);
+});
+
+/**
+ * Feeds the latest canvas sample to the flash guard and damps the params that drive flashes. Glow, beat pulse,
+ * and repel impulse scale with the damping; hue shift is slew-limited so palette jumps become sweeps. The same
+ * damping is applied to the emitter field inputs (`flashGuardState.fieldInputs`).
+ */
+function applyFlashGuard(now, dtSeconds, mappedParams) {
+  const sample = render.getFrameSample();
+  const fresh = sample && sample.sequence !== flashGuardState.lastSequence ? sample : null;
+  if (fresh) {
+    flashGuardState.lastSequence = fresh.sequence;
+  }
+  const damping = flashGuardState.guard.update(fresh, now, dtSeconds);
+
+  renderParams.glow *= damping;
+  renderParams.beatPulse *= damping;
+  simParams.repelImpulse *= damping;
+
+  const targetHue = renderParams.hueShift;
+  const previousHue = flashGuardState.hueShift;
+  const timeConstant = (1 - damping) * 0.8;
+  if (Number.isFinite(previousHue) && timeConstant > 1e-3) {
+    const delta = wrapHue(renderParams.hueShift - previousHue);
+    renderParams.hueShift = wrapHue(previousHue + delta * (1 - Math.exp(-dtSeconds / timeConstant)));
+  }
+  flashGuardState.hueShift = renderParams.hueShift;
+  dampFieldInputs(mappedParams, damping, wrapHue(renderParams.hueShift - targetHue));
+  return damping;
+}
+
+/**
+ * Copies `mappedParams` into the field inputs handed to physics, damping the same params the guard damps so
+ * emitters bound to them cannot drive a flash either.
+ * @param {Record<string, number>} mappedParams
+ * @param {number} damping
+ * @param {number} hueCorrection Degrees the hue slew limit held `hueShift` back this frame.
+ */
+function dampFieldInputs(mappedParams, damping, hueCorrection) {
+  const inputs = Object.assign(flashGuardState.fieldInputs, mappedParams);
+  for (const name of ['glow', 'beatPulse', 'repelImpulse']) {
+    if (Number.isFinite(inputs[name])) {
+      inputs[name] *= damping;
+    }
+  }
+  if (Number.isFinite(inputs.hueShift)) {
+    inputs.hueShift += hueCorrection;
+  }
+  return inputs;
+}
+
 let lastFrameTime = performance.now();
 
 function frame(now) {
   const dtMsRaw = now - lastFrameTime;
   lastFrameTime = now;
+  if (offlineRenderState.active) {
+    // The offline renderer owns physics and the canvas until it finishes.
+    requestAnimationFrame(frame);
+    return;
+  }
   const dtSeconds = clamp(dtMsRaw / 1000, 1 / 240, 1 / 20);
   const frameTimeMs = dtSeconds * 1000;
 
@@ -1911,15 +3279,34 @@ function frame(now) {
 
   updatePerformanceScaling(averageFps);
 
-  const audioState = audio.frame();
-  const features = audioState?.features ?? audio.getFeatureVector();
-  const activity = Number.isFinite(audioState?.activity)
-    ? Math.min(Math.max(audioState.activity, 0), 1)
-    : audio.getActivityLevel(audioState?.rms ?? 0);
+  const useWorkerAnalysis = analysisState.mode === ANALYSIS_MODES.WORKER && audio.getAnalyser() !== null;
+  const audioState = audio.frame({ extract: !useWorkerAnalysis });
+  const pipeline = useWorkerAnalysis ? ensureAnalysisPipeline(audioState) : null;
+  let analysisFrame = null;
+  if (pipeline) {
+    if (audioState.analyzed) {
+      pipeline.submit(audioState);
+    }
+    analysisFrame = pipeline.read();
+  }
+  const features = analysisFrame?.features ?? audioState?.features ?? audio.getFeatureVector();
+  const activity = analysisFrame
+    ? audio.getActivityLevel(analysisFrame.rms)
+    : Number.isFinite(audioState?.activity)
+      ? Math.min(Math.max(audioState.activity, 0), 1)
+      : audio.getActivityLevel(audioState?.rms ?? 0);
 
-  const currentEntry = getCurrentEntry();
+  // A live set may run a different entry's model than the selected track.
+  const modelEntry = liveState.active ? getLiveModelEntry() : getCurrentEntry();
   let nnOutputs = lastModelOutputs;
-  if (!nnBypass && currentEntry && activeModelEntryId === currentEntry.id) {
+  if (!nnBypass && modelEntry && activeModelEntryId === modelEntry.id && pipeline) {
+    // Worker outputs trail the analyser by a frame; hold the last valid ones until the new model answers.
+    if (analysisFrame?.outputsValid) {
+      analysisState.outputs.set(analysisFrame.outputs);
+      nnOutputs = analysisState.outputs;
+      lastModelOutputs = nnOutputs;
+    }
+  } else if (!nnBypass && modelEntry && activeModelEntryId === modelEntry.id) {
     try {
       const normalized = nn.normalize(features);
       nnOutputs = nn.forward(normalized);
@@ -1935,19 +3322,28 @@ function frame(now) {
   }
 
   const playbackSilent =
-    !audioElement
-    || audioElement.paused
-    || audioElement.ended
-    || audioElement.readyState < 2;
+    !liveState.active
+    && (!audioElement
+      || audioElement.paused
+      || audioElement.ended
+      || audioElement.readyState < 2);
+
+  nnOutputs = resolveCrossfadeOutputs(features, nnOutputs);
 
-  const mappedParams = map.update(nnOutputs, {
+  const mapInputs = activeAutomation
+    ? applyAutomation(activeAutomation, audioElement.currentTime, nnOutputs, automatedOutputs)
+    : nnOutputs;
+
+  const mappedParams = map.update(mapInputs, {
     dt: dtSeconds,
     timestamp: lookAheadTimestamp,
     activity,
     features,
+    beat: analysisFrame?.beat ?? audioState?.beat ?? audio.getBeatState(),
     forceSilence: playbackSilent,
   });
   applyMappedParams(mappedParams);
+  const flashDamping = applyFlashGuard(now, dtSeconds, mappedParams);
 
   const intermissionActive = particleIntermissionUntil > now;
   if (intermissionActive) {
@@ -1956,7 +3352,12 @@ function frame(now) {
     particleIntermissionUntil = 0;
   }
 
-  physics.step(simParams, { dt: dtSeconds, frameTime: frameTimeMs, frameTimeAvg: averageFrameTime });
+  physics.step(simParams, {
+    dt: dtSeconds,
+    frameTime: frameTimeMs,
+    frameTimeAvg: averageFrameTime,
+    fieldInputs: flashGuardState.fieldInputs,
+  });
   const particles = physics.getParticles();
   const metrics = physics.getMetrics();
 
@@ -1982,6 +3383,8 @@ function frame(now) {
       cohesion: simParams.cohesion,
       repelImpulse: simParams.repelImpulse,
       vortexAmount: simParams.vortexAmount,
+      wellPan: simParams.wellPan,
+      emitDirection: simParams.emitDirection,
       trailFade: renderParams.trailFade,
       glow: renderParams.glow,
       sizeJitter: renderParams.sizeJitter,
@@ -2002,6 +3405,8 @@ function frame(now) {
       manualHueOffset: manualAdjustments.hueOffset,
       safeMode: safeModeEnabled ? 1 : 0,
       nnBypass: nnBypass ? 1 : 0,
+      flashRisk: flashGuardState.guard.getRisk(),
+      flashDamping,
     },
   });
 
@@ -2009,6 +3414,15 @@ function frame(now) {
     const { currentTime, duration } = audioElement;
     render.updateTrackTime(currentTime, duration);
     updateSeekUi(currentTime, duration);
+    timeline.recordLiveFrame(currentTime, duration, {
+      features,
+      featureNames: audio.getAvailableFeatures(),
+      outputs: mapInputs,
+      params: mappedParams,
+    });
+  }
+  if (timeline.isTimelineVisible()) {
+    timeline.setTimelinePlayhead(audioElement.currentTime);
   }
 
   requestAnimationFrame(frame);
@@ -1,5 +1,9 @@
 // Audio feature extraction utilities shared between realtime playback and offline BYOM analysis.
 
+import { createTempoTracker, normalizeBpm } from './tempo.js';
+import { createExtendedFeatures, MFCC_COUNT } from './extended-features.js';
+import { measureStereoField, resolveStereoPair } from './stereo-features.js';
+
 const DEFAULT_BAND_DEFS = Object.freeze([
   { name: 'sub', min: 0, max: 60 },
   { name: 'bass', min: 60, max: 250 },
@@ -41,9 +45,40 @@ export const FEATURE_INDEX = Object.freeze({
   FLUX: 21,
   FLUX_EMA: 22,
   TRACK_POSITION: 23,
+  BPM: 24,
+  BEAT_PHASE: 25,
+  BEAT_CONFIDENCE: 26,
+  MFCC_0: 27,
+  CHROMA_0: 40,
+  CONTRAST_0: 52,
+  ZCR: 57,
+  HP_RATIO: 58,
+  BALANCE: 59,
+  WIDTH: 60,
+  MID_ENERGY: 61,
+  SIDE_ENERGY: 62,
 });
 
-export const FEATURE_COUNT = 24;
+export const FEATURE_COUNT = 63;
+
+const CHROMA_NAMES = Object.freeze(['C', 'Cs', 'D', 'Ds', 'E', 'F', 'Fs', 'G', 'Gs', 'A', 'As', 'B']);
+
+/**
+ * The optional timbre/harmony block (see extended-features.js). Extractors only fill these slots when created
+ * with `extended: true`; otherwise they read 0.
+ */
+export const EXTENDED_FEATURE_LABELS = Object.freeze([
+  ...Array.from({ length: MFCC_COUNT }, (_, i) => `mfcc${i}`),
+  ...CHROMA_NAMES.map((name) => `chroma${name}`),
+  ...DEFAULT_BAND_DEFS.map(({ name }) => `contrast${name[0].toUpperCase()}${name.slice(1)}`),
+  'zcr',
+  'hpRatio',
+]);
+
+/**
+ * The stereo field block (see stereo-features.js). Always computed; mono sources read as centred with no width.
+ */
+export const STEREO_FEATURE_LABELS = Object.freeze(['balance', 'width', 'midEnergy', 'sideEnergy']);
 
 export const FEATURE_LABELS = Object.freeze([
   'sub',
@@ -70,6 +105,11 @@ export const FEATURE_LABELS = Object.freeze([
   'flux',
   'fluxEma',
   'trackPosition',
+  'bpm',
+  'beatPhase',
+  'beatConfidence',
+  ...EXTENDED_FEATURE_LABELS,
+  ...STEREO_FEATURE_LABELS,
 ]);
 
 export const FEATURE_TYPES = /** @type {const} */ ({
@@ -97,8 +137,266 @@ export const FEATURE_TYPES = /** @type {const} */ ({
   flux: 'positive',
   fluxEma: 'positive',
   trackPosition: 'positive',
+  bpm: 'positive',
+  beatPhase: 'positive',
+  beatConfidence: 'positive',
+  ...Object.fromEntries(
+    EXTENDED_FEATURE_LABELS.map((name) => [name, name.startsWith('mfcc') && name !== 'mfcc0' ? 'signed' : 'positive']),
+  ),
+  balance: 'signed',
+  width: 'positive',
+  midEnergy: 'positive',
+  sideEnergy: 'positive',
 });
 
+/**
+ * Feature names offered to models while analysing a live input (microphone or line-in). A live source has no
+ * track position, so that slot is left unnamed and models hold it at their normalization mean.
+ */
+export const LIVE_FEATURE_LABELS = Object.freeze(
+  FEATURE_LABELS.map((name) => (name === 'trackPosition' ? '' : name)),
+);
+
+// Bump when feature semantics change or features are added; models record the version they were trained on.
+export const FEATURE_SCHEMA_VERSION = 4;
+
+// Named feature vocabularies per schema version. v1 is the original 24-feature layout the shipped models
+// were trained on; v2 appends the tempo features; v3 appends the extended timbre/harmony block; v4 appends the
+// stereo field block.
+export const FEATURE_SCHEMAS = Object.freeze({
+  1: Object.freeze(FEATURE_LABELS.slice(0, FEATURE_INDEX.TRACK_POSITION + 1)),
+  2: Object.freeze(FEATURE_LABELS.slice(0, FEATURE_INDEX.BEAT_CONFIDENCE + 1)),
+  3: Object.freeze(FEATURE_LABELS.slice(0, FEATURE_INDEX.HP_RATIO + 1)),
+  4: FEATURE_LABELS,
+});
+
+const EXTENDED_FEATURE_SET = new Set(EXTENDED_FEATURE_LABELS);
+
+function isExtendedFeature(name) {
+  return EXTENDED_FEATURE_SET.has(name) || name.startsWith('contrastBand');
+}
+
+/**
+ * Whether any of a model's features come from the extended block, i.e. its extractor must run with
+ * `extended: true`.
+ * @param {readonly string[]} featureNames
+ * @returns {boolean}
+ */
+export function usesExtendedFeatures(featureNames) {
+  return Array.isArray(featureNames) && featureNames.some((name) => isExtendedFeature(String(name)));
+}
+
+/**
+ * 'signed' or 'positive' for any feature name, including the band features of a declared band layout.
+ * @param {string} name
+ * @returns {'signed'|'positive'}
+ */
+export function getFeatureType(name) {
+  const type = FEATURE_TYPES[name];
+  if (type) {
+    return type;
+  }
+  // Declared bands share the default bands' ranges: levels, deltas, and EMAs are -1..1, contrast is 0..1.
+  return /^(band|deltaBand|emaBand)\d/.test(name) ? 'signed' : 'positive';
+}
+
+/**
+ * Band layouts.
+ * The extractor splits the spectrum into bands and derives a level, delta, EMA, and contrast feature from each.
+ * The default layout is sub/bass/lowMid/mid/high; a preset or model may instead declare `bands` in its
+ * `analysis` block as ascending edges in Hz, n + 1 edges for n bands:
+ *
+ *   "analysis": { "bands": [0, 40, 90, 200, 600, 2500, 8000, 20000] }
+ *
+ * Declared bands are named after their edges (`band40_90`, `deltaBand40_90`, `emaBand40_90`,
+ * `contrastBand40_90`), so a model trained on one layout never reads another layout's bands by mistake.
+ * Bins above the last edge are left out of every band.
+ */
+export const BAND_LIMITS = Object.freeze({ min: 3, max: 12 });
+
+/**
+ * Keeps a valid band-edge list: whole, non-negative Hz values in strictly ascending order giving
+ * `BAND_LIMITS.min`..`BAND_LIMITS.max` bands.
+ * @param {unknown} input
+ * @returns {number[]|null}
+ */
+export function sanitizeBandEdges(input) {
+  if (!Array.isArray(input) || input.length < BAND_LIMITS.min + 1 || input.length > BAND_LIMITS.max + 1) {
+    return null;
+  }
+  const edges = input.map((value) => Math.round(Number(value)));
+  for (let i = 0; i < edges.length; i += 1) {
+    if (!Number.isFinite(edges[i]) || edges[i] < 0 || (i > 0 && edges[i] <= edges[i - 1])) {
+      return null;
+    }
+  }
+  return edges;
+}
+
+function capitalize(name) {
+  return `${name[0].toUpperCase()}${name.slice(1)}`;
+}
+
+// Declared bands borrow the default gain of the band holding their (geometric) centre.
+function gainForRange(min, max) {
+  const center = Math.sqrt(Math.max(min, 20) * Math.max(max, 20));
+  const index = DEFAULT_BAND_DEFS.findIndex((def) => center >= def.min && center < def.max);
+  return DEFAULT_BAND_GAINS[index >= 0 ? index : DEFAULT_BAND_GAINS.length - 1];
+}
+
+function buildLayout(edges) {
+  const bandDefs = edges
+    ? edges.slice(1).map((max, i) => ({ name: `band${edges[i]}_${max}`, min: edges[i], max }))
+    : DEFAULT_BAND_DEFS;
+  const bandGains = edges ? bandDefs.map(({ min, max }) => gainForRange(min, max)) : DEFAULT_BAND_GAINS;
+  const bandNames = bandDefs.map(({ name }) => name);
+  const n = bandNames.length;
+  const labels = [
+    ...bandNames,
+    'rms',
+    'centroid',
+    'rollOff',
+    'flatness',
+    ...bandNames.map((name) => `delta${capitalize(name)}`),
+    'deltaRms',
+    ...bandNames.map((name) => `ema${capitalize(name)}`),
+    'emaRms',
+    'flux',
+    'fluxEma',
+    'trackPosition',
+    'bpm',
+    'beatPhase',
+    'beatConfidence',
+    ...EXTENDED_FEATURE_LABELS.slice(0, FEATURE_INDEX.CONTRAST_0 - FEATURE_INDEX.MFCC_0),
+    ...bandNames.map((name) => `contrast${capitalize(name)}`),
+    'zcr',
+    'hpRatio',
+    ...STEREO_FEATURE_LABELS,
+  ];
+  const index = {
+    BAND_0: 0,
+    RMS: n,
+    CENTROID: n + 1,
+    ROLL_OFF: n + 2,
+    FLATNESS: n + 3,
+    DELTA_BAND_0: n + 4,
+    DELTA_RMS: 2 * n + 4,
+    EMA_BAND_0: 2 * n + 5,
+    EMA_RMS: 3 * n + 5,
+    FLUX: 3 * n + 6,
+    FLUX_EMA: 3 * n + 7,
+    TRACK_POSITION: 3 * n + 8,
+    BPM: 3 * n + 9,
+    BEAT_PHASE: 3 * n + 10,
+    BEAT_CONFIDENCE: 3 * n + 11,
+    MFCC_0: 3 * n + 12,
+    CHROMA_0: 3 * n + 12 + MFCC_COUNT,
+    CONTRAST_0: 3 * n + 12 + MFCC_COUNT + CHROMA_NAMES.length,
+  };
+  index.ZCR = index.CONTRAST_0 + n;
+  index.HP_RATIO = index.ZCR + 1;
+  index.BALANCE = index.HP_RATIO + 1;
+  index.WIDTH = index.BALANCE + 1;
+  index.MID_ENERGY = index.BALANCE + 2;
+  index.SIDE_ENERGY = index.BALANCE + 3;
+  return Object.freeze({
+    bands: edges ? Object.freeze(edges.slice()) : null,
+    bandDefs,
+    bandGains,
+    labels: edges ? Object.freeze(labels) : FEATURE_LABELS,
+    liveLabels: edges ? Object.freeze(labels.map((name) => (name === 'trackPosition' ? '' : name))) : LIVE_FEATURE_LABELS,
+    index: Object.freeze(index),
+    count: labels.length,
+  });
+}
+
+const layoutCache = new Map();
+
+/**
+ * Feature layout for a band-edge list (or the default layout for null/invalid input): the band definitions
+ * and gains, feature `labels` (and `liveLabels`, without track position), `index` of each feature group, and
+ * the vector length `count`. Layouts are cached and frozen.
+ * @param {readonly number[]|null} [edges]
+ */
+export function createFeatureLayout(edges = null) {
+  const sanitized = sanitizeBandEdges(edges);
+  const key = sanitized ? sanitized.join(',') : 'default';
+  if (!layoutCache.has(key)) {
+    layoutCache.set(key, buildLayout(sanitized));
+  }
+  return layoutCache.get(key);
+}
+
+export const DEFAULT_FEATURE_LAYOUT = createFeatureLayout();
+
+/**
+ * Resolves the ordered feature names a model definition consumes. Definitions with an explicit
+ * `features` list are taken at their word; older definitions fall back to their `featureSchemaVersion`
+ * (v1 when absent), and unnamed inputs beyond that schema use the current append-only layout.
+ * @param {{input?: number, features?: string[], featureSchemaVersion?: number}} definition
+ * @param {number} [inputSize]
+ * @returns {{version: number, features: string[]}}
+ */
+export function resolveModelFeatures(definition, inputSize = Number(definition?.input)) {
+  if (!Number.isInteger(inputSize) || inputSize <= 0) {
+    throw new Error('Model must provide a positive "input" size.');
+  }
+  const declaredVersion = Number(definition?.featureSchemaVersion);
+  const version = Number.isInteger(declaredVersion) && declaredVersion > 0 ? declaredVersion : 1;
+
+  if (Array.isArray(definition?.features)) {
+    const names = definition.features.map((name) => String(name));
+    if (names.length !== inputSize) {
+      throw new Error(`Model lists ${names.length} features but declares ${inputSize} inputs.`);
+    }
+    const seen = new Set();
+    for (const name of names) {
+      if (name.length === 0 || seen.has(name)) {
+        throw new Error(`Model feature list has an empty or duplicate entry "${name}".`);
+      }
+      seen.add(name);
+    }
+    return { version, features: names };
+  }
+
+  const schema = FEATURE_SCHEMAS[version];
+  if (!schema) {
+    throw new Error(`Unsupported feature schema version ${version}; the model must list its features by name.`);
+  }
+  if (inputSize <= schema.length) {
+    return { version, features: schema.slice(0, inputSize) };
+  }
+  if (inputSize <= FEATURE_LABELS.length) {
+    return { version: FEATURE_SCHEMA_VERSION, features: FEATURE_LABELS.slice(0, inputSize) };
+  }
+  throw new Error(`Model declares ${inputSize} inputs but feature schema v${version} only defines ${schema.length}.`);
+}
+
+/**
+ * Maps each model input to its index in an available feature vector (-1 when unavailable).
+ * @param {string[]} modelFeatures
+ * @param {readonly string[]} [availableFeatures]
+ * @returns {{indices: Int16Array, missing: string[]}}
+ */
+export function buildFeatureRemap(modelFeatures, availableFeatures = FEATURE_LABELS) {
+  const lookup = new Map();
+  availableFeatures.forEach((name, index) => {
+    lookup.set(name, index);
+  });
+  const indices = new Int16Array(modelFeatures.length);
+  const missing = [];
+  for (let i = 0; i < modelFeatures.length; i += 1) {
+    const index = lookup.get(modelFeatures[i]);
+    if (index === undefined) {
+      indices[i] = -1;
+      missing.push(modelFeatures[i]);
+    } else {
+      indices[i] = index;
+    }
+  }
+  return { indices, missing };
+}
+
 const BAND_EMA_MS = 300;
 const RMS_EMA_MS = 250;
 const FLUX_EMA_MS = 200;
@@ -191,23 +489,89 @@ function buildBandLut(sampleRate, fftSize, bandDefs) {
   return { binToBand, bandBinCounts, binHz };
 }
 
+/**
+ * Creates a stateful feature extractor producing one value per label of its band layout (`FEATURE_COUNT` for
+ * the default bands). The extended block costs noticeably more per frame, so it stays off unless `extended`
+ * is set or `setExtended(true)` is called. `process()` reads the stereo block from `channels`, the left and
+ * right time-domain windows aligned with `waveform`; without them the waveform stands in for both sides.
+ * @param {{sampleRate?: number, fftSize?: number, bands?: readonly number[]|null, extended?: boolean}} [options]
+ */
 export function createFeatureExtractor({
   sampleRate = 44100,
   fftSize = 2048,
-  bandDefs = DEFAULT_BAND_DEFS,
-  bandGains = DEFAULT_BAND_GAINS,
+  bands = null,
+  extended = false,
 } = {}) {
-  const bandCount = bandDefs.length;
-  const vector = new Float32Array(FEATURE_COUNT);
-  const bandValues = new Float32Array(bandCount);
-  const previousBandValues = new Float32Array(bandCount);
-  const bandEma = new Float32Array(bandCount);
-  let { binToBand, bandBinCounts, binHz } = buildBandLut(sampleRate, fftSize, bandDefs);
-  let previousSpectrum = new Float32Array(binToBand.length);
+  const tempo = createTempoTracker();
+  let layout = createFeatureLayout(bands);
+  let bandCount = 0;
+  let vector = null;
+  let bandValues = null;
+  let previousBandValues = null;
+  let bandEma = null;
+  let extendedView = null;
+  let stereoView = null;
+  let binToBand = null;
+  let bandBinCounts = null;
+  let binHz = 0;
+  let previousSpectrum = null;
   let previousRms = 0;
   let emaRms = 0;
   let fluxEma = 0;
   let initialized = false;
+  let extendedBlock = null;
+
+  function allocateLayout() {
+    bandCount = layout.bandDefs.length;
+    vector = new Float32Array(layout.count);
+    bandValues = new Float32Array(bandCount);
+    previousBandValues = new Float32Array(bandCount);
+    bandEma = new Float32Array(bandCount);
+    extendedView = vector.subarray(layout.index.MFCC_0, layout.index.HP_RATIO + 1);
+    stereoView = vector.subarray(layout.index.BALANCE, layout.index.SIDE_ENERGY + 1);
+    ({ binToBand, bandBinCounts, binHz } = buildBandLut(sampleRate, fftSize, layout.bandDefs));
+    previousSpectrum = new Float32Array(binToBand.length);
+  }
+
+  allocateLayout();
+  setExtended(extended);
+
+  function extendedConfig() {
+    return { sampleRate, fftSize, binToBand, bandCount };
+  }
+
+  /**
+   * Switches to another band layout (see `createFeatureLayout`). The feature vector is reallocated, so callers
+   * holding `getVector()` must re-read it, and all running state is reset.
+   * @param {readonly number[]|null} edges
+   * @returns {boolean} Whether the layout changed.
+   */
+  function setBands(edges) {
+    const next = createFeatureLayout(edges);
+    if (next === layout) {
+      return false;
+    }
+    layout = next;
+    const wasExtended = extendedBlock !== null;
+    extendedBlock = null;
+    allocateLayout();
+    setExtended(wasExtended);
+    reset();
+    return true;
+  }
+
+  /**
+   * Turns the extended timbre/harmony block on or off. Off leaves its slots at 0.
+   * @param {boolean} enabled
+   */
+  function setExtended(enabled) {
+    if (enabled && !extendedBlock) {
+      extendedBlock = createExtendedFeatures(extendedConfig());
+    } else if (!enabled && extendedBlock) {
+      extendedBlock = null;
+      extendedView.fill(0);
+    }
+  }
 
   function reset() {
     bandValues.fill(0);
@@ -215,20 +579,31 @@ export function createFeatureExtractor({
     bandEma.fill(0);
     previousSpectrum.fill(0);
     vector.fill(0);
+    tempo.reset();
     previousRms = 0;
     emaRms = 0;
     fluxEma = 0;
     initialized = false;
+    extendedBlock?.reset();
   }
 
-  function reconfigure(nextSampleRate, nextFftSize) {
+  /**
+   * Rebuilds the band lookup for a new sample rate and/or FFT size and resets all running state.
+   * @param {number} [nextSampleRate]
+   * @param {number} [nextFftSize]
+   */
+  function reconfigure(nextSampleRate = sampleRate, nextFftSize = fftSize) {
+    if (!(Number.isFinite(nextSampleRate) && nextSampleRate > 0) || !(Number.isFinite(nextFftSize) && nextFftSize > 0)) {
+      throw new RangeError('Feature extractor needs a positive sample rate and FFT size.');
+    }
     sampleRate = nextSampleRate;
     fftSize = nextFftSize;
-    const mapping = buildBandLut(sampleRate, fftSize, bandDefs);
+    const mapping = buildBandLut(sampleRate, fftSize, layout.bandDefs);
     binToBand = mapping.binToBand;
     bandBinCounts = mapping.bandBinCounts;
     binHz = mapping.binHz;
     previousSpectrum = new Float32Array(binToBand.length);
+    extendedBlock?.configure(extendedConfig());
     reset();
   }
 
@@ -252,17 +627,18 @@ export function createFeatureExtractor({
     magnitudes,
     frequencyDb,
     waveform,
+    channels,
     deltaMs,
     trackPosition = -1,
     sampleRateOverride,
     fftSizeOverride,
   } = {}) {
-    if (Number.isFinite(sampleRateOverride) && sampleRateOverride > 0) {
-      sampleRate = sampleRateOverride;
-    }
-    if (Number.isFinite(fftSizeOverride) && fftSizeOverride > 0) {
-      fftSize = fftSizeOverride;
+    const nextSampleRate = Number.isFinite(sampleRateOverride) && sampleRateOverride > 0 ? sampleRateOverride : sampleRate;
+    const nextFftSize = Number.isFinite(fftSizeOverride) && fftSizeOverride > 0 ? fftSizeOverride : fftSize;
+    if (nextSampleRate !== sampleRate || nextFftSize !== fftSize) {
+      reconfigure(nextSampleRate, nextFftSize);
     }
+    const { index } = layout;
 
     const sourceMagnitudes = (() => {
       if (magnitudes && magnitudes.length > 0) {
@@ -282,7 +658,7 @@ export function createFeatureExtractor({
 
     if (!sourceMagnitudes) {
       if (Number.isFinite(trackPosition)) {
-        vector[FEATURE_INDEX.TRACK_POSITION] = trackPosition;
+        vector[index.TRACK_POSITION] = trackPosition;
       }
       return vector;
     }
@@ -324,7 +700,7 @@ export function createFeatureExtractor({
     for (let band = 0; band < bandValues.length; band += 1) {
       const divisor = bandBinCounts[band] || 1;
       const average = bandValues[band] / divisor;
-      const amplified = average * bandGains[band];
+      const amplified = average * layout.bandGains[band];
       const bounded = clamp01(amplified);
       const normalized = clampSigned(bounded * 2 - 1);
       const delta = clampSigned(normalized - previousBandValues[band]);
@@ -336,13 +712,13 @@ export function createFeatureExtractor({
         bandEma[band] += alphaBand * (normalized - bandEma[band]);
       }
 
-      vector[band] = normalized;
-      vector[FEATURE_INDEX.DELTA_SUB + band] = delta;
-      vector[FEATURE_INDEX.EMA_SUB + band] = clampSigned(bandEma[band]);
+      vector[index.BAND_0 + band] = normalized;
+      vector[index.DELTA_BAND_0 + band] = delta;
+      vector[index.EMA_BAND_0 + band] = clampSigned(bandEma[band]);
     }
 
     const rms = waveform ? clamp01(computeRms(waveform)) : 0;
-    vector[FEATURE_INDEX.RMS] = rms;
+    vector[index.RMS] = rms;
     const deltaRms = clampSigned(rms - previousRms);
     previousRms = rms;
 
@@ -353,11 +729,11 @@ export function createFeatureExtractor({
     }
     emaRms = clamp01(emaRms);
 
-    vector[FEATURE_INDEX.DELTA_RMS] = deltaRms;
-    vector[FEATURE_INDEX.EMA_RMS] = emaRms;
+    vector[index.DELTA_RMS] = deltaRms;
+    vector[index.EMA_RMS] = emaRms;
 
     const centroidFreq = totalEnergy > EPSILON ? centroidNumerator / totalEnergy : 0;
-    vector[FEATURE_INDEX.CENTROID] = clamp01(centroidFreq / nyquist);
+    vector[index.CENTROID] = clamp01(centroidFreq / nyquist);
 
     let rollOffFrequency = 0;
     if (totalEnergy > EPSILON) {
@@ -371,7 +747,7 @@ export function createFeatureExtractor({
         }
       }
     }
-    vector[FEATURE_INDEX.ROLL_OFF] = clamp01(rollOffFrequency / nyquist);
+    vector[index.ROLL_OFF] = clamp01(rollOffFrequency / nyquist);
 
     let flatness = 0;
     if (binCount > 0) {
@@ -379,19 +755,37 @@ export function createFeatureExtractor({
       const arithmetic = totalEnergy / binCount;
       flatness = arithmetic > EPSILON ? clamp01(geometric / (arithmetic + EPSILON)) : 0;
     }
-    vector[FEATURE_INDEX.FLATNESS] = flatness;
+    vector[index.FLATNESS] = flatness;
 
     const flux = clamp01((fluxSum / (binCount || 1)) * 5000);
-    vector[FEATURE_INDEX.FLUX] = flux;
+    vector[index.FLUX] = flux;
     if (!initialized) {
       fluxEma = flux;
     } else {
       fluxEma += alphaFlux * (flux - fluxEma);
     }
-    vector[FEATURE_INDEX.FLUX_EMA] = clamp01(fluxEma);
+    vector[index.FLUX_EMA] = clamp01(fluxEma);
+
+    // Tempo features are appended after TRACK_POSITION so 24-input models keep reading the same slots.
+    const beat = tempo.update(flux, clampedDeltaMs);
+    vector[index.BPM] = normalizeBpm(beat.bpm);
+    vector[index.BEAT_PHASE] = beat.phase;
+    vector[index.BEAT_CONFIDENCE] = beat.confidence;
+
+    // previousSpectrum now holds this frame's sanitised magnitudes.
+    if (extendedBlock && binCount === binToBand.length) {
+      extendedBlock.process(previousSpectrum, waveform, extendedView);
+    }
+
+    const stereo = resolveStereoPair(channels, waveform);
+    if (stereo) {
+      measureStereoField(stereo[0], stereo[1], stereoView);
+    } else {
+      stereoView.fill(0);
+    }
 
     if (Number.isFinite(trackPosition)) {
-      vector[FEATURE_INDEX.TRACK_POSITION] = trackPosition;
+      vector[index.TRACK_POSITION] = trackPosition;
     }
 
     initialized = true;
@@ -401,12 +795,32 @@ export function createFeatureExtractor({
   return {
     process,
     reset,
+    reconfigure,
+    setExtended,
+    setBands,
+    /**
+     * The active band layout: `labels`, `index`, `count`, and the declared `bands` (null for the default).
+     */
+    getLayout() {
+      return layout;
+    },
+    isExtended() {
+      return extendedBlock !== null;
+    },
     setTrackPosition(value) {
-      vector[FEATURE_INDEX.TRACK_POSITION] = Number.isFinite(value) ? value : -1;
+      vector[layout.index.TRACK_POSITION] = Number.isFinite(value) ? value : -1;
     },
     getVector() {
       return vector;
     },
+    /**
+     * Latest tempo estimate: raw `bpm` (0 until locked), `phase` in [0, 1) since the last beat,
+     * `confidence` in [0, 1], and `onBeat` on the frame a new beat starts.
+     * @returns {{bpm: number, phase: number, confidence: number, onBeat: boolean}}
+     */
+    getBeat() {
+      return tempo.getState();
+    },
     getSampleRate() {
       return sampleRate;
     },
@@ -1,9 +1,7 @@
-import {
-  createFeatureExtractor,
-  FEATURE_INDEX,
-  FEATURE_LABELS,
-  computeTrackPosition,
-} from './audio-features.js';
+import { ANALYSER_DEFAULTS } from './analyser-emulation.js';
+import { isHopDue, resolveAnalysisConfig, sameBands } from './analysis-config.js';
+import { createFeatureExtractor, computeTrackPosition } from './audio-features.js';
+import { buildEqualPowerCurve } from './crossfade.js';
 
 const STORAGE_KEY = 'ln.volume';
 const DEFAULT_VOLUME = 0.7;
@@ -15,12 +13,44 @@ const EMPTY_BYTE = new Uint8Array(0);
 const DEFAULT_SAMPLE_RATE = 44100;
 const RMS_ACTIVITY_FLOOR_DB = -55;
 const RMS_ACTIVITY_CEILING_DB = 0;
+const TAIL_READY_TIMEOUT_MS = 2000;
+// Fade the outgoing deck out anyway if the incoming track never starts playing.
+const CROSSFADE_PENDING_TIMEOUT_MS = 5000;
+const FADE_IN_CURVE = buildEqualPowerCurve('in');
+const FADE_OUT_CURVE = buildEqualPowerCurve('out');
+
+export const INPUT_SOURCES = Object.freeze({
+  ELEMENT: 'element',
+  STREAM: 'stream',
+});
 
 let audioElement = null;
 let audioContext = null;
 let sourceNode = null;
 let gainNode = null;
 let analyserNode = null;
+// The stereo path: a splitter feeding one analyser per side, read for time-domain data only.
+let splitterNode = null;
+let leftAnalyserNode = null;
+let rightAnalyserNode = null;
+// Each deck has its own gain ahead of the analyser so crossfades are heard and analysed as one mix.
+let deckGainNode = null;
+let tailElement = null;
+let tailSourceNode = null;
+let tailGainNode = null;
+// A live MediaStream replaces the element as the analyser input; it is analysed but never monitored.
+let inputSource = INPUT_SOURCES.ELEMENT;
+let streamSourceNode = null;
+let liveStream = null;
+
+const crossfade = {
+  generation: 0,
+  active: false,
+  duration: 0,
+  startTime: -1,
+  timer: 0,
+  onPlaying: null,
+};
 
 let desiredVolume = DEFAULT_VOLUME;
 let unlockHandlersBound = false;
@@ -28,19 +58,34 @@ let unlockHandlersBound = false;
 let floatFrequencyData = EMPTY_FLOAT;
 let byteFrequencyData = EMPTY_BYTE;
 let timeDomainData = EMPTY_FLOAT;
+let leftTimeDomainData = EMPTY_FLOAT;
+let rightTimeDomainData = EMPTY_FLOAT;
+
+// FFT size, hop, and band layout; set per model/preset through setAnalysisConfig().
+let analysisConfig = resolveAnalysisConfig();
 
-const featureExtractor = createFeatureExtractor({ sampleRate: DEFAULT_SAMPLE_RATE, fftSize: 2048 });
-const featureVector = featureExtractor.getVector();
+const featureExtractor = createFeatureExtractor({ sampleRate: DEFAULT_SAMPLE_RATE, fftSize: analysisConfig.fftSize });
+// Replaced when the band layout changes.
+let featureVector = featureExtractor.getVector();
+// Last analysed frame (deltaMs is measured between analysed frames) and last frame() call.
 let lastFrameTimestamp = 0;
+let lastCallTimestamp = 0;
 
 const frameState = {
   frequency: EMPTY_FLOAT,
   frequencyByte: EMPTY_BYTE,
   waveform: EMPTY_FLOAT,
+  channels: [EMPTY_FLOAT, EMPTY_FLOAT],
   rms: 0,
   activity: 0,
   timestamp: 0,
+  deltaMs: 0,
+  trackPosition: -1,
+  sampleRate: DEFAULT_SAMPLE_RATE,
+  fftSize: analysisConfig.fftSize,
+  analyzed: false,
   features: featureVector,
+  beat: featureExtractor.getBeat(),
 };
 
 /**
@@ -68,7 +113,7 @@ function clamp01(value) {
  * @returns {number}
  */
 function getTrackPositionValue() {
-  if (!audioElement) {
+  if (!audioElement || inputSource === INPUT_SOURCES.STREAM) {
     return -1;
   }
   const duration = Number(audioElement.duration);
@@ -155,22 +200,27 @@ function createGraph() {
   audioContext = new AudioContext();
   sourceNode = audioContext.createMediaElementSource(audioElement);
   gainNode = audioContext.createGain();
+  deckGainNode = audioContext.createGain();
   analyserNode = audioContext.createAnalyser();
-
-  analyserNode.fftSize = 2048;
-  analyserNode.smoothingTimeConstant = 0.8;
-
-  floatFrequencyData = new Float32Array(analyserNode.frequencyBinCount);
-  byteFrequencyData = new Uint8Array(analyserNode.frequencyBinCount);
-  timeDomainData = new Float32Array(analyserNode.fftSize);
-
-  frameState.frequency = floatFrequencyData;
-  frameState.frequencyByte = byteFrequencyData;
-  frameState.waveform = timeDomainData;
+  splitterNode = audioContext.createChannelSplitter(2);
+  // 'speakers' up-mixes a mono source onto both outputs; the default 'discrete' would leave the right side silent.
+  splitterNode.channelInterpretation = 'speakers';
+  leftAnalyserNode = audioContext.createAnalyser();
+  rightAnalyserNode = audioContext.createAnalyser();
+
+  // byom-intake and offline renders emulate these settings (js/analyser-emulation.js); keep them in step.
+  analyserNode.smoothingTimeConstant = ANALYSER_DEFAULTS.smoothingTimeConstant;
+  analyserNode.minDecibels = ANALYSER_DEFAULTS.minDecibels;
+  analyserNode.maxDecibels = ANALYSER_DEFAULTS.maxDecibels;
+  applyAnalyserSize();
   frameState.features = featureVector;
 
   // Route analysis before volume adjustments so diagnostics/activity ignore the UI gain setting.
-  sourceNode.connect(analyserNode);
+  sourceNode.connect(deckGainNode);
+  deckGainNode.connect(analyserNode);
+  deckGainNode.connect(splitterNode);
+  splitterNode.connect(leftAnalyserNode, 0);
+  splitterNode.connect(rightAnalyserNode, 1);
   analyserNode.connect(gainNode);
   gainNode.connect(audioContext.destination);
 
@@ -180,6 +230,23 @@ function createGraph() {
   applyVolume(desiredVolume, true);
 }
 
+// Sizes the analyser and its read buffers to the current FFT size.
+function applyAnalyserSize() {
+  analyserNode.fftSize = analysisConfig.fftSize;
+  floatFrequencyData = new Float32Array(analyserNode.frequencyBinCount);
+  byteFrequencyData = new Uint8Array(analyserNode.frequencyBinCount);
+  timeDomainData = new Float32Array(analyserNode.fftSize);
+  leftAnalyserNode.fftSize = analysisConfig.fftSize;
+  rightAnalyserNode.fftSize = analysisConfig.fftSize;
+  leftTimeDomainData = new Float32Array(analyserNode.fftSize);
+  rightTimeDomainData = new Float32Array(analyserNode.fftSize);
+  frameState.frequency = floatFrequencyData;
+  frameState.frequencyByte = byteFrequencyData;
+  frameState.waveform = timeDomainData;
+  frameState.channels = [leftTimeDomainData, rightTimeDomainData];
+  frameState.fftSize = analyserNode.fftSize;
+}
+
 async function ensureContext() {
   if (!audioElement) {
     throw new Error('Audio element not set; call init() first.');
@@ -209,6 +276,82 @@ function applyVolume(value, immediate = false) {
   }
 }
 
+function ensureTailDeck() {
+  if (tailElement) {
+    return;
+  }
+  tailElement = new Audio();
+  tailElement.preload = 'auto';
+  tailElement.crossOrigin = audioElement.crossOrigin;
+  tailSourceNode = audioContext.createMediaElementSource(tailElement);
+  tailGainNode = audioContext.createGain();
+  tailGainNode.gain.value = 0;
+  tailSourceNode.connect(tailGainNode);
+  tailGainNode.connect(analyserNode);
+  tailGainNode.connect(splitterNode);
+}
+
+function setDeckGain(node, value) {
+  const time = audioContext.currentTime;
+  node.gain.cancelScheduledValues(time);
+  node.gain.setValueAtTime(value, time);
+}
+
+function waitForTail(element) {
+  return new Promise((resolve) => {
+    if (element.readyState >= 3) {
+      resolve(true);
+      return;
+    }
+    let timer = 0;
+    const settle = (ready) => {
+      window.clearTimeout(timer);
+      element.removeEventListener('canplay', onReady);
+      element.removeEventListener('error', onError);
+      resolve(ready);
+    };
+    const onReady = () => settle(true);
+    const onError = () => settle(false);
+    timer = window.setTimeout(() => settle(false), TAIL_READY_TIMEOUT_MS);
+    element.addEventListener('canplay', onReady);
+    element.addEventListener('error', onError);
+  });
+}
+
+function startFadeRamps() {
+  if (!crossfade.active || crossfade.startTime >= 0) {
+    return;
+  }
+  window.clearTimeout(crossfade.timer);
+  const time = audioContext.currentTime;
+  deckGainNode.gain.cancelScheduledValues(time);
+  tailGainNode.gain.cancelScheduledValues(time);
+  deckGainNode.gain.setValueCurveAtTime(FADE_IN_CURVE, time, crossfade.duration);
+  tailGainNode.gain.setValueCurveAtTime(FADE_OUT_CURVE, time, crossfade.duration);
+  crossfade.startTime = time;
+  crossfade.timer = window.setTimeout(finishCrossfade, crossfade.duration * 1000 + 50);
+}
+
+function finishCrossfade() {
+  window.clearTimeout(crossfade.timer);
+  crossfade.timer = 0;
+  if (crossfade.onPlaying && audioElement) {
+    audioElement.removeEventListener('playing', crossfade.onPlaying);
+  }
+  crossfade.onPlaying = null;
+  crossfade.active = false;
+  crossfade.startTime = -1;
+  if (tailElement) {
+    tailElement.pause();
+    tailElement.removeAttribute('src');
+    tailElement.load();
+  }
+  if (audioContext && deckGainNode && tailGainNode) {
+    setDeckGain(deckGainNode, 1);
+    setDeckGain(tailGainNode, 0);
+  }
+}
+
 function getSampleRate() {
   if (audioContext && Number.isFinite(audioContext.sampleRate)) {
     return audioContext.sampleRate;
@@ -261,7 +404,9 @@ export function init(element) {
 export function setVolume(value) {
   desiredVolume = clamp01(value);
   persistVolume(desiredVolume);
-  applyVolume(desiredVolume);
+  if (inputSource === INPUT_SOURCES.ELEMENT) {
+    applyVolume(desiredVolume);
+  }
 }
 
 /**
@@ -290,62 +435,158 @@ export function getActivityLevel(rmsValue = frameState.rms) {
 }
 
 /**
- * Access the current feature vector (length 24).
+ * Access the current feature vector (one value per `getFeatureLabels()` entry). A new band layout replaces it.
  * @returns {Float32Array}
  */
 export function getFeatureVector() {
   return featureVector;
 }
 
+/**
+ * Access the live tempo estimate (bpm, beat phase, confidence, onBeat flag).
+ * @returns {{bpm: number, phase: number, confidence: number, onBeat: boolean}}
+ */
+export function getBeatState() {
+  return featureExtractor.getBeat();
+}
+
+/**
+ * Feature names models may bind to for the current input source and band layout. A live stream has no track
+ * position, so `trackPosition` is left out (see LIVE_FEATURE_LABELS); indices still match the feature vector.
+ * @returns {readonly string[]}
+ */
+export function getAvailableFeatures() {
+  const layout = featureExtractor.getLayout();
+  return inputSource === INPUT_SOURCES.STREAM ? layout.liveLabels : layout.labels;
+}
+
 /**
  * Retrieve human-readable labels for the feature vector indices.
  * @returns {string[]}
  */
 export function getFeatureLabels() {
-  return FEATURE_LABELS.slice();
+  return featureExtractor.getLayout().labels.slice();
 }
 
 /**
  * Update cached analyser data. Safe to call before initialization.
- * @returns {{frequency: Float32Array, frequencyByte: Uint8Array, waveform: Float32Array, rms: number, timestamp: number, features: Float32Array}}
+ * The analyser is only read on frames where the analysis hop is due (`analyzed` is true); on other frames the
+ * previous buffers, features, and `deltaMs` are kept and only `trackPosition` is refreshed. `deltaMs` is the
+ * time since the previous analysed frame.
+ * Pass `{ extract: false }` when features are computed elsewhere (the analysis worker); the analyser buffers,
+ * `deltaMs`, `trackPosition`, `sampleRate`, and `fftSize` are still refreshed, but `features`, `rms`, and
+ * `activity` keep their previous values. `channels` holds the left and right time-domain windows behind the stereo
+ * features.
+ * @param {{extract?: boolean}} [options]
+ * @returns {{frequency: Float32Array, frequencyByte: Uint8Array, waveform: Float32Array, channels: Float32Array[], rms: number, timestamp: number, deltaMs: number, trackPosition: number, sampleRate: number, fftSize: number, analyzed: boolean, features: Float32Array, beat: {bpm: number, phase: number, confidence: number, onBeat: boolean}}}
  */
-export function frame() {
+export function frame({ extract = true } = {}) {
   const now = performance.now();
+  const frameMs = lastCallTimestamp > 0 ? now - lastCallTimestamp : 0;
+  lastCallTimestamp = now;
 
   const trackPosition = getTrackPositionValue();
+  frameState.trackPosition = trackPosition;
 
   if (!analyserNode) {
     featureExtractor.setTrackPosition(trackPosition);
     frameState.timestamp = now;
+    frameState.deltaMs = 0;
     frameState.rms = 0;
     frameState.activity = 0;
+    frameState.analyzed = false;
+    return frameState;
+  }
+
+  const deltaMs = lastFrameTimestamp > 0 ? now - lastFrameTimestamp : 0;
+  frameState.analyzed = lastFrameTimestamp === 0 || isHopDue(deltaMs, analysisConfig.hopMs, frameMs);
+  if (!frameState.analyzed) {
+    // A beat belongs to the frame that analysed it.
+    frameState.beat.onBeat = false;
     return frameState;
   }
 
   analyserNode.getFloatFrequencyData(floatFrequencyData);
   analyserNode.getByteFrequencyData(byteFrequencyData);
   analyserNode.getFloatTimeDomainData(timeDomainData);
+  leftAnalyserNode.getFloatTimeDomainData(leftTimeDomainData);
+  rightAnalyserNode.getFloatTimeDomainData(rightTimeDomainData);
+
+  frameState.deltaMs = deltaMs;
+  frameState.sampleRate = getSampleRate();
+  frameState.fftSize = analyserNode.fftSize;
+  frameState.timestamp = now;
+  lastFrameTimestamp = now;
+
+  if (!extract) {
+    return frameState;
+  }
 
-  const deltaMs = lastFrameTimestamp > 0 ? now - lastFrameTimestamp : 0;
   const features = featureExtractor.process({
     frequencyDb: floatFrequencyData,
     waveform: timeDomainData,
+    channels: frameState.channels,
     deltaMs,
     trackPosition,
-    sampleRateOverride: getSampleRate(),
-    fftSizeOverride: analyserNode.fftSize,
+    sampleRateOverride: frameState.sampleRate,
+    fftSizeOverride: frameState.fftSize,
   });
 
-  const rms = Number.isFinite(features[FEATURE_INDEX.RMS]) ? features[FEATURE_INDEX.RMS] : 0;
+  const rmsIndex = featureExtractor.getLayout().index.RMS;
+  const rms = Number.isFinite(features[rmsIndex]) ? features[rmsIndex] : 0;
   frameState.rms = rms;
   frameState.activity = rmsToActivity(rms);
-  frameState.timestamp = now;
   frameState.features = features;
-
-  lastFrameTimestamp = now;
   return frameState;
 }
 
+/**
+ * Switch the analyser FFT size, analysis hop, and band layout (see js/analysis-config.js). A new FFT size
+ * resizes the analyser and the `frequency`/`waveform` buffers and rebuilds the extractor's band lookup; new
+ * bands replace the feature vector and its labels. Callers holding those buffers must re-read them.
+ * @param {{fftSize?: number, hopMs?: number, bands?: number[]}|null} config Missing fields fall back to the
+ *   defaults.
+ * @returns {{fftSize: number, hopMs: number, bands?: number[]}} The applied config.
+ */
+export function setAnalysisConfig(config) {
+  const next = resolveAnalysisConfig(config);
+  const resized = next.fftSize !== analysisConfig.fftSize;
+  if (!sameBands(next, analysisConfig)) {
+    featureExtractor.setBands(next.bands ?? null);
+    featureVector = featureExtractor.getVector();
+    frameState.features = featureVector;
+    frameState.rms = 0;
+    frameState.activity = 0;
+  }
+  analysisConfig = next;
+  if (resized) {
+    if (analyserNode) {
+      applyAnalyserSize();
+    } else {
+      frameState.fftSize = next.fftSize;
+    }
+    featureExtractor.reconfigure(getSampleRate(), next.fftSize);
+    lastFrameTimestamp = 0;
+  }
+  return { ...analysisConfig };
+}
+
+/**
+ * @returns {{fftSize: number, hopMs: number, bands?: number[]}}
+ */
+export function getAnalysisConfig() {
+  return { ...analysisConfig };
+}
+
+/**
+ * Turn the extended timbre/harmony features (MFCCs, chroma, contrast, ZCR, HPR) on or off for the main-thread
+ * extractor. They cost extra per frame, so only enable them while a model reads them.
+ * @param {boolean} enabled
+ */
+export function setExtendedFeatures(enabled) {
+  featureExtractor.setExtended(Boolean(enabled));
+}
+
 /**
  * Expose a manual unlock helper for other modules (optional future use).
  * @returns {Promise<AudioContext>}
@@ -353,3 +594,136 @@ export function frame() {
 export function unlock() {
   return ensureContext();
 }
+
+/**
+ * Hand the current track to the second deck so it keeps playing while the main element loads the next one.
+ * Once the main element fires `playing`, both decks ramp with equal-power curves over `duration` seconds.
+ * Resolves false (and changes nothing) when there is no playing track to fade out of.
+ * @param {{duration: number}} options
+ * @returns {Promise<boolean>}
+ */
+export async function beginCrossfade({ duration }) {
+  if (!audioContext || !audioElement || audioElement.paused || !audioElement.currentSrc) {
+    return false;
+  }
+  if (!Number.isFinite(duration) || duration <= 0) {
+    return false;
+  }
+  finishCrossfade();
+  // A newer call supersedes this one while it waits on the tail deck.
+  const generation = ++crossfade.generation;
+  ensureTailDeck();
+  tailElement.src = audioElement.currentSrc;
+  tailElement.currentTime = audioElement.currentTime;
+  const ready = await waitForTail(tailElement);
+  if (generation !== crossfade.generation) {
+    return false;
+  }
+  if (!ready || audioElement.paused) {
+    finishCrossfade();
+    return false;
+  }
+  tailElement.currentTime = audioElement.currentTime;
+  try {
+    await tailElement.play();
+  } catch (error) {
+    if (generation === crossfade.generation) {
+      console.warn('[audio] Crossfade deck failed to start', error);
+      finishCrossfade();
+    }
+    return false;
+  }
+  if (generation !== crossfade.generation) {
+    return false;
+  }
+  setDeckGain(tailGainNode, 1);
+  setDeckGain(deckGainNode, 0);
+  crossfade.active = true;
+  crossfade.duration = duration;
+  crossfade.startTime = -1;
+  crossfade.onPlaying = startFadeRamps;
+  audioElement.addEventListener('playing', startFadeRamps, { once: true });
+  crossfade.timer = window.setTimeout(startFadeRamps, CROSSFADE_PENDING_TIMEOUT_MS);
+  return true;
+}
+
+/**
+ * Crossfade progress in [0, 1]; 0 while waiting for the incoming track, -1 when no crossfade is running.
+ * @returns {number}
+ */
+export function getCrossfadeProgress() {
+  if (!crossfade.active) {
+    return -1;
+  }
+  if (crossfade.startTime < 0) {
+    return 0;
+  }
+  return clamp01((audioContext.currentTime - crossfade.startTime) / crossfade.duration);
+}
+
+/**
+ * Stop the outgoing deck immediately and restore the main deck to full gain.
+ */
+export function cancelCrossfade() {
+  crossfade.generation += 1;
+  if (crossfade.active || (tailElement && !tailElement.paused)) {
+    finishCrossfade();
+  }
+}
+
+/**
+ * Route a MediaStream (microphone or line-in from `getUserMedia`) into the analyser in place of the `<audio>`
+ * element. The stream feeds the same feature extractor but is not sent to the speakers, which would feed back
+ * into a microphone. Replaces any stream connected earlier.
+ * @param {MediaStream} stream
+ * @returns {Promise<void>}
+ */
+export async function connectStream(stream) {
+  if (!stream || typeof stream.getAudioTracks !== 'function' || stream.getAudioTracks().length === 0) {
+    throw new Error('connectStream() requires a MediaStream with an audio track.');
+  }
+  await ensureContext();
+  cancelCrossfade();
+  disconnectStream();
+
+  streamSourceNode = audioContext.createMediaStreamSource(stream);
+  liveStream = stream;
+  sourceNode.disconnect();
+  streamSourceNode.connect(deckGainNode);
+  inputSource = INPUT_SOURCES.STREAM;
+  applyVolume(0, true);
+
+  featureExtractor.reset();
+  featureExtractor.setTrackPosition(-1);
+  lastFrameTimestamp = 0;
+}
+
+/**
+ * Stop the live stream and hand the analyser back to the `<audio>` element.
+ * @returns {boolean} Whether a stream was connected.
+ */
+export function disconnectStream() {
+  if (!streamSourceNode) {
+    return false;
+  }
+  streamSourceNode.disconnect();
+  liveStream?.getTracks().forEach((track) => track.stop());
+  streamSourceNode = null;
+  liveStream = null;
+  sourceNode.connect(deckGainNode);
+  inputSource = INPUT_SOURCES.ELEMENT;
+  applyVolume(desiredVolume, true);
+
+  featureExtractor.reset();
+  featureExtractor.setTrackPosition(getTrackPositionValue());
+  lastFrameTimestamp = 0;
+  return true;
+}
+
+/**
+ * Which source currently feeds the analyser.
+ * @returns {'element'|'stream'}
+ */
+export function getInputSource() {
+  return inputSource;
+}
@@ -0,0 +1,228 @@
+import { PARAM_NAMES } from './map.js';
+
+/**
+ * Per-track automation lanes.
+ * Lanes sit between the NN and the mapping layer: each one keyframes a single PARAM_NAMES output
+ * over track time and blends the curve into the model's -1..1 output before `map.update()`, so
+ * safe-mode clamps and smoothing still apply to automated values.
+ *
+ * Format (presets, BYOM entries, and sidecar JSON share it):
+ * {
+ *   version: 1,
+ *   lanes: [
+ *     { param: 'spawnRate', blend: 'add', hold: false, keyframes: [{ time: '2:14', value: 0.9, curve: 'ease' }] },
+ *   ],
+ * }
+ * `time` is seconds or an "m:ss(.fff)" string. `curve` shapes the segment leaving a keyframe.
+ * Lanes are inactive before their first keyframe and, unless `hold` is set, after their last.
+ */
+
+export const AUTOMATION_VERSION = 1;
+
+export const AUTOMATION_CURVES = Object.freeze(['linear', 'step', 'ease']);
+
+export const AUTOMATION_BLEND_MODES = Object.freeze(['override', 'add', 'multiply']);
+
+const VALUE_LIMITS = Object.freeze({
+  override: 1,
+  add: 2,
+  multiply: 4,
+});
+
+function clamp(value, min, max) {
+  if (!Number.isFinite(value)) {
+    return min;
+  }
+  if (value < min) {
+    return min;
+  }
+  if (value > max) {
+    return max;
+  }
+  return value;
+}
+
+/**
+ * Parses a keyframe time given as seconds or "m:ss(.fff)" / "h:mm:ss".
+ * @param {number|string} value
+ * @returns {number} Seconds, or NaN when the value is not a valid time.
+ */
+export function parseAutomationTime(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : NaN;
+  }
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    return NaN;
+  }
+  const parts = value.trim().split(':');
+  if (parts.length > 3) {
+    return NaN;
+  }
+  let seconds = 0;
+  for (const part of parts) {
+    if (!/^\d+(\.\d+)?$/.test(part)) {
+      return NaN;
+    }
+    seconds = seconds * 60 + Number(part);
+  }
+  return seconds;
+}
+
+function sanitizeLane(raw, laneIndex) {
+  const param = raw?.param;
+  const index = PARAM_NAMES.indexOf(param);
+  if (index < 0) {
+    console.warn(`[automation] Dropping lane ${laneIndex}: unknown param "${param}".`);
+    return null;
+  }
+  const blend = raw.blend ?? 'override';
+  if (!AUTOMATION_BLEND_MODES.includes(blend)) {
+    console.warn(`[automation] Dropping lane ${laneIndex}: unsupported blend "${blend}".`);
+    return null;
+  }
+  const limit = VALUE_LIMITS[blend];
+  const keyframes = [];
+  for (const frame of Array.isArray(raw.keyframes) ? raw.keyframes : []) {
+    const time = parseAutomationTime(frame?.time);
+    const value = Number(frame?.value);
+    if (!Number.isFinite(time) || !Number.isFinite(value)) {
+      continue;
+    }
+    const curve = AUTOMATION_CURVES.includes(frame.curve) ? frame.curve : 'linear';
+    keyframes.push({ time, value: clamp(value, -limit, limit), curve });
+  }
+  if (keyframes.length === 0) {
+    console.warn(`[automation] Dropping lane ${laneIndex} (${param}): no valid keyframes.`);
+    return null;
+  }
+  keyframes.sort((a, b) => a.time - b.time);
+  return {
+    param,
+    index,
+    blend,
+    hold: raw.hold === true,
+    keyframes,
+  };
+}
+
+/**
+ * Validates an automation block, dropping malformed lanes and keyframes with a warning.
+ * @param {unknown} raw
+ * @returns {{version: number, lanes: Array<{param: string, index: number, blend: string, hold: boolean, keyframes: Array<{time: number, value: number, curve: string}>}>}|null}
+ *   Null when nothing usable remains.
+ */
+export function sanitizeAutomation(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  const version = raw.version ?? AUTOMATION_VERSION;
+  if (version !== AUTOMATION_VERSION) {
+    console.warn(`[automation] Unsupported automation version ${version}.`);
+    return null;
+  }
+  const lanes = [];
+  const source = Array.isArray(raw.lanes) ? raw.lanes : [];
+  for (let i = 0; i < source.length; i += 1) {
+    const lane = sanitizeLane(source[i], i);
+    if (lane) {
+      lanes.push(lane);
+    }
+  }
+  return lanes.length > 0 ? { version: AUTOMATION_VERSION, lanes } : null;
+}
+
+/**
+ * Strips derived fields so a sanitized block can be persisted or exported as JSON.
+ * @param {ReturnType<typeof sanitizeAutomation>} automation
+ */
+export function serializeAutomation(automation) {
+  if (!automation) {
+    return null;
+  }
+  return {
+    version: AUTOMATION_VERSION,
+    lanes: automation.lanes.map((lane) => ({
+      param: lane.param,
+      blend: lane.blend,
+      hold: lane.hold,
+      keyframes: lane.keyframes.map((frame) => ({ ...frame })),
+    })),
+  };
+}
+
+function shapeSegment(curve, t) {
+  if (curve === 'step') {
+    return 0;
+  }
+  if (curve === 'ease') {
+    return t * t * (3 - 2 * t);
+  }
+  return t;
+}
+
+/**
+ * Samples a sanitized lane at `time` seconds.
+ * @returns {number} The curve value, or NaN while the lane is inactive.
+ */
+export function evaluateLane(lane, time) {
+  const { keyframes } = lane;
+  const first = keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+  if (!Number.isFinite(time) || time < first.time) {
+    return NaN;
+  }
+  if (time >= last.time) {
+    return lane.hold || time === last.time ? last.value : NaN;
+  }
+  let low = 0;
+  let high = keyframes.length - 1;
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if (keyframes[mid].time <= time) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  const from = keyframes[low];
+  const to = keyframes[high];
+  const span = to.time - from.time;
+  const t = span > 0 ? (time - from.time) / span : 1;
+  return from.value + (to.value - from.value) * shapeSegment(from.curve, t);
+}
+
+/**
+ * Blends active lanes into a copy of the NN outputs. Lanes on the same param apply in order.
+ * @param {ReturnType<typeof sanitizeAutomation>} automation
+ * @param {number} time Track time in seconds.
+ * @param {ArrayLike<number>} outputs
+ * @param {Float32Array} [target]
+ * @returns {Float32Array}
+ */
+export function applyAutomation(automation, time, outputs, target = new Float32Array(outputs.length)) {
+  const length = Math.min(outputs.length, target.length);
+  for (let i = 0; i < length; i += 1) {
+    target[i] = outputs[i];
+  }
+  if (!automation) {
+    return target;
+  }
+  for (const lane of automation.lanes) {
+    if (lane.index >= length) {
+      continue;
+    }
+    const value = evaluateLane(lane, time);
+    if (Number.isNaN(value)) {
+      continue;
+    }
+    const current = target[lane.index];
+    let next = value;
+    if (lane.blend === 'add') {
+      next = current + value;
+    } else if (lane.blend === 'multiply') {
+      next = current * value;
+    }
+    target[lane.index] = clamp(next, -1, 1);
+  }
+  return target;
+}
@@ -1,10 +1,18 @@
-import { createFeatureExtractor, FEATURE_COUNT, mixToMono } from './audio-features.js';
+import {
+  createFeatureExtractor,
+  createFeatureLayout,
+  FEATURE_SCHEMA_VERSION,
+  mixToMono,
+  usesExtendedFeatures,
+} from './audio-features.js';
+import { createAnalyserEmulator } from './analyser-emulation.js';
+import { hopSamplesFor, resolveAnalysisConfig } from './analysis-config.js';
 import { createModel, infer, loadModelDefinition } from './nn.js';
 import { FRESH_MODEL_ID } from './byom-constants.js';
 import { PARAM_NAMES as OUTPUT_PARAM_NAMES } from './map.js';
+import { getPreset } from './presets.js';
+import { formatParityReport, measureSpectrumParity } from './spectrum-parity.js';
 
-const FRAME_SIZE = 2048;
-const TARGET_FPS = 60;
 const MIN_DURATION_SECONDS = 30;
 const MAX_FILE_BYTES = 45 * 1024 * 1024;
 const PROGRESS_IMPORT = 0.05;
@@ -26,69 +34,6 @@ function throwIfAborted(signal) {
   }
 }
 
-function bitReverse(index, bits) {
-  let reversed = 0;
-  for (let i = 0; i < bits; i += 1) {
-    reversed = (reversed << 1) | (index & 1);
-    index >>= 1;
-  }
-  return reversed;
-}
-
-function fft(real, imag) {
-  const n = real.length;
-  const bits = Math.log2(n);
-  if (!Number.isInteger(bits)) {
-    throw new Error('FFT input length must be a power of two.');
-  }
-
-  for (let i = 0; i < n; i += 1) {
-    const j = bitReverse(i, bits);
-    if (j > i) {
-      const tmpR = real[i];
-      real[i] = real[j];
-      real[j] = tmpR;
-      const tmpI = imag[i];
-      imag[i] = imag[j];
-      imag[j] = tmpI;
-    }
-  }
-
-  for (let size = 2; size <= n; size <<= 1) {
-    const halfSize = size >> 1;
-    const angleStep = (-2 * Math.PI) / size;
-    for (let start = 0; start < n; start += size) {
-      for (let offset = 0; offset < halfSize; offset += 1) {
-        const index = start + offset;
-        const match = index + halfSize;
-        const angle = angleStep * offset;
-        const cos = Math.cos(angle);
-        const sin = Math.sin(angle);
-        const tre = cos * real[match] - sin * imag[match];
-        const tim = sin * real[match] + cos * imag[match];
-        real[match] = real[index] - tre;
-        imag[match] = imag[index] - tim;
-        real[index] += tre;
-        imag[index] += tim;
-      }
-    }
-  }
-}
-
-function computeSpectrum(frameBuffer, scratchReal, scratchImag, spectrum) {
-  scratchReal.set(frameBuffer);
-  scratchImag.fill(0);
-  fft(scratchReal, scratchImag);
-  const n = scratchReal.length;
-  const half = spectrum.length;
-  const scale = 2 / n;
-  spectrum[0] = Math.abs(scratchReal[0]) / n;
-  for (let i = 1; i < half; i += 1) {
-    const magnitude = Math.hypot(scratchReal[i], scratchImag[i]) * scale;
-    spectrum[i] = Number.isFinite(magnitude) ? magnitude : 0;
-  }
-}
-
 async function maybeYield(iteration) {
   if (iteration % 64 === 0) {
     await new Promise((resolve) => {
@@ -132,9 +77,13 @@ function createDatasetSummary({
   channels,
   frameCount,
   hopSamples,
+  frameSize,
+  bandCount,
   trainFrames,
   valFrames,
   warnings,
+  tempo,
+  parity,
 }) {
   return {
     fileName: file?.name ?? 'unknown',
@@ -146,17 +95,218 @@ function createDatasetSummary({
     frameCount,
     hopSamples,
     hopMs: hopSamples > 0 && sampleRate > 0 ? (hopSamples / sampleRate) * 1000 : 0,
-    frameMs: sampleRate > 0 ? (FRAME_SIZE / sampleRate) * 1000 : 0,
+    frameSize,
+    frameMs: sampleRate > 0 ? (frameSize / sampleRate) * 1000 : 0,
+    bandCount,
     trainFrames,
     validationFrames: valFrames,
+    tempo,
+    parity,
     warnings,
   };
 }
 
+/**
+ * Lays out analysis windows for an analysis config (defaults: 2048-sample frames at a 60 fps hop).
+ * @param {number} totalSamples
+ * @param {number} sampleRate
+ * @param {{fftSize?: number, hopMs?: number}|null} [analysis]
+ * @returns {{hopSamples: number, frameStarts: number[]}}
+ */
+export function planAnalysisFrames(totalSamples, sampleRate, analysis = null) {
+  const config = resolveAnalysisConfig(analysis);
+  const hopSamples = hopSamplesFor(config, sampleRate);
+  return { hopSamples, frameStarts: buildFrameStarts(totalSamples, hopSamples, config.fftSize) };
+}
+
+/**
+ * Runs the offline feature pass over a mono buffer, optionally inferring a model per frame.
+ * `onFrame(features, outputs, index, start)` receives shared buffers that are overwritten on the next frame.
+ * Features follow the config's band layout. The extended timbre/harmony block is computed when `extended` is set
+ * or the `model` reads it, and its slots stay 0 otherwise. A `model` must be bound to that layout's labels
+ * (`createFeatureLayout(bands).labels`).
+ * `channels` are the decoded channels `mono` was mixed from; the stereo features are read from the first two,
+ * windowed like the mono mix, and a mono (or missing) source reads as centred.
+ * @param {{mono: Float32Array, channels?: Float32Array[]|null, sampleRate: number, duration?: number, analysis?: {fftSize?: number, hopMs?: number}|null, extended?: boolean, frameStarts?: number[], model?: object|null, onFrame?: Function, onProgress?: (fraction: number) => void, signal?: AbortSignal}} options
+ * @returns {Promise<{frameCount: number, frameStarts: number[], beat: {bpm: number, phase: number, confidence: number, onBeat: boolean}}>}
+ */
+export async function analyzeFrames({
+  mono,
+  channels = null,
+  sampleRate,
+  duration = sampleRate > 0 ? mono.length / sampleRate : 0,
+  analysis = null,
+  extended = false,
+  frameStarts = planAnalysisFrames(mono.length, sampleRate, analysis).frameStarts,
+  model = null,
+  onFrame,
+  onProgress,
+  signal,
+}) {
+  const frameCount = frameStarts.length;
+  const { fftSize, bands } = resolveAnalysisConfig(analysis);
+  const extractor = createFeatureExtractor({
+    sampleRate,
+    fftSize,
+    bands,
+    extended: extended || Boolean(model && usesExtendedFeatures(model.featureNames)),
+  });
+  // Same windowing, smoothing, and dB conversion as the live AnalyserNode, so datasets match playback.
+  const analyser = createAnalyserEmulator({ fftSize });
+  const frameBuffer = new Float32Array(fftSize);
+  const stereo = channels && channels.length >= 2 ? channels.slice(0, 2) : null;
+  const stereoBuffers = stereo ? [new Float32Array(fftSize), new Float32Array(fftSize)] : null;
+  const outputScratch = model ? new Float32Array(model.outputSize) : null;
+
+  let previousStart = frameStarts[0];
+
+  for (let index = 0; index < frameCount; index += 1) {
+    throwIfAborted(signal);
+    const start = frameStarts[index];
+    const end = Math.min(mono.length, start + fftSize);
+    frameBuffer.fill(0);
+    frameBuffer.set(mono.subarray(start, end));
+    stereoBuffers?.forEach((buffer, channel) => {
+      buffer.fill(0);
+      buffer.set(stereo[channel].subarray(start, end));
+    });
+    const { frequencyDb } = analyser.process(frameBuffer);
+
+    const deltaSamples = index === 0 ? 0 : Math.max(1, start - previousStart);
+    const deltaMs = (deltaSamples / sampleRate) * 1000;
+    previousStart = start;
+    const trackRatio = duration > 0 ? Math.min(Math.max(start / (sampleRate * duration), 0), 1) : -1;
+    const trackPosition = trackRatio >= 0 ? trackRatio * 2 - 1 : -1;
+
+    const features = extractor.process({
+      frequencyDb,
+      waveform: frameBuffer,
+      channels: stereoBuffers,
+      deltaMs,
+      trackPosition,
+      sampleRateOverride: sampleRate,
+      fftSizeOverride: fftSize,
+    });
+
+    const outputs = model ? infer(model, features, outputScratch) : null;
+    onFrame?.(features, outputs, index, start);
+
+    if ((index & 0x3f) === 0) {
+      onProgress?.(frameCount > 0 ? index / frameCount : 0);
+      await maybeYield(index);
+    }
+  }
+
+  return { frameCount, frameStarts, beat: { ...extractor.getBeat() } };
+}
+
+/**
+ * Extracts features (and baseline model targets when `model` is given) for every analysis frame and
+ * packs them into the training dataset layout with an 80/20 train/validation split.
+ * Shared by `analyzeFile()` and the headless `scripts/train-audio.js` CLI.
+ * @param {{mono: Float32Array, channels?: Float32Array[]|null, sampleRate: number, duration?: number, analysis?: {fftSize?: number, hopMs?: number, bands?: number[]}|null, extended?: boolean, model?: object|null, onProgress?: (fraction: number) => void, signal?: AbortSignal}} options
+ *   Targets stay zero for a fresh (null) model, and for outputs a base model predates (it is widened to every
+ *   mapped param when trained). `frameSize`, `hopSamples`, and `bands` record the analysis config, which
+ *   training copies onto the model; `featureNames` follow the band layout. The extended timbre/harmony columns
+ *   are only kept with `extended` or when the base model reads them, so fresh models do not pick up a block
+ *   nobody asked for (and its cost at playback).
+ */
+export async function buildAnalysisDataset({
+  mono,
+  channels = null,
+  sampleRate,
+  duration = sampleRate > 0 ? mono.length / sampleRate : 0,
+  analysis = null,
+  extended = false,
+  model = null,
+  onProgress,
+  signal,
+}) {
+  const { fftSize, bands } = resolveAnalysisConfig(analysis);
+  const layout = createFeatureLayout(bands);
+  const { hopSamples, frameStarts } = planAnalysisFrames(mono.length, sampleRate, analysis);
+  const frameCount = frameStarts.length;
+  const outputSize = OUTPUT_PARAM_NAMES.length;
+  const withExtended = extended || Boolean(model && usesExtendedFeatures(model.featureNames));
+  const columns = [];
+  layout.labels.forEach((label, index) => {
+    if (withExtended || !usesExtendedFeatures([label])) {
+      columns.push(index);
+    }
+  });
+  const featureSize = columns.length;
+  const featureValues = new Float32Array(frameCount * featureSize);
+  const targetValues = new Float32Array(frameCount * outputSize);
+
+  const { beat } = await analyzeFrames({
+    mono,
+    channels,
+    sampleRate,
+    duration,
+    analysis,
+    extended: withExtended,
+    frameStarts,
+    model,
+    signal,
+    onProgress,
+    onFrame(features, outputs, index) {
+      const offset = index * featureSize;
+      for (let column = 0; column < featureSize; column += 1) {
+        featureValues[offset + column] = features[columns[column]];
+      }
+      if (outputs) {
+        targetValues.set(outputs.subarray(0, outputSize), index * outputSize);
+      }
+    },
+  });
+
+  let trainFrames = Math.max(1, Math.floor(frameCount * 0.8));
+  let valFrames = frameCount - trainFrames;
+  if (frameCount > 1 && valFrames === 0) {
+    trainFrames -= 1;
+    valFrames = 1;
+  }
+  if (frameCount === 1) {
+    trainFrames = 1;
+    valFrames = 0;
+  }
+
+  return {
+    dataset: {
+      features: featureValues,
+      targets: targetValues,
+      frameCount,
+      featureSize,
+      featureNames: columns.map((index) => layout.labels[index]),
+      featureSchemaVersion: FEATURE_SCHEMA_VERSION,
+      targetSize: outputSize,
+      hopSamples,
+      sampleRate,
+      frameSize: fftSize,
+      bands: layout.bands ? layout.bands.slice() : null,
+      splits: {
+        train: { start: 0, count: trainFrames },
+        validation: { start: trainFrames, count: valFrames },
+      },
+    },
+    frameStarts,
+    beat,
+  };
+}
+
+/**
+ * Decodes an uploaded file and builds its training dataset. `analysis` holds the drawer's FFT size/hop picks;
+ * fields left out follow the base model, then the preset, then the defaults. `extended` keeps the timbre/harmony
+ * columns in the dataset (the drawer's **Timbre & harmony** checkbox).
+ * @param {{file: File, presetId: string, modelUrl: string, analysis?: {fftSize?: number, hopMs?: number}|null,
+ *   extended?: boolean, onProgress?: (progress: {stage: string, value: number}) => void, signal?: AbortSignal}} options
+ */
 export async function analyzeFile({
   file,
   presetId,
   modelUrl,
+  analysis = null,
+  extended = false,
   onProgress,
   signal,
 }) {
@@ -183,82 +333,60 @@ export async function analyzeFile({
     const mono = mixToMono(channelData);
     const sampleRate = audioBuffer.sampleRate;
     const duration = audioBuffer.duration;
-    const hopSamples = Math.max(1, Math.round(sampleRate / TARGET_FPS));
-    const frameStarts = buildFrameStarts(mono.length, hopSamples, FRAME_SIZE);
-    const frameCount = frameStarts.length;
 
     const isFreshModel = modelUrl === FRESH_MODEL_ID;
     onProgress?.({ stage: 'model', value: PROGRESS_IMPORT + PROGRESS_DECODE });
-    let model = null;
-    let outputSize = OUTPUT_PARAM_NAMES.length;
-    if (!isFreshModel) {
-      const rawModel = await loadModelDefinition(modelUrl);
-      model = createModel(rawModel);
-      outputSize = model.outputSize;
-    }
-
-    const extractor = createFeatureExtractor({ sampleRate, fftSize: FRAME_SIZE });
-    const spectrum = new Float32Array(FRAME_SIZE / 2);
-    const scratchReal = new Float32Array(FRAME_SIZE);
-    const scratchImag = new Float32Array(FRAME_SIZE);
-    const frameBuffer = new Float32Array(FRAME_SIZE);
-    const featureValues = new Float32Array(frameCount * FEATURE_COUNT);
-    const targetValues = new Float32Array(frameCount * outputSize);
-    const outputScratch = isFreshModel ? null : new Float32Array(outputSize);
-
-    let previousStart = frameStarts[0];
+    const baseDefinition = isFreshModel ? null : await loadModelDefinition(modelUrl);
+    const analysisConfig = resolveAnalysisConfig(analysis, baseDefinition?.analysis, getPreset(presetId)?.analysis);
+    const layout = createFeatureLayout(analysisConfig.bands);
+    const model = baseDefinition ? createModel(baseDefinition, { features: layout.labels }) : null;
 
-    for (let index = 0; index < frameCount; index += 1) {
-      throwIfAborted(signal);
-      const start = frameStarts[index];
-      const end = Math.min(mono.length, start + FRAME_SIZE);
-      frameBuffer.fill(0);
-      frameBuffer.set(mono.subarray(start, end));
-      computeSpectrum(frameBuffer, scratchReal, scratchImag, spectrum);
-
-      const deltaSamples = index === 0 ? 0 : Math.max(1, start - previousStart);
-      const deltaMs = (deltaSamples / sampleRate) * 1000;
-      previousStart = start;
-      const trackRatio = duration > 0 ? Math.min(Math.max(start / (sampleRate * duration), 0), 1) : -1;
-      const trackPosition = trackRatio >= 0 ? trackRatio * 2 - 1 : -1;
-
-      const features = extractor.process({
-        magnitudes: spectrum,
-        waveform: frameBuffer,
-        deltaMs,
-        trackPosition,
-        sampleRateOverride: sampleRate,
-        fftSizeOverride: FRAME_SIZE,
-      });
-
-      featureValues.set(features, index * FEATURE_COUNT);
-      if (model) {
-        const outputs = infer(model, features, outputScratch);
-        targetValues.set(outputs, index * outputSize);
-      }
-
-      if ((index & 0x3f) === 0) {
-        const progressBase = PROGRESS_IMPORT + PROGRESS_DECODE;
-        const fraction = frameCount > 0 ? index / frameCount : 0;
+    const progressBase = PROGRESS_IMPORT + PROGRESS_DECODE;
+    const { dataset, frameStarts, beat } = await buildAnalysisDataset({
+      mono,
+      channels: channelData,
+      sampleRate,
+      duration,
+      analysis: analysisConfig,
+      extended,
+      model,
+      signal,
+      onProgress(fraction) {
         onProgress?.({ stage: 'features', value: progressBase + PROGRESS_FEATURES * fraction });
-        await maybeYield(index);
-      }
+      },
+    });
+    const { frameCount, hopSamples } = dataset;
+    const trainFrames = dataset.splits.train.count;
+    const valFrames = dataset.splits.validation.count;
+
+    // Check the offline spectra against a real AnalyserNode on the opening seconds.
+    throwIfAborted(signal);
+    onProgress?.({ stage: 'parity', value: progressBase + PROGRESS_FEATURES });
+    const parityReport = await measureSpectrumParity({
+      mono,
+      sampleRate,
+      fftSize: analysisConfig.fftSize,
+      bands: analysisConfig.bands,
+    }).catch((error) => {
+      console.warn('[byom-intake] Spectrum parity check failed', error);
+      return null;
+    });
+    if (parityReport) {
+      console.info(`[byom-intake] ${formatParityReport(parityReport)}`);
     }
 
     onProgress?.({ stage: 'complete', value: 1 });
 
-    let trainFrames = Math.max(1, Math.floor(frameCount * 0.8));
-    let valFrames = frameCount - trainFrames;
-    if (frameCount > 1 && valFrames === 0) {
-      trainFrames -= 1;
-      valFrames = 1;
-    }
-    if (frameCount === 1) {
-      trainFrames = 1;
-      valFrames = 0;
-    }
-
     const warnings = makeWarnings({ duration, sizeBytes: file.size });
+    if (model && model.missingFeatures.length > 0) {
+      warnings.push(
+        `Base model reads ${model.missingFeatures.length} features this band layout lacks; they stay at their mean.`,
+      );
+    }
+    const tempo = {
+      bpm: beat.bpm > 0 ? Math.round(beat.bpm * 10) / 10 : null,
+      confidence: beat.confidence,
+    };
 
     const summary = createDatasetSummary({
       file,
@@ -267,25 +395,25 @@ export async function analyzeFile({
       channels,
       frameCount,
       hopSamples,
+      frameSize: dataset.frameSize,
+      bandCount: layout.bandDefs.length,
       trainFrames,
       valFrames,
       warnings,
+      tempo,
+      parity: parityReport
+        ? {
+            meanAbsDb: parityReport.spectrum.meanAbsDb,
+            maxAbsDb: parityReport.spectrum.maxAbsDb,
+            worstFeature: parityReport.features[0]?.name ?? null,
+            worstFeatureDiff: parityReport.features[0]?.meanAbsDiff ?? 0,
+          }
+        : null,
     });
 
     return {
       dataset: {
-        features: featureValues,
-        targets: targetValues,
-        frameCount,
-        featureSize: FEATURE_COUNT,
-        targetSize: outputSize,
-        hopSamples,
-        sampleRate,
-        frameSize: FRAME_SIZE,
-        splits: {
-          train: { start: 0, count: trainFrames },
-          validation: { start: trainFrames, count: valFrames },
-        },
+        ...dataset,
         metadata: {
           duration,
           presetId,
@@ -293,6 +421,7 @@ export async function analyzeFile({
           sampleRate,
           channels,
           frameStarts,
+          tempo,
         },
       },
       summary,
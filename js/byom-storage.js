@@ -1,8 +1,15 @@
+import { sanitizeAnalysisConfig } from './analysis-config.js';
+import { sanitizeAutomation, serializeAutomation } from './automation.js';
+
 const DB_NAME = 'ln.byom';
 const STORE_NAME = 'models';
 const DB_VERSION = 1;
 const MEMORY_STORE = new Map();
 const STORAGE_PATH = `${DB_NAME}.${STORE_NAME}`;
+const BUNDLE_FORMAT = 'latentnoise.byom-bundle';
+const BUNDLE_SCHEMA_VERSION = 1;
+const CHECKSUM_ALGORITHM = 'crc32';
+const BASE64_CHUNK = 0x8000;
 
 let dbPromise = null;
 let dbDisabled = false;
@@ -88,6 +95,8 @@ function sanitizeEntry(entry) {
     summary: entry.summary ? { ...entry.summary } : null,
     model: entry.model ? { ...entry.model } : null,
     stats: entry.stats ? { ...entry.stats } : null,
+    correlations: Array.isArray(entry.correlations) ? entry.correlations.map((item) => ({ ...item })) : [],
+    automation: entry.automation ? serializeAutomation(sanitizeAutomation(entry.automation)) : null,
   };
   return normalized;
 }
@@ -163,8 +172,20 @@ function normalizeModel(model, meta = {}) {
     ...(typeof model.meta === 'object' ? model.meta : {}),
     ...meta,
   };
+  const schema = {};
+  if (Number.isInteger(model.featureSchemaVersion)) {
+    schema.featureSchemaVersion = model.featureSchemaVersion;
+  }
+  if (Array.isArray(model.features)) {
+    schema.features = model.features.map((name) => String(name));
+  }
+  const analysis = sanitizeAnalysisConfig(model.analysis);
+  if (analysis) {
+    schema.analysis = analysis;
+  }
   return {
     input,
+    ...schema,
     normalization: {
       mean: normMean,
       std: normStd.length === normMean.length ? normStd : normMean.map(() => 1),
@@ -334,6 +355,8 @@ export function createEntryPayload({
   summary,
   model,
   stats,
+  correlations,
+  automation,
 }) {
   const entryId = id || (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
     ? crypto.randomUUID()
@@ -346,7 +369,201 @@ export function createEntryPayload({
     summary,
     model: model ? normalizeModel(model, { name: entryId }) : null,
     stats,
+    correlations,
+    automation,
+  });
+}
+
+let crcTable = null;
+
+function getCrcTable() {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+}
+
+// CRC-32 over the UTF-8 bytes of `text`, encoded inline because TextEncoder is not available everywhere we run.
+function crc32Text(text) {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  const push = (byte) => {
+    crc = table[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  };
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      push(code);
+    } else if (code < 0x800) {
+      push(0xc0 | (code >> 6));
+      push(0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      push(0xe0 | (code >> 12));
+      push(0x80 | ((code >> 6) & 0x3f));
+      push(0x80 | (code & 0x3f));
+    } else {
+      push(0xf0 | (code >> 18));
+      push(0x80 | ((code >> 12) & 0x3f));
+      push(0x80 | ((code >> 6) & 0x3f));
+      push(0x80 | (code & 0x3f));
+    }
+  }
+  return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+}
+
+// Key-sorted JSON so the checksum does not depend on property insertion order.
+function stableStringify(value) {
+  return JSON.stringify(value, (key, current) => {
+    if (current && typeof current === 'object' && !Array.isArray(current)) {
+      const sorted = {};
+      for (const name of Object.keys(current).sort()) {
+        sorted[name] = current[name];
+      }
+      return sorted;
+    }
+    return current;
+  });
+}
+
+function computeBundleChecksum(bundle) {
+  const payload = { ...bundle };
+  delete payload.checksum;
+  return crc32Text(stableStringify(payload));
+}
+
+async function readBlobBytes(blob) {
+  if (typeof blob.arrayBuffer === 'function') {
+    return new Uint8Array(await blob.arrayBuffer());
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error || new Error('Failed to read audio data.'));
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + BASE64_CHUNK));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+async function encodeBundleAudio(audio) {
+  if (!audio) {
+    return null;
+  }
+  const isBlob = typeof Blob !== 'undefined' && audio instanceof Blob;
+  const source = isBlob ? audio : audio.data;
+  let bytes;
+  if (isBlob) {
+    bytes = await readBlobBytes(source);
+  } else if (source instanceof ArrayBuffer) {
+    bytes = new Uint8Array(source);
+  } else if (ArrayBuffer.isView(source)) {
+    bytes = new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+  } else {
+    throw new TypeError('Bundle audio must be a Blob/File or { data: ArrayBuffer }.');
+  }
+  return {
+    name: String(audio.name || 'audio'),
+    type: String(audio.type || 'application/octet-stream'),
+    size: bytes.length,
+    lastModified: Number.isFinite(audio.lastModified) ? audio.lastModified : 0,
+    encoding: 'base64',
+    data: bytesToBase64(bytes),
+  };
+}
+
+function decodeBundleAudio(audio) {
+  if (!audio) {
+    return null;
+  }
+  if (audio.encoding !== 'base64' || typeof audio.data !== 'string') {
+    throw new Error('Bundle audio uses an unsupported encoding.');
+  }
+  const bytes = base64ToBytes(audio.data);
+  const options = { type: audio.type || 'application/octet-stream', lastModified: audio.lastModified || 0 };
+  return typeof File === 'function' ? new File([bytes], audio.name, options) : new Blob([bytes], options);
+}
+
+/**
+ * Serialises a stored entry into a portable bundle. The audio file is only embedded when passed in,
+ * so a tuned model can be shared without its (often copyrighted) source audio.
+ * @param {string} id
+ * @param {{audio?: Blob|File|{name?: string, type?: string, lastModified?: number, data: ArrayBuffer|ArrayBufferView}|null}} [options]
+ */
+export async function exportBundle(id, { audio = null } = {}) {
+  const entry = await getEntry(id);
+  if (!entry) {
+    throw new Error(`No BYOM entry found for id ${id}`);
+  }
+  const normalized = sanitizeEntry(entry);
+  normalized.updatedAt = Number.isFinite(entry.updatedAt) ? entry.updatedAt : normalized.updatedAt;
+  if (normalized.model) {
+    normalized.model = normalizeModel(normalized.model);
+  }
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    schemaVersion: BUNDLE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    entry: normalized,
+    audio: await encodeBundleAudio(audio),
+  };
+  bundle.checksum = { algorithm: CHECKSUM_ALGORITHM, value: computeBundleChecksum(bundle) };
+  return bundle;
+}
+
+/**
+ * Validates a bundle (object or JSON text) and stores its entry. Entries whose id already exists
+ * are stored under a fresh id rather than overwriting the local copy.
+ * @param {object|string} input
+ * @returns {Promise<{entry: object, audio: File|Blob|null}>}
+ */
+export async function importBundle(input) {
+  const bundle = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    throw new Error('Not a Latent Noise BYOM bundle.');
+  }
+  if (bundle.schemaVersion !== BUNDLE_SCHEMA_VERSION) {
+    throw new Error(`Unsupported bundle schema version ${bundle.schemaVersion}.`);
+  }
+  if (bundle.checksum?.algorithm !== CHECKSUM_ALGORITHM) {
+    throw new Error('Bundle checksum is missing or uses an unknown algorithm.');
+  }
+  if (computeBundleChecksum(bundle) !== bundle.checksum.value) {
+    throw new Error('Bundle checksum mismatch; the file may be corrupted or edited.');
+  }
+  if (!bundle.entry?.model) {
+    throw new Error('Bundle does not contain a model.');
+  }
+  const audio = decodeBundleAudio(bundle.audio);
+  const existing = bundle.entry.id ? await getEntry(bundle.entry.id) : null;
+  const payload = createEntryPayload({
+    ...bundle.entry,
+    id: existing ? '' : bundle.entry.id,
   });
+  payload.createdAt = Number.isFinite(bundle.entry.createdAt) ? bundle.entry.createdAt : payload.createdAt;
+  const entry = await putEntry(payload);
+  return { entry, audio };
 }
 
-export { STORAGE_PATH };
+export { STORAGE_PATH, BUNDLE_FORMAT, BUNDLE_SCHEMA_VERSION };
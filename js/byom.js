@@ -1,10 +1,14 @@
 import { listPresets } from './presets.js';
 import { analyzeFile } from './byom-intake.js';
 import { logByomDataset } from './diagnostics.js';
-import { FEATURE_LABELS, FEATURE_TYPES } from './audio-features.js';
+import { FEATURE_LABELS, getFeatureType, usesExtendedFeatures } from './audio-features.js';
 import { PARAM_NAMES as OUTPUT_LABELS } from './map.js';
 import { PRIMARY_WEIGHT, SECONDARY_WEIGHT, formatCorrelation } from './correlation-math.js';
 import { FRESH_MODEL_ID, FRESH_MODEL_LABEL } from './byom-constants.js';
+import { FFT_SIZES } from './analysis-config.js';
+
+// Analysis rates offered for the hop; the stored value is the hop in milliseconds.
+const HOP_RATES = Object.freeze([120, 60, 30, 20]);
 
 const STATUS = Object.freeze({
   IDLE: 'idle',
@@ -28,9 +32,18 @@ const STATUS_MESSAGES = {
         `${ctx.summary.durationFormatted}`,
         `${ctx.summary.frameCount} frames`,
       ];
+      if (Number.isFinite(ctx.summary.tempo?.bpm)) {
+        parts.push(`~${Math.round(ctx.summary.tempo.bpm)} BPM`);
+      }
       if (ctx.summary.trainFrames !== undefined && ctx.summary.validationFrames !== undefined) {
         parts.push(`train ${ctx.summary.trainFrames} / val ${ctx.summary.validationFrames}`);
       }
+      if (Number.isFinite(ctx.summary.frameSize) && Number.isFinite(ctx.summary.hopMs)) {
+        parts.push(`${ctx.summary.frameSize}-pt FFT / ${ctx.summary.hopMs.toFixed(1)} ms hop`);
+      }
+      if (Number.isFinite(ctx.summary.parity?.meanAbsDb)) {
+        parts.push(`live parity ±${ctx.summary.parity.meanAbsDb.toFixed(2)} dB`);
+      }
       return `Dataset ready — ${parts.join(' · ')}`;
     }
     return ctx.fileName
@@ -86,11 +99,6 @@ function makeCorrelationId(featureIndex, outputIndex, orientationSign) {
   return `${featureIndex}:${outputIndex}:${sign}`;
 }
 
-function getFeatureTypeByName(name) {
-  const type = FEATURE_TYPES[name];
-  return type === 'signed' ? 'signed' : 'positive';
-}
-
 function resolveOrientation(inverse) {
   return inverse ? ORIENTATION_INFO.inverse : ORIENTATION_INFO.direct;
 }
@@ -179,6 +187,35 @@ function renderCorrelationList() {
   updateCorrelationControlsDisabledState();
 }
 
+/**
+ * Points the correlation picker at the dataset's feature layout (band layouts change the labels). Existing
+ * correlations follow their feature by name; ones the layout lacks are dropped.
+ * @param {readonly string[]} featureNames
+ * @returns {string[]} Names of the dropped correlations.
+ */
+function applyFeatureLayout(featureNames) {
+  if (!Array.isArray(featureNames) || featureNames.join(',') === state.featureLabels.join(',')) {
+    return [];
+  }
+  state.featureLabels = featureNames.slice();
+  populateCorrelationSelectors();
+  const dropped = [];
+  state.correlations = state.correlations.filter((correlation) => {
+    const featureIndex = featureNames.indexOf(correlation.featureName);
+    state.correlationResults.delete(correlation.id);
+    if (featureIndex < 0) {
+      dropped.push(`${correlation.featureName} → ${correlation.outputName}`);
+      return false;
+    }
+    correlation.featureIndex = featureIndex;
+    correlation.id = makeCorrelationId(featureIndex, correlation.outputIndex, correlation.orientationSign);
+    return true;
+  });
+  assignCorrelationWeights();
+  renderCorrelationList();
+  return dropped;
+}
+
 function populateCorrelationSelectors() {
   const featureSelect = state.elements.correlationFeatureSelect;
   const outputSelect = state.elements.correlationOutputSelect;
@@ -191,12 +228,20 @@ function populateCorrelationSelectors() {
     placeholder.selected = true;
     placeholder.hidden = true;
     featureSelect.append(placeholder);
-    FEATURE_LABELS.forEach((label, index) => {
+    const coreGroup = document.createElement('optgroup');
+    coreGroup.label = 'Core';
+    const extendedGroup = document.createElement('optgroup');
+    extendedGroup.label = 'Timbre & harmony';
+    state.featureLabels.forEach((label, index) => {
       const option = document.createElement('option');
       option.value = String(index);
       option.textContent = label;
-      featureSelect.append(option);
+      (usesExtendedFeatures([label]) ? extendedGroup : coreGroup).append(option);
     });
+    featureSelect.append(coreGroup);
+    if (extendedGroup.children.length > 0) {
+      featureSelect.append(extendedGroup);
+    }
   }
   if (outputSelect) {
     outputSelect.innerHTML = '';
@@ -271,20 +316,20 @@ function showCorrelationError(message) {
 function createCorrelationDefinition({ featureIndex, outputIndex, inverse }) {
   const featureIdx = Number(featureIndex);
   const outputIdx = Number(outputIndex);
-  if (!Number.isInteger(featureIdx) || featureIdx < 0 || featureIdx >= FEATURE_LABELS.length) {
+  if (!Number.isInteger(featureIdx) || featureIdx < 0 || featureIdx >= state.featureLabels.length) {
     return null;
   }
   if (!Number.isInteger(outputIdx) || outputIdx < 0 || outputIdx >= OUTPUT_LABELS.length) {
     return null;
   }
-  const featureName = FEATURE_LABELS[featureIdx] ?? `feature-${featureIdx}`;
+  const featureName = state.featureLabels[featureIdx] ?? `feature-${featureIdx}`;
   const outputName = OUTPUT_LABELS[outputIdx] ?? `output-${outputIdx}`;
   const orientation = resolveOrientation(Boolean(inverse));
   return {
     id: makeCorrelationId(featureIdx, outputIdx, orientation.sign),
     featureIndex: featureIdx,
     featureName,
-    featureType: getFeatureTypeByName(featureName),
+    featureType: getFeatureType(featureName),
     outputIndex: outputIdx,
     outputName,
     inverse: orientation.inverse,
@@ -439,6 +484,7 @@ const state = {
   analysisToken: 0,
   analysisActive: false,
   lastError: null,
+  featureLabels: FEATURE_LABELS,
   correlations: [],
   correlationResults: new Map(),
   training: {
@@ -463,6 +509,9 @@ const state = {
     fileInput: null,
     presetSelect: null,
     modelSelect: null,
+    fftSelect: null,
+    hopSelect: null,
+    extendedToggle: null,
     statusText: null,
     progress: null,
     form: null,
@@ -887,6 +936,25 @@ function getSelectedModelId() {
   return state.elements.modelSelect?.value ?? '';
 }
 
+// Empty picks ("Auto") follow the base model, then the preset.
+function getSelectedAnalysis() {
+  const fftSize = Number(state.elements.fftSelect?.value);
+  const hopMs = Number(state.elements.hopSelect?.value);
+  return {
+    fftSize: fftSize > 0 ? fftSize : undefined,
+    hopMs: hopMs > 0 ? hopMs : undefined,
+  };
+}
+
+// The timbre/harmony columns are opt-in: every model trained with them computes the block live.
+function getSelectedExtended() {
+  return Boolean(state.elements.extendedToggle?.checked);
+}
+
+function getAnalysisKey(analysis, extended) {
+  return `${analysis.fftSize ?? 'auto'}:${analysis.hopMs ?? 'auto'}:${extended ? 'extended' : 'core'}`;
+}
+
 function getFileSignature(file) {
   if (!file) {
     return '';
@@ -896,7 +964,14 @@ function getFileSignature(file) {
 }
 
 function setInputsDisabled(disabled) {
-  const targets = [state.elements.fileInput, state.elements.presetSelect, state.elements.modelSelect];
+  const targets = [
+    state.elements.fileInput,
+    state.elements.presetSelect,
+    state.elements.modelSelect,
+    state.elements.fftSelect,
+    state.elements.hopSelect,
+    state.elements.extendedToggle,
+  ];
   const lock = disabled || state.training.active;
   state.inputsDisabled = lock;
   targets.forEach((el) => {
@@ -931,19 +1006,23 @@ function ensureDataset() {
     return;
   }
   const signature = getFileSignature(state.file);
+  const analysis = getSelectedAnalysis();
+  const extended = getSelectedExtended();
+  const analysisKey = getAnalysisKey(analysis, extended);
   if (
     state.dataset &&
     state.datasetContext &&
     state.datasetContext.fileSignature === signature &&
     state.datasetContext.presetId === presetId &&
-    state.datasetContext.modelId === modelId
+    state.datasetContext.modelId === modelId &&
+    state.datasetContext.analysisKey === analysisKey
   ) {
     return;
   }
-  startAnalysis({ file: state.file, presetId, modelId, fileSignature: signature });
+  startAnalysis({ file: state.file, presetId, modelId, analysis, extended, analysisKey, fileSignature: signature });
 }
 
-function startAnalysis({ file, presetId, modelId, fileSignature }) {
+function startAnalysis({ file, presetId, modelId, analysis, extended, analysisKey, fileSignature }) {
   abortAnalysis();
   clearDataset();
   state.analysisToken += 1;
@@ -959,6 +1038,8 @@ function startAnalysis({ file, presetId, modelId, fileSignature }) {
     file,
     presetId,
     modelUrl: modelId,
+    analysis,
+    extended,
     signal: controller.signal,
     onProgress: (info) => {
       if (token !== state.analysisToken) {
@@ -974,9 +1055,14 @@ function startAnalysis({ file, presetId, modelId, fileSignature }) {
         return;
       }
       state.dataset = dataset;
+      const dropped = applyFeatureLayout(dataset.featureNames);
+      const warnings = [...(summary?.warnings ?? [])];
+      if (dropped.length > 0) {
+        warnings.push(`Removed correlations on features this dataset lacks: ${dropped.join(', ')}.`);
+      }
       state.datasetSummary = {
         ...summary,
-        warnings: summary?.warnings ?? [],
+        warnings,
         presetId,
         modelId,
       };
@@ -984,6 +1070,7 @@ function startAnalysis({ file, presetId, modelId, fileSignature }) {
         fileSignature,
         presetId,
         modelId,
+        analysisKey,
       };
       state.analysisActive = false;
       state.analysisController = null;
@@ -1148,6 +1235,12 @@ function resetForm() {
   if (state.elements.presetSelect) {
     state.elements.presetSelect.selectedIndex = 0;
   }
+  if (state.elements.fftSelect) {
+    state.elements.fftSelect.value = '';
+  }
+  if (state.elements.hopSelect) {
+    state.elements.hopSelect.value = '';
+  }
   if (state.elements.modelSelect) {
     const select = state.elements.modelSelect;
     select.value = FRESH_MODEL_ID;
@@ -1193,7 +1286,13 @@ function handleFormInput(event) {
   if (!(target instanceof HTMLElement)) {
     return;
   }
-  if (target === state.elements.presetSelect || target === state.elements.modelSelect) {
+  if (
+    target === state.elements.presetSelect ||
+    target === state.elements.modelSelect ||
+    target === state.elements.fftSelect ||
+    target === state.elements.hopSelect ||
+    target === state.elements.extendedToggle
+  ) {
     updateStatusFromInputs();
   }
 }
@@ -1418,6 +1517,34 @@ function populatePresetOptions() {
   state.elements.presetSelect.selectedIndex = 0;
 }
 
+function populateAnalysisOptions() {
+  const fill = (select, choices) => {
+    if (!select) {
+      return;
+    }
+    select.innerHTML = '';
+    const auto = document.createElement('option');
+    auto.value = '';
+    auto.textContent = 'Auto (model / preset)';
+    select.append(auto);
+    choices.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = String(value);
+      option.textContent = label;
+      select.append(option);
+    });
+    select.value = '';
+  };
+  fill(
+    state.elements.fftSelect,
+    FFT_SIZES.map((size) => ({ value: size, label: `${size} samples` })),
+  );
+  fill(
+    state.elements.hopSelect,
+    HOP_RATES.map((rate) => ({ value: 1000 / rate, label: `${(1000 / rate).toFixed(1)} ms (${rate}/s)` })),
+  );
+}
+
 function sanitizeModelOption(entry) {
   if (!entry || typeof entry.id !== 'string') {
     return null;
@@ -1522,6 +1649,9 @@ export function mount({ drawer, toggle, modelOptions = [], onTrain, onCancel } =
   state.elements.fileInput = drawer.querySelector('#byom-file');
   state.elements.presetSelect = drawer.querySelector('#byom-preset');
   state.elements.modelSelect = drawer.querySelector('#byom-model');
+  state.elements.fftSelect = drawer.querySelector('#byom-fft-size');
+  state.elements.hopSelect = drawer.querySelector('#byom-hop');
+  state.elements.extendedToggle = drawer.querySelector('#byom-extended');
   state.elements.statusText = drawer.querySelector('#byom-status');
   state.elements.progress = drawer.querySelector('#byom-progress');
   state.elements.form = drawer.querySelector('#byom-form');
@@ -1552,6 +1682,7 @@ export function mount({ drawer, toggle, modelOptions = [], onTrain, onCancel } =
 
   state.options.modelOptions = Array.isArray(modelOptions) ? modelOptions.slice() : [];
   populatePresetOptions();
+  populateAnalysisOptions();
   populateModelOptions(state.options.modelOptions);
   populateCorrelationSelectors();
   renderCorrelationList();
@@ -0,0 +1,233 @@
+import { buildSpatialGrid, cellOf, createSpatialGrid } from './spatial-grid.js';
+
+/**
+ * Constellation links: each live particle connects to its nearest neighbours within `maxDistance` (world units),
+ * up to `maxDegree` links per particle. Presets tune it with a `constellation` block:
+ *
+ *   constellation: { maxDistance: 0.12, maxDegree: 4, density: { param: 'cohesion', scale: 1, offset: -0.1 } }
+ *
+ * `density` is a fixed number in [0, 1] or a binding to a mapped param, in the same `{ param, scale, offset }`
+ * shape force emitters use. Each frame the resolved density scales both the link radius and the per-particle
+ * degree, so 0 draws no lines and 1 draws the full budget. Candidates come from the shared spatial grid, never
+ * from a scan over all pairs.
+ */
+
+export const MAX_DEGREE = 6;
+const DEFAULT_MAX_LINKS = 6000;
+const DEFAULT_DENSITY = Object.freeze({ param: 'cohesion', scale: 1, offset: -0.1 });
+
+const LIMITS = Object.freeze({
+  maxDistance: { value: 0.14, min: 0.01, max: 0.5 },
+  maxDegree: { value: 3, min: 0, max: MAX_DEGREE },
+});
+
+function clamp(value, min, max) {
+  if (!Number.isFinite(value)) {
+    return min;
+  }
+  if (value < min) {
+    return min;
+  }
+  if (value > max) {
+    return max;
+  }
+  return value;
+}
+
+function resolveDensitySpec(value) {
+  if (Number.isFinite(value)) {
+    return clamp(value, 0, 1);
+  }
+  if (value && typeof value === 'object' && typeof value.param === 'string') {
+    return Object.freeze({
+      param: value.param,
+      scale: Number.isFinite(value.scale) ? value.scale : 1,
+      offset: Number.isFinite(value.offset) ? value.offset : 0,
+    });
+  }
+  return DEFAULT_DENSITY;
+}
+
+/**
+ * Sanitizes a preset `constellation` block. Missing or invalid fields fall back to defaults.
+ * @param {unknown} input
+ */
+export function resolveConstellation(input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const config = {};
+  Object.entries(LIMITS).forEach(([key, bounds]) => {
+    const value = Number(source[key]);
+    config[key] = Number.isFinite(value) ? clamp(value, bounds.min, bounds.max) : bounds.value;
+  });
+  config.maxDegree = Math.round(config.maxDegree);
+  config.density = resolveDensitySpec(source.density);
+  return Object.freeze(config);
+}
+
+export const DEFAULT_CONSTELLATION = resolveConstellation(null);
+
+/**
+ * Resolves the link density (0..1) for this frame from the mapped params.
+ * @param {ReturnType<typeof resolveConstellation>} config
+ * @param {Record<string, number>} [mapped]
+ */
+export function resolveLinkDensity(config, mapped) {
+  const density = (config ?? DEFAULT_CONSTELLATION).density;
+  if (typeof density === 'number') {
+    return density;
+  }
+  const source = mapped && Number.isFinite(mapped[density.param]) ? mapped[density.param] : 0;
+  return clamp(density.offset + density.scale * source, 0, 1);
+}
+
+export function createConstellationBuilder({ maxLinks = DEFAULT_MAX_LINKS } = {}) {
+  const grid = createSpatialGrid();
+  const links = {
+    count: 0,
+    // Position in `particles.indices` of the particle that owns the link, in ascending order.
+    slot: new Uint32Array(maxLinks),
+    from: new Uint32Array(maxLinks),
+    to: new Uint32Array(maxLinks),
+    strength: new Float32Array(maxLinks),
+  };
+  const candidateIndex = new Uint32Array(MAX_DEGREE);
+  const candidateDistance = new Float32Array(MAX_DEGREE);
+  let degree = new Uint8Array(0);
+  let adjacency = new Uint32Array(0);
+
+  function ensureCapacity(capacity) {
+    if (degree.length >= capacity) {
+      return;
+    }
+    degree = new Uint8Array(capacity);
+    adjacency = new Uint32Array(capacity * MAX_DEGREE);
+  }
+
+  function linked(a, b) {
+    const base = a * MAX_DEGREE;
+    for (let d = 0; d < degree[a]; d += 1) {
+      if (adjacency[base + d] === b) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function connect(a, b) {
+    adjacency[a * MAX_DEGREE + degree[a]] = b;
+    degree[a] += 1;
+    adjacency[b * MAX_DEGREE + degree[b]] = a;
+    degree[b] += 1;
+  }
+
+  /**
+   * @param {{count: number, positions: {x: Float32Array, y: Float32Array}, alive?: Uint8Array,
+   *   indices: Uint32Array}} particles
+   * @param {{maxDistance: number, maxDegree: number, density: number, world: {width: number, height: number}}} options
+   */
+  function build(particles, { maxDistance, maxDegree, density, world }) {
+    links.count = 0;
+    const positionsX = particles?.positions?.x;
+    const positionsY = particles?.positions?.y;
+    const indices = particles?.indices;
+    const alive = particles?.alive;
+    const count = Math.min(particles?.count ?? 0, indices ? indices.length : 0);
+    const linkDensity = clamp(density, 0, 1);
+    const degreeLimit = Math.min(Math.round(clamp(maxDegree, 0, MAX_DEGREE) * linkDensity), MAX_DEGREE);
+    if (!positionsX || !positionsY || count < 2 || degreeLimit === 0) {
+      return links;
+    }
+    const radius = maxDistance * (0.4 + 0.6 * linkDensity);
+    const radiusSq = radius * radius;
+    const width = Math.max(world?.width ?? 2, 1e-3);
+    const height = Math.max(world?.height ?? 2, 1e-3);
+
+    ensureCapacity(positionsX.length);
+    for (let i = 0; i < count; i += 1) {
+      degree[indices[i]] = 0;
+    }
+    buildSpatialGrid(grid, {
+      positionsX,
+      positionsY,
+      indices,
+      count,
+      minX: -width * 0.5,
+      minY: -height * 0.5,
+      width,
+      height,
+      cellSize: radius,
+    });
+    const { cols, rows, cellWidth, cellHeight, cellStart, minX, minY } = grid;
+
+    for (let i = 0; i < count && links.count < maxLinks; i += 1) {
+      const index = indices[i];
+      if (alive && alive[index] === 0) {
+        continue;
+      }
+      const remaining = degreeLimit - degree[index];
+      if (remaining <= 0) {
+        continue;
+      }
+      const x = positionsX[index];
+      const y = positionsY[index];
+      const cx = cellOf(x, minX, cellWidth, cols);
+      const cy = cellOf(y, minY, cellHeight, rows);
+      let found = 0;
+
+      for (let oy = -1; oy <= 1; oy += 1) {
+        const ny = cy + oy;
+        if (ny < 0 || ny >= rows) {
+          continue;
+        }
+        for (let ox = -1; ox <= 1; ox += 1) {
+          const nx = cx + ox;
+          if (nx < 0 || nx >= cols) {
+            continue;
+          }
+          const cell = ny * cols + nx;
+          for (let slot = cellStart[cell]; slot < cellStart[cell + 1]; slot += 1) {
+            const other = grid.index[slot];
+            if (other === index || (alive && alive[other] === 0) || degree[other] >= degreeLimit) {
+              continue;
+            }
+            const dx = grid.posX[slot] - x;
+            const dy = grid.posY[slot] - y;
+            const distSq = dx * dx + dy * dy;
+            if (distSq >= radiusSq || (found === remaining && distSq >= candidateDistance[found - 1])) {
+              continue;
+            }
+            if (linked(index, other)) {
+              continue;
+            }
+            // Insertion sort into the short list of nearest candidates.
+            let at = found < remaining ? found : remaining - 1;
+            while (at > 0 && candidateDistance[at - 1] > distSq) {
+              candidateDistance[at] = candidateDistance[at - 1];
+              candidateIndex[at] = candidateIndex[at - 1];
+              at -= 1;
+            }
+            candidateDistance[at] = distSq;
+            candidateIndex[at] = other;
+            if (found < remaining) {
+              found += 1;
+            }
+          }
+        }
+      }
+
+      for (let c = 0; c < found && links.count < maxLinks; c += 1) {
+        const other = candidateIndex[c];
+        const k = links.count;
+        links.slot[k] = i;
+        links.from[k] = index;
+        links.to[k] = other;
+        links.strength[k] = 1 - Math.sqrt(candidateDistance[c]) / radius;
+        links.count = k + 1;
+        connect(index, other);
+      }
+    }
+    return links;
+  }
+
+  return { build };
+}
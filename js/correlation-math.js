@@ -1,4 +1,4 @@
-import { FEATURE_TYPES } from './audio-features.js';
+import { getFeatureType } from './audio-features.js';
 
 export const PRIMARY_WEIGHT = 1;
 export const SECONDARY_WEIGHT = 0.5;
@@ -30,8 +30,7 @@ export function clamp01(value) {
 }
 
 export function resolveFeatureType(featureName) {
-  const type = FEATURE_TYPES[featureName];
-  return type === 'signed' ? 'signed' : 'positive';
+  return getFeatureType(featureName);
 }
 
 export function projectFeatureValue(rawValue, featureType, orientationSign = 1) {
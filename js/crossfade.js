@@ -0,0 +1,123 @@
+/**
+ * Helpers for track crossfades. `audio.js` ramps the two decks with equal-power curves; `app.js` uses the same
+ * progress value to blend the outgoing and incoming models' outputs and to interpolate the palette.
+ */
+
+const MAX_CROSSFADE_SECONDS = 30;
+const CURVE_STEPS = 64;
+
+function clamp01(value) {
+  if (!Number.isFinite(value) || value < 0) {
+    return 0;
+  }
+  return value > 1 ? 1 : value;
+}
+
+/**
+ * Crossfade length in seconds; 0 disables crossfades.
+ * @param {unknown} value
+ * @returns {number}
+ */
+export function sanitizeCrossfadeSeconds(value) {
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    return 0;
+  }
+  return Math.min(seconds, MAX_CROSSFADE_SECONDS);
+}
+
+/**
+ * Equal-power gains at progress `t`: the summed power of both decks stays constant across the fade.
+ * @param {number} t Progress in [0, 1].
+ */
+export function equalPowerGains(t) {
+  const angle = clamp01(t) * Math.PI * 0.5;
+  return { fadeIn: Math.sin(angle), fadeOut: Math.cos(angle) };
+}
+
+/**
+ * Gain curve for `AudioParam.setValueCurveAtTime`.
+ * @param {'in'|'out'} direction
+ * @param {number} [steps]
+ * @returns {Float32Array}
+ */
+export function buildEqualPowerCurve(direction, steps = CURVE_STEPS) {
+  const curve = new Float32Array(Math.max(2, steps));
+  for (let i = 0; i < curve.length; i += 1) {
+    const gains = equalPowerGains(i / (curve.length - 1));
+    curve[i] = direction === 'in' ? gains.fadeIn : gains.fadeOut;
+  }
+  return curve;
+}
+
+/**
+ * Linear blend of two output vectors into `out` (weights sum to 1 so mapped params stay in range).
+ * @param {ArrayLike<number>} outgoing
+ * @param {ArrayLike<number>} incoming
+ * @param {number} t Progress in [0, 1]; 0 is all outgoing.
+ * @param {Float32Array} out
+ */
+export function blendOutputs(outgoing, incoming, t, out) {
+  const weight = clamp01(t);
+  for (let i = 0; i < out.length; i += 1) {
+    const from = Number.isFinite(outgoing?.[i]) ? outgoing[i] : 0;
+    const to = Number.isFinite(incoming?.[i]) ? incoming[i] : 0;
+    out[i] = from + (to - from) * weight;
+  }
+  return out;
+}
+
+function parseHex(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(String(hex ?? '').trim());
+  if (!match) {
+    return null;
+  }
+  const value = parseInt(match[1], 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map((channel) => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function mixHex(from, to, t) {
+  const a = parseHex(from);
+  const b = parseHex(to);
+  if (!a || !b) {
+    return t < 0.5 ? from : to;
+  }
+  return toHex({ r: a.r + (b.r - a.r) * t, g: a.g + (b.g - a.g) * t, b: a.b + (b.b - a.b) * t });
+}
+
+function mixHue(from, to, t) {
+  const a = Number.isFinite(from) ? from : 0;
+  const b = Number.isFinite(to) ? to : a;
+  // Shortest way round the colour wheel.
+  const delta = ((((b - a) % 360) + 540) % 360) - 180;
+  return (((a + delta * t) % 360) + 360) % 360;
+}
+
+/**
+ * Interpolates two `{ background, accents, baseHue }` palettes. Accent lists of different lengths are padded by
+ * repeating their last colour.
+ * @param {{background: string, accents: string[], baseHue: number}} from
+ * @param {{background: string, accents: string[], baseHue: number}} to
+ * @param {number} t
+ */
+export function interpolatePalette(from, to, t) {
+  const weight = clamp01(t);
+  const fromAccents = from?.accents?.length ? from.accents : to?.accents ?? [];
+  const toAccents = to?.accents?.length ? to.accents : fromAccents;
+  const count = Math.max(fromAccents.length, toAccents.length);
+  const accents = [];
+  for (let i = 0; i < count; i += 1) {
+    const a = fromAccents[Math.min(i, fromAccents.length - 1)];
+    const b = toAccents[Math.min(i, toAccents.length - 1)];
+    accents.push(mixHex(a, b, weight));
+  }
+  return {
+    background: mixHex(from?.background ?? to?.background, to?.background ?? from?.background, weight),
+    accents,
+    baseHue: mixHue(from?.baseHue, to?.baseHue, weight),
+  };
+}
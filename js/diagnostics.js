@@ -18,7 +18,6 @@ const diagnosticsState = {
 };
 
 const OUTPUT_LABELS = map.PARAM_NAMES.slice();
-const FEATURE_LABELS = getFeatureLabels();
 const BAR_HALF_WIDTH = 10;
 const BAR_EMPTY_CHAR = '·';
 const BAR_FILL_CHAR = '█';
@@ -307,13 +306,16 @@ export function updateDebugOverlay(payload = {}) {
       lines.push(`Activity        ${formatNumber(payload.activity, 4)}`);
     }
     if (payload.modelInfo && typeof payload.modelInfo === 'object') {
-      const { inputSize, outputSize, layers } = payload.modelInfo;
-      lines.push(`Model           in:${inputSize ?? '—'} out:${outputSize ?? '—'} layers:${layers ?? '—'}`);
+      const { inputSize, outputSize, layers, featureSchemaVersion, missingFeatures } = payload.modelInfo;
+      lines.push(`Model           in:${inputSize ?? '—'} out:${outputSize ?? '—'} layers:${layers ?? '—'} schema:v${featureSchemaVersion ?? '—'}`);
+      if (Array.isArray(missingFeatures) && missingFeatures.length > 0) {
+        lines.push(`Model missing   ${missingFeatures.join(', ')}`);
+      }
     }
     metrics.textContent = lines.length > 0 ? lines.join('\n') : 'No metrics';
   }
   if (features) {
-    features.textContent = formatArray(payload.features, FEATURE_LABELS);
+    features.textContent = formatArray(payload.features, getFeatureLabels());
   }
   if (outputs) {
     outputs.textContent = formatArray(payload.outputs, OUTPUT_LABELS);
@@ -359,6 +361,9 @@ export function logByomDataset(summary) {
   if (Number.isFinite(summary.hopMs)) {
     lines.push(`Hop: ${formatNumber(summary.hopMs, 2)} ms`);
   }
+  if (Number.isFinite(summary.tempo?.bpm)) {
+    lines.push(`Tempo: ${formatNumber(summary.tempo.bpm, 1)} BPM (confidence ${formatNumber(summary.tempo.confidence ?? 0, 2)})`);
+  }
   if (Array.isArray(summary.warnings) && summary.warnings.length > 0) {
     lines.push('', 'Warnings:');
     summary.warnings.forEach((warning) => {
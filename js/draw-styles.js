@@ -0,0 +1,474 @@
+/**
+ * Particle draw styles for the Canvas 2D backend. Presets choose one with a `drawStyle` block
+ * (`'streaks'` or `{ type: 'streaks', streakSeconds: 0.12 }`); `render.setDrawStyle()` sanitizes it and the
+ * backend hands each live particle to the matching painter. Every painter honours the shared render params:
+ * `sizeJitter` arrives through the particle radius, `glow` through the optional glow context, and
+ * `sparkleDensity` through the sparkle pass the backend draws on top.
+ */
+
+const TAU = Math.PI * 2;
+
+export const DRAW_STYLES = Object.freeze({
+  ORBS: 'orbs',
+  STREAKS: 'streaks',
+  SPRITES: 'sprites',
+  GLYPHS: 'glyphs',
+  METABALLS: 'metaballs',
+});
+
+const STYLE_OPTIONS = Object.freeze({
+  [DRAW_STYLES.STREAKS]: {
+    // Seconds of motion each streak trails behind its particle.
+    streakSeconds: { value: 0.08, min: 0.01, max: 0.5 },
+    maxLength: { value: 48, min: 4, max: 240 },
+  },
+  [DRAW_STYLES.GLYPHS]: {
+    cellSize: { value: 11, min: 6, max: 32 },
+  },
+  [DRAW_STYLES.METABALLS]: {
+    cellSize: { value: 6, min: 3, max: 24 },
+    threshold: { value: 0.9, min: 0.2, max: 4 },
+  },
+});
+
+const DEFAULT_GLYPHS = '.:-=+*#%@';
+const MAX_GLYPHS = 32;
+
+const SPRITE_CELL = 32;
+const SPRITE_SHAPES = 4;
+const SPRITE_HUE_BUCKETS = 12;
+const SPRITE_SATURATION = 82;
+const SPRITE_LIGHTNESS = 62;
+
+export const DEFAULT_DRAW_STYLE = Object.freeze({ type: DRAW_STYLES.ORBS });
+
+function clamp(value, min, max) {
+  if (!Number.isFinite(value)) {
+    return min;
+  }
+  if (value < min) {
+    return min;
+  }
+  if (value > max) {
+    return max;
+  }
+  return value;
+}
+
+function smoothstep(edge0, edge1, value) {
+  const t = clamp((value - edge0) / (edge1 - edge0), 0, 1);
+  return t * t * (3 - 2 * t);
+}
+
+function hslToRgb(h, s, l, target) {
+  const saturation = s / 100;
+  const lightness = l / 100;
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const sector = (((h % 360) + 360) % 360) / 60;
+  const x = chroma * (1 - Math.abs((sector % 2) - 1));
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  if (sector < 1) {
+    r = chroma;
+    g = x;
+  } else if (sector < 2) {
+    r = x;
+    g = chroma;
+  } else if (sector < 3) {
+    g = chroma;
+    b = x;
+  } else if (sector < 4) {
+    g = x;
+    b = chroma;
+  } else if (sector < 5) {
+    r = x;
+    b = chroma;
+  } else {
+    r = chroma;
+    b = x;
+  }
+  const m = lightness - chroma * 0.5;
+  target.r = (r + m) * 255;
+  target.g = (g + m) * 255;
+  target.b = (b + m) * 255;
+  return target;
+}
+
+/**
+ * Normalizes a preset `drawStyle` block. Unknown types fall back to the classic orbs.
+ * @param {string|{type?: string}|null|undefined} input
+ * @returns {Readonly<{type: string}>}
+ */
+export function resolveDrawStyle(input) {
+  const source = typeof input === 'string' ? { type: input } : input && typeof input === 'object' ? input : {};
+  const type = Object.values(DRAW_STYLES).includes(source.type) ? source.type : DRAW_STYLES.ORBS;
+  const style = { type };
+  const options = STYLE_OPTIONS[type] ?? {};
+  Object.entries(options).forEach(([key, bounds]) => {
+    const value = Number(source[key]);
+    style[key] = Number.isFinite(value) ? clamp(value, bounds.min, bounds.max) : bounds.value;
+  });
+  if (type === DRAW_STYLES.GLYPHS) {
+    const glyphs = typeof source.glyphs === 'string' ? source.glyphs.replace(/\s+/g, '').slice(0, MAX_GLYPHS) : '';
+    style.glyphs = glyphs.length > 0 ? glyphs : DEFAULT_GLYPHS;
+  }
+  return Object.freeze(style);
+}
+
+function hsl(hue, saturation, lightness) {
+  return `hsl(${Math.round(hue)}, ${Math.round(saturation)}%, ${Math.round(lightness)}%)`;
+}
+
+function createOrbPainter() {
+  return {
+    particle(ctx, glowCtx, p) {
+      ctx.fillStyle = hsl(p.hue, p.saturation, p.bodyLight);
+      ctx.globalAlpha = p.alpha;
+      ctx.beginPath();
+      ctx.arc(p.sx, p.sy, p.radius, 0, TAU);
+      ctx.fill();
+
+      if (glowCtx) {
+        glowCtx.fillStyle = hsl(p.hue, Math.min(100, p.saturation + 8), p.glowLight);
+        glowCtx.globalAlpha = p.glowAlpha;
+        glowCtx.beginPath();
+        glowCtx.arc(p.sx, p.sy, p.radius * 1.6, 0, TAU);
+        glowCtx.fill();
+      }
+    },
+  };
+}
+
+function createStreakPainter() {
+  return {
+    begin(ctx, glowCtx) {
+      ctx.lineCap = 'round';
+      if (glowCtx) {
+        glowCtx.lineCap = 'round';
+      }
+    },
+
+    particle(ctx, glowCtx, p, env) {
+      const { style } = env;
+      const speed = Math.hypot(p.vx, p.vy);
+      const length = clamp(speed * style.streakSeconds, p.radius * 0.5, style.maxLength);
+      const ux = speed > 1e-6 ? p.vx / speed : 0;
+      const uy = speed > 1e-6 ? p.vy / speed : 0;
+      const tailX = p.sx - ux * length;
+      const tailY = p.sy - uy * length;
+
+      ctx.strokeStyle = hsl(p.hue, p.saturation, p.bodyLight);
+      ctx.globalAlpha = p.alpha;
+      ctx.lineWidth = Math.max(0.5, p.radius * 0.9);
+      ctx.beginPath();
+      ctx.moveTo(tailX, tailY);
+      ctx.lineTo(p.sx, p.sy);
+      ctx.stroke();
+
+      if (glowCtx) {
+        glowCtx.strokeStyle = hsl(p.hue, Math.min(100, p.saturation + 8), p.glowLight);
+        glowCtx.globalAlpha = p.glowAlpha;
+        glowCtx.lineWidth = p.radius * 1.8;
+        glowCtx.beginPath();
+        glowCtx.moveTo(tailX, tailY);
+        glowCtx.lineTo(p.sx, p.sy);
+        glowCtx.stroke();
+      }
+    },
+
+    end(ctx, glowCtx) {
+      if (glowCtx) {
+        glowCtx.lineCap = 'butt';
+      }
+    },
+  };
+}
+
+function drawSpriteShape(ctx, shape, cx, cy, color) {
+  const radius = SPRITE_CELL * 0.5 - 1;
+  if (shape === 0) {
+    const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(0.25, color);
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, TAU);
+    ctx.fill();
+    return;
+  }
+  if (shape === 1) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius * 0.62, 0, TAU);
+    ctx.stroke();
+    return;
+  }
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  // Shape 2 is a four-point star, shape 3 a diamond; both are drawn as an eight-vertex polygon.
+  const inner = shape === 2 ? radius * 0.22 : radius * 0.5;
+  for (let i = 0; i < 8; i += 1) {
+    const angle = (i / 8) * TAU - Math.PI / 2;
+    const r = i % 2 === 0 ? radius : inner;
+    const x = cx + Math.cos(angle) * r;
+    const y = cy + Math.sin(angle) * r;
+    if (i === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  }
+  ctx.closePath();
+  ctx.fill();
+}
+
+/**
+ * Bakes a grid of sprite shapes (columns) in evenly spaced hues (rows) so per-particle tinting is a single
+ * `drawImage` from the nearest hue row.
+ */
+export function buildSpriteAtlas(createCanvas) {
+  const canvas = createCanvas(SPRITE_CELL * SPRITE_SHAPES, SPRITE_CELL * SPRITE_HUE_BUCKETS);
+  const ctx = canvas?.getContext('2d', { alpha: true });
+  if (!ctx) {
+    return null;
+  }
+  for (let row = 0; row < SPRITE_HUE_BUCKETS; row += 1) {
+    const color = hsl((row / SPRITE_HUE_BUCKETS) * 360, SPRITE_SATURATION, SPRITE_LIGHTNESS);
+    for (let shape = 0; shape < SPRITE_SHAPES; shape += 1) {
+      drawSpriteShape(ctx, shape, shape * SPRITE_CELL + SPRITE_CELL * 0.5, row * SPRITE_CELL + SPRITE_CELL * 0.5, color);
+    }
+  }
+  return { canvas, cell: SPRITE_CELL, shapes: SPRITE_SHAPES, hueBuckets: SPRITE_HUE_BUCKETS };
+}
+
+function createSpritePainter(createCanvas) {
+  let atlas = null;
+  let atlasFailed = false;
+
+  return {
+    begin() {
+      if (!atlas && !atlasFailed) {
+        atlas = buildSpriteAtlas(createCanvas);
+        atlasFailed = atlas === null;
+      }
+    },
+
+    particle(ctx, glowCtx, p) {
+      if (!atlas) {
+        return;
+      }
+      const row = Math.round((p.hue / 360) * atlas.hueBuckets) % atlas.hueBuckets;
+      const column = Math.floor(p.rng * atlas.shapes) % atlas.shapes;
+      const sourceX = column * atlas.cell;
+      const sourceY = row * atlas.cell;
+      const size = p.radius * 2.8;
+
+      ctx.globalAlpha = p.alpha;
+      ctx.drawImage(atlas.canvas, sourceX, sourceY, atlas.cell, atlas.cell, p.sx - size * 0.5, p.sy - size * 0.5, size, size);
+
+      if (glowCtx) {
+        const glowSize = size * 1.6;
+        glowCtx.globalAlpha = p.glowAlpha;
+        glowCtx.drawImage(
+          atlas.canvas,
+          sourceX,
+          sourceY,
+          atlas.cell,
+          atlas.cell,
+          p.sx - glowSize * 0.5,
+          p.sy - glowSize * 0.5,
+          glowSize,
+          glowSize,
+        );
+      }
+    },
+  };
+}
+
+function createGlyphPainter() {
+  function prepareText(ctx, cellSize) {
+    ctx.font = `${cellSize}px ui-monospace, Menlo, Consolas, monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+  }
+
+  return {
+    begin(ctx, glowCtx, env) {
+      prepareText(ctx, env.style.cellSize);
+      if (glowCtx) {
+        prepareText(glowCtx, env.style.cellSize);
+      }
+    },
+
+    particle(ctx, glowCtx, p, env) {
+      const { cellSize, glyphs } = env.style;
+      // Snapping to a character grid keeps the field reading as text rather than floating letters.
+      const gx = (Math.floor(p.sx / cellSize) + 0.5) * cellSize;
+      const gy = (Math.floor(p.sy / cellSize) + 0.5) * cellSize;
+      const energy = clamp((p.radius / (cellSize * 0.45)) * (1 - p.lifeT * 0.5), 0, 1);
+      const glyph = glyphs[Math.round(energy * (glyphs.length - 1))];
+
+      ctx.fillStyle = hsl(p.hue, p.saturation, p.bodyLight);
+      ctx.globalAlpha = p.alpha;
+      ctx.fillText(glyph, gx, gy);
+
+      if (glowCtx) {
+        glowCtx.fillStyle = hsl(p.hue, Math.min(100, p.saturation + 8), p.glowLight);
+        glowCtx.globalAlpha = p.glowAlpha;
+        glowCtx.fillText(glyph, gx, gy);
+      }
+    },
+  };
+}
+
+function createMetaballPainter(createCanvas) {
+  const field = {
+    columns: 0,
+    rows: 0,
+    cellSize: 0,
+    weight: new Float32Array(0),
+    red: new Float32Array(0),
+    green: new Float32Array(0),
+    blue: new Float32Array(0),
+    canvas: null,
+    ctx: null,
+    image: null,
+  };
+  const rgb = { r: 0, g: 0, b: 0 };
+
+  function ensureField(columns, rows) {
+    const size = columns * rows;
+    if (field.weight.length < size) {
+      field.weight = new Float32Array(size);
+      field.red = new Float32Array(size);
+      field.green = new Float32Array(size);
+      field.blue = new Float32Array(size);
+    } else {
+      field.weight.fill(0, 0, size);
+      field.red.fill(0, 0, size);
+      field.green.fill(0, 0, size);
+      field.blue.fill(0, 0, size);
+    }
+    if (!field.canvas) {
+      field.canvas = createCanvas(columns, rows);
+      field.ctx = field.canvas?.getContext('2d', { alpha: true }) ?? null;
+    }
+    if (field.canvas && (field.canvas.width !== columns || field.canvas.height !== rows || !field.image)) {
+      field.canvas.width = columns;
+      field.canvas.height = rows;
+      field.image = field.ctx?.createImageData(columns, rows) ?? null;
+    }
+    field.columns = columns;
+    field.rows = rows;
+  }
+
+  return {
+    begin(ctx, glowCtx, env) {
+      const cellSize = env.style.cellSize;
+      field.cellSize = cellSize;
+      ensureField(
+        Math.max(1, Math.ceil(env.logicalWidth / cellSize)),
+        Math.max(1, Math.ceil(env.logicalHeight / cellSize)),
+      );
+    },
+
+    particle(ctx, glowCtx, p) {
+      const { columns, rows, cellSize, weight, red, green, blue } = field;
+      const reach = Math.max(1, (p.radius * 2.4) / cellSize);
+      const reachSq = reach * reach;
+      const cx = p.sx / cellSize;
+      const cy = p.sy / cellSize;
+      const minX = Math.max(0, Math.floor(cx - reach));
+      const maxX = Math.min(columns - 1, Math.ceil(cx + reach));
+      const minY = Math.max(0, Math.floor(cy - reach));
+      const maxY = Math.min(rows - 1, Math.ceil(cy + reach));
+      if (minX > maxX || minY > maxY) {
+        return;
+      }
+      hslToRgb(p.hue, p.saturation, p.bodyLight, rgb);
+      const strength = 0.6 + p.alpha;
+      for (let y = minY; y <= maxY; y += 1) {
+        const dy = y + 0.5 - cy;
+        for (let x = minX; x <= maxX; x += 1) {
+          const dx = x + 0.5 - cx;
+          const falloff = 1 - (dx * dx + dy * dy) / reachSq;
+          if (falloff <= 0) {
+            continue;
+          }
+          const contribution = falloff * falloff * strength;
+          const cell = y * columns + x;
+          weight[cell] += contribution;
+          red[cell] += rgb.r * contribution;
+          green[cell] += rgb.g * contribution;
+          blue[cell] += rgb.b * contribution;
+        }
+      }
+    },
+
+    end(ctx, glowCtx, env) {
+      if (!field.canvas || !field.ctx || !field.image) {
+        return;
+      }
+      const { columns, rows, weight, red, green, blue } = field;
+      const data = field.image.data;
+      const threshold = env.style.threshold;
+      // Higher glow softens the iso-surface edge so blobs bleed into the bloom pass.
+      const softness = 0.15 + env.params.glow * 0.45;
+      const edge = threshold * (1 - softness);
+      const size = columns * rows;
+      for (let cell = 0; cell < size; cell += 1) {
+        const total = weight[cell];
+        const offset = cell * 4;
+        if (total <= edge) {
+          data[offset + 3] = 0;
+          continue;
+        }
+        const inverse = 1 / total;
+        data[offset] = red[cell] * inverse;
+        data[offset + 1] = green[cell] * inverse;
+        data[offset + 2] = blue[cell] * inverse;
+        data[offset + 3] = smoothstep(edge, threshold, total) * 230;
+      }
+      field.ctx.putImageData(field.image, 0, 0);
+
+      const drawWidth = columns * field.cellSize;
+      const drawHeight = rows * field.cellSize;
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.globalAlpha = 1;
+      ctx.imageSmoothingEnabled = true;
+      ctx.drawImage(field.canvas, 0, 0, drawWidth, drawHeight);
+      ctx.globalCompositeOperation = 'lighter';
+      if (glowCtx) {
+        glowCtx.globalAlpha = clamp(env.params.glow, 0.05, 0.8);
+        glowCtx.drawImage(field.canvas, 0, 0, drawWidth, drawHeight);
+      }
+    },
+  };
+}
+
+/**
+ * One painter per style, created lazily so sprite atlases and metaball buffers are only allocated when used.
+ * @param {(width: number, height: number) => HTMLCanvasElement|OffscreenCanvas} createCanvas
+ */
+export function createStylePainters(createCanvas) {
+  const factories = {
+    [DRAW_STYLES.ORBS]: createOrbPainter,
+    [DRAW_STYLES.STREAKS]: createStreakPainter,
+    [DRAW_STYLES.SPRITES]: () => createSpritePainter(createCanvas),
+    [DRAW_STYLES.GLYPHS]: createGlyphPainter,
+    [DRAW_STYLES.METABALLS]: () => createMetaballPainter(createCanvas),
+  };
+  const painters = new Map();
+  return {
+    get(type) {
+      const key = type in factories ? type : DRAW_STYLES.ORBS;
+      if (!painters.has(key)) {
+        painters.set(key, factories[key]());
+      }
+      return painters.get(key);
+    },
+  };
+}
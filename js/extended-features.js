@@ -0,0 +1,354 @@
+/**
+ * Extended timbre and harmony features.
+ * An optional block the feature extractor appends after the tempo features: 13 MFCCs, a 12-bin chroma vector,
+ * spectral contrast per band, the zero-crossing rate, and a harmonic/percussive ratio. Everything is computed
+ * from the same linear magnitude spectrum and waveform as the core features, so the block comes out the same
+ * live and offline.
+ *
+ * - MFCCs: log energies of a mel filterbank (20 Hz up to 16 kHz), mapped from a 100 dB range onto [0, 1], then a
+ *   DCT-II. `mfcc0` is the mean log energy in [0, 1]; the higher coefficients are clamped to [-1, 1].
+ * - Chroma: power per pitch class (C first) between 65 Hz and 5 kHz, scaled so the strongest class reads 1.
+ * - Contrast: per band, the dB gap between the loudest and quietest fifth of its bins over a 60 dB range.
+ * - Zero-crossing rate: sign changes per sample of the waveform.
+ * - Harmonic/percussive ratio: median filtering across time (sustained partials) and across frequency
+ *   (broadband transients); the share of energy in the harmonic part, 0..1.
+ */
+
+export const MFCC_COUNT = 13;
+export const CHROMA_BINS = 12;
+
+const MEL_FILTERS = 26;
+const MEL_MIN_HZ = 20;
+const MEL_MAX_HZ = 16000;
+const LOG_RANGE_DB = 100;
+const CHROMA_MIN_HZ = 65;
+const CHROMA_MAX_HZ = 5000;
+const CHROMA_REFERENCE_HZ = 440;
+// A is pitch class 9 when C is 0.
+const CHROMA_REFERENCE_CLASS = 9;
+const CONTRAST_QUANTILE = 0.2;
+const CONTRAST_RANGE_DB = 60;
+const HPR_TIME_FRAMES = 9;
+const HPR_FREQ_BINS = 9;
+const EPSILON = 1e-12;
+
+function clamp01(value) {
+  if (!Number.isFinite(value)) {
+    return 0;
+  }
+  if (value <= 0) {
+    return 0;
+  }
+  if (value >= 1) {
+    return 1;
+  }
+  return value;
+}
+
+function clampSigned(value) {
+  if (!Number.isFinite(value)) {
+    return 0;
+  }
+  if (value > 1) {
+    return 1;
+  }
+  if (value < -1) {
+    return -1;
+  }
+  return value;
+}
+
+function hzToMel(hz) {
+  return 2595 * Math.log10(1 + hz / 700);
+}
+
+function melToHz(mel) {
+  return 700 * (10 ** (mel / 2595) - 1);
+}
+
+/**
+ * Number of values the block writes for a given band count.
+ * @param {number} bandCount
+ * @returns {number}
+ */
+export function extendedFeatureCount(bandCount) {
+  return MFCC_COUNT + CHROMA_BINS + bandCount + 2;
+}
+
+/**
+ * Triangular mel filters over the FFT bins, each normalised to unit area so wide high filters do not dominate.
+ * @param {number} sampleRate
+ * @param {number} fftSize
+ * @param {number} [filterCount]
+ * @returns {{starts: Int32Array, weights: Float32Array[]}} First bin and per-bin weights of each filter.
+ */
+export function buildMelFilterbank(sampleRate, fftSize, filterCount = MEL_FILTERS) {
+  const binCount = Math.max(1, Math.floor(fftSize / 2));
+  const binHz = sampleRate / fftSize;
+  const maxHz = Math.min(MEL_MAX_HZ, sampleRate / 2);
+  const minMel = hzToMel(MEL_MIN_HZ);
+  const maxMel = hzToMel(maxHz);
+  const edges = new Float64Array(filterCount + 2);
+  for (let i = 0; i < edges.length; i += 1) {
+    edges[i] = melToHz(minMel + ((maxMel - minMel) * i) / (filterCount + 1));
+  }
+
+  const starts = new Int32Array(filterCount);
+  const weights = [];
+  for (let f = 0; f < filterCount; f += 1) {
+    const low = edges[f];
+    const center = edges[f + 1];
+    const high = edges[f + 2];
+    const start = Math.max(0, Math.floor(low / binHz));
+    const end = Math.min(binCount - 1, Math.ceil(high / binHz));
+    const filter = new Float32Array(Math.max(1, end - start + 1));
+    let area = 0;
+    for (let bin = start; bin <= end; bin += 1) {
+      const hz = bin * binHz;
+      let weight = 0;
+      if (hz > low && hz <= center) {
+        weight = (hz - low) / (center - low);
+      } else if (hz > center && hz < high) {
+        weight = (high - hz) / (high - center);
+      }
+      filter[bin - start] = weight;
+      area += weight;
+    }
+    if (area <= 0) {
+      // Filters narrower than a bin fall back to the bin nearest their centre.
+      const nearest = Math.min(binCount - 1, Math.round(center / binHz));
+      starts[f] = nearest;
+      weights.push(Float32Array.of(1));
+      continue;
+    }
+    for (let i = 0; i < filter.length; i += 1) {
+      filter[i] /= area;
+    }
+    starts[f] = start;
+    weights.push(filter);
+  }
+  return { starts, weights };
+}
+
+/**
+ * Pitch class (0 = C .. 11 = B) of each FFT bin, or -1 outside the chroma range or where a bin spans more
+ * than a semitone.
+ * @param {number} sampleRate
+ * @param {number} fftSize
+ * @returns {Int8Array}
+ */
+export function buildChromaMap(sampleRate, fftSize) {
+  const binCount = Math.max(1, Math.floor(fftSize / 2));
+  const binHz = sampleRate / fftSize;
+  const minHz = Math.max(CHROMA_MIN_HZ, binHz / (2 ** (1 / 12) - 1));
+  const map = new Int8Array(binCount);
+  map.fill(-1);
+  for (let bin = 1; bin < binCount; bin += 1) {
+    const hz = bin * binHz;
+    if (hz < minHz || hz > CHROMA_MAX_HZ) {
+      continue;
+    }
+    const semitones = Math.round(12 * Math.log2(hz / CHROMA_REFERENCE_HZ));
+    map[bin] = (((semitones + CHROMA_REFERENCE_CLASS) % CHROMA_BINS) + CHROMA_BINS) % CHROMA_BINS;
+  }
+  return map;
+}
+
+function insertionSortMedian(values, count) {
+  for (let i = 1; i < count; i += 1) {
+    const value = values[i];
+    let j = i - 1;
+    while (j >= 0 && values[j] > value) {
+      values[j + 1] = values[j];
+      j -= 1;
+    }
+    values[j + 1] = value;
+  }
+  return values[count >> 1];
+}
+
+function computeZeroCrossingRate(waveform) {
+  if (!waveform || waveform.length < 2) {
+    return 0;
+  }
+  let crossings = 0;
+  let previous = waveform[0] >= 0;
+  for (let i = 1; i < waveform.length; i += 1) {
+    const current = waveform[i] >= 0;
+    if (current !== previous) {
+      crossings += 1;
+    }
+    previous = current;
+  }
+  return crossings / (waveform.length - 1);
+}
+
+/**
+ * Creates the extended block for one extractor. `binToBand` is the extractor's band lookup; bands are
+ * contiguous runs of bins.
+ * @param {{sampleRate: number, fftSize: number, binToBand: Int8Array, bandCount: number}} config
+ */
+export function createExtendedFeatures(config) {
+  let binCount = 0;
+  let bandCount = 0;
+  let melBank = null;
+  let chromaMap = null;
+  let bandStarts = null;
+  let bandEnds = null;
+  let history = null;
+  let historyIndex = 0;
+  let historyFilled = 0;
+  let sortScratch = null;
+  const dct = new Float32Array(MFCC_COUNT * MEL_FILTERS);
+  const logEnergies = new Float32Array(MEL_FILTERS);
+  const chroma = new Float32Array(CHROMA_BINS);
+  const medianScratch = new Float32Array(Math.max(HPR_TIME_FRAMES, HPR_FREQ_BINS));
+
+  for (let k = 0; k < MFCC_COUNT; k += 1) {
+    for (let m = 0; m < MEL_FILTERS; m += 1) {
+      dct[k * MEL_FILTERS + m] = Math.cos((Math.PI * k * (m + 0.5)) / MEL_FILTERS);
+    }
+  }
+
+  /**
+   * Rebuilds the lookups for a new sample rate, FFT size, or band layout and clears the HPR history.
+   * @param {{sampleRate: number, fftSize: number, binToBand: Int8Array, bandCount: number}} next
+   */
+  function configure({ sampleRate, fftSize, binToBand: nextBinToBand, bandCount: nextBandCount }) {
+    binCount = nextBinToBand.length;
+    bandCount = nextBandCount;
+    melBank = buildMelFilterbank(sampleRate, fftSize);
+    chromaMap = buildChromaMap(sampleRate, fftSize);
+    bandStarts = new Int32Array(bandCount).fill(-1);
+    bandEnds = new Int32Array(bandCount).fill(-1);
+    for (let bin = 0; bin < binCount; bin += 1) {
+      const band = nextBinToBand[bin];
+      if (band < 0) {
+        continue;
+      }
+      if (bandStarts[band] < 0) {
+        bandStarts[band] = bin;
+      }
+      bandEnds[band] = bin + 1;
+    }
+    history = new Float32Array(HPR_TIME_FRAMES * binCount);
+    sortScratch = new Float32Array(binCount);
+    reset();
+  }
+
+  function reset() {
+    history?.fill(0);
+    historyIndex = 0;
+    historyFilled = 0;
+  }
+
+  function computeMfcc(magnitudes, out) {
+    const { starts, weights } = melBank;
+    for (let m = 0; m < MEL_FILTERS; m += 1) {
+      const filter = weights[m];
+      const start = starts[m];
+      let energy = 0;
+      for (let i = 0; i < filter.length && start + i < magnitudes.length; i += 1) {
+        const magnitude = magnitudes[start + i];
+        energy += filter[i] * magnitude * magnitude;
+      }
+      const db = 10 * Math.log10(energy + EPSILON);
+      logEnergies[m] = clamp01((db + LOG_RANGE_DB) / LOG_RANGE_DB);
+    }
+    for (let k = 0; k < MFCC_COUNT; k += 1) {
+      let sum = 0;
+      for (let m = 0; m < MEL_FILTERS; m += 1) {
+        sum += logEnergies[m] * dct[k * MEL_FILTERS + m];
+      }
+      out[k] = k === 0 ? clamp01(sum / MEL_FILTERS) : clampSigned((2 * sum) / MEL_FILTERS);
+    }
+  }
+
+  function computeChroma(magnitudes, out, offset) {
+    chroma.fill(0);
+    for (let bin = 0; bin < magnitudes.length; bin += 1) {
+      const pitchClass = chromaMap[bin];
+      if (pitchClass >= 0) {
+        chroma[pitchClass] += magnitudes[bin] * magnitudes[bin];
+      }
+    }
+    let peak = 0;
+    for (let i = 0; i < CHROMA_BINS; i += 1) {
+      peak = Math.max(peak, chroma[i]);
+    }
+    for (let i = 0; i < CHROMA_BINS; i += 1) {
+      out[offset + i] = peak > EPSILON ? chroma[i] / peak : 0;
+    }
+  }
+
+  function computeContrast(magnitudes, out, offset) {
+    for (let band = 0; band < bandCount; band += 1) {
+      const start = bandStarts[band];
+      const end = Math.min(bandEnds[band], magnitudes.length);
+      const size = end - start;
+      if (start < 0 || size <= 0) {
+        out[offset + band] = 0;
+        continue;
+      }
+      const sorted = sortScratch.subarray(0, size);
+      sorted.set(magnitudes.subarray(start, end));
+      sorted.sort();
+      const count = Math.max(1, Math.round(size * CONTRAST_QUANTILE));
+      let valley = 0;
+      let peak = 0;
+      for (let i = 0; i < count; i += 1) {
+        valley += sorted[i];
+        peak += sorted[size - 1 - i];
+      }
+      const gapDb = 20 * Math.log10((peak / count + EPSILON) / (valley / count + EPSILON));
+      out[offset + band] = clamp01(gapDb / CONTRAST_RANGE_DB);
+    }
+  }
+
+  function computeHarmonicRatio(magnitudes) {
+    history.set(magnitudes.subarray(0, binCount), historyIndex * binCount);
+    historyIndex = (historyIndex + 1) % HPR_TIME_FRAMES;
+    historyFilled = Math.min(HPR_TIME_FRAMES, historyFilled + 1);
+
+    const halfWidth = HPR_FREQ_BINS >> 1;
+    let harmonic = 0;
+    let percussive = 0;
+    for (let bin = 0; bin < binCount; bin += 1) {
+      for (let frame = 0; frame < historyFilled; frame += 1) {
+        medianScratch[frame] = history[frame * binCount + bin];
+      }
+      const h = insertionSortMedian(medianScratch, historyFilled);
+
+      const low = Math.max(0, bin - halfWidth);
+      const high = Math.min(binCount - 1, bin + halfWidth);
+      for (let i = low; i <= high; i += 1) {
+        medianScratch[i - low] = magnitudes[i];
+      }
+      const p = insertionSortMedian(medianScratch, high - low + 1);
+
+      harmonic += h * h;
+      percussive += p * p;
+    }
+    const total = harmonic + percussive;
+    return total > EPSILON ? harmonic / total : 0;
+  }
+
+  /**
+   * Writes the block into `out` (length `extendedFeatureCount(bandCount)`): MFCCs, chroma, contrast, ZCR, HPR.
+   * @param {Float32Array} magnitudes Linear magnitudes with non-finite and negative values already zeroed.
+   * @param {Float32Array|null|undefined} waveform
+   * @param {Float32Array} out
+   */
+  function process(magnitudes, waveform, out) {
+    computeMfcc(magnitudes, out);
+    computeChroma(magnitudes, out, MFCC_COUNT);
+    computeContrast(magnitudes, out, MFCC_COUNT + CHROMA_BINS);
+    const tail = MFCC_COUNT + CHROMA_BINS + bandCount;
+    out[tail] = clamp01(computeZeroCrossingRate(waveform));
+    out[tail + 1] = clamp01(computeHarmonicRatio(magnitudes));
+  }
+
+  configure(config);
+
+  return { configure, reset, process };
+}
@@ -0,0 +1,217 @@
+/**
+ * Photosensitivity guard.
+ * WCAG 2.3.1 allows no more than three general flashes and no more than three red flashes in any one-second
+ * period. A flash is a pair of opposing changes: in relative luminance by at least 0.1 where the darker state is
+ * below 0.8, or in saturated red, `(R - G - B) * 320` over pixels with `R / (R + G + B) >= 0.8`, by more than 20.
+ * The renderer samples a downscaled copy of the canvas; the monitor averages it over the whole frame, which
+ * approximates the criterion's area rule, and counts opposing transitions in a sliding window. The guard
+ * turns that flash rate into a damping factor for the params that drive flashes.
+ */
+
+export const FLASH_LIMIT_PER_SECOND = 3;
+const WINDOW_MS = 1000;
+const LUMINANCE_DELTA = 0.1;
+const LUMINANCE_DARK_LIMIT = 0.8;
+const RED_DELTA = 20;
+const RED_RATIO = 0.8;
+const RED_SCALE = 320;
+
+// Damping engages at `onset` of the limit and is strongest at the limit.
+const GUARD_PRESETS = Object.freeze({
+  standard: Object.freeze({ onset: 1 / 3, minDamping: 0.25, attack: 0.08, release: 2 }),
+  reducedMotion: Object.freeze({ onset: 0, minDamping: 0.1, attack: 0.05, release: 4 }),
+});
+
+function clamp(value, min, max) {
+  if (!Number.isFinite(value)) {
+    return min;
+  }
+  if (value < min) {
+    return min;
+  }
+  if (value > max) {
+    return max;
+  }
+  return value;
+}
+
+const SRGB_TO_LINEAR = (() => {
+  const table = new Float32Array(256);
+  for (let i = 0; i < 256; i += 1) {
+    const c = i / 255;
+    table[i] = c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  }
+  return table;
+})();
+
+/**
+ * Average relative luminance (0..1) and saturated-red level of RGBA pixels.
+ * @param {Uint8ClampedArray|Uint8Array} data
+ * @returns {{luminance: number, red: number}}
+ */
+export function measurePixels(data) {
+  const pixelCount = Math.floor((data?.length ?? 0) / 4);
+  if (pixelCount === 0) {
+    return { luminance: 0, red: 0 };
+  }
+  let luminance = 0;
+  let red = 0;
+  for (let i = 0; i < pixelCount * 4; i += 4) {
+    const r = SRGB_TO_LINEAR[data[i]];
+    const g = SRGB_TO_LINEAR[data[i + 1]];
+    const b = SRGB_TO_LINEAR[data[i + 2]];
+    luminance += 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    const sum = r + g + b;
+    if (sum > 0 && r / sum >= RED_RATIO) {
+      red += Math.max(0, (r - g - b) * RED_SCALE);
+    }
+  }
+  return { luminance: luminance / pixelCount, red: red / pixelCount };
+}
+
+/**
+ * Counts opposing transitions of at least `threshold`. The extreme of the current swing is tracked so a slow
+ * ramp still registers once it has moved far enough.
+ */
+function createTransitionCounter(threshold, qualifies) {
+  const times = [];
+  let low = Number.NaN;
+  let high = Number.NaN;
+  let direction = 0;
+
+  function record(time, nextDirection, value) {
+    times.push(time);
+    direction = nextDirection;
+    low = value;
+    high = value;
+  }
+
+  function push(value, time) {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    if (!Number.isFinite(low)) {
+      low = value;
+      high = value;
+      return;
+    }
+    if (direction >= 0 && high - value >= threshold && qualifies(value, high)) {
+      record(time, -1, value);
+    } else if (direction <= 0 && value - low >= threshold && qualifies(low, value)) {
+      record(time, 1, value);
+    } else {
+      low = Math.min(low, value);
+      high = Math.max(high, value);
+      // Only the extreme in the current direction matters once a swing has started.
+      if (direction > 0) {
+        low = high;
+      } else if (direction < 0) {
+        high = low;
+      }
+    }
+  }
+
+  function count(now) {
+    while (times.length > 0 && now - times[0] > WINDOW_MS) {
+      times.shift();
+    }
+    return times.length;
+  }
+
+  function reset() {
+    times.length = 0;
+    low = Number.NaN;
+    high = Number.NaN;
+    direction = 0;
+  }
+
+  return { push, count, reset };
+}
+
+/**
+ * Sliding one-second flash counter over frame samples.
+ */
+export function createFlashMonitor() {
+  const luminance = createTransitionCounter(LUMINANCE_DELTA, (darker) => darker < LUMINANCE_DARK_LIMIT);
+  const red = createTransitionCounter(RED_DELTA, () => true);
+
+  /**
+   * @param {{luminance: number, red: number}} sample
+   * @param {number} timeMs
+   * @returns {{generalFlashes: number, redFlashes: number, risk: number}} Flashes in the last second and the
+   *   higher of the two as a fraction of the WCAG limit.
+   */
+  function push(sample, timeMs) {
+    luminance.push(sample?.luminance, timeMs);
+    red.push(sample?.red, timeMs);
+    return read(timeMs);
+  }
+
+  function read(timeMs) {
+    const generalFlashes = luminance.count(timeMs) / 2;
+    const redFlashes = red.count(timeMs) / 2;
+    return {
+      generalFlashes,
+      redFlashes,
+      risk: Math.max(generalFlashes, redFlashes) / FLASH_LIMIT_PER_SECOND,
+    };
+  }
+
+  function reset() {
+    luminance.reset();
+    red.reset();
+  }
+
+  return { push, read, reset };
+}
+
+/**
+ * Flash monitor plus a damping envelope: 1 leaves params untouched, lower values scale flash-driving params
+ * down. Damping attacks quickly and releases slowly so it does not pump.
+ * @param {{reducedMotion?: boolean}} [options]
+ */
+export function createFlashGuard({ reducedMotion = false } = {}) {
+  const monitor = createFlashMonitor();
+  let settings = reducedMotion ? GUARD_PRESETS.reducedMotion : GUARD_PRESETS.standard;
+  let damping = 1;
+  let risk = 0;
+
+  function targetDamping() {
+    const span = Math.max(1 - settings.onset, 1e-6);
+    const strength = clamp((risk - settings.onset) / span, 0, 1);
+    return 1 - strength * (1 - settings.minDamping);
+  }
+
+  /**
+   * @param {{luminance: number, red: number}|null} sample New frame sample, or null when none arrived.
+   * @param {number} timeMs
+   * @param {number} dtSeconds
+   * @returns {number} Damping factor in [minDamping, 1].
+   */
+  function update(sample, timeMs, dtSeconds) {
+    risk = sample ? monitor.push(sample, timeMs).risk : monitor.read(timeMs).risk;
+    const target = targetDamping();
+    const timeConstant = target < damping ? settings.attack : settings.release;
+    const dt = clamp(dtSeconds, 0, 0.25);
+    damping += (target - damping) * (1 - Math.exp(-dt / timeConstant));
+    return damping;
+  }
+
+  function setReducedMotion(enabled) {
+    settings = enabled ? GUARD_PRESETS.reducedMotion : GUARD_PRESETS.standard;
+  }
+
+  function reset() {
+    monitor.reset();
+    damping = 1;
+    risk = 0;
+  }
+
+  return {
+    update,
+    setReducedMotion,
+    reset,
+    getDamping: () => damping,
+    getRisk: () => risk,
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * Single-producer/single-consumer frame ring over a SharedArrayBuffer.
+ * Each slot holds a fixed set of named Float32 fields; the writer publishes by bumping an Int32 sequence
+ * counter, and readers copy the newest slot, retrying when the writer lapped them mid-copy.
+ */
+
+const SEQUENCE_INDEX = 0;
+const HEADER_BYTES = 8;
+const MAX_READ_ATTEMPTS = 3;
+
+/**
+ * True when SharedArrayBuffer can be posted to workers (requires a cross-origin isolated page).
+ * @returns {boolean}
+ */
+export function supportsSharedRing() {
+  return typeof SharedArrayBuffer === 'function' && globalThis.crossOriginIsolated === true;
+}
+
+/**
+ * Describes the slot layout for a set of fields. Both ends of a ring must build the same layout.
+ * @param {Record<string, number>} fields Field name → float count.
+ * @param {number} [slots]
+ */
+export function createRingLayout(fields, slots = 4) {
+  const offsets = {};
+  let slotSize = 0;
+  Object.entries(fields).forEach(([name, length]) => {
+    offsets[name] = { offset: slotSize, length };
+    slotSize += length;
+  });
+  const slotCount = Math.max(2, Math.floor(slots));
+  return {
+    slots: slotCount,
+    slotSize,
+    offsets,
+    byteLength: HEADER_BYTES + slotCount * slotSize * Float32Array.BYTES_PER_ELEMENT,
+  };
+}
+
+/**
+ * Wraps a buffer (shared or plain) in typed views for `layout`.
+ * @param {ReturnType<typeof createRingLayout>} layout
+ * @param {SharedArrayBuffer|ArrayBuffer} [buffer] Allocates a SharedArrayBuffer when omitted.
+ */
+export function attachFrameRing(layout, buffer = new SharedArrayBuffer(layout.byteLength)) {
+  if (buffer.byteLength < layout.byteLength) {
+    throw new Error('Frame ring buffer is smaller than its layout.');
+  }
+  return {
+    layout,
+    buffer,
+    shared: typeof SharedArrayBuffer === 'function' && buffer instanceof SharedArrayBuffer,
+    header: new Int32Array(buffer, 0, 2),
+    data: new Float32Array(buffer, HEADER_BYTES, layout.slots * layout.slotSize),
+  };
+}
+
+/**
+ * Copies `values` into the next slot and publishes it.
+ * @param {ReturnType<typeof attachFrameRing>} ring
+ * @param {Record<string, ArrayLike<number>>} values Missing fields keep their previous slot contents.
+ * @returns {number} The published sequence number (1-based).
+ */
+export function writeFrame(ring, values) {
+  const { layout, header, data } = ring;
+  const sequence = Atomics.load(header, SEQUENCE_INDEX);
+  const base = (sequence % layout.slots) * layout.slotSize;
+  Object.entries(values).forEach(([name, source]) => {
+    const field = layout.offsets[name];
+    if (!field || !source) {
+      return;
+    }
+    const length = Math.min(field.length, source.length);
+    for (let i = 0; i < length; i += 1) {
+      data[base + field.offset + i] = source[i];
+    }
+  });
+  const next = sequence + 1;
+  Atomics.store(header, SEQUENCE_INDEX, next);
+  if (ring.shared) {
+    Atomics.notify(header, SEQUENCE_INDEX);
+  }
+  return next;
+}
+
+/**
+ * @param {ReturnType<typeof attachFrameRing>} ring
+ * @returns {number} Sequence number of the newest published frame (0 before the first write).
+ */
+export function getFrameSequence(ring) {
+  return Atomics.load(ring.header, SEQUENCE_INDEX);
+}
+
+/**
+ * Copies the newest frame into `target` when it is newer than `lastSequence`.
+ * @param {ReturnType<typeof attachFrameRing>} ring
+ * @param {Record<string, Float32Array>} target
+ * @param {number} [lastSequence]
+ * @returns {number} The sequence copied, or 0 when nothing new (or only torn frames) was available.
+ */
+export function readLatestFrame(ring, target, lastSequence = 0) {
+  const { layout, data } = ring;
+  for (let attempt = 0; attempt < MAX_READ_ATTEMPTS; attempt += 1) {
+    const sequence = getFrameSequence(ring);
+    if (sequence === 0 || sequence === lastSequence) {
+      return 0;
+    }
+    const base = ((sequence - 1) % layout.slots) * layout.slotSize;
+    Object.entries(target).forEach(([name, destination]) => {
+      const field = layout.offsets[name];
+      if (!field) {
+        return;
+      }
+      const length = Math.min(field.length, destination.length);
+      const start = base + field.offset;
+      destination.set(data.subarray(start, start + length));
+    });
+    // The slot is only rewritten once the writer has published `slots - 1` newer frames.
+    if (getFrameSequence(ring) - sequence < layout.slots - 1) {
+      return sequence;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Blocks a worker until a frame newer than `lastSequence` is published or `timeoutMs` elapses.
+ * Only valid on shared rings and off the main thread.
+ * @returns {boolean} True when a newer frame is available.
+ */
+export function waitForFrame(ring, lastSequence, timeoutMs) {
+  if (getFrameSequence(ring) !== lastSequence) {
+    return true;
+  }
+  Atomics.wait(ring.header, SEQUENCE_INDEX, lastSequence, timeoutMs);
+  return getFrameSequence(ring) !== lastSequence;
+}
@@ -10,6 +10,8 @@ const PARAM_NAMES = Object.freeze([
   'sparkleDensity',
   'vortexAmount',
   'zoom',
+  'wellPan',
+  'emitDirection',
 ]);
 
 const PARAM_SPECS = /** @type {const} */ ({
@@ -156,11 +158,49 @@ const PARAM_SPECS = /** @type {const} */ ({
     rest: 1,
     smoothingHz: 1.8,
   },
+  // Stereo-field outputs: horizontal offset of the point wells and sideways push on new particles (left < 0 < right).
+  wellPan: {
+    index: 11,
+    type: 'continuous',
+    baseline: 0,
+    swing: 1,
+    safeSwing: 0.6,
+    min: -1,
+    max: 1,
+    safeMax: 0.6,
+    rest: 0,
+    smoothingHz: 1.5,
+    symmetric: true,
+  },
+  emitDirection: {
+    index: 12,
+    type: 'continuous',
+    baseline: 0,
+    swing: 1,
+    safeSwing: 0.6,
+    min: -1,
+    max: 1,
+    safeMax: 0.6,
+    rest: 0,
+    smoothingHz: 2.4,
+    symmetric: true,
+  },
 });
 
 const DEFAULT_SILENCE_THRESHOLD = 0.03;
+// Beat sync lets presets kick impulse params (and a render glow pulse) on tracked beats instead of
+// waiting for the model output to cross the impulse hysteresis thresholds.
+const BEAT_SYNC_DEFAULTS = Object.freeze({
+  repelImpulse: 0,
+  sparkleDensity: 0,
+  glow: 0,
+  minConfidence: 0.35,
+});
+const BEAT_PULSE_DECAY = 6;
+const BEAT_PULSE_SAFE_SCALE = 0.5;
 const MIN_DT = 1 / 240;
 const MAX_DT = 0.5;
+const SNAPSHOT_VERSION = 1;
 const SCRATCH_OUTPUTS = new Float32Array(PARAM_NAMES.length);
 
 class CriticallyDampedSmoother {
@@ -384,6 +424,7 @@ const state = {
   lastTimestamp: 0,
   lastOutputs: new Float32Array(PARAM_NAMES.length),
   offsets: { ...OFFSET_DEFAULTS },
+  beatSync: null,
   result: null,
 };
 
@@ -444,13 +485,17 @@ function applyContinuous(name, spec, rawValue, dt, silence, forceSilence) {
   state.params[name] = clamp(value, min, max);
 }
 
-function applyImpulse(name, spec, rawValue, dt, silence, forceSilence) {
+function applyImpulse(name, spec, rawValue, dt, silence, forceSilence, kick = 0) {
   const swing = resolveSwing(spec, state.safeMode);
   const { min, max } = resolveBounds(spec, state.safeMode);
   const impulseState = getImpulseState(name, spec);
   const baseline = state.baselines[name] ?? spec.baseline;
   const rest = state.rests[name] ?? spec.rest ?? baseline;
 
+  if (!silence && kick > 0) {
+    impulseState.envelope = Math.max(impulseState.envelope, kick);
+  }
+
   if (silence) {
     impulseState.active = false;
     impulseState.hold = 0;
@@ -470,6 +515,46 @@ function applyImpulse(name, spec, rawValue, dt, silence, forceSilence) {
   state.params[name] = clamp(target, min, max);
 }
 
+function sanitizeBeatSync(config) {
+  if (!config || typeof config !== 'object') {
+    return null;
+  }
+  const result = { ...BEAT_SYNC_DEFAULTS };
+  for (const key of Object.keys(BEAT_SYNC_DEFAULTS)) {
+    const value = Number(config[key]);
+    if (Number.isFinite(value)) {
+      result[key] = clamp(value, 0, 1);
+    }
+  }
+  return result;
+}
+
+function isBeatLocked(beat) {
+  return Boolean(
+    state.beatSync
+    && beat
+    && Number.isFinite(beat.confidence)
+    && beat.confidence >= state.beatSync.minConfidence,
+  );
+}
+
+function resolveBeatKick(name, beat) {
+  if (!beat.onBeat) {
+    return 0;
+  }
+  const amount = state.beatSync[name] ?? 0;
+  return amount > 0 ? amount * beat.confidence : 0;
+}
+
+function computeBeatPulse(beat, silence) {
+  if (silence || !isBeatLocked(beat) || state.beatSync.glow <= 0) {
+    return 0;
+  }
+  const phase = Number.isFinite(beat.phase) ? clamp(beat.phase, 0, 1) : 1;
+  const scale = state.safeMode ? BEAT_PULSE_SAFE_SCALE : 1;
+  return clamp(state.beatSync.glow * beat.confidence * Math.exp(-BEAT_PULSE_DECAY * phase) * scale, 0, 1);
+}
+
 export function setSafeMode(enabled) {
   state.safeMode = Boolean(enabled);
 }
@@ -481,6 +566,9 @@ export function configure(options = {}) {
   if (typeof options.silenceThreshold === 'number' && Number.isFinite(options.silenceThreshold)) {
     state.silenceThreshold = clamp(options.silenceThreshold, 0, 1);
   }
+  if (options.beatSync !== undefined) {
+    state.beatSync = sanitizeBeatSync(options.beatSync);
+  }
 }
 
 export function reset(params) {
@@ -544,6 +632,7 @@ export function update(outputs, options = {}) {
 
   const forcedSilence = options.forceSilence === true;
   const silence = forcedSilence || activity < state.silenceThreshold;
+  const beat = isBeatLocked(options.beat) ? options.beat : null;
 
   for (const name of PARAM_NAMES) {
     const spec = PARAM_SPECS[name];
@@ -551,7 +640,8 @@ export function update(outputs, options = {}) {
     if (spec.type === 'continuous') {
       applyContinuous(name, spec, raw, dt, silence, forcedSilence);
     } else {
-      applyImpulse(name, spec, raw, dt, silence, forcedSilence);
+      const kick = beat ? resolveBeatKick(name, beat) : 0;
+      applyImpulse(name, spec, raw, dt, silence, forcedSilence, kick);
     }
   }
 
@@ -576,10 +666,61 @@ export function update(outputs, options = {}) {
   result.sparkleOffset = state.offsets.sparkleOffset;
   result.hueOffset = state.offsets.hueOffset;
   result.repelImpulse = state.offsets.repelImpulse;
+  result.beatPulse = computeBeatPulse(options.beat, silence);
 
   return result;
 }
 
+/**
+ * Captures the smoother, impulse, and baseline state so an offline pass (e.g. timeline precompute)
+ * can drive `update()` and then hand the live mapping back untouched. Configuration is not included.
+ */
+export function snapshot() {
+  return {
+    version: SNAPSHOT_VERSION,
+    params: { ...state.params },
+    baselines: { ...state.baselines },
+    rests: { ...state.rests },
+    smoothers: Array.from(state.smoothers, ([name, smoother]) => [
+      name,
+      { value: smoother.value, velocity: smoother.velocity, smoothingHz: smoother.smoothingHz },
+    ]),
+    impulses: Array.from(state.impulses, ([name, impulse]) => [name, { ...impulse }]),
+    lastTimestamp: state.lastTimestamp,
+    lastOutputs: state.lastOutputs.slice(),
+    offsets: { ...state.offsets },
+  };
+}
+
+export function restore(data) {
+  if (!data || data.version !== SNAPSHOT_VERSION) {
+    throw new Error('Unsupported map snapshot.');
+  }
+  Object.assign(state.params, data.params);
+  Object.assign(state.baselines, data.baselines);
+  Object.assign(state.rests, data.rests);
+  state.smoothers.clear();
+  for (const [name, saved] of data.smoothers) {
+    const smoother = new CriticallyDampedSmoother(saved.value, saved.smoothingHz);
+    smoother.velocity = saved.velocity;
+    state.smoothers.set(name, smoother);
+  }
+  state.impulses.clear();
+  for (const [name, saved] of data.impulses) {
+    state.impulses.set(name, { ...saved });
+  }
+  state.lastTimestamp = data.lastTimestamp;
+  state.lastOutputs.set(data.lastOutputs);
+  state.offsets = { ...data.offsets };
+  const result = ensureResultObject();
+  for (const name of PARAM_NAMES) {
+    result[name] = state.params[name];
+  }
+  for (const key of OFFSET_KEYS) {
+    result[key] = state.offsets[key];
+  }
+}
+
 export function getParams() {
   return { ...state.params };
 }
@@ -1,3 +1,7 @@
+import { buildFeatureRemap, FEATURE_LABELS, resolveModelFeatures } from './audio-features.js';
+
+const MISSING_FEATURE_POLICIES = Object.freeze(['adapt', 'reject']);
+
 const ACTIVATIONS = /** @type {const} */ ({
   relu: (x) => (x > 0 ? x : 0),
   elu: (x) => (x >= 0 ? x : Math.expm1(x)),
@@ -48,7 +52,21 @@ function createLayer(rawLayer, inputSize) {
   };
 }
 
-function buildModel(raw) {
+function resolveFeatureBinding(raw, inputSize, options) {
+  const available = Array.isArray(options.features) ? options.features : FEATURE_LABELS;
+  const policy = MISSING_FEATURE_POLICIES.includes(options.onMissingFeatures) ? options.onMissingFeatures : 'adapt';
+  const { version, features } = resolveModelFeatures(raw, inputSize);
+  const { indices, missing } = buildFeatureRemap(features, available);
+  if (missing.length > 0) {
+    if (policy === 'reject') {
+      throw new Error(`Model requires features the extractor does not provide: ${missing.join(', ')}.`);
+    }
+    console.warn(`[nn] Model features unavailable (${missing.join(', ')}); feeding their normalization mean.`);
+  }
+  return { version, features, indices, missing };
+}
+
+function buildModel(raw, options = {}) {
   if (!raw || typeof raw !== 'object') {
     throw new TypeError('Model definition must be an object.');
   }
@@ -93,10 +111,15 @@ function buildModel(raw) {
   });
 
   const outputSize = layers[layers.length - 1].outputSize;
+  const binding = resolveFeatureBinding(raw, inputSize, options);
 
   return {
     inputSize,
     outputSize,
+    featureSchemaVersion: binding.version,
+    featureNames: binding.features,
+    featureIndices: binding.indices,
+    missingFeatures: binding.missing,
     layers,
     normMean,
     normInvStd: invStd,
@@ -107,9 +130,11 @@ function buildModel(raw) {
 }
 
 function normalizeWithModel(model, features) {
-  const { normMean, normInvStd, normBuffer, inputSize } = model;
+  const { normMean, normInvStd, normBuffer, inputSize, featureIndices } = model;
   for (let i = 0; i < inputSize; i += 1) {
-    const value = assertFinite(i < features.length ? features[i] : 0);
+    // Inputs the live extractor cannot supply sit at their training mean, i.e. normalise to zero.
+    const source = featureIndices[i];
+    const value = source >= 0 ? assertFinite(source < features.length ? features[source] : 0) : normMean[i];
     const centered = value - normMean[i];
     const normalized = centered * normInvStd[i];
     normBuffer[i] = assertFinite(normalized);
@@ -159,18 +184,25 @@ async function fetchModelDefinition(url) {
   return response.json();
 }
 
-export async function loadModel(urlOrObject) {
+/**
+ * Loads a model as the active runtime model.
+ * @param {string|object} urlOrObject
+ * @param {{features?: readonly string[], onMissingFeatures?: 'adapt'|'reject'}} [options]
+ */
+export async function loadModel(urlOrObject, options) {
   const rawDefinition =
     typeof urlOrObject === 'string'
       ? await fetchModelDefinition(urlOrObject)
       : urlOrObject;
 
-  const model = buildModel(rawDefinition);
+  const model = buildModel(rawDefinition, options);
   currentModel = model;
   return {
     inputSize: model.inputSize,
     outputSize: model.outputSize,
     layers: model.layers.length,
+    featureSchemaVersion: model.featureSchemaVersion,
+    missingFeatures: model.missingFeatures.slice(),
   };
 }
 
@@ -178,8 +210,16 @@ export async function loadModelDefinition(url) {
   return fetchModelDefinition(url);
 }
 
-export function createModel(rawDefinition) {
-  return buildModel(rawDefinition);
+/**
+ * Builds a standalone model instance. Model inputs are matched to the available feature vector by name,
+ * so models trained on older or reordered schemas keep reading the right values.
+ * @param {object} rawDefinition
+ * @param {{features?: readonly string[], onMissingFeatures?: 'adapt'|'reject'}} [options]
+ *   `features` names the vector passed to `infer()` (defaults to the live extractor's FEATURE_LABELS);
+ *   missing features either throw (`reject`) or are held at their normalization mean (`adapt`, default).
+ */
+export function createModel(rawDefinition, options) {
+  return buildModel(rawDefinition, options);
 }
 
 export function infer(model, features, outBuffer) {
@@ -256,5 +296,7 @@ export function getCurrentModelInfo() {
     inputSize: currentModel.inputSize,
     outputSize: currentModel.outputSize,
     layers: currentModel.layers.length,
+    featureSchemaVersion: currentModel.featureSchemaVersion,
+    missingFeatures: currentModel.missingFeatures.slice(),
   };
 }
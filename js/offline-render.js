@@ -0,0 +1,390 @@
+import { createAnalyserEmulator } from './analyser-emulation.js';
+import { isHopDue, resolveAnalysisConfig } from './analysis-config.js';
+import { createFeatureExtractor, createFeatureLayout, mixToMono, usesExtendedFeatures } from './audio-features.js';
+import { getActivityLevel } from './audio.js';
+import { applyAutomation } from './automation.js';
+import * as map from './map.js';
+import { createModel, infer } from './nn.js';
+import * as physics from './physics.js';
+import * as render from './render.js';
+
+/**
+ * Offline renderer (deterministic export).
+ * Steps the live pipeline (features → nn → map → physics → render) at a fixed
+ * frame rate from a decoded AudioBuffer instead of wall-clock time, so the same
+ * audio, model, and seed always produce the same frames.
+ */
+
+const DEFAULT_FPS = 60;
+const MIN_FPS = 12;
+const MAX_FPS = 120;
+const DEFAULT_SEED = 0x1234abcd;
+const DEFAULT_WIDTH = 1280;
+const DEFAULT_HEIGHT = 720;
+// Physics adapts its particle cap to frame time; feed it a nominal 60 fps so the cap never depends on export speed.
+const PHYSICS_FRAME_MS = 1000 / 60;
+const PNG_MIME = 'image/png';
+const WEBM_MIME_CANDIDATES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const WEBM_BITS_PER_SECOND = 12_000_000;
+
+export const OFFLINE_FORMATS = Object.freeze({
+  PNG: 'png',
+  WEBM: 'webm',
+});
+
+function clamp(value, min, max) {
+  if (!Number.isFinite(value)) {
+    return min;
+  }
+  if (value < min) {
+    return min;
+  }
+  if (value > max) {
+    return max;
+  }
+  return value;
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new DOMException('Offline render cancelled', 'AbortError');
+  }
+}
+
+function resolveFps(fps) {
+  return Math.round(clamp(Number.isFinite(fps) ? fps : DEFAULT_FPS, MIN_FPS, MAX_FPS));
+}
+
+function extractChannels(audioBuffer) {
+  if (!audioBuffer) {
+    throw new TypeError('Offline render requires a decoded AudioBuffer.');
+  }
+  if (Array.isArray(audioBuffer.channels)) {
+    return audioBuffer.channels;
+  }
+  const channels = [];
+  for (let ch = 0; ch < audioBuffer.numberOfChannels; ch += 1) {
+    channels.push(audioBuffer.getChannelData(ch));
+  }
+  return channels;
+}
+
+function defaultResolveParams(mapped) {
+  return { sim: mapped, render: mapped };
+}
+
+/**
+ * Computes how many video frames cover the audio and how many samples each frame advances.
+ * @param {number} totalSamples
+ * @param {number} sampleRate
+ * @param {number} [fps]
+ * @returns {{fps: number, hopSamples: number, frameCount: number}}
+ */
+export function computeFrameSchedule(totalSamples, sampleRate, fps = DEFAULT_FPS) {
+  const resolvedFps = resolveFps(fps);
+  const samples = Number.isFinite(totalSamples) && totalSamples > 0 ? Math.floor(totalSamples) : 0;
+  const rate = Number.isFinite(sampleRate) && sampleRate > 0 ? sampleRate : 44100;
+  const hopSamples = rate / resolvedFps;
+  const frameCount = samples > 0 ? Math.max(1, Math.ceil(samples / hopSamples)) : 0;
+  return { fps: resolvedFps, hopSamples, frameCount };
+}
+
+/**
+ * Prepares a frame-by-frame simulation for an AudioBuffer. Physics and map state are
+ * reset and reseeded so the session always starts from the same point.
+ * @param {{audioBuffer: AudioBuffer|{sampleRate: number, channels: Float32Array[]}, modelDefinition?: object|null, analysis?: {fftSize?: number, hopMs?: number, bands?: number[]}|null, seed?: number, fps?: number, resolveParams?: (mapped: object) => {sim: object, render: object}, mapBaselines?: Record<string, number>|null, baseCap?: number, automation?: object|null}} options
+ *   `automation` is a sanitized block from `sanitizeAutomation()`. `analysis` defaults to the model's own block;
+ *   features are re-extracted on the frames where its hop falls due, as they are live.
+ */
+export function createOfflineSession({
+  audioBuffer,
+  modelDefinition = null,
+  analysis = modelDefinition?.analysis ?? null,
+  seed = DEFAULT_SEED,
+  fps = DEFAULT_FPS,
+  resolveParams = defaultResolveParams,
+  mapBaselines = null,
+  baseCap,
+  automation = null,
+} = {}) {
+  const channels = extractChannels(audioBuffer);
+  const mono = mixToMono(channels);
+  const stereo = channels.length >= 2 ? channels.slice(0, 2) : null;
+  const sampleRate = audioBuffer.sampleRate;
+  const { fps: resolvedFps, hopSamples, frameCount } = computeFrameSchedule(mono.length, sampleRate, fps);
+  const dt = 1 / resolvedFps;
+  const frameTime = 1000 / resolvedFps;
+  const resolvedSeed = Number.isFinite(seed) ? seed >>> 0 : DEFAULT_SEED;
+
+  const { fftSize, hopMs, bands } = resolveAnalysisConfig(analysis);
+  const layout = createFeatureLayout(bands);
+  const model = modelDefinition ? createModel(modelDefinition, { features: layout.labels }) : null;
+  const outputs = new Float32Array(model ? model.outputSize : map.PARAM_NAMES.length);
+  const automatedOutputs = automation ? new Float32Array(outputs.length) : null;
+  const extractor = createFeatureExtractor({
+    sampleRate,
+    fftSize,
+    bands,
+    extended: Boolean(model) && usesExtendedFeatures(model.featureNames),
+  });
+  const analyser = createAnalyserEmulator({ fftSize });
+  const frameBuffer = new Float32Array(fftSize);
+  const stereoBuffers = stereo ? [new Float32Array(fftSize), new Float32Array(fftSize)] : null;
+
+  if (Number.isFinite(baseCap) && baseCap > 0) {
+    physics.configure({ baseCap });
+  }
+  physics.reset();
+  physics.setSeed(resolvedSeed);
+  map.reset(mapBaselines ?? undefined);
+
+  let nextIndex = 0;
+  let lastAnalysisIndex = -1;
+  let features = extractor.getVector();
+
+  function step() {
+    if (nextIndex >= frameCount) {
+      return null;
+    }
+    const index = nextIndex;
+    nextIndex += 1;
+
+    // The live analyser looks at the most recent `fftSize` samples, so window backwards.
+    const end = Math.min(mono.length, Math.round((index + 1) * hopSamples));
+    const sinceAnalysisMs = (index - lastAnalysisIndex) * frameTime;
+    const beat = extractor.getBeat();
+    if (lastAnalysisIndex < 0 || isHopDue(sinceAnalysisMs, hopMs, frameTime)) {
+      const start = Math.max(0, end - fftSize);
+      frameBuffer.fill(0);
+      frameBuffer.set(mono.subarray(start, end), fftSize - (end - start));
+      stereoBuffers?.forEach((buffer, channel) => {
+        buffer.fill(0);
+        buffer.set(stereo[channel].subarray(start, end), fftSize - (end - start));
+      });
+      const { frequencyDb } = analyser.process(frameBuffer);
+
+      const trackRatio = mono.length > 0 ? clamp(end / mono.length, 0, 1) : 0;
+      features = extractor.process({
+        frequencyDb,
+        waveform: frameBuffer,
+        channels: stereoBuffers,
+        deltaMs: lastAnalysisIndex < 0 ? 0 : sinceAnalysisMs,
+        trackPosition: trackRatio * 2 - 1,
+        sampleRateOverride: sampleRate,
+        fftSizeOverride: fftSize,
+      });
+      lastAnalysisIndex = index;
+
+      if (model) {
+        infer(model, features, outputs);
+      }
+    } else {
+      // A beat belongs to the frame that analysed it.
+      beat.onBeat = false;
+    }
+
+    const activity = getActivityLevel(features[layout.index.RMS]);
+    const mapInputs = automation ? applyAutomation(automation, end / sampleRate, outputs, automatedOutputs) : outputs;
+    const mapped = map.update(mapInputs, {
+      dt,
+      timestamp: (index + 1) * frameTime,
+      activity,
+      features,
+      beat,
+    });
+    const params = resolveParams(mapped) ?? defaultResolveParams(mapped);
+
+    physics.step(params.sim, {
+      dt,
+      frameTime: PHYSICS_FRAME_MS,
+      frameTimeAvg: PHYSICS_FRAME_MS,
+      fieldInputs: mapped,
+    });
+
+    return {
+      index,
+      time: index * dt,
+      dt,
+      features,
+      outputs: mapInputs,
+      mapped,
+      sim: params.sim,
+      render: params.render,
+      particles: physics.getParticles(),
+    };
+  }
+
+  return {
+    fps: resolvedFps,
+    frameCount,
+    hopSamples,
+    sampleRate,
+    seed: resolvedSeed,
+    step,
+  };
+}
+
+function canvasToBlob(canvas, type) {
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Canvas capture returned no data.'));
+      }
+    }, type);
+  });
+}
+
+function pickWebmMimeType() {
+  if (typeof MediaRecorder === 'undefined') {
+    return null;
+  }
+  return WEBM_MIME_CANDIDATES.find((type) => MediaRecorder.isTypeSupported(type)) ?? null;
+}
+
+function createWebmCapture(canvas, fps) {
+  const mimeType = pickWebmMimeType();
+  if (!mimeType || typeof canvas.captureStream !== 'function') {
+    throw new Error('WebM capture requires MediaRecorder and canvas.captureStream support.');
+  }
+  // captureStream(0) only emits frames on requestFrame(), keeping the video in lockstep with the sim.
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: WEBM_BITS_PER_SECOND });
+  const chunks = [];
+  recorder.addEventListener('dataavailable', (event) => {
+    if (event.data && event.data.size > 0) {
+      chunks.push(event.data);
+    }
+  });
+  const stopped = new Promise((resolve) => {
+    recorder.addEventListener('stop', resolve, { once: true });
+  });
+  recorder.start();
+
+  const frameMs = 1000 / fps;
+  let nextDeadline = performance.now();
+
+  return {
+    async pushFrame() {
+      track.requestFrame?.();
+      // MediaRecorder timestamps frames by wall clock, so pace submissions at the target rate.
+      nextDeadline += frameMs;
+      const wait = nextDeadline - performance.now();
+      if (wait > 0) {
+        await new Promise((resolve) => {
+          setTimeout(resolve, wait);
+        });
+      }
+    },
+    async finish() {
+      if (recorder.state !== 'inactive') {
+        recorder.stop();
+      }
+      await stopped;
+      track.stop();
+      return new Blob(chunks, { type: mimeType });
+    },
+    cancel() {
+      if (recorder.state !== 'inactive') {
+        recorder.stop();
+      }
+      track.stop();
+    },
+  };
+}
+
+/**
+ * Renders an AudioBuffer to video frames through the shared render module.
+ * PNG output streams each frame to `onFrame(blob, index)`; WebM output resolves with a single Blob.
+ * @param {{audioBuffer: AudioBuffer, modelDefinition?: object|null, analysis?: {fftSize?: number, hopMs?: number, bands?: number[]}|null, seed?: number, fps?: number, width?: number, height?: number, format?: 'png'|'webm', resolveParams?: Function, mapBaselines?: Record<string, number>|null, baseCap?: number, automation?: object|null, onFrame?: (blob: Blob, index: number) => (void|Promise<void>), onProgress?: (progress: {frame: number, frameCount: number, value: number}) => void, signal?: AbortSignal}} options
+ * @returns {Promise<{format: string, fps: number, seed: number, frameCount: number, width: number, height: number, blob: Blob|null}>}
+ */
+export async function renderOffline({
+  audioBuffer,
+  modelDefinition = null,
+  analysis = modelDefinition?.analysis ?? null,
+  seed = DEFAULT_SEED,
+  fps = DEFAULT_FPS,
+  width = DEFAULT_WIDTH,
+  height = DEFAULT_HEIGHT,
+  format = OFFLINE_FORMATS.WEBM,
+  resolveParams,
+  mapBaselines,
+  baseCap,
+  automation,
+  onFrame,
+  onProgress,
+  signal,
+} = {}) {
+  if (format !== OFFLINE_FORMATS.PNG && format !== OFFLINE_FORMATS.WEBM) {
+    throw new RangeError(`Unsupported offline render format "${format}".`);
+  }
+  throwIfAborted(signal);
+
+  const session = createOfflineSession({
+    audioBuffer,
+    modelDefinition,
+    analysis,
+    seed,
+    fps,
+    resolveParams,
+    mapBaselines,
+    baseCap,
+    automation,
+  });
+  render.setOfflineMode({ width, height });
+  const canvas = render.getCanvas();
+  if (!canvas) {
+    render.setOfflineMode(null);
+    throw new Error('Render module must be initialised before an offline render.');
+  }
+
+  let capture = null;
+  try {
+    capture = format === OFFLINE_FORMATS.WEBM ? createWebmCapture(canvas, session.fps) : null;
+    const frameTime = 1000 / session.fps;
+
+    for (let frame = session.step(); frame; frame = session.step()) {
+      throwIfAborted(signal);
+      render.renderFrame(frame.particles, frame.render, {
+        dt: frame.dt,
+        frameTime,
+        frameTimeAvg: frameTime,
+        frameIndex: frame.index,
+      });
+
+      if (capture) {
+        await capture.pushFrame();
+      } else {
+        const blob = await canvasToBlob(canvas, PNG_MIME);
+        await onFrame?.(blob, frame.index);
+      }
+
+      onProgress?.({
+        frame: frame.index + 1,
+        frameCount: session.frameCount,
+        value: session.frameCount > 0 ? (frame.index + 1) / session.frameCount : 1,
+      });
+    }
+
+    const blob = capture ? await capture.finish() : null;
+    capture = null;
+    return {
+      format,
+      fps: session.fps,
+      seed: session.seed,
+      frameCount: session.frameCount,
+      width: canvas.width,
+      height: canvas.height,
+      blob,
+    };
+  } finally {
+    capture?.cancel();
+    render.setOfflineMode(null);
+  }
+}
@@ -1,9 +1,11 @@
+import { buildSpatialGrid, cellOf, createSpatialGrid } from './spatial-grid.js';
+
 /**
  * Physics core (Phase 8)
  *
  * Implements a pooled particle system using typed arrays, a semi-implicit Euler
- * integrator, multiple force fields, and dynamic particle caps that respond to
- * frame time hints. The API is purposefully self-contained so later phases can
+ * integrator, a data-driven list of force emitters, and dynamic particle caps that
+ * respond to frame time hints. The API is purposefully self-contained so later phases can
  * hook rendering and orchestration layers without mutating internal buffers.
  */
 
@@ -24,6 +26,75 @@ const FLOW_FREQ_X = 0.37;
 const FLOW_FREQ_Y = 0.41;
 const FLOW_TIME_SCALE = 0.18;
 const EPSILON = 1e-6;
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_STRIDE = 8; // posX, posY, velX, velY, life, maxLife, mass, seed
+const MAX_FORCE_FIELDS = 16;
+const MAX_GRID_CELLS = 16384;
+const MAX_NEIGHBORS = 32;
+const FLOCK_SEPARATION_GAIN = 1.6;
+const FLOCK_ALIGNMENT_GAIN = 1.8;
+const FLOCK_COHESION_GAIN = 1.4;
+const FLOCK_STARVED_FRAMES = 30;
+// The eight cells around a particle's own, in ring order. Each particle starts the ring at a different cell so
+// a truncated neighbour sample does not always favour the same side.
+const NEIGHBOR_RING_X = Object.freeze([-1, 0, 1, 1, 1, 0, -1, -1]);
+const NEIGHBOR_RING_Y = Object.freeze([-1, -1, -1, 0, 1, 1, 1, 0]);
+const WELL_PAN_RANGE = 0.6; // half-extents point wells travel at wellPan = ±1
+const EMIT_DIRECTION_SPEED = 0.55; // sideways spawn velocity at emitDirection = ±1
+const FLOCKING_DEFAULTS = Object.freeze({
+  enabled: false,
+  radius: 0.08,
+  separation: 0.6,
+  alignment: 0.3,
+  cohesion: 0.25,
+  maxNeighbors: 8,
+});
+const DEG_TO_RAD = Math.PI / 180;
+
+export const EMITTER_TYPES = /** @type {const} */ ([
+  'point',
+  'line',
+  'ring',
+  'wind',
+  'turbulence',
+  'drag',
+]);
+
+// Every numeric emitter field may instead be a binding: { param, scale?, offset?, min?, max? }.
+// Positions and radii are expressed in half-extents of the shorter bounds axis.
+const EMITTER_FIELDS = Object.freeze({
+  point: Object.freeze({ x: 0, y: 0, strength: 1, orbitRadius: 0, orbitSpeed: 0, phase: 0, softening: 0.0008 }),
+  line: Object.freeze({ x1: -0.5, y1: 0, x2: 0.5, y2: 0, strength: 1, softening: 0.0008 }),
+  ring: Object.freeze({ x: 0, y: 0, radius: 0.5, strength: 1, swirl: 0 }),
+  wind: Object.freeze({ angle: 0, strength: 0.5, gust: 0, gustSpeed: 1 }),
+  turbulence: Object.freeze({ strength: 1, frequency: 1, speed: 1 }),
+  drag: Object.freeze({ x: 0, y: 0, radius: 0, strength: 1 }),
+});
+
+// Reproduces the original centre well, two orbiting satellites, and the noise flow field.
+export const DEFAULT_FORCE_FIELDS = Object.freeze([
+  Object.freeze({
+    type: 'point',
+    strength: Object.freeze({ param: 'fieldStrength', scale: 1.95, offset: 0.6 }),
+  }),
+  Object.freeze({
+    type: 'point',
+    strength: Object.freeze({ param: 'fieldStrength', scale: 1.1, offset: 0.32 }),
+    orbitRadius: Object.freeze({ param: 'vortexAmount', scale: 0.32, offset: 0.18 }),
+    orbitSpeed: Object.freeze({ param: 'vortexAmount', scale: 1.2, offset: 0.25 }),
+  }),
+  Object.freeze({
+    type: 'point',
+    strength: Object.freeze({ param: 'fieldStrength', scale: 1.1, offset: 0.32 }),
+    orbitRadius: Object.freeze({ param: 'vortexAmount', scale: 0.32, offset: 0.18 }),
+    orbitSpeed: Object.freeze({ param: 'vortexAmount', scale: 1.2, offset: 0.25 }),
+    phase: 180,
+  }),
+  Object.freeze({
+    type: 'turbulence',
+    strength: Object.freeze({ param: 'fieldStrength', scale: 1.85, offset: 0.18 }),
+  }),
+]);
 const BOUNDS_SCRATCH = { x: 0, y: 0, vx: 0, vy: 0 };
 
 /**
@@ -33,6 +104,8 @@ const BOUNDS_SCRATCH = { x: 0, y: 0, vx: 0, vy: 0 };
  * @property {number} [cohesion]
  * @property {number} [repelImpulse]
  * @property {number} [vortexAmount]
+ * @property {number} [wellPan] Horizontal offset of the point wells, -1 (left) to 1 (right).
+ * @property {number} [emitDirection] Sideways push on new particles, -1 (left) to 1 (right).
  */
 
 /**
@@ -40,6 +113,41 @@ const BOUNDS_SCRATCH = { x: 0, y: 0, vx: 0, vy: 0 };
  * @property {number} [dt]
  * @property {number} [frameTime] Instantaneous frame time in ms.
  * @property {number} [frameTimeAvg] Rolling-average frame time in ms.
+ * @property {Record<string, number>} [fieldInputs] Mapped parameters available to emitter bindings.
+ */
+
+/**
+ * @typedef {Object} FlockingOptions
+ * @property {boolean} [enabled]
+ * @property {number} [radius] Neighbourhood radius in world units (also the grid cell size).
+ * @property {number} [separation]
+ * @property {number} [alignment]
+ * @property {number} [cohesion]
+ * @property {number} [maxNeighbors] Upper bound on neighbours sampled per particle.
+ */
+
+/**
+ * @typedef {Object} ForceEmitter
+ * @property {'point'|'line'|'ring'|'wind'|'turbulence'|'drag'} type
+ * Remaining keys depend on the type (see EMITTER_FIELDS); each may be a number or a binding.
+ */
+
+/**
+ * @typedef {Object} PhysicsSnapshot
+ * @property {number} version
+ * @property {number} capacity
+ * @property {number} liveCount
+ * @property {number} dynamicCap
+ * @property {number} spawnAccumulator
+ * @property {number} time
+ * @property {number} centerX
+ * @property {number} centerY
+ * @property {number} repelStrength
+ * @property {number} rngState
+ * @property {Float32Array} fields Resolved emitters packed as [x, y, strength].
+ * @property {Uint32Array} liveList Live pool indices in iteration order.
+ * @property {Uint32Array} freeList Free pool indices (stack order, top last).
+ * @property {Float32Array} particles Per live particle, packed in liveList order.
  */
 
 const state = {
@@ -72,11 +180,10 @@ const state = {
   mass: /** @type {Float32Array|null} */ (null),
   seed: /** @type {Float32Array|null} */ (null),
   alive: /** @type {Uint8Array|null} */ (null),
-  wells: [
-    { x: 0, y: 0, strength: 0 },
-    { x: 0, y: 0, strength: 0 },
-    { x: 0, y: 0, strength: 0 },
-  ],
+  flocking: { ...FLOCKING_DEFAULTS, neighborLimit: 0 },
+  grid: createSpatialGrid(),
+  fieldSpecs: /** @type {ForceEmitter[]} */ ([]),
+  fields: /** @type {Array<{type: string, spec: ForceEmitter, x: number, y: number, strength: number, values: Record<string, number>}>} */ ([]),
   bounds: {
     minX: -1,
     maxX: 1,
@@ -92,6 +199,8 @@ const state = {
     cohesion: 0.5,
     repelImpulse: 0,
     vortexAmount: 0.18,
+    wellPan: 0,
+    emitDirection: 0,
   },
   metrics: {
     frameTime: TARGET_FRAME_MS,
@@ -102,6 +211,8 @@ const state = {
   },
 };
 
+const NEIGHBOR_SCRATCH = { fx: 0, fy: 0 };
+
 function clamp(value, min, max) {
   if (!Number.isFinite(value)) {
     return min;
@@ -229,6 +340,12 @@ function sanitizeParams(input = /** @type {PhysicsParams} */ ({})) {
     0,
     1,
   );
+  const wellPan = clamp(Number.isFinite(input.wellPan) ? input.wellPan : defaults.wellPan, -1, 1);
+  const emitDirection = clamp(
+    Number.isFinite(input.emitDirection) ? input.emitDirection : defaults.emitDirection,
+    -1,
+    1,
+  );
 
   return {
     spawnRate,
@@ -238,39 +355,208 @@ function sanitizeParams(input = /** @type {PhysicsParams} */ ({})) {
     repelImpulse,
     vortexAmount,
     vortexStrength: vortexAmount * 1.45,
-    flowStrength: 0.18 + fieldStrength * 1.85,
+    wellPan,
+    emitDirection,
+  };
+}
+
+function isBinding(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.param === 'string';
+}
+
+function compileField(spec) {
+  if (!spec || typeof spec !== 'object' || !Object.hasOwn(EMITTER_FIELDS, spec.type)) {
+    console.warn('[physics] Ignoring unknown force emitter', spec?.type);
+    return null;
+  }
+  const defaults = EMITTER_FIELDS[spec.type];
+  const clean = { type: spec.type };
+  for (const key of Object.keys(defaults)) {
+    const value = spec[key];
+    if (Number.isFinite(value)) {
+      clean[key] = value;
+    } else if (isBinding(value)) {
+      clean[key] = {
+        param: value.param,
+        scale: Number.isFinite(value.scale) ? value.scale : 1,
+        offset: Number.isFinite(value.offset) ? value.offset : 0,
+        min: Number.isFinite(value.min) ? value.min : -Infinity,
+        max: Number.isFinite(value.max) ? value.max : Infinity,
+      };
+    }
+  }
+  return {
+    type: spec.type,
+    spec: clean,
+    x: 0,
+    y: 0,
+    strength: 0,
+    values: { ...defaults },
   };
 }
 
-function updateWells(params, dt) {
-  const { vortexAmount, fieldStrength } = params;
+function setFieldList(list) {
+  const source = Array.isArray(list) && list.length > 0 ? list : DEFAULT_FORCE_FIELDS;
+  const compiled = [];
+  for (const spec of source) {
+    if (compiled.length >= MAX_FORCE_FIELDS) {
+      console.warn('[physics] Force emitter limit reached', MAX_FORCE_FIELDS);
+      break;
+    }
+    const field = compileField(spec);
+    if (field) {
+      compiled.push(field);
+    }
+  }
+  state.fieldSpecs = compiled.map((field) => field.spec);
+  state.fields = compiled;
+}
+
+function resolveFieldValue(value, fallback, params, inputs) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (!value) {
+    return fallback;
+  }
+  let source = params[value.param];
+  if (!Number.isFinite(source)) {
+    source = inputs && Number.isFinite(inputs[value.param]) ? inputs[value.param] : 0;
+  }
+  return clamp(value.offset + value.scale * source, value.min, value.max);
+}
+
+function updateFields(params, inputs) {
   const time = state.time;
-  const radiusBase = 0.18 + vortexAmount * 0.32;
-  const radius = radiusBase * Math.min(state.bounds.width, state.bounds.height);
-  const speed = 0.25 + vortexAmount * 1.2;
-  const centerStrength = 0.6 + fieldStrength * 1.95;
-  const satelliteStrength = 0.32 + fieldStrength * 1.1;
-  const angle = time * speed;
-
-  state.wells[0].x = 0;
-  state.wells[0].y = 0;
-  state.wells[0].strength = centerStrength;
-
-  const offsetX = Math.cos(angle) * radius * 0.5;
-  const offsetY = Math.sin(angle) * radius * 0.5;
-  state.wells[1].x = offsetX;
-  state.wells[1].y = offsetY;
-  state.wells[1].strength = satelliteStrength;
-
-  state.wells[2].x = -offsetX;
-  state.wells[2].y = -offsetY;
-  state.wells[2].strength = satelliteStrength;
-
-  // Subtly spin wells to keep motion lively.
-  state.wells[1].x += Math.sin(time * 0.73) * dt * radius * 0.12;
-  state.wells[1].y += Math.cos(time * 0.53) * dt * radius * 0.12;
-  state.wells[2].x += Math.sin(time * 0.63 + Math.PI) * dt * radius * 0.12;
-  state.wells[2].y += Math.cos(time * 0.49 + Math.PI) * dt * radius * 0.12;
+  const unit = Math.min(state.bounds.width, state.bounds.height) * 0.5;
+  const pan = params.wellPan * WELL_PAN_RANGE;
+  for (let f = 0; f < state.fields.length; f++) {
+    const field = state.fields[f];
+    const defaults = EMITTER_FIELDS[field.type];
+    const values = field.values;
+    for (const key in defaults) {
+      values[key] = resolveFieldValue(field.spec[key], defaults[key], params, inputs);
+    }
+    field.strength = values.strength;
+
+    switch (field.type) {
+      case 'point': {
+        const angle = time * values.orbitSpeed + values.phase * DEG_TO_RAD;
+        field.x = (values.x + pan + Math.cos(angle) * values.orbitRadius) * unit;
+        field.y = (values.y + Math.sin(angle) * values.orbitRadius) * unit;
+        break;
+      }
+      case 'line':
+        field.x = values.x1 * unit;
+        field.y = values.y1 * unit;
+        values.x1 *= unit;
+        values.y1 *= unit;
+        values.x2 *= unit;
+        values.y2 *= unit;
+        break;
+      case 'ring':
+      case 'drag':
+        field.x = values.x * unit;
+        field.y = values.y * unit;
+        values.radius *= unit;
+        break;
+      case 'wind': {
+        const gust = 1 + values.gust * Math.sin(time * values.gustSpeed);
+        field.x = Math.cos(values.angle * DEG_TO_RAD);
+        field.y = Math.sin(values.angle * DEG_TO_RAD);
+        field.strength = values.strength * gust;
+        break;
+      }
+      default:
+        field.x = 0;
+        field.y = 0;
+        break;
+    }
+  }
+}
+
+function applyAttraction(dx, dy, softening, strength, out) {
+  const distSq = dx * dx + dy * dy + softening;
+  const invDist = 1 / Math.sqrt(distSq);
+  out.fx += dx * invDist * strength * invDist;
+  out.fy += dy * invDist * strength * invDist;
+}
+
+const FORCE_SCRATCH = { fx: 0, fy: 0 };
+
+function accumulateFieldForces(x, y, mass, seed, out) {
+  const fields = state.fields;
+  for (let f = 0; f < fields.length; f++) {
+    const field = fields[f];
+    const values = field.values;
+    switch (field.type) {
+      case 'point':
+        applyAttraction(field.x - x, field.y - y, values.softening, field.strength * mass, out);
+        break;
+      case 'line': {
+        const segX = values.x2 - values.x1;
+        const segY = values.y2 - values.y1;
+        const lenSq = segX * segX + segY * segY;
+        const t = lenSq > EPSILON ? clamp(((x - values.x1) * segX + (y - values.y1) * segY) / lenSq, 0, 1) : 0;
+        const px = values.x1 + segX * t;
+        const py = values.y1 + segY * t;
+        applyAttraction(px - x, py - y, values.softening, field.strength * mass, out);
+        break;
+      }
+      case 'ring': {
+        const dx = x - field.x;
+        const dy = y - field.y;
+        const dist = Math.sqrt(dx * dx + dy * dy) + EPSILON;
+        const nx = dx / dist;
+        const ny = dy / dist;
+        const radial = (values.radius - dist) * field.strength * mass;
+        out.fx += nx * radial - ny * values.swirl * mass;
+        out.fy += ny * radial + nx * values.swirl * mass;
+        break;
+      }
+      case 'wind':
+        out.fx += field.x * field.strength * mass;
+        out.fy += field.y * field.strength * mass;
+        break;
+      case 'turbulence': {
+        const angle = sampleFlowAngle(
+          x * values.frequency,
+          y * values.frequency,
+          state.time * values.speed,
+          seed,
+        );
+        out.fx += Math.cos(angle) * field.strength;
+        out.fy += Math.sin(angle) * field.strength;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return out;
+}
+
+function computeZoneDrag(x, y, dt) {
+  let factor = 1;
+  const fields = state.fields;
+  for (let f = 0; f < fields.length; f++) {
+    const field = fields[f];
+    if (field.type !== 'drag' || field.strength <= 0) {
+      continue;
+    }
+    const radius = field.values.radius;
+    if (radius <= EPSILON) {
+      factor *= Math.exp(-field.strength * dt);
+      continue;
+    }
+    const dx = x - field.x;
+    const dy = y - field.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist < radius) {
+      factor *= Math.exp(-field.strength * (1 - dist / radius) * dt);
+    }
+  }
+  return factor;
 }
 
 function wrapValue(value, min, max) {
@@ -387,7 +673,7 @@ function releaseIndex(index) {
   state.activeCount = Math.max(0, state.activeCount - 1);
 }
 
-function spawnParticle() {
+function spawnParticle(params) {
   const index = allocateIndex();
   if (index < 0 || !state.posX || !state.posY || !state.velX || !state.velY || !state.mass || !state.seed || !state.alive) {
     return false;
@@ -401,7 +687,7 @@ function spawnParticle() {
 
   state.posX[index] = offsetX;
   state.posY[index] = offsetY;
-  state.velX[index] = randomRange(-0.35, 0.35);
+  state.velX[index] = randomRange(-0.35, 0.35) + params.emitDirection * EMIT_DIRECTION_SPEED;
   state.velY[index] = randomRange(-0.35, 0.35);
   state.life[index] = 0;
   state.maxLife[index] = randomRange(LIFE_MIN, LIFE_MAX);
@@ -474,6 +760,141 @@ function sampleFlowAngle(x, y, time, seed) {
   return value * 1.42;
 }
 
+function sanitizeFlocking(options) {
+  if (!options || typeof options !== 'object') {
+    return { ...FLOCKING_DEFAULTS };
+  }
+  const pick = (key, min, max) => clamp(
+    Number.isFinite(options[key]) ? options[key] : FLOCKING_DEFAULTS[key],
+    min,
+    max,
+  );
+  return {
+    enabled: options.enabled !== false,
+    radius: pick('radius', 0.01, 0.5),
+    separation: pick('separation', 0, 4),
+    alignment: pick('alignment', 0, 4),
+    cohesion: pick('cohesion', 0, 4),
+    maxNeighbors: Math.round(pick('maxNeighbors', 1, MAX_NEIGHBORS)),
+  };
+}
+
+function buildSpatialHash() {
+  const { minX, minY, width, height } = state.bounds;
+  buildSpatialGrid(state.grid, {
+    positionsX: state.posX,
+    positionsY: state.posY,
+    indices: state.liveList,
+    count: state.liveCount,
+    minX,
+    minY,
+    width,
+    height,
+    cellSize: state.flocking.radius,
+    maxCells: MAX_GRID_CELLS,
+  });
+}
+
+function updateNeighborBudget() {
+  const flocking = state.flocking;
+  if (!flocking.enabled) {
+    flocking.neighborLimit = 0;
+    return;
+  }
+  const starved = state.dynamicCap <= state.minCap && state.metrics.overloadedFrames > FLOCK_STARVED_FRAMES;
+  if (starved) {
+    flocking.neighborLimit = 0;
+    return;
+  }
+  // Shrink the neighbour sample as frame time rises so flocking never outbids the particle cap.
+  let budget = clamp(TARGET_FRAME_MS / Math.max(state.metrics.frameTime, EPSILON), 0.25, 1);
+  if (state.metrics.trimmedLastFrame) {
+    budget *= 0.5;
+  }
+  flocking.neighborLimit = Math.max(1, Math.round(flocking.maxNeighbors * budget));
+}
+
+function accumulateNeighborForces(index, x, y, vx, vy, out) {
+  const grid = state.grid;
+  const { cols, rows, cellWidth, cellHeight, cellStart } = grid;
+  const { minX, minY, width, height, mode } = state.bounds;
+  const { radius, separation, alignment, cohesion, neighborLimit } = state.flocking;
+  const radiusSq = radius * radius;
+  const wrapX = mode === 'wrap' && cols >= 3;
+  const wrapY = mode === 'wrap' && rows >= 3;
+  const halfWidth = width * 0.5;
+  const halfHeight = height * 0.5;
+  const cx = cellOf(x, minX, cellWidth, cols);
+  const cy = cellOf(y, minY, cellHeight, rows);
+
+  let found = 0;
+  let sepX = 0;
+  let sepY = 0;
+  let sumVx = 0;
+  let sumVy = 0;
+  let sumDx = 0;
+  let sumDy = 0;
+
+  // Own cell first, then the ring from a per-particle starting cell.
+  const ringStart = index % NEIGHBOR_RING_X.length;
+  for (let step = 0; step <= NEIGHBOR_RING_X.length && found < neighborLimit; step++) {
+    const ring = (ringStart + step - 1) % NEIGHBOR_RING_X.length;
+    let row = step === 0 ? cy : cy + NEIGHBOR_RING_Y[ring];
+    if (wrapY) {
+      row = (row + rows) % rows;
+    } else if (row < 0 || row >= rows) {
+      continue;
+    }
+    let col = step === 0 ? cx : cx + NEIGHBOR_RING_X[ring];
+    if (wrapX) {
+      col = (col + cols) % cols;
+    } else if (col < 0 || col >= cols) {
+      continue;
+    }
+    const cell = row * cols + col;
+    const end = cellStart[cell + 1];
+    for (let slot = cellStart[cell]; slot < end && found < neighborLimit; slot++) {
+      if (grid.index[slot] === index) {
+        continue;
+      }
+      let dx = x - grid.posX[slot];
+      let dy = y - grid.posY[slot];
+      if (mode === 'wrap') {
+        dx = dx > halfWidth ? dx - width : dx < -halfWidth ? dx + width : dx;
+        dy = dy > halfHeight ? dy - height : dy < -halfHeight ? dy + height : dy;
+      }
+      const distSq = dx * dx + dy * dy;
+      if (distSq >= radiusSq || distSq < EPSILON * EPSILON) {
+        continue;
+      }
+      const dist = Math.sqrt(distSq);
+      const falloff = 1 - dist / radius;
+      sepX += (dx / dist) * falloff;
+      sepY += (dy / dist) * falloff;
+      const neighbor = grid.index[slot];
+      sumVx += state.velX[neighbor];
+      sumVy += state.velY[neighbor];
+      sumDx += dx;
+      sumDy += dy;
+      found += 1;
+    }
+  }
+
+  out.fx = 0;
+  out.fy = 0;
+  if (found === 0) {
+    return out;
+  }
+  const inv = 1 / found;
+  out.fx = sepX * separation * FLOCK_SEPARATION_GAIN
+    + (sumVx * inv - vx) * alignment * FLOCK_ALIGNMENT_GAIN
+    - (sumDx * inv / radius) * cohesion * FLOCK_COHESION_GAIN;
+  out.fy = sepY * separation * FLOCK_SEPARATION_GAIN
+    + (sumVy * inv - vy) * alignment * FLOCK_ALIGNMENT_GAIN
+    - (sumDy * inv / radius) * cohesion * FLOCK_COHESION_GAIN;
+  return out;
+}
+
 function integrateParticles(dt, params) {
   if (!state.liveList) {
     return;
@@ -481,9 +902,13 @@ function integrateParticles(dt, params) {
 
   const dragFactor = Math.exp(-state.drag * dt);
   const repel = state.repelStrength;
-  const flowStrength = params.flowStrength;
   const vortexStrength = params.vortexStrength;
   const cohesionForce = params.cohesionForce;
+  const hasDragZones = state.fields.some((field) => field.type === 'drag');
+  const flocking = state.flocking.neighborLimit > 0 && state.liveCount > 1;
+  if (flocking) {
+    buildSpatialHash();
+  }
 
   for (let i = 0; i < state.liveCount; i++) {
     const index = state.liveList[i];
@@ -500,19 +925,19 @@ function integrateParticles(dt, params) {
       continue;
     }
 
-    let fx = 0;
-    let fy = 0;
-
-    // Gravity wells
-    for (let w = 0; w < state.wells.length; w++) {
-      const well = state.wells[w];
-      const dx = well.x - x;
-      const dy = well.y - y;
-      const distSq = dx * dx + dy * dy + 0.0008;
-      const invDist = 1 / Math.sqrt(distSq);
-      const strength = well.strength * mass;
-      fx += dx * invDist * strength * invDist;
-      fy += dy * invDist * strength * invDist;
+    // Preset-declared emitters (wells, lines, rings, wind, turbulence).
+    const forces = FORCE_SCRATCH;
+    forces.fx = 0;
+    forces.fy = 0;
+    accumulateFieldForces(x, y, mass, state.seed[index], forces);
+    let fx = forces.fx;
+    let fy = forces.fy;
+
+    // Local boids-style separation, alignment, and cohesion from the spatial hash.
+    if (flocking) {
+      const neighbor = accumulateNeighborForces(index, x, y, vx, vy, NEIGHBOR_SCRATCH);
+      fx += neighbor.fx * mass;
+      fy += neighbor.fy * mass;
     }
 
     // Cohesion spring pulling toward center of mass.
@@ -532,11 +957,6 @@ function integrateParticles(dt, params) {
       fy += ry * invDist * strength;
     }
 
-    // Flow field / noise-driven drift.
-    const angle = sampleFlowAngle(x, y, state.time, state.seed[index]);
-    fx += Math.cos(angle) * flowStrength;
-    fy += Math.sin(angle) * flowStrength;
-
     // Vortex swirl provides perpendicular acceleration.
     if (vortexStrength > EPSILON) {
       fx += -dyCenter * vortexStrength;
@@ -546,8 +966,9 @@ function integrateParticles(dt, params) {
     vx += (fx / mass) * dt;
     vy += (fy / mass) * dt;
 
-    vx *= dragFactor;
-    vy *= dragFactor;
+    const zoneDrag = hasDragZones ? computeZoneDrag(x, y, dt) : 1;
+    vx *= dragFactor * zoneDrag;
+    vy *= dragFactor * zoneDrag;
 
     x += vx * dt;
     y += vy * dt;
@@ -642,9 +1063,10 @@ export function step(params = {}, options = {}) {
   const sanitized = sanitizeParams(params);
 
   updateDynamicCap(frameTimeInstant, frameTimeAverage);
+  updateNeighborBudget();
   computeCenterOfMass();
   updateRepelStrength(sanitized.repelImpulse, dt);
-  updateWells(sanitized, dt);
+  updateFields(sanitized, options.fieldInputs);
 
   state.spawnAccumulator += lerp(SPAWN_RATE_MIN, SPAWN_RATE_MAX, clamp(sanitized.spawnRate, 0, 1)) * dt;
   let requestedSpawns = Math.floor(state.spawnAccumulator);
@@ -693,7 +1115,7 @@ export function reset() {
 
 /**
  * Configures bounds, capacity, and base caps.
- * @param {{capacity?: number, baseCap?: number, minCap?: number, drag?: number, bounds?: {width?: number, height?: number, mode?: 'wrap' | 'reflect'}, defaults?: Partial<PhysicsParams>, seed?: number}} [options]
+ * @param {{capacity?: number, baseCap?: number, minCap?: number, drag?: number, bounds?: {width?: number, height?: number, mode?: 'wrap' | 'reflect'}, defaults?: Partial<PhysicsParams>, seed?: number, fields?: ForceEmitter[]|null, flocking?: FlockingOptions|null}} [options]
  */
 export function configure(options = {}) {
   if (Number.isInteger(options.capacity) && options.capacity > 0 && options.capacity !== state.capacity) {
@@ -751,11 +1173,180 @@ export function configure(options = {}) {
     if (Number.isFinite(options.defaults.vortexAmount)) {
       state.defaults.vortexAmount = clamp(options.defaults.vortexAmount, 0, 1);
     }
+    if (Number.isFinite(options.defaults.wellPan)) {
+      state.defaults.wellPan = clamp(options.defaults.wellPan, -1, 1);
+    }
+    if (Number.isFinite(options.defaults.emitDirection)) {
+      state.defaults.emitDirection = clamp(options.defaults.emitDirection, -1, 1);
+    }
   }
 
   if (Number.isFinite(options.seed)) {
-    state.rngState = options.seed >>> 0;
+    setSeed(options.seed);
+  }
+
+  if (options.fields !== undefined) {
+    setFieldList(options.fields);
+  }
+
+  if (options.flocking !== undefined) {
+    Object.assign(state.flocking, sanitizeFlocking(options.flocking));
+    updateNeighborBudget();
+  }
+}
+
+/**
+ * Returns the neighbour-force settings plus the per-particle neighbour limit granted this frame.
+ * @returns {FlockingOptions & {neighborLimit: number}}
+ */
+export function getFlocking() {
+  return { ...state.flocking };
+}
+
+/**
+ * Returns the sanitized emitter list currently driving the integrator.
+ * @returns {ForceEmitter[]}
+ */
+export function getForceFields() {
+  return state.fieldSpecs.map((spec) => ({ ...spec }));
+}
+
+/**
+ * Reseeds the spawn RNG so subsequent particle spawns are reproducible.
+ * @param {number} seed
+ */
+export function setSeed(seed) {
+  if (Number.isFinite(seed)) {
+    state.rngState = seed >>> 0;
   }
+  return state.rngState;
+}
+
+/**
+ * Captures the simulation into a compact, self-contained object. Only live particles
+ * are copied (emitters are re-derived from time each step, so only their resolved
+ * anchors are kept); every typed array owns its buffer so the snapshot can be posted to a
+ * worker with `postMessage(snapshot, getSnapshotTransferables(snapshot))`.
+ * @returns {PhysicsSnapshot}
+ */
+export function snapshot() {
+  const liveCount = state.liveCount;
+  const liveList = state.liveList.slice(0, liveCount);
+  const particles = new Float32Array(liveCount * SNAPSHOT_STRIDE);
+  for (let i = 0; i < liveCount; i++) {
+    const index = liveList[i];
+    const offset = i * SNAPSHOT_STRIDE;
+    particles[offset] = state.posX[index];
+    particles[offset + 1] = state.posY[index];
+    particles[offset + 2] = state.velX[index];
+    particles[offset + 3] = state.velY[index];
+    particles[offset + 4] = state.life[index];
+    particles[offset + 5] = state.maxLife[index];
+    particles[offset + 6] = state.mass[index];
+    particles[offset + 7] = state.seed[index];
+  }
+
+  const fields = new Float32Array(state.fields.length * 3);
+  for (let f = 0; f < state.fields.length; f++) {
+    fields[f * 3] = state.fields[f].x;
+    fields[f * 3 + 1] = state.fields[f].y;
+    fields[f * 3 + 2] = state.fields[f].strength;
+  }
+
+  return {
+    version: SNAPSHOT_VERSION,
+    capacity: state.capacity,
+    liveCount,
+    dynamicCap: state.dynamicCap,
+    spawnAccumulator: state.spawnAccumulator,
+    time: state.time,
+    centerX: state.centerX,
+    centerY: state.centerY,
+    repelStrength: state.repelStrength,
+    rngState: state.rngState,
+    fields,
+    liveList,
+    freeList: state.freeList.slice(0, state.freeTop),
+    particles,
+  };
+}
+
+/**
+ * Lists the buffers a snapshot can hand over to `postMessage` without copying.
+ * @param {PhysicsSnapshot} data
+ * @returns {ArrayBuffer[]}
+ */
+export function getSnapshotTransferables(data) {
+  if (!data) {
+    return [];
+  }
+  return [data.fields, data.liveList, data.freeList, data.particles]
+    .filter((view) => ArrayBuffer.isView(view))
+    .map((view) => view.buffer);
+}
+
+/**
+ * Restores a snapshot produced by {@link snapshot}. Pools are resized to the snapshot
+ * capacity when needed; bounds, caps, defaults, and force emitters keep their configured values.
+ * @param {PhysicsSnapshot} data
+ */
+export function restore(data) {
+  if (!data || data.version !== SNAPSHOT_VERSION) {
+    throw new Error('Unsupported physics snapshot.');
+  }
+  const capacity = Math.floor(data.capacity);
+  const liveCount = Math.floor(data.liveCount);
+  const freeTop = data.freeList?.length ?? -1;
+  if (
+    !Number.isInteger(capacity)
+    || capacity <= 0
+    || liveCount < 0
+    || liveCount + freeTop !== capacity
+    || data.liveList?.length !== liveCount
+    || data.particles?.length !== liveCount * SNAPSHOT_STRIDE
+  ) {
+    throw new Error('Physics snapshot is malformed.');
+  }
+
+  ensurePool(capacity);
+  resetPools();
+
+  state.freeList.set(data.freeList);
+  state.freeTop = freeTop;
+  for (let i = 0; i < liveCount; i++) {
+    const index = data.liveList[i];
+    const offset = i * SNAPSHOT_STRIDE;
+    state.liveList[i] = index;
+    state.liveMap[index] = i;
+    state.posX[index] = data.particles[offset];
+    state.posY[index] = data.particles[offset + 1];
+    state.velX[index] = data.particles[offset + 2];
+    state.velY[index] = data.particles[offset + 3];
+    state.life[index] = data.particles[offset + 4];
+    state.maxLife[index] = data.particles[offset + 5];
+    state.mass[index] = data.particles[offset + 6];
+    state.seed[index] = data.particles[offset + 7];
+    state.alive[index] = 1;
+  }
+  state.liveCount = liveCount;
+  state.activeCount = liveCount;
+
+  if (data.fields) {
+    const fieldCount = Math.min(state.fields.length, Math.floor(data.fields.length / 3));
+    for (let f = 0; f < fieldCount; f++) {
+      state.fields[f].x = data.fields[f * 3];
+      state.fields[f].y = data.fields[f * 3 + 1];
+      state.fields[f].strength = data.fields[f * 3 + 2];
+    }
+  }
+
+  state.dynamicCap = clamp(Math.floor(data.dynamicCap), state.minCap, state.capacity);
+  state.spawnAccumulator = Number.isFinite(data.spawnAccumulator) ? data.spawnAccumulator : 0;
+  state.time = Number.isFinite(data.time) ? data.time : 0;
+  state.centerX = Number.isFinite(data.centerX) ? data.centerX : 0;
+  state.centerY = Number.isFinite(data.centerY) ? data.centerY : 0;
+  state.repelStrength = Number.isFinite(data.repelStrength) ? data.repelStrength : 0;
+  setSeed(data.rngState);
 }
 
 /**
@@ -792,6 +1383,7 @@ export function getMetrics() {
     fps: state.metrics.fps,
     trimmedLastFrame: state.metrics.trimmedLastFrame,
     overloadedFrames: state.metrics.overloadedFrames,
+    neighborLimit: state.flocking.neighborLimit,
     dynamicCap: state.dynamicCap,
     count: state.activeCount,
   };
@@ -799,12 +1391,19 @@ export function getMetrics() {
 
 // Bootstrap default pool and state.
 ensurePool(DEFAULT_CAPACITY);
+setFieldList(DEFAULT_FORCE_FIELDS);
 reset();
 
 export default {
   step,
   reset,
   configure,
+  setSeed,
+  snapshot,
+  restore,
+  getSnapshotTransferables,
+  getForceFields,
+  getFlocking,
   getParticles,
   getMetrics,
 };
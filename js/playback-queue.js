@@ -0,0 +1,426 @@
+/**
+ * Playback queue.
+ * Holds the user's track order (playlist entry ids, album and BYOM alike), the repeat mode, and a seeded
+ * shuffle. Shuffle walks a permutation derived from `seed` and `cycle` and skips ids already played this cycle,
+ * so no track repeats until every queued track has played; the next cycle reshuffles. The queue panel lists
+ * the order and lets the user drag (or Alt+Arrow) entries into place.
+ */
+
+export const REPEAT_MODES = Object.freeze({
+  ALL: 'all',
+  ONE: 'one',
+  OFF: 'off',
+});
+
+export const REPEAT_MODE_LABELS = Object.freeze({
+  [REPEAT_MODES.ALL]: 'Repeat All',
+  [REPEAT_MODES.ONE]: 'Repeat One',
+  [REPEAT_MODES.OFF]: 'Stop at End',
+});
+
+const DEFAULT_SEED = 1;
+
+function nextRandom(rngState) {
+  return (rngState * 1664525 + 1013904223) >>> 0;
+}
+
+// Hashes seed and cycle together (golden-ratio mix, then the murmur3 finaliser). Adjacent seeds give nearly
+// identical first LCG draws, which would pin the last track of every cycle.
+function deckSeed(seed, cycle) {
+  let hash = (seed ^ Math.imul(cycle + 1, 0x9e3779b9)) >>> 0;
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Deterministic Fisher-Yates shuffle.
+ * @param {readonly string[]} ids
+ * @param {number} seed
+ * @returns {string[]}
+ */
+export function shuffleIds(ids, seed) {
+  const result = ids.slice();
+  let rngState = Number.isFinite(seed) ? seed >>> 0 : DEFAULT_SEED;
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    rngState = nextRandom(rngState);
+    const j = Math.floor((rngState / 0x100000000) * (i + 1));
+    const swap = result[i];
+    result[i] = result[j];
+    result[j] = swap;
+  }
+  return result;
+}
+
+function uniqueIds(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return [...new Set(value.filter((id) => typeof id === 'string' && id.length > 0))];
+}
+
+/**
+ * Sanitizes persisted queue state. Unknown or invalid fields fall back to defaults.
+ * @param {unknown} raw
+ * @returns {{order: string[], repeat: string, shuffle: boolean, seed: number, cycle: number, played: string[]}}
+ */
+export function sanitizeQueueState(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const repeat = Object.values(REPEAT_MODES).includes(source.repeat) ? source.repeat : REPEAT_MODES.ALL;
+  return {
+    order: uniqueIds(source.order),
+    repeat,
+    shuffle: source.shuffle === true,
+    seed: Number.isFinite(source.seed) ? source.seed >>> 0 : DEFAULT_SEED,
+    cycle: Number.isInteger(source.cycle) && source.cycle >= 0 ? source.cycle : 0,
+    played: uniqueIds(source.played),
+  };
+}
+
+export function createPlaybackQueue(initial) {
+  const state = sanitizeQueueState(initial);
+  let played = new Set(state.played);
+
+  function getDeck() {
+    return shuffleIds(state.order, deckSeed(state.seed, state.cycle));
+  }
+
+  function startCycle(cycle) {
+    state.cycle = cycle;
+    played = new Set();
+  }
+
+  /**
+   * Reconciles the order with the current playlist: missing ids are dropped and new ones appended in
+   * playlist order.
+   * @param {readonly string[]} ids
+   */
+  function sync(ids) {
+    const available = new Set(ids);
+    const kept = state.order.filter((id) => available.has(id));
+    const known = new Set(kept);
+    state.order = [...kept, ...ids.filter((id) => !known.has(id))];
+    played = new Set([...played].filter((id) => available.has(id)));
+    return state.order.slice();
+  }
+
+  function move(fromIndex, toIndex) {
+    const count = state.order.length;
+    if (!Number.isInteger(fromIndex) || !Number.isInteger(toIndex) || fromIndex < 0 || fromIndex >= count) {
+      return false;
+    }
+    const target = Math.min(Math.max(toIndex, 0), count - 1);
+    if (target === fromIndex) {
+      return false;
+    }
+    const [id] = state.order.splice(fromIndex, 1);
+    state.order.splice(target, 0, id);
+    return true;
+  }
+
+  function setRepeat(mode) {
+    if (Object.values(REPEAT_MODES).includes(mode)) {
+      state.repeat = mode;
+    }
+    return state.repeat;
+  }
+
+  /**
+   * @param {boolean} enabled
+   * @param {number} [seed] New seed for the shuffle; keeps the current one when omitted.
+   */
+  function setShuffle(enabled, seed) {
+    state.shuffle = Boolean(enabled);
+    if (Number.isFinite(seed)) {
+      state.seed = seed >>> 0;
+    }
+    startCycle(0);
+    return state.shuffle;
+  }
+
+  function markPlayed(id) {
+    if (state.order.includes(id)) {
+      played.add(id);
+    }
+  }
+
+  function resolveNext(currentId, auto) {
+    const { order } = state;
+    if (order.length === 0) {
+      return { id: null, cycle: state.cycle };
+    }
+    if (auto && state.repeat === REPEAT_MODES.ONE && order.includes(currentId)) {
+      return { id: currentId, cycle: state.cycle };
+    }
+    const stopAtEnd = auto && state.repeat === REPEAT_MODES.OFF;
+    if (!state.shuffle) {
+      const index = order.indexOf(currentId);
+      if (index + 1 < order.length) {
+        return { id: order[index + 1], cycle: state.cycle };
+      }
+      return { id: stopAtEnd ? null : order[0], cycle: state.cycle };
+    }
+
+    const deck = getDeck();
+    const start = deck.indexOf(currentId) + 1;
+    for (let offset = 0; offset < deck.length; offset += 1) {
+      const id = deck[(start + offset) % deck.length];
+      if (id !== currentId && !played.has(id)) {
+        return { id, cycle: state.cycle };
+      }
+    }
+    if (stopAtEnd) {
+      return { id: null, cycle: state.cycle };
+    }
+    const nextDeck = shuffleIds(order, deckSeed(state.seed, state.cycle + 1));
+    const id = nextDeck[0] === currentId && nextDeck.length > 1 ? nextDeck[1] : nextDeck[0];
+    return { id, cycle: state.cycle + 1 };
+  }
+
+  /**
+   * Id of the track after `currentId` without advancing the shuffle.
+   * @param {string} currentId
+   * @param {{auto?: boolean}} [options]
+   * @returns {string|null}
+   */
+  function peekNext(currentId, { auto = false } = {}) {
+    return resolveNext(currentId, auto).id;
+  }
+
+  /**
+   * Id of the track after `currentId`, or null when playback should stop.
+   * `auto` marks end-of-track advances, which honour repeat-one and stop-at-end; manual skips always move on.
+   * @param {string} currentId
+   * @param {{auto?: boolean}} [options]
+   * @returns {string|null}
+   */
+  function next(currentId, { auto = false } = {}) {
+    const { id, cycle } = resolveNext(currentId, auto);
+    if (cycle !== state.cycle) {
+      startCycle(cycle);
+    } else {
+      markPlayed(currentId);
+    }
+    return id;
+  }
+
+  /**
+   * Id of the track before `currentId` in the queue order (or the shuffled order while shuffling).
+   * @param {string} currentId
+   * @returns {string|null}
+   */
+  function previous(currentId) {
+    const sequence = state.shuffle ? getDeck() : state.order;
+    if (sequence.length === 0) {
+      return null;
+    }
+    const index = sequence.indexOf(currentId);
+    return sequence[index <= 0 ? sequence.length - 1 : index - 1];
+  }
+
+  function serialize() {
+    return {
+      order: state.order.slice(),
+      repeat: state.repeat,
+      shuffle: state.shuffle,
+      seed: state.seed,
+      cycle: state.cycle,
+      played: [...played],
+    };
+  }
+
+  return {
+    sync,
+    move,
+    setRepeat,
+    setShuffle,
+    markPlayed,
+    peekNext,
+    next,
+    previous,
+    serialize,
+    getOrder: () => state.order.slice(),
+    getRepeat: () => state.repeat,
+    isShuffled: () => state.shuffle,
+  };
+}
+
+const panel = {
+  root: /** @type {HTMLElement|null} */ (null),
+  list: /** @type {HTMLElement|null} */ (null),
+  shuffleToggle: /** @type {HTMLButtonElement|null} */ (null),
+  repeatSelect: /** @type {HTMLSelectElement|null} */ (null),
+  queue: /** @type {ReturnType<typeof createPlaybackQueue>|null} */ (null),
+  getEntry: /** @type {(id: string) => {title?: string, type?: string}|null} */ (() => null),
+  getCurrentId: /** @type {() => string} */ (() => ''),
+  onSelect: /** @type {(id: string) => void} */ (() => {}),
+  onChange: /** @type {() => void} */ (() => {}),
+  dragIndex: -1,
+};
+
+function itemIndex(target) {
+  const item = target instanceof Element ? target.closest('[data-queue-index]') : null;
+  return item ? Number(item.dataset.queueIndex) : -1;
+}
+
+function commitMove(fromIndex, toIndex) {
+  if (!panel.queue?.move(fromIndex, toIndex)) {
+    return false;
+  }
+  renderQueuePanel();
+  panel.onChange();
+  return true;
+}
+
+function bindList(list) {
+  list.addEventListener('dragstart', (event) => {
+    panel.dragIndex = itemIndex(event.target);
+    if (panel.dragIndex >= 0 && event.dataTransfer) {
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', String(panel.dragIndex));
+    }
+  });
+  list.addEventListener('dragover', (event) => {
+    if (panel.dragIndex < 0) {
+      return;
+    }
+    // Keep the window-level file-drop guard from vetoing the move.
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.dataTransfer) {
+      event.dataTransfer.dropEffect = 'move';
+    }
+  });
+  list.addEventListener('drop', (event) => {
+    if (panel.dragIndex < 0) {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    const target = itemIndex(event.target);
+    const from = panel.dragIndex;
+    panel.dragIndex = -1;
+    commitMove(from, target >= 0 ? target : panel.queue.getOrder().length - 1);
+  });
+  list.addEventListener('dragend', () => {
+    panel.dragIndex = -1;
+  });
+  list.addEventListener('click', (event) => {
+    const index = itemIndex(event.target);
+    if (index >= 0) {
+      panel.onSelect(panel.queue.getOrder()[index]);
+    }
+  });
+  list.addEventListener('keydown', (event) => {
+    const index = itemIndex(event.target);
+    if (index < 0) {
+      return;
+    }
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      panel.onSelect(panel.queue.getOrder()[index]);
+      return;
+    }
+    if (!event.altKey || (event.key !== 'ArrowUp' && event.key !== 'ArrowDown')) {
+      return;
+    }
+    event.preventDefault();
+    const target = index + (event.key === 'ArrowUp' ? -1 : 1);
+    if (commitMove(index, target)) {
+      list.querySelector(`[data-queue-index="${target}"]`)?.focus();
+    }
+  });
+}
+
+/**
+ * Wires the queue panel. `onSelect` plays an entry picked from the list; `onChange` fires after the order,
+ * repeat mode, or shuffle changes so the caller can persist the queue.
+ */
+export function initQueuePanel({
+  root,
+  list,
+  shuffleToggle = null,
+  repeatSelect = null,
+  queue,
+  getEntry,
+  getCurrentId,
+  onSelect,
+  onChange,
+} = {}) {
+  if (!root || !list || !queue) {
+    return false;
+  }
+  Object.assign(panel, { root, list, shuffleToggle, repeatSelect, queue });
+  if (typeof getEntry === 'function') {
+    panel.getEntry = getEntry;
+  }
+  if (typeof getCurrentId === 'function') {
+    panel.getCurrentId = getCurrentId;
+  }
+  if (typeof onSelect === 'function') {
+    panel.onSelect = onSelect;
+  }
+  if (typeof onChange === 'function') {
+    panel.onChange = onChange;
+  }
+  bindList(list);
+  shuffleToggle?.addEventListener('click', () => {
+    queue.setShuffle(!queue.isShuffled(), Date.now());
+    renderQueuePanel();
+    panel.onChange();
+  });
+  repeatSelect?.addEventListener('change', () => {
+    queue.setRepeat(repeatSelect.value);
+    renderQueuePanel();
+    panel.onChange();
+  });
+  renderQueuePanel();
+  return true;
+}
+
+export function renderQueuePanel() {
+  const { list, queue } = panel;
+  if (!list || !queue) {
+    return;
+  }
+  const currentId = panel.getCurrentId();
+  list.innerHTML = '';
+  queue.getOrder().forEach((id, index) => {
+    const entry = panel.getEntry(id);
+    const item = document.createElement('li');
+    item.className = 'queue-item';
+    item.draggable = true;
+    item.tabIndex = 0;
+    item.dataset.queueIndex = String(index);
+    item.dataset.entryId = id;
+    item.textContent = entry?.title ?? id;
+    if (entry?.type === 'byom') {
+      item.dataset.type = 'byom';
+    }
+    if (id === currentId) {
+      item.setAttribute('aria-current', 'true');
+    }
+    list.append(item);
+  });
+  if (panel.shuffleToggle) {
+    panel.shuffleToggle.setAttribute('aria-pressed', queue.isShuffled() ? 'true' : 'false');
+  }
+  if (panel.repeatSelect) {
+    panel.repeatSelect.value = queue.getRepeat();
+  }
+}
+
+export function setQueuePanelVisible(visible) {
+  if (!panel.root) {
+    return false;
+  }
+  panel.root.hidden = !visible;
+  if (visible) {
+    renderQueuePanel();
+  }
+  return visible;
+}
+
+export function isQueuePanelVisible() {
+  return Boolean(panel.root && !panel.root.hidden);
+}
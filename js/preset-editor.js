@@ -0,0 +1,586 @@
+import {
+  getPreset,
+  hasCustomPreset,
+  isBuiltinPreset,
+  listPresets,
+  RENDER_LIMITS,
+  sanitizePreset,
+  serializePreset,
+  SIM_LIMITS,
+} from './presets.js';
+
+/**
+ * Preset editor drawer. Edits a working copy (the draft) of a preset: one slider per `SIM_LIMITS` /
+ * `RENDER_LIMITS` entry, palette colour pickers, and `baseHue`. Every change is handed to `onPreview` so the
+ * app can re-apply it live; saving, reverting, export, and import go through the other handlers so storage
+ * stays in `app.js`.
+ */
+
+const MAX_ACCENTS = 6;
+// Most adjustments scale the baseline; signed params (hueShift) sit at 0 by default, so they take an offset.
+const SCALE_RANGE = Object.freeze({ min: 0, max: 3, step: 0.01 });
+
+const FOCUSABLE_QUERY = [
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+function labelFor(key) {
+  return key.replace(/([A-Z])/g, ' $1').replace(/^./, (char) => char.toUpperCase());
+}
+
+function buildControls(group, limits) {
+  return Object.entries(limits).map(([key, bounds]) => {
+    const mode = bounds.min < 0 ? 'offset' : 'scale';
+    return Object.freeze({
+      group,
+      key,
+      mode,
+      label: labelFor(key),
+      min: mode === 'offset' ? bounds.min : SCALE_RANGE.min,
+      max: mode === 'offset' ? bounds.max : SCALE_RANGE.max,
+      step: mode === 'offset' ? 1 : SCALE_RANGE.step,
+      neutral: mode === 'offset' ? 0 : 1,
+    });
+  });
+}
+
+export const EDITOR_CONTROLS = Object.freeze([
+  ...buildControls('sim', SIM_LIMITS),
+  ...buildControls('render', RENDER_LIMITS),
+]);
+
+/**
+ * Reads the value a slider shows for `control` from a preset's sim/render adjustments.
+ */
+export function readControlValue(preset, control) {
+  const entry = preset?.[control.group]?.[control.key];
+  const value = entry && typeof entry === 'object' ? entry[control.mode] : undefined;
+  return Number.isFinite(value) ? value : control.neutral;
+}
+
+/**
+ * Writes a slider value into the draft, leaving the other half of the adjustment (scale or offset) intact.
+ */
+export function writeControlValue(draft, control, value) {
+  const group = draft[control.group] ?? (draft[control.group] = {});
+  const entry = group[control.key] && typeof group[control.key] === 'object' ? { ...group[control.key] } : {};
+  entry[control.mode] = Math.min(control.max, Math.max(control.min, value));
+  group[control.key] = entry;
+  return draft;
+}
+
+/**
+ * Parses an exported preset file; resolves with the sanitized preset.
+ * @param {{text: () => Promise<string>}} file
+ */
+export async function readPresetFile(file) {
+  const text = await file.text();
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('Preset file is not valid JSON.');
+  }
+  return sanitizePreset(parsed);
+}
+
+const state = {
+  mounted: false,
+  open: false,
+  draft: null,
+  dirty: false,
+  elements: {
+    drawer: null,
+    toggle: null,
+    closeButton: null,
+    backdrop: null,
+    presetSelect: null,
+    sliders: null,
+    background: null,
+    accents: null,
+    addAccentButton: null,
+    baseHue: null,
+    baseHueOutput: null,
+    saveButton: null,
+    revertButton: null,
+    exportButton: null,
+    importButton: null,
+    importInput: null,
+    status: null,
+  },
+  controlInputs: new Map(),
+  handlers: {
+    getActivePreset: null,
+    onPreview: null,
+    onSave: null,
+    onRevert: null,
+    onExport: null,
+    onImport: null,
+  },
+  lastFocusedElement: null,
+};
+
+function setStatus(message) {
+  if (state.elements.status) {
+    state.elements.status.textContent = message;
+  }
+}
+
+function formatControlValue(control, value) {
+  return control.mode === 'offset' ? `${Math.round(value)}°` : `×${value.toFixed(2)}`;
+}
+
+function createSlider(control) {
+  const label = document.createElement('label');
+  label.className = 'byom-label preset-slider';
+  const id = `preset-${control.group}-${control.key}`;
+  label.htmlFor = id;
+  const name = document.createElement('span');
+  name.textContent = control.label;
+  const output = document.createElement('output');
+  output.className = 'preset-slider-value';
+  output.htmlFor = id;
+  const input = document.createElement('input');
+  input.id = id;
+  input.type = 'range';
+  input.min = String(control.min);
+  input.max = String(control.max);
+  input.step = String(control.step);
+  input.dataset.group = control.group;
+  input.dataset.key = control.key;
+  label.append(name, output, input);
+  state.controlInputs.set(`${control.group}.${control.key}`, { control, input, output });
+  return label;
+}
+
+function buildSliders() {
+  const container = state.elements.sliders;
+  if (!container) {
+    return;
+  }
+  container.innerHTML = '';
+  state.controlInputs.clear();
+  ['sim', 'render'].forEach((group) => {
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'preset-group';
+    const legend = document.createElement('legend');
+    legend.className = 'byom-heading';
+    legend.textContent = group === 'sim' ? 'Simulation' : 'Render';
+    fieldset.append(legend);
+    EDITOR_CONTROLS.filter((control) => control.group === group).forEach((control) => {
+      fieldset.append(createSlider(control));
+    });
+    container.append(fieldset);
+  });
+}
+
+function populatePresetOptions(selectedId) {
+  const select = state.elements.presetSelect;
+  if (!select) {
+    return;
+  }
+  select.innerHTML = '';
+  listPresets().forEach((preset) => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    const suffix = !isBuiltinPreset(preset.id) ? ' (custom)' : hasCustomPreset(preset.id) ? ' (edited)' : '';
+    option.textContent = `${preset.title}${suffix}`;
+    select.append(option);
+  });
+  if (selectedId) {
+    select.value = selectedId;
+  }
+}
+
+function renderAccents() {
+  const container = state.elements.accents;
+  if (!container || !state.draft) {
+    return;
+  }
+  container.innerHTML = '';
+  const accents = state.draft.palette.accents;
+  accents.forEach((color, index) => {
+    const wrapper = document.createElement('span');
+    wrapper.className = 'preset-accent';
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = color;
+    input.dataset.accent = String(index);
+    input.setAttribute('aria-label', `Accent ${index + 1}`);
+    wrapper.append(input);
+    if (accents.length > 1) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'byom-inline-button';
+      remove.dataset.removeAccent = String(index);
+      remove.setAttribute('aria-label', `Remove accent ${index + 1}`);
+      remove.textContent = '×';
+      wrapper.append(remove);
+    }
+    container.append(wrapper);
+  });
+  if (state.elements.addAccentButton) {
+    state.elements.addAccentButton.disabled = accents.length >= MAX_ACCENTS;
+  }
+}
+
+function renderDraft() {
+  const { draft } = state;
+  if (!draft) {
+    return;
+  }
+  state.controlInputs.forEach(({ control, input, output }) => {
+    const value = readControlValue(draft, control);
+    input.value = String(value);
+    output.textContent = formatControlValue(control, value);
+  });
+  if (state.elements.background) {
+    state.elements.background.value = draft.palette.background;
+  }
+  if (state.elements.baseHue) {
+    state.elements.baseHue.value = String(Math.round(draft.palette.baseHue));
+  }
+  if (state.elements.baseHueOutput) {
+    state.elements.baseHueOutput.textContent = `${Math.round(draft.palette.baseHue)}°`;
+  }
+  renderAccents();
+  updateActionState();
+}
+
+function updateActionState() {
+  const id = state.draft?.id;
+  if (state.elements.revertButton) {
+    const builtin = id ? isBuiltinPreset(id) : false;
+    state.elements.revertButton.textContent = builtin ? 'Revert' : 'Delete';
+    state.elements.revertButton.disabled = !id || (builtin && !state.dirty && !hasCustomPreset(id));
+  }
+  if (state.elements.saveButton) {
+    state.elements.saveButton.disabled = !state.dirty;
+  }
+}
+
+function loadDraft(preset, { preview = false } = {}) {
+  state.draft = preset ? sanitizePreset(preset) : null;
+  state.dirty = false;
+  renderDraft();
+  if (preview && state.draft) {
+    state.handlers.onPreview?.(state.draft);
+  }
+  setStatus(state.draft ? `Editing ${state.draft.title}.` : 'No preset selected.');
+}
+
+function markChanged() {
+  state.dirty = true;
+  updateActionState();
+  setStatus(`Editing ${state.draft.title} — unsaved changes are previewed live.`);
+  state.handlers.onPreview?.(state.draft);
+}
+
+function handleInput(event) {
+  const target = event.target;
+  if (!(target instanceof HTMLInputElement) || !state.draft) {
+    return;
+  }
+  if (target.dataset.group && target.dataset.key) {
+    const entry = state.controlInputs.get(`${target.dataset.group}.${target.dataset.key}`);
+    if (!entry) {
+      return;
+    }
+    writeControlValue(state.draft, entry.control, Number(target.value));
+    entry.output.textContent = formatControlValue(entry.control, readControlValue(state.draft, entry.control));
+    markChanged();
+    return;
+  }
+  if (target === state.elements.background) {
+    state.draft.palette.background = target.value.toLowerCase();
+    markChanged();
+    return;
+  }
+  if (target === state.elements.baseHue) {
+    state.draft.palette.baseHue = Number(target.value);
+    if (state.elements.baseHueOutput) {
+      state.elements.baseHueOutput.textContent = `${Math.round(state.draft.palette.baseHue)}°`;
+    }
+    markChanged();
+    return;
+  }
+  if (target.dataset.accent !== undefined) {
+    state.draft.palette.accents[Number(target.dataset.accent)] = target.value.toLowerCase();
+    markChanged();
+  }
+}
+
+function handleAccentClick(event) {
+  const target = event.target;
+  if (!(target instanceof HTMLElement) || target.dataset.removeAccent === undefined || !state.draft) {
+    return;
+  }
+  state.draft.palette.accents.splice(Number(target.dataset.removeAccent), 1);
+  renderAccents();
+  markChanged();
+}
+
+function handleAddAccent() {
+  if (!state.draft || state.draft.palette.accents.length >= MAX_ACCENTS) {
+    return;
+  }
+  const accents = state.draft.palette.accents;
+  accents.push(accents[accents.length - 1] ?? state.draft.palette.background);
+  renderAccents();
+  markChanged();
+}
+
+function handlePresetChange() {
+  const preset = getPreset(state.elements.presetSelect?.value ?? '');
+  loadDraft(preset, { preview: true });
+}
+
+function handleSave() {
+  if (!state.draft) {
+    return;
+  }
+  const saved = state.handlers.onSave?.(state.draft);
+  state.dirty = false;
+  refresh(saved?.id ?? state.draft.id);
+  setStatus(`Saved ${state.draft.title}.`);
+}
+
+function handleRevert() {
+  if (!state.draft) {
+    return;
+  }
+  const { id, title } = state.draft;
+  const builtin = isBuiltinPreset(id);
+  const next = state.handlers.onRevert?.(id) ?? getPreset(id) ?? getPreset(0);
+  populatePresetOptions(next?.id);
+  loadDraft(next, { preview: true });
+  setStatus(builtin ? `Reverted ${title} to the built-in preset.` : `Deleted ${title}.`);
+}
+
+function handleExport() {
+  if (!state.draft) {
+    return;
+  }
+  state.handlers.onExport?.(serializePreset(state.draft));
+}
+
+function handleImportClick() {
+  if (!state.elements.importInput) {
+    return;
+  }
+  state.elements.importInput.value = '';
+  state.elements.importInput.click();
+}
+
+async function handleImportChange() {
+  const file = state.elements.importInput?.files?.[0] ?? null;
+  if (state.elements.importInput) {
+    state.elements.importInput.value = '';
+  }
+  if (!file) {
+    return;
+  }
+  try {
+    const preset = await readPresetFile(file);
+    const saved = state.handlers.onImport?.(preset) ?? preset;
+    refresh(saved.id);
+    loadDraft(getPreset(saved.id) ?? saved, { preview: true });
+    setStatus(`Imported ${saved.title}.`);
+  } catch (error) {
+    console.warn('[preset-editor] Import failed', error);
+    setStatus(error instanceof Error ? error.message : 'Preset import failed.');
+  }
+}
+
+function getFocusableElements() {
+  if (!state.open || !state.elements.drawer) {
+    return [];
+  }
+  return Array.from(state.elements.drawer.querySelectorAll(FOCUSABLE_QUERY)).filter(
+    (el) => el instanceof HTMLElement && el.tabIndex >= 0,
+  );
+}
+
+function handleFocusTrap(event) {
+  if (!state.open || event.key !== 'Tab') {
+    return;
+  }
+  const focusables = getFocusableElements();
+  if (focusables.length === 0) {
+    event.preventDefault();
+    return;
+  }
+  const first = focusables[0];
+  const last = focusables[focusables.length - 1];
+  const active = document.activeElement;
+  if (event.shiftKey) {
+    if (active === first || !focusables.includes(active)) {
+      event.preventDefault();
+      last.focus();
+    }
+  } else if (active === last) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+function isTypingTarget(target) {
+  if (!(target instanceof HTMLElement)) {
+    return false;
+  }
+  return target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable;
+}
+
+function handleGlobalKeydown(event) {
+  if (event.defaultPrevented) {
+    return;
+  }
+  if (event.key === 'Escape' && state.open) {
+    event.preventDefault();
+    closeDrawer();
+    return;
+  }
+  if (event.code === 'KeyE' && !event.altKey && !event.metaKey && !event.ctrlKey) {
+    if (isTypingTarget(event.target) && !state.open) {
+      return;
+    }
+    event.preventDefault();
+    toggleDrawer();
+  }
+}
+
+function handleDrawerClick(event) {
+  const target = event.target;
+  if (target instanceof HTMLElement && (target.dataset.action === 'close' || target === state.elements.backdrop)) {
+    closeDrawer();
+  }
+}
+
+function openDrawer() {
+  if (state.open || !state.elements.drawer) {
+    return;
+  }
+  state.open = true;
+  state.lastFocusedElement = /** @type {HTMLElement|null} */ (document.activeElement);
+  const active = state.handlers.getActivePreset?.() ?? getPreset(0);
+  refresh(active?.id);
+  if (!state.dirty || state.draft?.id !== active?.id) {
+    loadDraft(active);
+  }
+  state.elements.drawer.dataset.state = 'open';
+  state.elements.drawer.setAttribute('aria-hidden', 'false');
+  state.elements.toggle?.setAttribute('aria-expanded', 'true');
+  getFocusableElements()[0]?.focus();
+}
+
+function closeDrawer() {
+  if (!state.open || !state.elements.drawer) {
+    return;
+  }
+  state.open = false;
+  state.elements.drawer.dataset.state = 'closed';
+  state.elements.drawer.setAttribute('aria-hidden', 'true');
+  state.elements.toggle?.setAttribute('aria-expanded', 'false');
+  if (state.lastFocusedElement && document.contains(state.lastFocusedElement)) {
+    state.lastFocusedElement.focus();
+  }
+  state.lastFocusedElement = null;
+}
+
+function toggleDrawer() {
+  if (state.open) {
+    closeDrawer();
+  } else {
+    openDrawer();
+  }
+}
+
+/**
+ * @param {{
+ *   drawer: HTMLElement,
+ *   toggle: HTMLElement,
+ *   getActivePreset?: () => object|null,
+ *   onPreview?: (preset: object) => void,
+ *   onSave?: (preset: object) => object|void,
+ *   onRevert?: (id: string) => object|void,
+ *   onExport?: (payload: object) => void,
+ *   onImport?: (preset: object) => object|void,
+ * }} options
+ */
+export function mount({ drawer, toggle, ...handlers } = {}) {
+  if (state.mounted) {
+    return;
+  }
+  if (!(drawer instanceof HTMLElement) || !(toggle instanceof HTMLElement)) {
+    console.warn('[preset-editor] Drawer or toggle element missing; preset editor will remain inactive.');
+    return;
+  }
+  state.elements.drawer = drawer;
+  state.elements.toggle = toggle;
+  state.elements.closeButton = drawer.querySelector('#preset-close');
+  state.elements.backdrop = drawer.querySelector('.byom-backdrop');
+  state.elements.presetSelect = drawer.querySelector('#preset-select');
+  state.elements.sliders = drawer.querySelector('#preset-sliders');
+  state.elements.background = drawer.querySelector('#preset-background');
+  state.elements.accents = drawer.querySelector('#preset-accents');
+  state.elements.addAccentButton = drawer.querySelector('#preset-add-accent');
+  state.elements.baseHue = drawer.querySelector('#preset-base-hue');
+  state.elements.baseHueOutput = drawer.querySelector('#preset-base-hue-value');
+  state.elements.saveButton = drawer.querySelector('#preset-save');
+  state.elements.revertButton = drawer.querySelector('#preset-revert');
+  state.elements.exportButton = drawer.querySelector('#preset-export');
+  state.elements.importButton = drawer.querySelector('#preset-import');
+  state.elements.importInput = drawer.querySelector('#preset-import-input');
+  state.elements.status = drawer.querySelector('#preset-status');
+  Object.keys(state.handlers).forEach((key) => {
+    state.handlers[key] = typeof handlers[key] === 'function' ? handlers[key] : null;
+  });
+
+  buildSliders();
+
+  toggle.addEventListener('click', toggleDrawer);
+  drawer.addEventListener('click', handleDrawerClick);
+  drawer.addEventListener('keydown', handleFocusTrap);
+  drawer.addEventListener('input', handleInput);
+  document.addEventListener('keydown', handleGlobalKeydown);
+  state.elements.closeButton?.addEventListener('click', () => closeDrawer());
+  state.elements.presetSelect?.addEventListener('change', handlePresetChange);
+  state.elements.accents?.addEventListener('click', handleAccentClick);
+  state.elements.addAccentButton?.addEventListener('click', handleAddAccent);
+  state.elements.saveButton?.addEventListener('click', handleSave);
+  state.elements.revertButton?.addEventListener('click', handleRevert);
+  state.elements.exportButton?.addEventListener('click', handleExport);
+  state.elements.importButton?.addEventListener('click', handleImportClick);
+  state.elements.importInput?.addEventListener('change', () => {
+    void handleImportChange();
+  });
+
+  state.mounted = true;
+}
+
+/**
+ * Re-reads the preset list (after presets were saved, reverted, or imported elsewhere).
+ */
+export function refresh(selectedId) {
+  populatePresetOptions(selectedId ?? state.draft?.id);
+  updateActionState();
+}
+
+export function isOpen() {
+  return state.open;
+}
+
+export function open() {
+  openDrawer();
+}
+
+export function close() {
+  closeDrawer();
+}
+
+export function getDraft() {
+  return state.draft;
+}
@@ -1,4 +1,6 @@
-const SIM_LIMITS = /** @type {const} */ ({
+import { sanitizeAnalysisConfig } from './analysis-config.js';
+
+export const SIM_LIMITS = /** @type {const} */ ({
   spawnRate: { min: 0.05, max: 1.35 },
   fieldStrength: { min: 0.2, max: 1.5 },
   cohesion: { min: 0.2, max: 1.25 },
@@ -6,7 +8,7 @@ const SIM_LIMITS = /** @type {const} */ ({
   vortexAmount: { min: 0, max: 1.4 },
 });
 
-const RENDER_LIMITS = /** @type {const} */ ({
+export const RENDER_LIMITS = /** @type {const} */ ({
   trailFade: { min: 0.2, max: 0.98 },
   glow: { min: 0, max: 1 },
   sizeJitter: { min: 0, max: 0.8 },
@@ -15,6 +17,12 @@ const RENDER_LIMITS = /** @type {const} */ ({
   zoom: { min: 0.5, max: 20 },
 });
 
+export const PRESET_FORMAT = 'latentnoise.preset';
+export const PRESET_FORMAT_VERSION = 1;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const MAX_ACCENTS = 6;
+const PASSTHROUGH_KEYS = Object.freeze(['fields', 'flocking', 'beatSync', 'automation', 'drawStyle', 'constellation']);
+
 const PRESET_DATA = /** @type {const} */ ([
   {
     id: 'meditation',
@@ -56,6 +64,7 @@ const PRESET_DATA = /** @type {const} */ ([
       repelImpulse: { scale: 0.75 },
       vortexAmount: { scale: 0.9 },
     },
+    constellation: { maxDistance: 0.1, maxDegree: 4 },
     render: {
       trailFade: { scale: 0.95 },
       glow: { scale: 1.5 },
@@ -63,6 +72,18 @@ const PRESET_DATA = /** @type {const} */ ([
       hueShift: { offset: 8 },
       sparkleDensity: { scale: 0.6 },
     },
+    fields: [
+      { type: 'point', strength: { param: 'fieldStrength', scale: 1.4, offset: 0.4 } },
+      { type: 'line', x1: -0.9, y1: -0.35, x2: 0.9, y2: -0.35, strength: { param: 'fieldStrength', scale: 0.5, offset: 0.15 } },
+      { type: 'line', x1: -0.9, y1: 0.35, x2: 0.9, y2: 0.35, strength: { param: 'fieldStrength', scale: 0.5, offset: 0.15 } },
+      { type: 'line', x1: -0.35, y1: -0.9, x2: -0.35, y2: 0.9, strength: { param: 'vortexAmount', scale: 0.45, offset: 0.1 } },
+      { type: 'line', x1: 0.35, y1: -0.9, x2: 0.35, y2: 0.9, strength: { param: 'vortexAmount', scale: 0.45, offset: 0.1 } },
+      { type: 'turbulence', strength: { param: 'fieldStrength', scale: 1.1, offset: 0.12 } },
+    ],
+    beatSync: {
+      repelImpulse: 0.55,
+      glow: 0.4,
+    },
   },
   {
     id: 'unsound',
@@ -87,6 +108,38 @@ const PRESET_DATA = /** @type {const} */ ([
       hueShift: { offset: 22 },
       sparkleDensity: { scale: 1.25 },
     },
+    // Guaranteed drop at 2:14: starve the field through the riser, then burst regardless of the model.
+    automation: {
+      version: 1,
+      lanes: [
+        {
+          param: 'spawnRate',
+          blend: 'add',
+          keyframes: [
+            { time: '2:08', value: 0, curve: 'ease' },
+            { time: '2:13.8', value: -0.8, curve: 'step' },
+            { time: '2:14', value: 0.9, curve: 'ease' },
+            { time: '2:22', value: 0 },
+          ],
+        },
+        {
+          param: 'repelImpulse',
+          blend: 'override',
+          keyframes: [
+            { time: '2:14', value: 1, curve: 'step' },
+            { time: '2:14.4', value: 0 },
+          ],
+        },
+        {
+          param: 'glow',
+          blend: 'add',
+          keyframes: [
+            { time: '2:14', value: 0.6, curve: 'ease' },
+            { time: '2:20', value: 0 },
+          ],
+        },
+      ],
+    },
   },
   {
     id: 'system-js',
@@ -111,6 +164,16 @@ const PRESET_DATA = /** @type {const} */ ([
       hueShift: { offset: 48 },
       sparkleDensity: { scale: 0.95 },
     },
+    fields: [
+      { type: 'point', strength: { param: 'fieldStrength', scale: 1.6, offset: 0.5 } },
+      {
+        type: 'ring',
+        radius: { param: 'vortexAmount', scale: 0.25, offset: 0.35 },
+        strength: { param: 'fieldStrength', scale: 1.2, offset: 0.6 },
+        swirl: { param: 'vortexAmount', scale: 1.4, offset: 0.3 },
+      },
+      { type: 'turbulence', strength: { param: 'fieldStrength', scale: 1.4, offset: 0.14 }, frequency: 1.6 },
+    ],
   },
   {
     id: 'binary-mirage',
@@ -128,6 +191,7 @@ const PRESET_DATA = /** @type {const} */ ([
       repelImpulse: { scale: 0.9 },
       vortexAmount: { scale: 0.85 },
     },
+    drawStyle: { type: 'glyphs', glyphs: '.01' },
     render: {
       trailFade: { scale: 1.05 },
       glow: { scale: 1.3 },
@@ -152,6 +216,7 @@ const PRESET_DATA = /** @type {const} */ ([
       repelImpulse: { scale: 1.1 },
       vortexAmount: { scale: 0.75 },
     },
+    drawStyle: { type: 'streaks', streakSeconds: 0.12 },
     render: {
       trailFade: { scale: 0.9 },
       glow: { scale: 1.2 },
@@ -159,6 +224,13 @@ const PRESET_DATA = /** @type {const} */ ([
       hueShift: { offset: 14 },
       sparkleDensity: { scale: 1.05 },
     },
+    fields: [
+      { type: 'line', x1: -1, y1: -0.3, x2: 1, y2: -0.3, strength: { param: 'fieldStrength', scale: 0.9, offset: 0.25 } },
+      { type: 'line', x1: -1, y1: 0.3, x2: 1, y2: 0.3, strength: { param: 'fieldStrength', scale: 0.9, offset: 0.25 } },
+      { type: 'wind', angle: 0, strength: { param: 'spawnRate', scale: 0.9, offset: 0.2 }, gust: 0.6, gustSpeed: 0.7 },
+      { type: 'drag', x: 0.25, y: 0, radius: 0.45, strength: { param: 'repelImpulse', scale: -3, offset: 3.5, min: 0 } },
+      { type: 'turbulence', strength: { param: 'fieldStrength', scale: 0.9, offset: 0.1 } },
+    ],
   },
   {
     id: 'backpack',
@@ -200,6 +272,7 @@ const PRESET_DATA = /** @type {const} */ ([
       repelImpulse: { scale: 0.95 },
       vortexAmount: { scale: 1.2 },
     },
+    drawStyle: { type: 'streaks', streakSeconds: 0.18, maxLength: 72 },
     render: {
       trailFade: { scale: 1.08 },
       glow: { scale: 1.18 },
@@ -207,6 +280,14 @@ const PRESET_DATA = /** @type {const} */ ([
       hueShift: { offset: 32 },
       sparkleDensity: { scale: 0.85 },
     },
+    flocking: {
+      enabled: true,
+      radius: 0.09,
+      separation: 0.45,
+      alignment: 0.9,
+      cohesion: 0.35,
+      maxNeighbors: 10,
+    },
   },
   {
     id: 'clouds',
@@ -224,6 +305,7 @@ const PRESET_DATA = /** @type {const} */ ([
       repelImpulse: { scale: 0.8 },
       vortexAmount: { scale: 0.95 },
     },
+    drawStyle: { type: 'metaballs', cellSize: 7, threshold: 0.8 },
     render: {
       trailFade: { scale: 1.2 },
       glow: { scale: 1.35 },
@@ -231,6 +313,12 @@ const PRESET_DATA = /** @type {const} */ ([
       hueShift: { offset: -8 },
       sparkleDensity: { scale: 0.6 },
     },
+    fields: [
+      { type: 'point', y: 0.25, strength: { param: 'fieldStrength', scale: 1.2, offset: 0.35 } },
+      { type: 'wind', angle: -90, strength: { param: 'fieldStrength', scale: 0.5, offset: 0.15 }, gust: 0.4, gustSpeed: 0.35 },
+      { type: 'turbulence', strength: { param: 'fieldStrength', scale: 2.2, offset: 0.3 }, frequency: 0.7, speed: 0.6 },
+      { type: 'drag', strength: 0.25 },
+    ],
   },
   {
     id: 'ease-up',
@@ -272,6 +360,8 @@ const PRESET_DATA = /** @type {const} */ ([
       repelImpulse: { scale: 0.7 },
       vortexAmount: { scale: 0.6 },
     },
+    drawStyle: { type: 'sprites' },
+    constellation: { maxDistance: 0.22, maxDegree: 2, density: { param: 'glow', scale: 0.8, offset: 0.2 } },
     render: {
       trailFade: { scale: 1.22 },
       glow: { scale: 1 },
@@ -279,6 +369,20 @@ const PRESET_DATA = /** @type {const} */ ([
       hueShift: { offset: 64 },
       sparkleDensity: { scale: 0.5 },
     },
+    flocking: {
+      enabled: true,
+      radius: 0.12,
+      separation: 1.4,
+      alignment: 0.15,
+      cohesion: 0.1,
+      maxNeighbors: 6,
+    },
+    beatSync: {
+      repelImpulse: 0.35,
+      sparkleDensity: 0.6,
+      glow: 0.25,
+      minConfidence: 0.45,
+    },
   },
 ]);
 
@@ -341,20 +445,45 @@ function applyGroup(target, adjustments, limits) {
   }
 }
 
+// Edited built-ins (keyed by the built-in id) and imported presets, registered at runtime.
+const customPresets = new Map();
+
+function effectivePreset(preset) {
+  return customPresets.get(preset.id) ?? preset;
+}
+
+function findCustomPreset(key) {
+  for (const preset of customPresets.values()) {
+    if (preset.id === key || slugify(preset.title) === key) {
+      return preset;
+    }
+  }
+  return null;
+}
+
 export function listPresets() {
-  return PRESET_DATA.map((preset) => ({ ...preset }));
+  const builtins = PRESET_DATA.map((preset) => ({ ...effectivePreset(preset) }));
+  const extras = Array.from(customPresets.values())
+    .filter((preset) => !isBuiltinPreset(preset.id))
+    .map((preset) => ({ ...preset }));
+  return builtins.concat(extras);
 }
 
 export function getPreset(nameOrIndex) {
   if (typeof nameOrIndex === 'number' && Number.isInteger(nameOrIndex)) {
-    return PRESET_DATA[nameOrIndex] ?? null;
+    const preset = PRESET_DATA[nameOrIndex];
+    return preset ? effectivePreset(preset) : null;
   }
   if (typeof nameOrIndex === 'string' && nameOrIndex.length > 0) {
     const key = slugify(nameOrIndex);
-    return PRESET_LOOKUP.get(key) ?? null;
+    const builtin = PRESET_LOOKUP.get(key);
+    if (builtin) {
+      return effectivePreset(builtin);
+    }
+    return findCustomPreset(key);
   }
   if (nameOrIndex == null) {
-    return PRESET_DATA[0];
+    return effectivePreset(PRESET_DATA[0]);
   }
   return null;
 }
@@ -388,10 +517,21 @@ export function applyPreset(preset, params) {
 }
 
 export function getDefaultPreset() {
-  return PRESET_DATA[0];
+  return effectivePreset(PRESET_DATA[0]);
 }
 
+/**
+ * Looks up a preset by index, id, or title, or sanitizes a preset definition (plain or as exported by
+ * `serializePreset`). Returns `fallback` when nothing matches or the definition is invalid.
+ */
 export function resolvePreset(nameOrIndex, fallback = null) {
+  if (nameOrIndex && typeof nameOrIndex === 'object') {
+    try {
+      return sanitizePreset(nameOrIndex);
+    } catch {
+      return fallback;
+    }
+  }
   const preset = getPreset(nameOrIndex);
   return preset ?? fallback;
 }
@@ -409,4 +549,122 @@ export function describePreset(nameOrIndex) {
   };
 }
 
+function sanitizeHex(value) {
+  return typeof value === 'string' && HEX_COLOR.test(value.trim()) ? value.trim().toLowerCase() : null;
+}
+
+function sanitizeGroup(input, limits) {
+  const group = {};
+  if (!input || typeof input !== 'object') {
+    return group;
+  }
+  for (const key of Object.keys(limits)) {
+    const value = input[key];
+    if (Number.isFinite(value)) {
+      group[key] = { scale: value };
+    } else if (value && typeof value === 'object') {
+      const entry = {};
+      if (Number.isFinite(value.scale)) {
+        entry.scale = value.scale;
+      }
+      if (Number.isFinite(value.offset)) {
+        entry.offset = value.offset;
+      }
+      if (Object.keys(entry).length > 0) {
+        group[key] = entry;
+      }
+    }
+  }
+  return group;
+}
+
+/**
+ * Validates a preset definition (plain, or wrapped as exported by `serializePreset`) and returns a clean copy.
+ * Palette colours must be `#rrggbb`; sim/render adjustments are limited to the `SIM_LIMITS`/`RENDER_LIMITS`
+ * keys; an `analysis` block keeps its valid FFT size, hop, and bands. Blocks other modules sanitize on their own (fields,
+ * flocking, beatSync, automation, drawStyle, constellation) are carried over as plain JSON.
+ * @throws {Error} When the input is not an object or has neither an id nor a title.
+ */
+export function sanitizePreset(input) {
+  const source = input && typeof input === 'object' && input.format === PRESET_FORMAT ? input.preset : input;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error('Preset must be a JSON object.');
+  }
+  const title = typeof source.title === 'string' ? source.title.trim() : '';
+  const id = slugify(typeof source.id === 'string' && source.id.trim() ? source.id : title);
+  if (!id) {
+    throw new Error('Preset needs an id or a title.');
+  }
+
+  const fallbackPalette = (PRESET_LOOKUP.get(id) ?? PRESET_DATA[0]).palette;
+  const paletteSource = source.palette && typeof source.palette === 'object' ? source.palette : {};
+  const accents = Array.isArray(paletteSource.accents)
+    ? paletteSource.accents.map(sanitizeHex).filter(Boolean).slice(0, MAX_ACCENTS)
+    : [];
+  const baseHue = Number(paletteSource.baseHue);
+
+  const preset = {
+    id,
+    title: title || id,
+    description: typeof source.description === 'string' ? source.description : '',
+    palette: {
+      background: sanitizeHex(paletteSource.background) ?? fallbackPalette.background,
+      accents: accents.length > 0 ? accents : [...fallbackPalette.accents],
+      baseHue: Number.isFinite(baseHue) ? ((baseHue % 360) + 360) % 360 : fallbackPalette.baseHue,
+    },
+    sim: sanitizeGroup(source.sim, SIM_LIMITS),
+    render: sanitizeGroup(source.render, RENDER_LIMITS),
+  };
+  for (const key of PASSTHROUGH_KEYS) {
+    if (source[key] != null) {
+      preset[key] = JSON.parse(JSON.stringify(source[key]));
+    }
+  }
+  const analysis = sanitizeAnalysisConfig(source.analysis);
+  if (analysis) {
+    preset.analysis = analysis;
+  }
+  return preset;
+}
+
+/**
+ * Wraps a preset for export. The result round-trips through `JSON.stringify` and `resolvePreset`.
+ */
+export function serializePreset(preset) {
+  return {
+    format: PRESET_FORMAT,
+    version: PRESET_FORMAT_VERSION,
+    preset: sanitizePreset(preset),
+  };
+}
+
+export function isBuiltinPreset(id) {
+  return PRESET_LOOKUP.get(id)?.id === id;
+}
+
+/**
+ * Registers an edited or imported preset. A preset whose id matches a built-in replaces it everywhere
+ * (`getPreset`, `listPresets`, `getDefaultPreset`) until `removePreset(id)` restores the original.
+ * @returns {object} The sanitized preset.
+ */
+export function registerPreset(input) {
+  const preset = sanitizePreset(input);
+  customPresets.set(preset.id, preset);
+  return preset;
+}
+
+export function removePreset(id) {
+  return customPresets.delete(id);
+}
+
+/** True when `id` names an imported preset or a built-in that has been edited. */
+export function hasCustomPreset(id) {
+  return customPresets.has(id);
+}
+
+/** Edited built-ins and imported presets, for persistence. */
+export function listCustomPresets() {
+  return Array.from(customPresets.values()).map((preset) => ({ ...preset }));
+}
+
 export const PRESETS = PRESET_DATA;
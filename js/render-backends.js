@@ -0,0 +1,643 @@
+import { createConstellationBuilder, DEFAULT_CONSTELLATION } from './constellation.js';
+import { createStylePainters, DEFAULT_DRAW_STYLE } from './draw-styles.js';
+import { measurePixels } from './flash-guard.js';
+
+/**
+ * Renderer backends. `render.js` owns the DOM, HUD, sizing and FPS bookkeeping and hands each frame to a backend
+ * through a small interface:
+ *
+ *   init({canvas})                       Take ownership of the visible canvas.
+ *   resize({pixelWidth, pixelHeight, transformScale, logicalWidth, logicalHeight})
+ *   beginFrame(frame)                    Fade trails and prepare the glow buffer.
+ *   drawParticles(particles, params, frame)
+ *   endFrame(frame)                      Composite glow / flush the frame.
+ *   clear(palette)                       Paint the background at full opacity.
+ *   getFrameSample()                     Latest {luminance, red, sequence} measured for the flash guard, or null.
+ *   destroy()
+ *
+ * `frame` carries everything a backend needs besides the particles: {dt, frameSeed, fadeAlpha, glowLevel,
+ * beatPulse, palette, world, drawStyle, constellation, sampleFlash}. It is plain data so the OffscreenCanvas backend can post it to a worker
+ * as-is. When `sampleFlash` is set, `endFrame` measures a downscaled copy of the finished frame.
+ */
+
+const TAU = Math.PI * 2;
+const DEFAULT_BASE_HUE = 218;
+const GLOW_SCALE = 0.5;
+const FLASH_SAMPLE_WIDTH = 32;
+const FLASH_SAMPLE_HEIGHT = 18;
+// Frames posted to the render worker but not yet drawn before the offscreen backend starts dropping frames.
+const MAX_FRAMES_IN_FLIGHT = 2;
+const PARTICLE_FIELDS = Object.freeze(['life', 'maxLife', 'masses', 'alive', 'indices']);
+const VECTOR_FIELDS = Object.freeze(['positions', 'velocities']);
+
+export const RENDER_BACKENDS = Object.freeze({
+  CANVAS_2D: 'canvas2d',
+  OFFSCREEN: 'offscreen',
+});
+
+export const RENDER_BACKEND_LABELS = Object.freeze({
+  [RENDER_BACKENDS.CANVAS_2D]: 'Canvas 2D',
+  [RENDER_BACKENDS.OFFSCREEN]: 'Offscreen Worker',
+});
+
+function clamp(value, min, max) {
+  if (!Number.isFinite(value)) {
+    return min;
+  }
+  if (value < min) {
+    return min;
+  }
+  if (value > max) {
+    return max;
+  }
+  return value;
+}
+
+function fract(value) {
+  return value - Math.floor(value);
+}
+
+function hash(index, frameSeed = 0) {
+  const x = Math.sin(index * 12.9898 + frameSeed * 78.233);
+  return fract(x * 43758.5453);
+}
+
+function wrapHue360(value) {
+  if (!Number.isFinite(value)) {
+    return DEFAULT_BASE_HUE;
+  }
+  let result = value % 360;
+  if (result < 0) {
+    result += 360;
+  }
+  return result;
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} True when `name` can run in this environment.
+ */
+export function isBackendSupported(name) {
+  if (name === RENDER_BACKENDS.CANVAS_2D) {
+    return true;
+  }
+  if (name === RENDER_BACKENDS.OFFSCREEN) {
+    return (
+      typeof Worker === 'function'
+      && typeof OffscreenCanvas === 'function'
+      && typeof HTMLCanvasElement !== 'undefined'
+      && typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function'
+    );
+  }
+  return false;
+}
+
+/**
+ * @param {unknown} name
+ * @returns {string} A known backend name, defaulting to Canvas 2D.
+ */
+export function resolveBackendName(name) {
+  return Object.values(RENDER_BACKENDS).includes(name) ? name : RENDER_BACKENDS.CANVAS_2D;
+}
+
+function defaultCreateCanvas(width, height) {
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  return new OffscreenCanvas(width, height);
+}
+
+/**
+ * Immediate-mode Canvas 2D renderer with a half-resolution additive glow buffer. Works on an
+ * HTMLCanvasElement on the main thread and on an OffscreenCanvas inside `workers/render-worker.js`.
+ * @param {{createCanvas?: (width: number, height: number) => HTMLCanvasElement|OffscreenCanvas}} [options]
+ */
+export function createCanvas2dBackend({ createCanvas = defaultCreateCanvas } = {}) {
+  const painters = createStylePainters(createCanvas);
+  const constellationBuilder = createConstellationBuilder();
+  // Reused per particle so painters never allocate inside the draw loop.
+  const particle = {
+    sx: 0,
+    sy: 0,
+    vx: 0,
+    vy: 0,
+    radius: 0,
+    hue: 0,
+    saturation: 0,
+    bodyLight: 0,
+    glowLight: 0,
+    alpha: 0,
+    glowAlpha: 0,
+    lifeT: 0,
+    rng: 0,
+  };
+  const env = {
+    style: DEFAULT_DRAW_STYLE,
+    params: null,
+    logicalWidth: 0,
+    logicalHeight: 0,
+  };
+  const state = {
+    canvas: /** @type {HTMLCanvasElement|OffscreenCanvas|null} */ (null),
+    ctx: /** @type {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D|null} */ (null),
+    transformScale: 1,
+    logicalWidth: 0,
+    logicalHeight: 0,
+    glow: {
+      enabled: true,
+      strength: 0.65,
+      canvas: /** @type {HTMLCanvasElement|OffscreenCanvas|null} */ (null),
+      ctx: /** @type {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D|null} */ (null),
+    },
+    flashSample: {
+      canvas: /** @type {HTMLCanvasElement|OffscreenCanvas|null} */ (null),
+      ctx: /** @type {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D|null} */ (null),
+      latest: /** @type {{luminance: number, red: number, sequence: number}|null} */ (null),
+      sequence: 0,
+    },
+  };
+
+  function ensureGlowCanvas() {
+    if (!state.canvas || !state.ctx) {
+      return;
+    }
+    if (!state.glow.canvas) {
+      state.glow.canvas = createCanvas(1, 1);
+      state.glow.ctx = state.glow.canvas?.getContext('2d', { alpha: true }) ?? null;
+    }
+    const glowCanvas = state.glow.canvas;
+    const glowCtx = state.glow.ctx;
+    if (!glowCanvas || !glowCtx) {
+      state.glow.enabled = false;
+      return;
+    }
+
+    const pixelWidth = Math.max(1, Math.round(state.canvas.width * GLOW_SCALE));
+    const pixelHeight = Math.max(1, Math.round(state.canvas.height * GLOW_SCALE));
+    if (glowCanvas.width !== pixelWidth || glowCanvas.height !== pixelHeight) {
+      glowCanvas.width = pixelWidth;
+      glowCanvas.height = pixelHeight;
+    }
+
+    const scale = state.transformScale * GLOW_SCALE;
+    glowCtx.setTransform(scale, 0, 0, scale, 0, 0);
+    glowCtx.globalCompositeOperation = 'source-over';
+  }
+
+  function fadeCanvas(alpha, palette) {
+    if (!state.ctx || !state.canvas) {
+      return;
+    }
+    const ctx = state.ctx;
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = 'source-over';
+    const bg = palette.backgroundRgb;
+    ctx.fillStyle = `rgba(${bg.r}, ${bg.g}, ${bg.b}, ${alpha})`;
+    ctx.fillRect(0, 0, state.canvas.width, state.canvas.height);
+    ctx.restore();
+    ctx.setTransform(state.transformScale, 0, 0, state.transformScale, 0, 0);
+  }
+
+  function fadeGlow(alpha) {
+    if (!state.glow.ctx || !state.glow.canvas) {
+      return;
+    }
+    const glowCtx = state.glow.ctx;
+    glowCtx.save();
+    glowCtx.setTransform(1, 0, 0, 1, 0, 0);
+    glowCtx.globalCompositeOperation = 'source-over';
+    glowCtx.fillStyle = `rgba(0, 0, 0, ${alpha})`;
+    glowCtx.fillRect(0, 0, state.glow.canvas.width, state.glow.canvas.height);
+    glowCtx.restore();
+    const scale = state.transformScale * GLOW_SCALE;
+    glowCtx.setTransform(scale, 0, 0, scale, 0, 0);
+    glowCtx.globalCompositeOperation = 'lighter';
+  }
+
+  function compositeGlow() {
+    if (!state.ctx || !state.glow.canvas || !state.glow.ctx) {
+      return;
+    }
+    const ctx = state.ctx;
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.globalAlpha = clamp(state.glow.strength, 0, 1);
+    ctx.filter = 'blur(18px)';
+    ctx.drawImage(state.glow.canvas, 0, 0, state.logicalWidth, state.logicalHeight);
+    ctx.filter = 'none';
+    ctx.restore();
+  }
+
+  function sampleFrame() {
+    const sampler = state.flashSample;
+    if (!state.canvas || state.canvas.width === 0 || state.canvas.height === 0) {
+      return;
+    }
+    if (!sampler.canvas) {
+      sampler.canvas = createCanvas(FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+      sampler.ctx = sampler.canvas?.getContext('2d', { willReadFrequently: true }) ?? null;
+    }
+    if (!sampler.ctx) {
+      return;
+    }
+    sampler.ctx.drawImage(state.canvas, 0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+    const { data } = sampler.ctx.getImageData(0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+    sampler.sequence += 1;
+    sampler.latest = { ...measurePixels(data), sequence: sampler.sequence };
+  }
+
+  return {
+    id: RENDER_BACKENDS.CANVAS_2D,
+
+    /**
+     * @param {{canvas: HTMLCanvasElement|OffscreenCanvas}} options
+     */
+    init({ canvas }) {
+      const ctx = canvas.getContext('2d', { alpha: true, desynchronized: true });
+      if (!ctx) {
+        throw new Error('Failed to acquire 2D rendering context.');
+      }
+      state.canvas = canvas;
+      state.ctx = ctx;
+    },
+
+    resize({ pixelWidth, pixelHeight, transformScale, logicalWidth, logicalHeight }) {
+      if (!state.canvas || !state.ctx) {
+        return;
+      }
+      state.canvas.width = pixelWidth;
+      state.canvas.height = pixelHeight;
+      state.transformScale = transformScale;
+      state.logicalWidth = logicalWidth;
+      state.logicalHeight = logicalHeight;
+      state.ctx.setTransform(transformScale, 0, 0, transformScale, 0, 0);
+      state.ctx.globalCompositeOperation = 'source-over';
+      ensureGlowCanvas();
+    },
+
+    beginFrame(frame) {
+      fadeCanvas(frame.fadeAlpha, frame.palette);
+      const glowLevel = frame.glowLevel;
+      state.glow.enabled = glowLevel > 0.01;
+      if (state.glow.enabled) {
+        // Beat-synced presets push a short glow swell on each tracked beat.
+        state.glow.strength = clamp((glowLevel + frame.beatPulse * 0.35) * 0.85, 0.1, 0.9);
+        ensureGlowCanvas();
+        fadeGlow(1 - glowLevel * 0.6);
+      }
+    },
+
+    drawParticles(particles, params, frame) {
+      if (!particles || !state.ctx) {
+        return;
+      }
+      const positionsX = particles.positions?.x;
+      const positionsY = particles.positions?.y;
+      const velocitiesX = particles.velocities?.x;
+      const velocitiesY = particles.velocities?.y;
+      const life = particles.life;
+      const maxLife = particles.maxLife;
+      const masses = particles.masses;
+      const alive = particles.alive;
+      const indices = particles.indices;
+      const count = Math.min(particles.count ?? 0, indices ? indices.length : 0);
+
+      if (!positionsX || !positionsY || !life || !maxLife || !indices || count === 0) {
+        return;
+      }
+
+      const ctx = state.ctx;
+      const glowCtx = state.glow.enabled ? state.glow.ctx : null;
+      if (glowCtx) {
+        glowCtx.globalCompositeOperation = 'lighter';
+      }
+
+      const { dt, frameSeed, palette, world } = frame;
+      const centerX = state.logicalWidth * 0.5;
+      const centerY = state.logicalHeight * 0.5;
+      const zoomRaw = Number.isFinite(params.zoom) ? params.zoom : 1;
+      const zoom = clamp(zoomRaw, 0.5, 20);
+      const halfWorldWidth = Math.max(world.width * 0.5, 1e-3);
+      const halfWorldHeight = Math.max(world.height * 0.5, 1e-3);
+      const widthScale = (state.logicalWidth * 0.5) / halfWorldWidth;
+      const heightScale = (state.logicalHeight * 0.5) / halfWorldHeight;
+      const scaleBase = Math.max(widthScale, heightScale);
+      const scale = scaleBase * (zoom >= 1 ? zoom : 1);
+
+      const jitter = params.sizeJitter;
+      const sparkle = params.sparkleDensity;
+      const accentCount = palette.accentHsl.length;
+      const hueBase = wrapHue360((palette.baseHue ?? DEFAULT_BASE_HUE) + params.hueShift);
+
+      const pixelScale = Math.max(0.001, state.transformScale);
+      const connectionLineWidth = clamp(0.7 / pixelScale, 0.25, 1.15);
+      const constellation = frame.constellation ?? DEFAULT_CONSTELLATION;
+      const links = constellationBuilder.build(particles, {
+        maxDistance: constellation.maxDistance,
+        maxDegree: constellation.maxDegree,
+        density: Number.isFinite(params.linkDensity) ? params.linkDensity : 0.5,
+        world,
+      });
+      let linkCursor = 0;
+
+      const style = frame.drawStyle ?? DEFAULT_DRAW_STYLE;
+      const painter = painters.get(style.type);
+      env.style = style;
+      env.params = params;
+      env.logicalWidth = state.logicalWidth;
+      env.logicalHeight = state.logicalHeight;
+
+      ctx.save();
+      ctx.globalCompositeOperation = 'lighter';
+      painter.begin?.(ctx, glowCtx, env);
+
+      const sparkleThreshold = 1 - sparkle * 0.6;
+      const fadeBoost = dt ? Math.exp(-dt * 1.6) : 1;
+      const connectionAlphaBase = clamp(0.08 + (1 - params.trailFade) * 0.22, 0.06, 0.35) * fadeBoost;
+
+      for (let i = 0; i < count; i += 1) {
+        const index = indices[i];
+        if (alive && alive[index] === 0) {
+          continue;
+        }
+
+        const px = positionsX[index];
+        const py = positionsY[index];
+
+        const sx = centerX + px * scale;
+        const sy = centerY + py * scale;
+
+        const max = maxLife[index] || 1;
+        const current = life[index] || 0;
+        const lifeT = clamp(current / max, 0, 1);
+        const baseMass = masses ? masses[index] : 1;
+        const rng = hash(index, frameSeed);
+        const sizeJitter = 1 + (rng - 0.5) * 2 * jitter;
+        const radius = (1.6 + baseMass * 1.1) * sizeJitter * (0.6 + (1 - lifeT) * 0.6);
+
+        const accent = accentCount > 0 ? palette.accentHsl[Math.floor(rng * accentCount)] : null;
+        let hue = wrapHue360(hueBase + rng * 36 + lifeT * 72);
+        let saturation = 78;
+        let bodyLight = 48 + (1 - lifeT) * 32;
+        let glowLight = 60;
+        let sparkleLight = clamp(bodyLight + 16, 0, 100);
+        if (accent) {
+          hue = wrapHue360(accent.h + params.hueShift + (rng - 0.5) * 24 + lifeT * 14);
+          saturation = clamp(accent.s * (0.85 + (1 - lifeT) * 0.18), 20, 100);
+          const accentLight = clamp(accent.l, 10, 88);
+          bodyLight = clamp(accentLight * 0.7 + (1 - lifeT) * 28, 8, 94);
+          glowLight = clamp(accentLight + 24, 14, 98);
+          sparkleLight = clamp(bodyLight + 14, 0, 100);
+        }
+        const alpha = clamp(0.25 + (1 - lifeT) * 0.55, 0.1, 0.85) * fadeBoost;
+
+        if (linkCursor < links.count && links.slot[linkCursor] === i) {
+          const connectionAlpha = connectionAlphaBase * (1.15 - lifeT * 0.6);
+          const connectionSat = Math.round(clamp(saturation * 0.6 + 18, 10, 95));
+          const connectionLight = Math.round(clamp(bodyLight * 0.82 + 12, 12, 92));
+          ctx.lineWidth = connectionLineWidth;
+          ctx.strokeStyle = `hsl(${Math.round(hue)}, ${connectionSat}%, ${connectionLight}%)`;
+          do {
+            const partnerIndex = links.to[linkCursor];
+            // Shorter links read brighter so clusters stand out from the long, faint edges.
+            ctx.globalAlpha = clamp(connectionAlpha * (0.35 + links.strength[linkCursor] * 0.65), 0.025, 0.38);
+            ctx.beginPath();
+            ctx.moveTo(sx, sy);
+            ctx.lineTo(centerX + positionsX[partnerIndex] * scale, centerY + positionsY[partnerIndex] * scale);
+            ctx.stroke();
+            linkCursor += 1;
+          } while (linkCursor < links.count && links.slot[linkCursor] === i);
+        }
+
+        particle.sx = sx;
+        particle.sy = sy;
+        particle.vx = velocitiesX ? velocitiesX[index] * scale : 0;
+        particle.vy = velocitiesY ? velocitiesY[index] * scale : 0;
+        particle.radius = radius;
+        particle.hue = hue;
+        particle.saturation = saturation;
+        particle.bodyLight = bodyLight;
+        particle.glowLight = glowLight;
+        particle.alpha = alpha;
+        particle.glowAlpha = clamp(alpha * 0.8, 0.05, 0.6);
+        particle.lifeT = lifeT;
+        particle.rng = rng;
+        painter.particle(ctx, glowCtx, particle, env);
+
+        if (rng > sparkleThreshold) {
+          const sparkleAlpha = clamp((rng - sparkleThreshold) * 5, 0.1, 0.8);
+          const sparkleHue = wrapHue360(hue + (accent ? (rng - 0.5) * 12 : 0));
+          const sparkleSat = Math.round(clamp(saturation + 12, 0, 100));
+          ctx.fillStyle = `hsl(${Math.round(sparkleHue)}, ${sparkleSat}%, ${Math.round(sparkleLight)}%)`;
+          ctx.globalAlpha = sparkleAlpha;
+          ctx.beginPath();
+          ctx.arc(sx, sy, radius * 0.45, 0, TAU);
+          ctx.fill();
+        }
+      }
+
+      painter.end?.(ctx, glowCtx, env);
+      ctx.restore();
+      ctx.globalAlpha = 1;
+      if (glowCtx) {
+        glowCtx.globalAlpha = 1;
+      }
+    },
+
+    endFrame(frame) {
+      if (state.glow.enabled) {
+        compositeGlow();
+      }
+      if (frame?.sampleFlash) {
+        sampleFrame();
+      }
+    },
+
+    getFrameSample() {
+      return state.flashSample.latest;
+    },
+
+    clear(palette) {
+      fadeCanvas(1, palette);
+      if (state.glow.ctx && state.glow.canvas) {
+        fadeGlow(1);
+      }
+    },
+
+    destroy() {
+      state.canvas = null;
+      state.ctx = null;
+      state.glow.canvas = null;
+      state.glow.ctx = null;
+      state.flashSample.canvas = null;
+      state.flashSample.ctx = null;
+    },
+  };
+}
+
+/**
+ * Copies the live slice of a particle buffer into standalone typed arrays that can be transferred to a worker.
+ * Only slots referenced by `indices[0..count)` are meaningful; the rest are copied as-is to keep indices stable.
+ * @returns {{snapshot: object, transfer: ArrayBuffer[]}|null}
+ */
+export function snapshotParticles(particles) {
+  const positionsX = particles?.positions?.x;
+  const positionsY = particles?.positions?.y;
+  if (!positionsX || !positionsY || !particles.indices) {
+    return null;
+  }
+  const count = Math.min(particles.count ?? 0, particles.indices.length);
+  const snapshot = { count };
+  const transfer = [];
+  VECTOR_FIELDS.forEach((field) => {
+    const source = particles[field];
+    if (!source?.x || !source?.y) {
+      return;
+    }
+    snapshot[field] = { x: source.x.slice(), y: source.y.slice() };
+    transfer.push(snapshot[field].x.buffer, snapshot[field].y.buffer);
+  });
+  PARTICLE_FIELDS.forEach((field) => {
+    const source = particles[field];
+    if (!source) {
+      return;
+    }
+    const copy = field === 'indices' ? source.slice(0, count) : source.slice();
+    snapshot[field] = copy;
+    transfer.push(copy.buffer);
+  });
+  return { snapshot, transfer };
+}
+
+function defaultCreateRenderWorker() {
+  const url = new URL('./workers/render-worker.js', import.meta.url);
+  return new Worker(url, { type: 'module' });
+}
+
+/**
+ * Main-thread proxy that transfers the canvas to `workers/render-worker.js` and ships one particle snapshot per
+ * frame. The worker runs the Canvas 2D backend against the OffscreenCanvas, so output matches the main-thread path.
+ * A transferred canvas can never hand out a main-thread context again; `render.js` swaps in a fresh element when
+ * leaving this backend.
+ * @param {{createWorker?: () => Worker, onError?: (error: Error) => void}} [options]
+ */
+export function createOffscreenBackend({ createWorker = defaultCreateRenderWorker, onError } = {}) {
+  const state = {
+    worker: /** @type {Worker|null} */ (null),
+    inFlight: 0,
+    pending: /** @type {{params: object, particles: object|null, transfer: ArrayBuffer[]}|null} */ (null),
+    dropped: 0,
+    sample: /** @type {{luminance: number, red: number, sequence: number}|null} */ (null),
+  };
+
+  function handleMessage(event) {
+    const message = event.data;
+    if (!message || typeof message !== 'object') {
+      return;
+    }
+    if (message.type === 'frameDone') {
+      state.inFlight = Math.max(0, state.inFlight - 1);
+      if (message.sample) {
+        state.sample = message.sample;
+      }
+    } else if (message.type === 'error') {
+      onError?.(new Error(message.error?.message ?? 'Render worker failed.'));
+    }
+  }
+
+  function handleError(event) {
+    event.preventDefault?.();
+    onError?.(event.error instanceof Error ? event.error : new Error(event.message || 'Render worker failed.'));
+  }
+
+  function post(message, transfer = []) {
+    state.worker?.postMessage(message, transfer);
+  }
+
+  return {
+    id: RENDER_BACKENDS.OFFSCREEN,
+
+    /**
+     * @param {{canvas: HTMLCanvasElement}} options
+     */
+    init({ canvas }) {
+      const offscreen = canvas.transferControlToOffscreen();
+      state.worker = createWorker();
+      state.worker.addEventListener('message', handleMessage);
+      state.worker.addEventListener('error', handleError);
+      post({ type: 'init', canvas: offscreen }, [offscreen]);
+    },
+
+    resize(size) {
+      post({ type: 'resize', size: { ...size } });
+    },
+
+    beginFrame() {
+      state.pending = null;
+    },
+
+    drawParticles(particles, params) {
+      if (state.inFlight >= MAX_FRAMES_IN_FLIGHT) {
+        return;
+      }
+      const packed = snapshotParticles(particles);
+      state.pending = {
+        params: { ...params },
+        particles: packed?.snapshot ?? null,
+        transfer: packed?.transfer ?? [],
+      };
+    },
+
+    endFrame(frame) {
+      if (state.inFlight >= MAX_FRAMES_IN_FLIGHT) {
+        state.dropped += 1;
+        return;
+      }
+      const pending = state.pending ?? { params: null, particles: null, transfer: [] };
+      state.pending = null;
+      state.inFlight += 1;
+      post({ type: 'frame', frame, params: pending.params, particles: pending.particles }, pending.transfer);
+    },
+
+    clear(palette) {
+      post({ type: 'clear', palette });
+    },
+
+    /** Flash-guard sample posted back by the worker with its last sampled frame. */
+    getFrameSample() {
+      return state.sample;
+    },
+
+    /** Frames skipped because the worker was still busy. */
+    getDroppedFrames() {
+      return state.dropped;
+    },
+
+    destroy() {
+      if (!state.worker) {
+        return;
+      }
+      state.worker.removeEventListener('message', handleMessage);
+      state.worker.removeEventListener('error', handleError);
+      state.worker.terminate();
+      state.worker = null;
+      state.pending = null;
+      state.inFlight = 0;
+    },
+  };
+}
+
+/**
+ * @param {string} name One of RENDER_BACKENDS.
+ * @param {{createWorker?: () => Worker, onError?: (error: Error) => void, createCanvas?: Function}} [options]
+ */
+export function createRenderBackend(name, options = {}) {
+  if (name === RENDER_BACKENDS.OFFSCREEN) {
+    return createOffscreenBackend(options);
+  }
+  return createCanvas2dBackend(options);
+}
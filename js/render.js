@@ -1,4 +1,12 @@
-const TAU = Math.PI * 2;
+import { DEFAULT_CONSTELLATION, resolveConstellation } from './constellation.js';
+import { DEFAULT_DRAW_STYLE, resolveDrawStyle } from './draw-styles.js';
+import {
+  createRenderBackend,
+  isBackendSupported,
+  RENDER_BACKENDS,
+  resolveBackendName,
+} from './render-backends.js';
+
 const MAX_PIXEL_RATIO = 3;
 const MIN_DYNAMIC_SCALE = 0.55;
 const MAX_DYNAMIC_SCALE = 1;
@@ -24,9 +32,23 @@ const PARAM_SCRATCH = {
   hueShift: 0,
   sparkleDensity: 0.05,
   zoom: 1,
+  beatPulse: 0,
+  linkDensity: 0.5,
 };
-
-const CONNECTION_FRACTION = 0.9;
+const FRAME_SCRATCH = {
+  dt: 1 / 60,
+  frameSeed: 0,
+  fadeAlpha: 1,
+  glowLevel: 0,
+  beatPulse: 0,
+  palette: null,
+  world: null,
+  drawStyle: DEFAULT_DRAW_STYLE,
+  constellation: DEFAULT_CONSTELLATION,
+  sampleFlash: false,
+};
+// Measure every other frame for the flash guard: enough to resolve 3 Hz flashing at typical frame rates.
+const FLASH_SAMPLE_INTERVAL = 2;
 
 const TOGGLE_DEFAULTS = /** @type {const} */ ({
   fullscreen: false,
@@ -201,7 +223,13 @@ const paletteState = buildPalette(DEFAULT_PALETTE);
 const state = {
   initialized: false,
   canvas: /** @type {HTMLCanvasElement|null} */ (null),
-  ctx: /** @type {CanvasRenderingContext2D|null} */ (null),
+  backend: /** @type {ReturnType<typeof createRenderBackend>|null} */ (null),
+  backendName: RENDER_BACKENDS.CANVAS_2D,
+  // Backend chosen by the user; offline renders temporarily override it with Canvas 2D.
+  preferredBackend: RENDER_BACKENDS.CANVAS_2D,
+  // A canvas that has handed out a context (or been transferred) cannot switch backends in place.
+  canvasClaimed: false,
+  createWorker: /** @type {(() => Worker)|undefined} */ (undefined),
   hud: {
     root: /** @type {HTMLElement|null} */ (null),
     title: /** @type {HTMLElement|null} */ (null),
@@ -214,6 +242,8 @@ const state = {
   toggles: { ...TOGGLE_DEFAULTS },
   pixelRatio: 1,
   dynamicScale: 1,
+  pixelWidth: 0,
+  pixelHeight: 0,
   logicalWidth: 0,
   logicalHeight: 0,
   renderScale: 1,
@@ -237,19 +267,19 @@ const state = {
     width: 2,
     height: 2,
   },
-  glow: {
-    enabled: true,
-    scale: 0.5,
-    strength: 0.65,
-    canvas: /** @type {HTMLCanvasElement|null} */ (null),
-    ctx: /** @type {CanvasRenderingContext2D|null} */ (null),
-  },
   keyHandlersBound: false,
   resizeHandlerBound: false,
   resizeTimerId: 0,
   fullscreenChangeBound: false,
   frameSeed: 0,
   palette: paletteState,
+  drawStyle: DEFAULT_DRAW_STYLE,
+  constellation: DEFAULT_CONSTELLATION,
+  offline: {
+    enabled: false,
+    width: 0,
+    height: 0,
+  },
 };
 
 applyPaletteToDom();
@@ -267,15 +297,6 @@ function clamp(value, min, max) {
   return value;
 }
 
-function fract(value) {
-  return value - Math.floor(value);
-}
-
-function hash(index, frameSeed = 0) {
-  const x = Math.sin(index * 12.9898 + frameSeed * 78.233);
-  return fract(x * 43758.5453);
-}
-
 function emit(eventName, detail) {
   const handlers = listeners.get(eventName);
   if (handlers) {
@@ -338,57 +359,38 @@ function formatTrackTime(current, duration) {
   return `${cur} / ${dur}`;
 }
 
-function ensureGlowCanvas() {
-  if (!state.canvas || !state.ctx) {
-    return;
-  }
-  if (!state.glow.canvas) {
-    state.glow.canvas = document.createElement('canvas');
-    state.glow.ctx = state.glow.canvas.getContext('2d', { alpha: true });
-  }
-  const glowCanvas = state.glow.canvas;
-  const glowCtx = state.glow.ctx;
-  if (!glowCanvas || !glowCtx) {
-    state.glow.enabled = false;
-    return;
-  }
-
-  const pixelWidth = Math.max(1, Math.round(state.canvas.width * state.glow.scale));
-  const pixelHeight = Math.max(1, Math.round(state.canvas.height * state.glow.scale));
-  if (glowCanvas.width !== pixelWidth || glowCanvas.height !== pixelHeight) {
-    glowCanvas.width = pixelWidth;
-    glowCanvas.height = pixelHeight;
-  }
-
-  const scale = state.pixelRatio * state.dynamicScale * state.glow.scale;
-  glowCtx.setTransform(scale, 0, 0, scale, 0, 0);
-  glowCtx.globalCompositeOperation = 'source-over';
-}
-
 function ensureCanvasSize(force = false) {
-  if (!state.canvas || !state.ctx) {
+  if (!state.canvas || !state.backend) {
     return;
   }
-  const cssWidth = state.canvas.clientWidth || window.innerWidth || 1;
-  const cssHeight = state.canvas.clientHeight || window.innerHeight || 1;
-  const pixelRatio = clamp(window.devicePixelRatio || 1, 1, MAX_PIXEL_RATIO);
+  const offline = state.offline.enabled;
+  const cssWidth = offline ? state.offline.width : state.canvas.clientWidth || window.innerWidth || 1;
+  const cssHeight = offline ? state.offline.height : state.canvas.clientHeight || window.innerHeight || 1;
+  const pixelRatio = offline ? 1 : clamp(window.devicePixelRatio || 1, 1, MAX_PIXEL_RATIO);
   state.pixelRatio = pixelRatio;
 
-  const scale = state.dynamicScale;
+  const scale = offline ? 1 : state.dynamicScale;
   const desiredWidth = Math.max(1, Math.round(cssWidth * pixelRatio * scale));
   const desiredHeight = Math.max(1, Math.round(cssHeight * pixelRatio * scale));
-
-  if (force || state.canvas.width !== desiredWidth || state.canvas.height !== desiredHeight) {
-    state.canvas.width = desiredWidth;
-    state.canvas.height = desiredHeight;
-    state.ctx.setTransform(pixelRatio * scale, 0, 0, pixelRatio * scale, 0, 0);
-    state.ctx.globalCompositeOperation = 'source-over';
-    ensureGlowCanvas();
-  }
+  const resized = force || state.pixelWidth !== desiredWidth || state.pixelHeight !== desiredHeight
+    || state.logicalWidth !== cssWidth || state.logicalHeight !== cssHeight;
 
   state.logicalWidth = cssWidth;
   state.logicalHeight = cssHeight;
   state.renderScale = Math.min(cssWidth, cssHeight) * 0.5;
+
+  if (resized) {
+    state.pixelWidth = desiredWidth;
+    state.pixelHeight = desiredHeight;
+    // A transferred canvas rejects size changes from the main thread, so the backend owns the pixel size.
+    state.backend.resize({
+      pixelWidth: desiredWidth,
+      pixelHeight: desiredHeight,
+      transformScale: pixelRatio * scale,
+      logicalWidth: cssWidth,
+      logicalHeight: cssHeight,
+    });
+  }
 }
 
 function updateVolumeDisplay(value) {
@@ -595,50 +597,6 @@ function adjustDynamicScale(frameTimeMs, rollingFrameTimeMs) {
   }
 }
 
-function fadeCanvas(alpha) {
-  if (!state.ctx || !state.canvas) {
-    return;
-  }
-  state.ctx.save();
-  state.ctx.setTransform(1, 0, 0, 1, 0, 0);
-  state.ctx.globalCompositeOperation = 'source-over';
-  const bg = state.palette.backgroundRgb;
-  state.ctx.fillStyle = `rgba(${bg.r}, ${bg.g}, ${bg.b}, ${alpha})`;
-  state.ctx.fillRect(0, 0, state.canvas.width, state.canvas.height);
-  state.ctx.restore();
-  state.ctx.setTransform(state.pixelRatio * state.dynamicScale, 0, 0, state.pixelRatio * state.dynamicScale, 0, 0);
-}
-
-function fadeGlow(alpha) {
-  if (!state.glow.ctx || !state.glow.canvas) {
-    return;
-  }
-  const glowCtx = state.glow.ctx;
-  glowCtx.save();
-  glowCtx.setTransform(1, 0, 0, 1, 0, 0);
-  glowCtx.globalCompositeOperation = 'source-over';
-  glowCtx.fillStyle = `rgba(0, 0, 0, ${alpha})`;
-  glowCtx.fillRect(0, 0, state.glow.canvas.width, state.glow.canvas.height);
-  glowCtx.restore();
-  const scale = state.pixelRatio * state.dynamicScale * state.glow.scale;
-  glowCtx.setTransform(scale, 0, 0, scale, 0, 0);
-  glowCtx.globalCompositeOperation = 'lighter';
-}
-
-function compositeGlow() {
-  if (!state.ctx || !state.glow.canvas || !state.glow.ctx) {
-    return;
-  }
-  const ctx = state.ctx;
-  ctx.save();
-  ctx.globalCompositeOperation = 'lighter';
-  ctx.globalAlpha = clamp(state.glow.strength, 0, 1);
-  ctx.filter = 'blur(18px)';
-  ctx.drawImage(state.glow.canvas, 0, 0, state.logicalWidth, state.logicalHeight);
-  ctx.filter = 'none';
-  ctx.restore();
-}
-
 function updateHudText() {
   if (state.hud.title) {
     state.hud.title.textContent = state.trackTitle;
@@ -676,6 +634,12 @@ function handleKeyDown(event) {
     case 'KeyF':
       handleToggleChange('fullscreen', !state.toggles.fullscreen, 'keyboard');
       break;
+    case 'KeyT':
+      emit('toggleTimeline');
+      break;
+    case 'KeyQ':
+      emit('toggleQueue');
+      break;
     case 'BracketLeft':
       emit('adjustParticles', { delta: event.shiftKey ? -0.2 : -0.08 });
       break;
@@ -764,18 +728,88 @@ function assertElement(element, message) {
   return element;
 }
 
+function replaceCanvasElement() {
+  const previous = state.canvas;
+  if (!previous || !previous.parentNode) {
+    return;
+  }
+  const fresh = /** @type {HTMLCanvasElement} */ (previous.cloneNode(false));
+  previous.replaceWith(fresh);
+  state.canvas = fresh;
+  applyPaletteToDom();
+}
+
+function handleBackendError(name, error) {
+  if (state.backendName !== name) {
+    return;
+  }
+  console.warn(`[render] ${name} backend failed; falling back to Canvas 2D.`, error);
+  state.preferredBackend = RENDER_BACKENDS.CANVAS_2D;
+  activateBackend(RENDER_BACKENDS.CANVAS_2D);
+  emit('backendError', { backend: name, error });
+}
+
+/**
+ * Tears down the current backend and hands the canvas to `name`. Falls back to Canvas 2D when the
+ * requested backend is unsupported or fails to start.
+ * @returns {string} The backend that is now active.
+ */
+function activateBackend(name) {
+  if (!state.canvas) {
+    return state.backendName;
+  }
+  let resolved = resolveBackendName(name);
+  if (!isBackendSupported(resolved)) {
+    console.warn(`[render] ${resolved} backend unsupported; using Canvas 2D.`);
+    resolved = RENDER_BACKENDS.CANVAS_2D;
+  }
+  if (state.backend && state.backendName === resolved) {
+    return resolved;
+  }
+  state.backend?.destroy();
+  state.backend = null;
+  if (state.canvasClaimed) {
+    replaceCanvasElement();
+  }
+
+  const backend = createRenderBackend(resolved, {
+    createWorker: state.createWorker,
+    onError: (error) => handleBackendError(resolved, error),
+  });
+  try {
+    state.canvasClaimed = true;
+    backend.init({ canvas: state.canvas });
+  } catch (error) {
+    backend.destroy();
+    if (resolved === RENDER_BACKENDS.CANVAS_2D) {
+      throw error;
+    }
+    console.warn(`[render] ${resolved} backend failed to start; using Canvas 2D.`, error);
+    return activateBackend(RENDER_BACKENDS.CANVAS_2D);
+  }
+
+  state.backend = backend;
+  state.backendName = resolved;
+  state.pixelWidth = 0;
+  state.pixelHeight = 0;
+  ensureCanvasSize(true);
+  return resolved;
+}
+
 export function init(options = {}) {
   if (state.initialized) {
     return;
   }
   const canvas = assertElement(options.canvas || document.getElementById('c'), 'Canvas element #c is required.');
-  const ctx = canvas.getContext('2d', { alpha: true, desynchronized: true });
-  if (!ctx) {
-    throw new Error('Failed to acquire 2D rendering context.');
-  }
-
   state.canvas = canvas;
-  state.ctx = ctx;
+  state.canvasClaimed = false;
+  state.createWorker = options.createWorker;
+  try {
+    state.preferredBackend = activateBackend(options.backend ?? state.preferredBackend);
+  } catch (error) {
+    state.canvas = null;
+    throw error;
+  }
   applyPaletteToDom();
 
   const hudRoot = assertElement(options.hud || document.getElementById('hud'), 'HUD element #hud is required.');
@@ -798,7 +832,6 @@ export function init(options = {}) {
   });
   updateVolumeDisplay(Number(volumeSlider.value));
 
-  ensureCanvasSize(true);
   bindKeyboard();
   bindResize();
   bindFullscreenChange();
@@ -821,11 +854,12 @@ export function destroy() {
     state.resizeTimerId = 0;
   }
 
+  state.backend?.destroy();
+  state.backend = null;
+  state.backendName = RENDER_BACKENDS.CANVAS_2D;
   state.initialized = false;
   state.canvas = null;
-  state.ctx = null;
-  state.glow.canvas = null;
-  state.glow.ctx = null;
+  state.canvasClaimed = false;
   state.hud.root = null;
   state.hud.title = null;
   state.hud.time = null;
@@ -849,6 +883,94 @@ export function setPalette(palette) {
   return getPalette();
 }
 
+export function getDrawStyle() {
+  return { ...state.drawStyle };
+}
+
+/**
+ * Selects how particles are drawn (see `js/draw-styles.js`). Accepts a preset `drawStyle` block or a style name;
+ * anything unrecognized falls back to the classic orbs.
+ */
+export function setDrawStyle(style) {
+  state.drawStyle = resolveDrawStyle(style);
+  return getDrawStyle();
+}
+
+export function getConstellation() {
+  return { ...state.constellation };
+}
+
+/**
+ * Configures the nearest-neighbour link pass (see `js/constellation.js`) from a preset `constellation` block.
+ * The per-frame density arrives separately as the `linkDensity` render param.
+ */
+export function setConstellation(config) {
+  state.constellation = resolveConstellation(config);
+  return getConstellation();
+}
+
+/**
+ * Latest flash-guard measurement of the rendered canvas ({luminance, red, sequence}), or null before the first
+ * sample. `sequence` increases with every new sample. Offline renders are not sampled.
+ */
+export function getFrameSample() {
+  return state.backend?.getFrameSample?.() ?? null;
+}
+
+export function getCanvas() {
+  return state.canvas;
+}
+
+/**
+ * Switches the live renderer. Leaving a backend swaps in a fresh `<canvas>` element, so callers must not hold
+ * on to a previous `getCanvas()` result.
+ * @param {string} name One of RENDER_BACKENDS.
+ * @returns {string} The backend selected for live rendering (Canvas 2D when `name` is unsupported).
+ */
+export function setBackend(name) {
+  const requested = resolveBackendName(name);
+  state.preferredBackend = isBackendSupported(requested) ? requested : RENDER_BACKENDS.CANVAS_2D;
+  if (state.initialized && !state.offline.enabled) {
+    state.preferredBackend = activateBackend(state.preferredBackend);
+  }
+  return state.preferredBackend;
+}
+
+/**
+ * @returns {string} The backend selected for live rendering. Offline renders always use Canvas 2D.
+ */
+export function getBackend() {
+  return state.preferredBackend;
+}
+
+/**
+ * Locks the canvas to a fixed pixel size for offline capture. Dynamic scaling is
+ * suspended and the frame seed is rewound so repeated renders match exactly.
+ * Capture needs a main-thread canvas, so Canvas 2D stands in for the selected backend until
+ * offline mode ends. Pass null to return to window-driven sizing.
+ * @param {{width: number, height: number}|null} options
+ */
+export function setOfflineMode(options) {
+  const enabled = Boolean(options);
+  state.offline.enabled = enabled;
+  state.offline.width = enabled ? Math.max(1, Math.round(Number(options.width) || 1280)) : 0;
+  state.offline.height = enabled ? Math.max(1, Math.round(Number(options.height) || 720)) : 0;
+  state.frameCounter = 0;
+  state.frameSeed = 0;
+  state.lastTime = 0;
+  if (enabled) {
+    state.dynamicScale = MAX_DYNAMIC_SCALE;
+  }
+  if (state.initialized) {
+    activateBackend(enabled ? RENDER_BACKENDS.CANVAS_2D : state.preferredBackend);
+  }
+  ensureCanvasSize(true);
+  if (enabled) {
+    state.backend?.clear(state.palette);
+  }
+  return state.offline.enabled;
+}
+
 export function setWorldSize(width, height) {
   if (!Number.isFinite(width) || !Number.isFinite(height)) {
     return;
@@ -909,170 +1031,13 @@ function resolveParams(input = {}) {
   PARAM_SCRATCH.sparkleDensity = clamp(input.sparkleDensity ?? 0.05, 0, 1);
   const zoom = Number.isFinite(input.zoom) ? input.zoom : 1;
   PARAM_SCRATCH.zoom = clamp(zoom, 0.5, 20);
+  PARAM_SCRATCH.beatPulse = clamp(input.beatPulse ?? 0, 0, 1);
+  PARAM_SCRATCH.linkDensity = clamp(input.linkDensity ?? 0.5, 0, 1);
   return PARAM_SCRATCH;
 }
 
-function prepareGlow(glowLevel) {
-  state.glow.enabled = glowLevel > 0.01;
-  if (state.glow.enabled) {
-    state.glow.strength = clamp(glowLevel * 0.85, 0.1, 0.9);
-    ensureGlowCanvas();
-    fadeGlow(1 - glowLevel * 0.6);
-  }
-}
-
-function drawParticles(particles, params, dt) {
-  if (!particles || !state.ctx) {
-    return;
-  }
-  const positionsX = particles.positions?.x;
-  const positionsY = particles.positions?.y;
-  const life = particles.life;
-  const maxLife = particles.maxLife;
-  const masses = particles.masses;
-  const alive = particles.alive;
-  const indices = particles.indices;
-  const count = Math.min(particles.count ?? 0, indices ? indices.length : 0);
-
-  if (!positionsX || !positionsY || !life || !maxLife || !indices || count === 0) {
-    return;
-  }
-
-  const ctx = state.ctx;
-  const glowCtx = state.glow.enabled ? state.glow.ctx : null;
-  if (glowCtx) {
-    glowCtx.globalCompositeOperation = 'lighter';
-  }
-
-  const centerX = state.logicalWidth * 0.5;
-  const centerY = state.logicalHeight * 0.5;
-  const zoomRaw = Number.isFinite(params.zoom) ? params.zoom : 1;
-  const zoom = clamp(zoomRaw, 0.5, 20);
-  const halfWorldWidth = Math.max(state.world.width * 0.5, 1e-3);
-  const halfWorldHeight = Math.max(state.world.height * 0.5, 1e-3);
-  const widthScale = (state.logicalWidth * 0.5) / halfWorldWidth;
-  const heightScale = (state.logicalHeight * 0.5) / halfWorldHeight;
-  const scaleBase = Math.max(widthScale, heightScale);
-  const scale = scaleBase * (zoom >= 1 ? zoom : 1);
-
-  const jitter = params.sizeJitter;
-  const sparkle = params.sparkleDensity;
-  const palette = state.palette;
-  const accentCount = palette.accentHsl.length;
-  const hueBase = wrapHue360((palette.baseHue ?? DEFAULT_BASE_HUE) + params.hueShift);
-
-  const maxConnections =
-    CONNECTION_FRACTION > 0 ? Math.min(Math.floor(count * CONNECTION_FRACTION * 0.5), count) : 0;
-  const connectionStride = maxConnections > 0 ? Math.max(1, Math.round(count / maxConnections)) : count + 1;
-  const pixelScale = Math.max(0.001, state.pixelRatio * state.dynamicScale);
-  const connectionLineWidth = clamp(0.7 / pixelScale, 0.25, 1.15);
-  let connectionsDrawn = 0;
-
-  ctx.save();
-  ctx.globalCompositeOperation = 'lighter';
-
-  const sparkleThreshold = 1 - sparkle * 0.6;
-  const fadeBoost = dt ? Math.exp(-dt * 1.6) : 1;
-  const connectionAlphaBase = clamp(0.08 + (1 - params.trailFade) * 0.22, 0.06, 0.35) * fadeBoost;
-
-  for (let i = 0; i < count; i += 1) {
-    const index = indices[i];
-    if (alive && alive[index] === 0) {
-      continue;
-    }
-
-    const px = positionsX[index];
-    const py = positionsY[index];
-
-    const sx = centerX + px * scale;
-    const sy = centerY + py * scale;
-
-    const max = maxLife[index] || 1;
-    const current = life[index] || 0;
-    const lifeT = clamp(current / max, 0, 1);
-    const baseMass = masses ? masses[index] : 1;
-    const rng = hash(index, state.frameSeed);
-    const sizeJitter = 1 + (rng - 0.5) * 2 * jitter;
-    const radius = (1.6 + baseMass * 1.1) * sizeJitter * (0.6 + (1 - lifeT) * 0.6);
-
-    const accent = accentCount > 0 ? palette.accentHsl[Math.floor(rng * accentCount)] : null;
-    let hue = wrapHue360(hueBase + rng * 36 + lifeT * 72);
-    let saturation = 78;
-    let bodyLight = 48 + (1 - lifeT) * 32;
-    let glowLight = 60;
-    let sparkleLight = clamp(bodyLight + 16, 0, 100);
-    if (accent) {
-      hue = wrapHue360(accent.h + params.hueShift + (rng - 0.5) * 24 + lifeT * 14);
-      saturation = clamp(accent.s * (0.85 + (1 - lifeT) * 0.18), 20, 100);
-      const accentLight = clamp(accent.l, 10, 88);
-      bodyLight = clamp(accentLight * 0.7 + (1 - lifeT) * 28, 8, 94);
-      glowLight = clamp(accentLight + 24, 14, 98);
-      sparkleLight = clamp(bodyLight + 14, 0, 100);
-    }
-    const alpha = clamp(0.25 + (1 - lifeT) * 0.55, 0.1, 0.85) * fadeBoost;
-
-    if (
-      maxConnections > 0 &&
-      connectionsDrawn < maxConnections &&
-      (i % connectionStride === 0 || connectionsDrawn < maxConnections * 0.4)
-    ) {
-      const partnerSeed = fract(rng * 97.417 + i * 0.611 + state.frameSeed * 0.733);
-      let partnerSlot = Math.floor(partnerSeed * count);
-      if (partnerSlot === i) {
-        partnerSlot = (partnerSlot + 1) % count;
-      }
-      const partnerIndex = indices[partnerSlot];
-      if (partnerIndex !== index && (!alive || alive[partnerIndex] !== 0)) {
-        const connectionAlpha = clamp(connectionAlphaBase * (1.15 - lifeT * 0.6), 0.025, 0.38);
-        const connectionHue = wrapHue360(hue + (partnerSeed - 0.5) * 18);
-        const connectionSat = Math.round(clamp(saturation * 0.6 + 18, 10, 95));
-        const connectionLight = Math.round(clamp(bodyLight * 0.82 + 12, 12, 92));
-        ctx.lineWidth = connectionLineWidth;
-        ctx.strokeStyle = `hsl(${Math.round(connectionHue)}, ${connectionSat}%, ${connectionLight}%)`;
-        ctx.globalAlpha = connectionAlpha;
-        ctx.beginPath();
-        ctx.moveTo(sx, sy);
-        ctx.lineTo(centerX + positionsX[partnerIndex] * scale, centerY + positionsY[partnerIndex] * scale);
-        ctx.stroke();
-        connectionsDrawn += 1;
-      }
-    }
-
-    ctx.fillStyle = `hsl(${Math.round(hue)}, ${Math.round(saturation)}%, ${Math.round(bodyLight)}%)`;
-    ctx.globalAlpha = alpha;
-    ctx.beginPath();
-    ctx.arc(sx, sy, radius, 0, TAU);
-    ctx.fill();
-
-    if (glowCtx) {
-      glowCtx.fillStyle = `hsl(${Math.round(hue)}, ${Math.round(Math.min(100, saturation + 8))}%, ${Math.round(glowLight)}%)`;
-      glowCtx.globalAlpha = clamp(alpha * 0.8, 0.05, 0.6);
-      glowCtx.beginPath();
-      glowCtx.arc(sx, sy, radius * 1.6, 0, TAU);
-      glowCtx.fill();
-    }
-
-    if (rng > sparkleThreshold) {
-      const sparkleAlpha = clamp((rng - sparkleThreshold) * 5, 0.1, 0.8);
-      const sparkleHue = wrapHue360(hue + (accent ? (rng - 0.5) * 12 : 0));
-      const sparkleSat = Math.round(clamp(saturation + 12, 0, 100));
-      ctx.fillStyle = `hsl(${Math.round(sparkleHue)}, ${sparkleSat}%, ${Math.round(sparkleLight)}%)`;
-      ctx.globalAlpha = sparkleAlpha;
-      ctx.beginPath();
-      ctx.arc(sx, sy, radius * 0.45, 0, TAU);
-      ctx.fill();
-    }
-  }
-
-  ctx.restore();
-  ctx.globalAlpha = 1;
-  if (glowCtx) {
-    glowCtx.globalAlpha = 1;
-  }
-}
-
 export function renderFrame(particles, renderParams = {}, metrics = {}) {
-  if (!state.initialized || !state.ctx) {
+  if (!state.initialized || !state.backend) {
     return;
   }
 
@@ -1092,30 +1057,49 @@ export function renderFrame(particles, renderParams = {}, metrics = {}) {
       : fpsInstant;
 
   state.lastTime = now;
-  state.frameCounter += 1;
+  state.frameCounter = Number.isInteger(metrics.frameIndex) ? metrics.frameIndex + 1 : state.frameCounter + 1;
   state.frameSeed = state.frameCounter * 0.37;
 
   ensureCanvasSize();
-  adjustDynamicScale(frameTimeInstant, frameTimeAverage);
+  if (!state.offline.enabled) {
+    adjustDynamicScale(frameTimeInstant, frameTimeAverage);
+  }
   updateFps(frameTimeInstant, fpsInstant, fpsAverage);
 
   const params = resolveParams(renderParams);
   const fadeAlpha = clamp(1 - params.trailFade, 0.02, 0.35);
 
-  fadeCanvas(TRAIL_BASE_ALPHA + fadeAlpha * 0.75);
-
-  prepareGlow(params.glow);
-  drawParticles(particles, params, dt);
-
-  if (state.glow.enabled) {
-    compositeGlow();
-  }
+  const frame = FRAME_SCRATCH;
+  frame.dt = dt;
+  frame.frameSeed = state.frameSeed;
+  frame.fadeAlpha = TRAIL_BASE_ALPHA + fadeAlpha * 0.75;
+  frame.glowLevel = params.glow;
+  frame.beatPulse = params.beatPulse;
+  frame.palette = state.palette;
+  frame.world = state.world;
+  frame.drawStyle = state.drawStyle;
+  frame.constellation = state.constellation;
+  frame.sampleFlash = !state.offline.enabled && state.frameCounter % FLASH_SAMPLE_INTERVAL === 0;
+
+  const backend = state.backend;
+  backend.beginFrame(frame);
+  backend.drawParticles(particles, params, frame);
+  backend.endFrame(frame);
 }
 
 export default {
   init,
   destroy,
   renderFrame,
+  getCanvas,
+  getFrameSample,
+  setDrawStyle,
+  getDrawStyle,
+  setConstellation,
+  getConstellation,
+  setBackend,
+  getBackend,
+  setOfflineMode,
   setWorldSize,
   setTrackTitle,
   updateTrackTime,
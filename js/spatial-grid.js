@@ -0,0 +1,123 @@
+/**
+ * Uniform-grid spatial index built by counting sort, so neighbour queries over n particles stay O(n·k).
+ * Shared by physics flocking and the renderer's constellation pass. Slots are ordered by cell; `index[slot]`
+ * maps back to the particle buffer and `posX/posY[slot]` cache its position for cache-friendly scans.
+ */
+
+const DEFAULT_MAX_CELLS = 16384;
+
+export function createSpatialGrid() {
+  return {
+    cols: 0,
+    rows: 0,
+    minX: 0,
+    minY: 0,
+    cellWidth: 1,
+    cellHeight: 1,
+    count: 0,
+    cellStart: /** @type {Int32Array} */ (new Int32Array(1)),
+    cellCursor: /** @type {Int32Array} */ (new Int32Array(0)),
+    particleCell: /** @type {Int32Array} */ (new Int32Array(0)),
+    index: /** @type {Uint32Array} */ (new Uint32Array(0)),
+    posX: /** @type {Float32Array} */ (new Float32Array(0)),
+    posY: /** @type {Float32Array} */ (new Float32Array(0)),
+  };
+}
+
+/**
+ * Clamps a coordinate to its cell, so points outside the bounds land in the border cells.
+ */
+export function cellOf(value, min, size, count) {
+  const cell = Math.floor((value - min) / size);
+  return cell < 0 ? 0 : cell >= count ? count - 1 : cell;
+}
+
+function ensureCapacity(grid, count) {
+  if (grid.index.length >= count) {
+    return;
+  }
+  grid.particleCell = new Int32Array(count);
+  grid.index = new Uint32Array(count);
+  grid.posX = new Float32Array(count);
+  grid.posY = new Float32Array(count);
+}
+
+function ensureCells(grid, width, height, cellSize, maxCells) {
+  const size = Math.max(cellSize, 1e-6);
+  let cols = Math.max(1, Math.floor(width / size));
+  let rows = Math.max(1, Math.floor(height / size));
+  if (cols * rows > maxCells) {
+    const shrink = Math.sqrt((cols * rows) / maxCells);
+    cols = Math.max(1, Math.floor(cols / shrink));
+    rows = Math.max(1, Math.floor(rows / shrink));
+  }
+  const cellCount = cols * rows;
+  if (grid.cellStart.length !== cellCount + 1) {
+    grid.cellStart = new Int32Array(cellCount + 1);
+    grid.cellCursor = new Int32Array(cellCount);
+  }
+  grid.cols = cols;
+  grid.rows = rows;
+  grid.cellWidth = width / cols;
+  grid.cellHeight = height / rows;
+}
+
+/**
+ * Sorts `indices[0..count)` into the grid. Cells are at least `cellSize` wide, so every point within
+ * `cellSize` of a query lies in the query's cell or one of its eight neighbours.
+ * @param {ReturnType<typeof createSpatialGrid>} grid
+ * @param {{
+ *   positionsX: Float32Array,
+ *   positionsY: Float32Array,
+ *   indices: ArrayLike<number>,
+ *   count: number,
+ *   minX: number,
+ *   minY: number,
+ *   width: number,
+ *   height: number,
+ *   cellSize: number,
+ *   maxCells?: number,
+ * }} options
+ */
+export function buildSpatialGrid(grid, {
+  positionsX,
+  positionsY,
+  indices,
+  count,
+  minX,
+  minY,
+  width,
+  height,
+  cellSize,
+  maxCells = DEFAULT_MAX_CELLS,
+}) {
+  ensureCapacity(grid, count);
+  ensureCells(grid, width, height, cellSize, maxCells);
+  grid.minX = minX;
+  grid.minY = minY;
+  grid.count = count;
+  const { cols, rows, cellWidth, cellHeight, cellStart, cellCursor, particleCell } = grid;
+
+  cellStart.fill(0);
+  for (let i = 0; i < count; i += 1) {
+    const index = indices[i];
+    const cx = cellOf(positionsX[index], minX, cellWidth, cols);
+    const cy = cellOf(positionsY[index], minY, cellHeight, rows);
+    const cell = cy * cols + cx;
+    particleCell[i] = cell;
+    cellStart[cell + 1] += 1;
+  }
+  for (let c = 0; c < cols * rows; c += 1) {
+    cellStart[c + 1] += cellStart[c];
+    cellCursor[c] = cellStart[c];
+  }
+  for (let i = 0; i < count; i += 1) {
+    const index = indices[i];
+    const slot = cellCursor[particleCell[i]];
+    cellCursor[particleCell[i]] = slot + 1;
+    grid.index[slot] = index;
+    grid.posX[slot] = positionsX[index];
+    grid.posY[slot] = positionsY[index];
+  }
+  return grid;
+}
@@ -0,0 +1,211 @@
+import { createFeatureExtractor } from './audio-features.js';
+import { ANALYSER_DEFAULTS, createAnalyserEmulator } from './analyser-emulation.js';
+
+/**
+ * Live/offline spectrum parity report.
+ * Plays a buffer through a real `AnalyserNode` inside an `OfflineAudioContext`, reading
+ * `getFloatFrequencyData()` at suspend points, and runs the same buffer through the offline analyser emulation
+ * used by BYOM intake and offline renders. The report gives the dB error between the two spectra and how far
+ * each extracted feature drifts, so training/playback mismatches show up as numbers instead of odd visuals.
+ */
+
+// OfflineAudioContext.suspend() only lands on render-quantum boundaries.
+const RENDER_QUANTUM = 128;
+const TARGET_FPS = 60;
+const DEFAULT_SECONDS = 10;
+const FRAME_MS = 1000 / TARGET_FPS;
+
+/**
+ * Frame end positions (in samples) for a parity run at roughly the live frame rate, aligned to the render
+ * quantum so both paths look at exactly the same samples.
+ * @param {number} totalSamples
+ * @param {number} sampleRate
+ * @param {{seconds?: number, fftSize?: number}} [options]
+ * @returns {number[]}
+ */
+export function planParityFrames(totalSamples, sampleRate, options = {}) {
+  const seconds = options.seconds ?? DEFAULT_SECONDS;
+  const fftSize = options.fftSize ?? ANALYSER_DEFAULTS.fftSize;
+  const hop = Math.max(1, Math.round(sampleRate / TARGET_FPS / RENDER_QUANTUM)) * RENDER_QUANTUM;
+  const limit = Math.min(totalSamples, Math.floor(seconds * sampleRate));
+  const ends = [];
+  for (let end = Math.ceil(fftSize / RENDER_QUANTUM) * RENDER_QUANTUM; end <= limit; end += hop) {
+    ends.push(end);
+  }
+  return ends;
+}
+
+function readWindow(mono, end, target) {
+  const start = Math.max(0, end - target.length);
+  target.fill(0);
+  target.set(mono.subarray(start, end), target.length - (end - start));
+  return target;
+}
+
+/**
+ * Offline path: the analyser emulation over the windows ending at `frameEnds`.
+ * @param {Float32Array} mono
+ * @param {number[]} frameEnds
+ * @param {{fftSize?: number, smoothingTimeConstant?: number}} [options]
+ * @returns {Float32Array[]} dB spectra, one per frame.
+ */
+export function computeEmulatedFrames(mono, frameEnds, options = {}) {
+  const analyser = createAnalyserEmulator(options);
+  const window = new Float32Array(analyser.fftSize);
+  return frameEnds.map((end) => analyser.process(readWindow(mono, end, window)).frequencyDb.slice());
+}
+
+/**
+ * Live path: a real AnalyserNode, read at each frame end through OfflineAudioContext suspend points.
+ * @param {{mono: Float32Array, sampleRate: number, frameEnds: number[], fftSize?: number,
+ *   smoothingTimeConstant?: number, createContext?: (length: number, sampleRate: number) => OfflineAudioContext}} options
+ * @returns {Promise<Float32Array[]>}
+ */
+export async function captureAnalyserFrames({
+  mono,
+  sampleRate,
+  frameEnds,
+  fftSize = ANALYSER_DEFAULTS.fftSize,
+  smoothingTimeConstant = ANALYSER_DEFAULTS.smoothingTimeConstant,
+  createContext = (length, rate) => new OfflineAudioContext(1, length, rate),
+}) {
+  if (frameEnds.length === 0) {
+    return [];
+  }
+  // Render one quantum past the last read; suspend times must fall inside the rendered duration.
+  const length = frameEnds[frameEnds.length - 1] + RENDER_QUANTUM;
+  const context = createContext(length, sampleRate);
+  const buffer = context.createBuffer(1, length, sampleRate);
+  buffer.getChannelData(0).set(mono.subarray(0, Math.min(mono.length, length)));
+
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  const analyser = context.createAnalyser();
+  analyser.fftSize = fftSize;
+  analyser.smoothingTimeConstant = smoothingTimeConstant;
+  source.connect(analyser);
+  analyser.connect(context.destination);
+
+  const frames = [];
+  frameEnds.forEach((end) => {
+    context.suspend(end / sampleRate).then(() => {
+      const data = new Float32Array(analyser.frequencyBinCount);
+      analyser.getFloatFrequencyData(data);
+      frames.push(data);
+      return context.resume();
+    });
+  });
+  source.start(0);
+  await context.startRendering();
+  return frames;
+}
+
+/**
+ * Compares two sets of dB spectra taken over the same windows. Bins where both sides sit below `floorDb`
+ * are skipped, and values are floored there so silent bins (-Infinity) do not dominate. Both sets are also run
+ * through the feature extractor with the same waveform, so feature gaps come from the spectra alone.
+ * @param {{live: Float32Array[], offline: Float32Array[], mono: Float32Array, frameEnds: number[],
+ *   sampleRate: number, fftSize?: number, bands?: readonly number[]|null, floorDb?: number}} options
+ * @returns {{frameCount: number, spectrum: {meanAbsDb: number, maxAbsDb: number, comparedBins: number},
+ *   features: {name: string, meanAbsDiff: number, maxAbsDiff: number}[]}}
+ */
+export function compareSpectrumFrames({
+  live,
+  offline,
+  mono,
+  frameEnds,
+  sampleRate,
+  fftSize = ANALYSER_DEFAULTS.fftSize,
+  bands = null,
+  floorDb = ANALYSER_DEFAULTS.minDecibels,
+}) {
+  const frameCount = Math.min(live.length, offline.length, frameEnds.length);
+  const liveExtractor = createFeatureExtractor({ sampleRate, fftSize, bands, extended: true });
+  const offlineExtractor = createFeatureExtractor({ sampleRate, fftSize, bands, extended: true });
+  const { labels } = liveExtractor.getLayout();
+  const window = new Float32Array(fftSize);
+  const featureCount = labels.length;
+  const featureSums = new Float64Array(featureCount);
+  const featureMax = new Float64Array(featureCount);
+
+  let dbSum = 0;
+  let dbMax = 0;
+  let comparedBins = 0;
+
+  for (let frame = 0; frame < frameCount; frame += 1) {
+    const a = live[frame];
+    const b = offline[frame];
+    const bins = Math.min(a.length, b.length);
+    for (let k = 0; k < bins; k += 1) {
+      const liveDb = Number.isFinite(a[k]) ? Math.max(a[k], floorDb) : floorDb;
+      const offlineDb = Number.isFinite(b[k]) ? Math.max(b[k], floorDb) : floorDb;
+      if (liveDb <= floorDb && offlineDb <= floorDb) {
+        continue;
+      }
+      const diff = Math.abs(liveDb - offlineDb);
+      dbSum += diff;
+      dbMax = Math.max(dbMax, diff);
+      comparedBins += 1;
+    }
+
+    const waveform = readWindow(mono, frameEnds[frame], window);
+    const deltaMs = frame === 0 ? 0 : FRAME_MS;
+    const input = { waveform, deltaMs, sampleRateOverride: sampleRate, fftSizeOverride: fftSize };
+    const liveFeatures = liveExtractor.process({ ...input, frequencyDb: a });
+    const offlineFeatures = offlineExtractor.process({ ...input, frequencyDb: b });
+    for (let i = 0; i < featureCount; i += 1) {
+      const diff = Math.abs(liveFeatures[i] - offlineFeatures[i]);
+      featureSums[i] += diff;
+      featureMax[i] = Math.max(featureMax[i], diff);
+    }
+  }
+
+  const features = labels.map((name, i) => ({
+    name,
+    meanAbsDiff: frameCount > 0 ? featureSums[i] / frameCount : 0,
+    maxAbsDiff: featureMax[i],
+  })).sort((x, y) => y.meanAbsDiff - x.meanAbsDiff);
+
+  return {
+    frameCount,
+    spectrum: {
+      meanAbsDb: comparedBins > 0 ? dbSum / comparedBins : 0,
+      maxAbsDb: dbMax,
+      comparedBins,
+    },
+    features,
+  };
+}
+
+/**
+ * Runs both paths over the first `seconds` of a buffer and compares them. Resolves null when no
+ * OfflineAudioContext is available (e.g. under Node).
+ * @param {{mono: Float32Array, sampleRate: number, seconds?: number, fftSize?: number, bands?: readonly number[]|null,
+ *   smoothingTimeConstant?: number, createContext?: (length: number, sampleRate: number) => OfflineAudioContext}} options
+ */
+export async function measureSpectrumParity({ mono, sampleRate, seconds, createContext, bands, ...analyserOptions }) {
+  if (!createContext && typeof OfflineAudioContext !== 'function') {
+    return null;
+  }
+  const frameEnds = planParityFrames(mono.length, sampleRate, { seconds, fftSize: analyserOptions.fftSize });
+  const live = await captureAnalyserFrames({ mono, sampleRate, frameEnds, createContext, ...analyserOptions });
+  const offline = computeEmulatedFrames(mono, frameEnds, analyserOptions);
+  return compareSpectrumFrames({ live, offline, mono, frameEnds, sampleRate, fftSize: analyserOptions.fftSize, bands });
+}
+
+/**
+ * One-line summary of a parity report.
+ * @param {ReturnType<typeof compareSpectrumFrames>|null} report
+ * @returns {string}
+ */
+export function formatParityReport(report) {
+  if (!report || report.frameCount === 0) {
+    return 'Spectrum parity: not measured.';
+  }
+  const { meanAbsDb, maxAbsDb } = report.spectrum;
+  const worst = report.features[0];
+  return (
+    `Spectrum parity over ${report.frameCount} frames: ${meanAbsDb.toFixed(2)} dB mean / `
+    + `${maxAbsDb.toFixed(2)} dB max; largest feature gap ${worst.name} (${worst.meanAbsDiff.toFixed(4)} mean).`
+  );
+}
@@ -0,0 +1,83 @@
+/**
+ * Stereo field features.
+ * Live, a `ChannelSplitterNode` feeds one AnalyserNode per side (see audio.js); offline, the decoded left and
+ * right channels are windowed exactly like the mono mix. Both paths hand the two time-domain windows here, so the
+ * block comes out the same live and offline. Mid is (L + R) / 2, the mono mix the main analyser sees, and side is
+ * (L - R) / 2.
+ *
+ * - Balance: (R - L) / (R + L) over channel energy, -1 (hard left) to 1 (hard right).
+ * - Width: side RMS over mid + side RMS; 0 for mono, 0.5 for a single side, 1 for fully out-of-phase channels.
+ * - Mid/side energy: RMS of each signal, on the same scale as `rms`.
+ *
+ * Balance and width read 0 while the frame is near silence so noise floors do not swing them around.
+ */
+
+export const STEREO_FEATURE_COUNT = 4;
+
+// About -80 dBFS of combined mid + side level.
+const SILENCE_RMS = 1e-4;
+
+function clamp01(value) {
+  if (!Number.isFinite(value)) {
+    return 0;
+  }
+  if (value <= 0) {
+    return 0;
+  }
+  if (value >= 1) {
+    return 1;
+  }
+  return value;
+}
+
+/**
+ * The left/right pair to analyse from per-channel buffers. Mono sources (or none) fall back to `mono` on both
+ * sides, which reads as centred with no width.
+ * @param {ArrayLike<Float32Array>|null|undefined} channels
+ * @param {Float32Array} [mono]
+ * @returns {[Float32Array, Float32Array]|null}
+ */
+export function resolveStereoPair(channels, mono) {
+  if (channels && channels.length >= 2 && channels[0] && channels[1]) {
+    return [channels[0], channels[1]];
+  }
+  const single = channels?.[0] ?? mono;
+  return single ? [single, single] : null;
+}
+
+/**
+ * Writes balance, width, mid energy, and side energy into `out[0..3]`.
+ * @param {Float32Array} left
+ * @param {Float32Array} right
+ * @param {Float32Array} out
+ * @returns {Float32Array}
+ */
+export function measureStereoField(left, right, out) {
+  const length = Math.min(left.length, right.length);
+  if (length === 0) {
+    out.fill(0);
+    return out;
+  }
+  let leftSum = 0;
+  let rightSum = 0;
+  let midSum = 0;
+  let sideSum = 0;
+  for (let i = 0; i < length; i += 1) {
+    const l = Number.isFinite(left[i]) ? left[i] : 0;
+    const r = Number.isFinite(right[i]) ? right[i] : 0;
+    const mid = (l + r) * 0.5;
+    const side = (l - r) * 0.5;
+    leftSum += l * l;
+    rightSum += r * r;
+    midSum += mid * mid;
+    sideSum += side * side;
+  }
+  const midRms = Math.sqrt(midSum / length);
+  const sideRms = Math.sqrt(sideSum / length);
+  const audible = midRms + sideRms > SILENCE_RMS;
+  out[0] = audible ? (rightSum - leftSum) / (rightSum + leftSum) : 0;
+  out[1] = audible ? sideRms / (midRms + sideRms) : 0;
+  out[2] = clamp01(midRms);
+  out[3] = clamp01(sideRms);
+  return out;
+}
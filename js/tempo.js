@@ -0,0 +1,293 @@
+// Onset-autocorrelation tempo tracker shared by realtime playback and offline BYOM analysis.
+
+export const TEMPO_RANGE = Object.freeze({
+  minBpm: 60,
+  maxBpm: 180,
+});
+
+const ENVELOPE_HZ = 100;
+const ENVELOPE_MS = 1000 / ENVELOPE_HZ;
+const HISTORY_SECONDS = 6;
+const HISTORY_LENGTH = HISTORY_SECONDS * ENVELOPE_HZ;
+const ANALYSIS_INTERVAL_MS = 250;
+const ONSET_BASELINE_MS = 400;
+// Log-Gaussian tempo prior (in octaves) that breaks ties between half/double-time candidates.
+const PRIOR_CENTER_BPM = 120;
+const PRIOR_OCTAVES = 1;
+const BPM_FOLLOW = 0.35;
+const BPM_SWITCH_TOLERANCE = 0.05;
+const BPM_SWITCH_VOTES = 2;
+const PHASE_GAIN = 0.5;
+const PHASE_COMB_BEATS = 4;
+const CONFIDENCE_DECAY_MS = 1500;
+const MAX_STEP_MS = 250;
+const EPSILON = 1e-9;
+
+function clamp01(value) {
+  if (!Number.isFinite(value) || value <= 0) {
+    return 0;
+  }
+  return value >= 1 ? 1 : value;
+}
+
+function wrapPhase(value) {
+  const wrapped = value - Math.floor(value);
+  return Number.isFinite(wrapped) ? wrapped : 0;
+}
+
+function wrapSigned(value) {
+  return wrapPhase(value + 0.5) - 0.5;
+}
+
+/**
+ * Normalises a BPM into [0, 1] across TEMPO_RANGE so it can sit in the feature vector.
+ * Unknown tempo (0) maps to 0.
+ * @param {number} bpm
+ * @returns {number}
+ */
+export function normalizeBpm(bpm) {
+  if (!Number.isFinite(bpm) || bpm <= 0) {
+    return 0;
+  }
+  return clamp01((bpm - TEMPO_RANGE.minBpm) / (TEMPO_RANGE.maxBpm - TEMPO_RANGE.minBpm));
+}
+
+/**
+ * Creates a tempo tracker fed with one onset-strength sample (e.g. spectral flux) per analysis frame.
+ * The onset envelope is resampled onto a fixed 100 Hz grid so live (rAF-paced) and offline (hop-paced)
+ * callers see the same lags. Every 250 ms the envelope is autocorrelated over the 60–180 BPM range,
+ * and a soft phase-locked loop aligns `phase` to a comb over the most recent beats.
+ * @returns {{update: (onset: number, deltaMs: number) => {bpm: number, phase: number, confidence: number, onBeat: boolean}, reset: () => void, getState: () => {bpm: number, phase: number, confidence: number, onBeat: boolean}}}
+ */
+export function createTempoTracker() {
+  const envelope = new Float32Array(HISTORY_LENGTH);
+  const scratch = new Float32Array(HISTORY_LENGTH);
+  const minLag = Math.floor((60 * ENVELOPE_HZ) / TEMPO_RANGE.maxBpm);
+  const maxLag = Math.ceil((60 * ENVELOPE_HZ) / TEMPO_RANGE.minBpm);
+  const correlation = new Float32Array(maxLag + 2);
+  const prior = new Float32Array(maxLag + 2);
+  for (let lag = 1; lag < prior.length; lag += 1) {
+    const octaves = Math.log2((60 * ENVELOPE_HZ) / lag / PRIOR_CENTER_BPM) / PRIOR_OCTAVES;
+    prior[lag] = Math.exp(-0.5 * octaves * octaves);
+  }
+
+  const beat = {
+    bpm: 0,
+    phase: 0,
+    confidence: 0,
+    onBeat: false,
+  };
+
+  let writeIndex = 0;
+  let filled = 0;
+  let binElapsed = 0;
+  let binPeak = 0;
+  let sinceAnalysis = 0;
+  let onsetBaseline = 0;
+  let baselineReady = false;
+  let pendingBpm = 0;
+  let pendingVotes = 0;
+
+  function reset() {
+    envelope.fill(0);
+    writeIndex = 0;
+    filled = 0;
+    binElapsed = 0;
+    binPeak = 0;
+    sinceAnalysis = 0;
+    onsetBaseline = 0;
+    baselineReady = false;
+    pendingBpm = 0;
+    pendingVotes = 0;
+    beat.bpm = 0;
+    beat.phase = 0;
+    beat.confidence = 0;
+    beat.onBeat = false;
+  }
+
+  function pushBin(value) {
+    envelope[writeIndex] = value;
+    writeIndex = (writeIndex + 1) % HISTORY_LENGTH;
+    if (filled < HISTORY_LENGTH) {
+      filled += 1;
+    }
+  }
+
+  function copyChronological() {
+    // scratch[filled - 1] is the newest bin.
+    const start = (writeIndex - filled + HISTORY_LENGTH) % HISTORY_LENGTH;
+    for (let i = 0; i < filled; i += 1) {
+      scratch[i] = envelope[(start + i) % HISTORY_LENGTH];
+    }
+    return filled;
+  }
+
+  function adoptBpm(candidate) {
+    if (beat.bpm <= 0) {
+      beat.bpm = candidate;
+      pendingVotes = 0;
+      return;
+    }
+    if (Math.abs(candidate - beat.bpm) / beat.bpm <= BPM_SWITCH_TOLERANCE) {
+      beat.bpm += (candidate - beat.bpm) * BPM_FOLLOW;
+      pendingVotes = 0;
+      return;
+    }
+    // Require a new tempo to win consecutive analyses before jumping to it.
+    if (pendingVotes > 0 && Math.abs(candidate - pendingBpm) / pendingBpm <= BPM_SWITCH_TOLERANCE) {
+      pendingVotes += 1;
+    } else {
+      pendingBpm = candidate;
+      pendingVotes = 1;
+    }
+    if (pendingVotes >= BPM_SWITCH_VOTES) {
+      beat.bpm = candidate;
+      pendingVotes = 0;
+    }
+  }
+
+  function alignPhase(length, periodBins) {
+    const span = Math.floor(periodBins);
+    const beats = Math.min(PHASE_COMB_BEATS, Math.floor((length - 1) / periodBins));
+    if (span < 1 || beats < 1) {
+      return;
+    }
+    let bestOffset = 0;
+    let bestScore = -1;
+    for (let offset = 0; offset < span; offset += 1) {
+      let score = 0;
+      for (let k = 0; k < beats; k += 1) {
+        const index = length - 1 - offset - Math.round(k * periodBins);
+        if (index >= 0) {
+          score += scratch[index];
+        }
+      }
+      if (score > bestScore) {
+        bestScore = score;
+        bestOffset = offset;
+      }
+    }
+    if (bestScore <= EPSILON) {
+      return;
+    }
+    // The newest bin is half a bin old on average; the strongest comb tooth marks the last beat.
+    const target = wrapPhase((bestOffset + 0.5) / periodBins);
+    const corrected = beat.phase + wrapSigned(target - beat.phase) * PHASE_GAIN;
+    if (corrected >= 1) {
+      beat.onBeat = true;
+    }
+    beat.phase = wrapPhase(corrected);
+  }
+
+  function analyse() {
+    if (filled < maxLag * 2) {
+      return false;
+    }
+    const length = copyChronological();
+    let mean = 0;
+    for (let i = 0; i < length; i += 1) {
+      mean += scratch[i];
+    }
+    mean /= length;
+    let energy = 0;
+    for (let i = 0; i < length; i += 1) {
+      const centered = scratch[i] - mean;
+      scratch[i] = centered;
+      energy += centered * centered;
+    }
+    if (energy <= EPSILON) {
+      return false;
+    }
+    const variance = energy / length;
+
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag += 1) {
+      let sum = 0;
+      for (let i = lag; i < length; i += 1) {
+        sum += scratch[i] * scratch[i - lag];
+      }
+      correlation[lag] = sum / ((length - lag) * variance);
+    }
+
+    let bestLag = -1;
+    let bestScore = 0;
+    for (let lag = minLag; lag <= maxLag; lag += 1) {
+      const value = correlation[lag];
+      if (value <= correlation[lag - 1] || value < correlation[lag + 1]) {
+        continue;
+      }
+      const score = value * prior[lag];
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+    if (bestLag < 0) {
+      return false;
+    }
+
+    const left = correlation[bestLag - 1];
+    const center = correlation[bestLag];
+    const right = correlation[bestLag + 1];
+    const curvature = left - 2 * center + right;
+    const shift = Math.abs(curvature) > EPSILON ? Math.max(-0.5, Math.min(0.5, (0.5 * (left - right)) / curvature)) : 0;
+    const periodBins = bestLag + shift;
+
+    beat.confidence = clamp01(center);
+    adoptBpm((60 * ENVELOPE_HZ) / periodBins);
+
+    // Comb only the above-average onsets so quiet stretches cannot drag the alignment.
+    for (let i = 0; i < length; i += 1) {
+      scratch[i] = Math.max(0, scratch[i]);
+    }
+    alignPhase(length, (60 * ENVELOPE_HZ) / beat.bpm);
+    return true;
+  }
+
+  function update(onset, deltaMs) {
+    const value = Number.isFinite(onset) && onset > 0 ? onset : 0;
+    const stepMs = Number.isFinite(deltaMs) && deltaMs > 0 ? Math.min(deltaMs, MAX_STEP_MS) : ENVELOPE_MS;
+
+    // Half-wave rectify against a slow baseline so sustained energy does not read as onsets.
+    if (!baselineReady) {
+      onsetBaseline = value;
+      baselineReady = true;
+    } else {
+      onsetBaseline += (1 - Math.exp(-stepMs / ONSET_BASELINE_MS)) * (value - onsetBaseline);
+    }
+    const strength = Math.max(0, value - onsetBaseline);
+
+    binPeak = Math.max(binPeak, strength);
+    binElapsed += stepMs;
+    while (binElapsed >= ENVELOPE_MS) {
+      pushBin(binPeak);
+      binElapsed -= ENVELOPE_MS;
+      // Sample-and-hold the frame's onset across every bin it spans.
+      binPeak = binElapsed >= ENVELOPE_MS ? binPeak : strength;
+    }
+
+    beat.onBeat = false;
+    if (beat.bpm > 0) {
+      const advanced = beat.phase + (stepMs * beat.bpm) / 60000;
+      beat.onBeat = advanced >= 1;
+      beat.phase = wrapPhase(advanced);
+    }
+
+    sinceAnalysis += stepMs;
+    if (sinceAnalysis >= ANALYSIS_INTERVAL_MS) {
+      sinceAnalysis = 0;
+      if (!analyse()) {
+        beat.confidence *= Math.exp(-ANALYSIS_INTERVAL_MS / CONFIDENCE_DECAY_MS);
+      }
+    }
+
+    return beat;
+  }
+
+  return {
+    update,
+    reset,
+    getState() {
+      return beat;
+    },
+  };
+}
@@ -0,0 +1,515 @@
+import { resolveAnalysisConfig } from './analysis-config.js';
+import { buildFeatureRemap, createFeatureLayout, FEATURE_LABELS, FEATURE_TYPES, mixToMono } from './audio-features.js';
+import { getActivityLevel } from './audio.js';
+import { applyAutomation } from './automation.js';
+import { analyzeFrames } from './byom-intake.js';
+import * as map from './map.js';
+import { createModel } from './nn.js';
+
+/**
+ * Track timeline.
+ * Bins per-frame feature values, model outputs, and mapped params into fixed-rate min/max
+ * envelopes, either recorded live from the frame loop or precomputed from a decoded AudioBuffer
+ * through the offline BYOM analysis path. The panel draws them as stacked sparklines with a
+ * playhead and turns pointer drags into seek requests.
+ */
+
+export const TIMELINE_RATE_HZ = 20;
+
+export const TIMELINE_SOURCES = Object.freeze({
+  LIVE: 'live',
+  OFFLINE: 'offline',
+});
+
+function buildParamRanges() {
+  return map.PARAM_NAMES.map((name) => {
+    const spec = map.getParamSpec(name);
+    return [spec.min, spec.max];
+  });
+}
+
+export const TIMELINE_GROUPS = Object.freeze({
+  outputs: Object.freeze({
+    label: 'NN Outputs',
+    channels: map.PARAM_NAMES,
+    ranges: Object.freeze(map.PARAM_NAMES.map(() => [-1, 1])),
+  }),
+  params: Object.freeze({
+    label: 'Mapped Params',
+    channels: map.PARAM_NAMES,
+    ranges: Object.freeze(buildParamRanges()),
+  }),
+  features: Object.freeze({
+    label: 'Features',
+    channels: FEATURE_LABELS,
+    ranges: Object.freeze(FEATURE_LABELS.map((label) => (FEATURE_TYPES[label] === 'signed' ? [-1, 1] : [0, 1]))),
+  }),
+});
+
+const GROUP_KEYS = Object.freeze(Object.keys(TIMELINE_GROUPS));
+const FRAME_SECONDS = 1 / 60;
+const LIVE_REDRAW_MS = 250;
+const LABEL_FONT = '10px system-ui, sans-serif';
+const TRACE_COLOR = 'rgba(255, 255, 255, 0.72)';
+const AXIS_COLOR = 'rgba(255, 255, 255, 0.12)';
+const LABEL_COLOR = 'rgba(255, 255, 255, 0.55)';
+const PLAYHEAD_COLOR = '#a78bfa';
+
+function clamp(value, min, max) {
+  if (!Number.isFinite(value)) {
+    return min;
+  }
+  if (value < min) {
+    return min;
+  }
+  if (value > max) {
+    return max;
+  }
+  return value;
+}
+
+function extractChannels(audioBuffer) {
+  if (!audioBuffer) {
+    throw new TypeError('Timeline precompute requires a decoded AudioBuffer.');
+  }
+  if (Array.isArray(audioBuffer.channels)) {
+    return audioBuffer.channels;
+  }
+  const channels = [];
+  for (let ch = 0; ch < audioBuffer.numberOfChannels; ch += 1) {
+    channels.push(audioBuffer.getChannelData(ch));
+  }
+  return channels;
+}
+
+// Feature vectors from a declared band layout are plotted by name against the default channels.
+const featureRemaps = new WeakMap();
+
+function resolveFeatureRemap(featureNames) {
+  if (!featureNames || featureNames === FEATURE_LABELS) {
+    return null;
+  }
+  let remap = featureRemaps.get(featureNames);
+  if (!remap) {
+    remap = buildFeatureRemap(FEATURE_LABELS, featureNames).indices;
+    featureRemaps.set(featureNames, remap);
+  }
+  return remap;
+}
+
+function createGroupBins(binCount, channelCount) {
+  const min = new Float32Array(binCount * channelCount).fill(Infinity);
+  const max = new Float32Array(binCount * channelCount).fill(-Infinity);
+  return { channelCount, min, max };
+}
+
+/**
+ * Allocates empty timeline envelopes covering `duration` seconds.
+ * @param {{duration: number, rateHz?: number, source?: string}} options
+ */
+export function createTimelineData({ duration, rateHz = TIMELINE_RATE_HZ, source = TIMELINE_SOURCES.LIVE } = {}) {
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new RangeError('Timeline duration must be a positive number of seconds.');
+  }
+  const rate = Number.isFinite(rateHz) && rateHz > 0 ? rateHz : TIMELINE_RATE_HZ;
+  const binCount = Math.max(1, Math.ceil(duration * rate));
+  const groups = {};
+  for (const key of GROUP_KEYS) {
+    groups[key] = createGroupBins(binCount, TIMELINE_GROUPS[key].channels.length);
+  }
+  return {
+    duration,
+    rateHz: rate,
+    binCount,
+    source,
+    groups,
+    filled: new Uint8Array(binCount),
+    revision: 0,
+  };
+}
+
+function recordGroup(group, bin, read) {
+  const offset = bin * group.channelCount;
+  for (let i = 0; i < group.channelCount; i += 1) {
+    const value = read(i);
+    if (!Number.isFinite(value)) {
+      continue;
+    }
+    const slot = offset + i;
+    if (value < group.min[slot]) {
+      group.min[slot] = value;
+    }
+    if (value > group.max[slot]) {
+      group.max[slot] = value;
+    }
+  }
+}
+
+/**
+ * Folds one frame into the bin covering `time`. Any of the three groups may be omitted.
+ * `features` and `outputs` are indexed arrays; `params` is keyed by PARAM_NAMES. `featureNames` labels
+ * `features` when they come from a declared band layout; features the default channels lack are not plotted.
+ * @param {ReturnType<typeof createTimelineData>} data
+ * @param {number} time Seconds from the start of the track.
+ * @param {{features?: ArrayLike<number>, featureNames?: readonly string[], outputs?: ArrayLike<number>, params?: Record<string, number>}} frame
+ * @returns {number} The bin index, or -1 when `time` falls outside the track.
+ */
+export function recordTimelineFrame(data, time, { features, featureNames, outputs, params } = {}) {
+  if (!data || !Number.isFinite(time) || time < 0 || time > data.duration) {
+    return -1;
+  }
+  const bin = Math.min(data.binCount - 1, Math.floor(time * data.rateHz));
+  if (features) {
+    const remap = resolveFeatureRemap(featureNames);
+    recordGroup(data.groups.features, bin, remap ? (i) => (remap[i] >= 0 ? features[remap[i]] : Number.NaN) : (i) => features[i]);
+  }
+  if (outputs) {
+    recordGroup(data.groups.outputs, bin, (i) => outputs[i]);
+  }
+  if (params) {
+    recordGroup(data.groups.params, bin, (i) => params[map.PARAM_NAMES[i]]);
+  }
+  data.filled[bin] = 1;
+  data.revision += 1;
+  return bin;
+}
+
+/**
+ * Pre-computes a full-track timeline from decoded audio. Features come from the offline BYOM
+ * analysis pass; model outputs are replayed through `map.update()` against a scratch copy of the
+ * mapping state, which is restored afterwards so live playback is unaffected. Baselines default to
+ * the live mapping's current baselines (i.e. the active preset). Automation lanes, when given, are
+ * blended in before mapping and the `outputs` group records the blended values. `analysis` (FFT size, hop,
+ * bands) defaults to the model's own block.
+ * @param {{audioBuffer: AudioBuffer|{sampleRate: number, channels: Float32Array[]}, modelDefinition?: object|null, analysis?: {fftSize?: number, hopMs?: number}|null, mapBaselines?: Record<string, number>|null, automation?: object|null, onProgress?: (fraction: number) => void, signal?: AbortSignal}} options
+ * @returns {Promise<ReturnType<typeof createTimelineData>>}
+ */
+export async function precomputeTimeline({
+  audioBuffer,
+  modelDefinition = null,
+  analysis = modelDefinition?.analysis ?? null,
+  mapBaselines = null,
+  automation = null,
+  onProgress,
+  signal,
+} = {}) {
+  const channels = extractChannels(audioBuffer);
+  const mono = mixToMono(channels);
+  const sampleRate = audioBuffer.sampleRate;
+  const duration = sampleRate > 0 ? mono.length / sampleRate : 0;
+  const data = createTimelineData({ duration, source: TIMELINE_SOURCES.OFFLINE });
+  const layout = createFeatureLayout(resolveAnalysisConfig(analysis).bands);
+  const model = modelDefinition ? createModel(modelDefinition, { features: layout.labels }) : null;
+  const outputSize = model ? model.outputSize : map.PARAM_NAMES.length;
+
+  const frames = [];
+  const { frameStarts } = await analyzeFrames({
+    mono,
+    channels,
+    sampleRate,
+    duration,
+    analysis,
+    // The features group plots every channel, the timbre/harmony block included.
+    extended: true,
+    model,
+    signal,
+    onProgress,
+    onFrame(features, outputs, index, start) {
+      const time = start / sampleRate;
+      recordTimelineFrame(data, time, { features, featureNames: layout.labels });
+      const raw = outputs ?? new Float32Array(outputSize);
+      frames.push({
+        time,
+        outputs: applyAutomation(automation, time, raw),
+        activity: getActivityLevel(features[layout.index.RMS]),
+        phase: features[layout.index.BEAT_PHASE],
+        confidence: features[layout.index.BEAT_CONFIDENCE],
+      });
+    },
+  });
+
+  const saved = map.snapshot();
+  try {
+    map.reset(mapBaselines ?? saved.baselines);
+    let previousPhase = 0;
+    for (let index = 0; index < frames.length; index += 1) {
+      const frame = frames[index];
+      const dt = index === 0 ? FRAME_SECONDS : (frameStarts[index] - frameStarts[index - 1]) / sampleRate;
+      const mapped = map.update(frame.outputs, {
+        dt: dt > 0 ? dt : FRAME_SECONDS,
+        timestamp: (frame.time + FRAME_SECONDS) * 1000,
+        activity: frame.activity,
+        beat: {
+          phase: frame.phase,
+          confidence: frame.confidence,
+          onBeat: index > 0 && frame.phase < previousPhase,
+        },
+      });
+      previousPhase = frame.phase;
+      recordTimelineFrame(data, frame.time, { outputs: frame.outputs, params: mapped });
+    }
+  } finally {
+    map.restore(saved);
+  }
+
+  onProgress?.(1);
+  return data;
+}
+
+const panel = {
+  root: /** @type {HTMLElement|null} */ (null),
+  canvas: /** @type {HTMLCanvasElement|null} */ (null),
+  ctx: /** @type {CanvasRenderingContext2D|null} */ (null),
+  cache: /** @type {HTMLCanvasElement|null} */ (null),
+  cacheRevision: -1,
+  cacheGroup: '',
+  cacheWidth: 0,
+  cacheHeight: 0,
+  lastCacheAt: 0,
+  group: 'outputs',
+  data: /** @type {ReturnType<typeof createTimelineData>|null} */ (null),
+  playhead: 0,
+  visible: false,
+  scrubbing: false,
+  onSeek: /** @type {((time: number) => void)|null} */ (null),
+};
+
+function resolveGroup(key) {
+  return GROUP_KEYS.includes(key) ? key : 'outputs';
+}
+
+function syncCanvasSize() {
+  const { canvas } = panel;
+  const ratio = typeof window !== 'undefined' ? Math.min(window.devicePixelRatio || 1, 2) : 1;
+  const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+  const height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+}
+
+function drawSparklines(ctx, width, height) {
+  ctx.clearRect(0, 0, width, height);
+  const { data } = panel;
+  const groupSpec = TIMELINE_GROUPS[panel.group];
+  const rows = groupSpec.channels.length;
+  const rowHeight = height / rows;
+  ctx.font = LABEL_FONT;
+  ctx.textBaseline = 'top';
+
+  for (let row = 0; row < rows; row += 1) {
+    const top = row * rowHeight;
+    ctx.fillStyle = AXIS_COLOR;
+    ctx.fillRect(0, Math.round(top + rowHeight - 1), width, 1);
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.fillText(groupSpec.channels[row], 4, top + 1);
+  }
+  if (!data) {
+    return;
+  }
+
+  const group = data.groups[panel.group];
+  ctx.fillStyle = TRACE_COLOR;
+  for (let row = 0; row < rows; row += 1) {
+    const [low, high] = groupSpec.ranges[row];
+    const span = high - low || 1;
+    const top = row * rowHeight + 1;
+    const usable = rowHeight - 2;
+    for (let x = 0; x < width; x += 1) {
+      const binStart = Math.floor((x * data.binCount) / width);
+      const binEnd = Math.max(binStart + 1, Math.floor(((x + 1) * data.binCount) / width));
+      let min = Infinity;
+      let max = -Infinity;
+      for (let bin = binStart; bin < binEnd && bin < data.binCount; bin += 1) {
+        if (!data.filled[bin]) {
+          continue;
+        }
+        const slot = bin * group.channelCount + row;
+        if (group.min[slot] < min) {
+          min = group.min[slot];
+        }
+        if (group.max[slot] > max) {
+          max = group.max[slot];
+        }
+      }
+      if (min > max) {
+        continue;
+      }
+      const yTop = top + (1 - clamp((max - low) / span, 0, 1)) * usable;
+      const yBottom = top + (1 - clamp((min - low) / span, 0, 1)) * usable;
+      ctx.fillRect(x, yTop, 1, Math.max(1, yBottom - yTop));
+    }
+  }
+}
+
+function refreshCache(now) {
+  const { canvas } = panel;
+  if (!panel.cache) {
+    panel.cache = document.createElement('canvas');
+  }
+  const cache = panel.cache;
+  const revision = panel.data ? panel.data.revision : -1;
+  const stale =
+    cache.width !== canvas.width
+    || cache.height !== canvas.height
+    || panel.cacheGroup !== panel.group
+    || panel.cacheRevision !== revision;
+  if (!stale) {
+    return cache;
+  }
+  // Live recording bumps the revision every frame; throttle redraws unless the layout changed.
+  const layoutChanged =
+    cache.width !== canvas.width || cache.height !== canvas.height || panel.cacheGroup !== panel.group;
+  if (!layoutChanged && panel.cacheRevision >= 0 && now - panel.lastCacheAt < LIVE_REDRAW_MS) {
+    return cache;
+  }
+  cache.width = canvas.width;
+  cache.height = canvas.height;
+  const cacheCtx = cache.getContext('2d');
+  if (cacheCtx) {
+    drawSparklines(cacheCtx, cache.width, cache.height);
+  }
+  panel.cacheGroup = panel.group;
+  panel.cacheRevision = revision;
+  panel.lastCacheAt = now;
+  return cache;
+}
+
+function draw(now = performance.now()) {
+  if (!panel.visible || !panel.canvas || !panel.ctx) {
+    return;
+  }
+  syncCanvasSize();
+  const { canvas, ctx } = panel;
+  const cache = refreshCache(now);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(cache, 0, 0);
+
+  const duration = panel.data?.duration ?? 0;
+  if (duration > 0) {
+    const x = Math.round(clamp(panel.playhead / duration, 0, 1) * (canvas.width - 1));
+    ctx.fillStyle = PLAYHEAD_COLOR;
+    ctx.fillRect(x, 0, Math.max(1, Math.round(canvas.width / 600)), canvas.height);
+  }
+}
+
+function seekFromPointer(event) {
+  const duration = panel.data?.duration ?? 0;
+  if (!panel.canvas || !(duration > 0)) {
+    return;
+  }
+  const rect = panel.canvas.getBoundingClientRect();
+  const fraction = rect.width > 0 ? clamp((event.clientX - rect.left) / rect.width, 0, 1) : 0;
+  panel.playhead = fraction * duration;
+  panel.onSeek?.(panel.playhead);
+  draw();
+}
+
+function bindPointer(canvas) {
+  canvas.addEventListener('pointerdown', (event) => {
+    if (event.button !== 0) {
+      return;
+    }
+    panel.scrubbing = true;
+    canvas.setPointerCapture?.(event.pointerId);
+    seekFromPointer(event);
+  });
+  canvas.addEventListener('pointermove', (event) => {
+    if (panel.scrubbing) {
+      seekFromPointer(event);
+    }
+  });
+  const stop = (event) => {
+    panel.scrubbing = false;
+    canvas.releasePointerCapture?.(event.pointerId);
+  };
+  canvas.addEventListener('pointerup', stop);
+  canvas.addEventListener('pointercancel', stop);
+}
+
+/**
+ * Binds the timeline panel. `onSeek(seconds)` fires while the user clicks or drags across the plot.
+ * @param {{root: HTMLElement, canvas: HTMLCanvasElement, groupSelect?: HTMLSelectElement|null, onSeek?: (time: number) => void}} options
+ */
+export function initTimeline({ root, canvas, groupSelect = null, onSeek } = {}) {
+  if (!root || !canvas) {
+    return false;
+  }
+  panel.root = root;
+  panel.canvas = canvas;
+  panel.ctx = canvas.getContext('2d');
+  panel.onSeek = typeof onSeek === 'function' ? onSeek : null;
+  panel.visible = !root.hidden;
+  if (!panel.ctx) {
+    console.warn('[timeline] 2D canvas unavailable; timeline panel disabled.');
+  }
+  bindPointer(canvas);
+  if (groupSelect) {
+    groupSelect.value = panel.group;
+    groupSelect.addEventListener('change', () => {
+      panel.group = resolveGroup(groupSelect.value);
+      draw();
+    });
+  }
+  return true;
+}
+
+/**
+ * Replaces the plotted data; pass null to clear (e.g. on track change).
+ * @param {ReturnType<typeof createTimelineData>|null} data
+ */
+export function setTimelineData(data) {
+  panel.data = data ?? null;
+  panel.cacheRevision = -1;
+  draw();
+}
+
+export function getTimelineData() {
+  return panel.data;
+}
+
+/**
+ * Records one live frame, starting a fresh live timeline when none exists for this track.
+ * Pre-computed timelines are left untouched.
+ * @param {number} time
+ * @param {number} duration
+ * @param {{features?: ArrayLike<number>, outputs?: ArrayLike<number>, params?: Record<string, number>}} frame
+ */
+export function recordLiveFrame(time, duration, frame) {
+  if (!Number.isFinite(duration) || duration <= 0) {
+    return;
+  }
+  if (!panel.data || (panel.data.source === TIMELINE_SOURCES.LIVE && panel.data.duration !== duration)) {
+    panel.data = createTimelineData({ duration, source: TIMELINE_SOURCES.LIVE });
+  }
+  if (panel.data.source !== TIMELINE_SOURCES.LIVE) {
+    return;
+  }
+  recordTimelineFrame(panel.data, time, frame);
+}
+
+/**
+ * Moves the playhead (seconds) and repaints when visible. Ignored mid-scrub so the pointer wins.
+ * @param {number} time
+ */
+export function setTimelinePlayhead(time) {
+  if (!panel.scrubbing && Number.isFinite(time)) {
+    panel.playhead = time;
+  }
+  draw();
+}
+
+export function setTimelineVisible(visible) {
+  panel.visible = Boolean(visible);
+  if (panel.root) {
+    panel.root.hidden = !panel.visible;
+  }
+  panel.cacheRevision = -1;
+  draw();
+  return panel.visible;
+}
+
+export function isTimelineVisible() {
+  return panel.visible;
+}
@@ -1,5 +1,6 @@
 import { loadModelDefinition, createModel, infer } from './nn.js';
 import { isFreshModelId } from './byom-constants.js';
+import { createFreshModelDefinition } from './training-core.js';
 
 const DEFAULT_OPTIONS = Object.freeze({
   learningRateDecay: 1,
@@ -8,9 +9,6 @@ const DEFAULT_OPTIONS = Object.freeze({
   progressThrottleMs: 120,
 });
 
-const FRESH_MODEL_HIDDEN_SIZE = 16;
-const MIN_STD = 1e-6;
-
 const TRAINING_STATUS = Object.freeze({
   IDLE: 'idle',
   PREPARING: 'preparing',
@@ -43,7 +41,7 @@ function clampNumber(value, min, max, fallback) {
   return numeric;
 }
 
-function sanitizeHyperparameters(raw) {
+export function sanitizeHyperparameters(raw) {
   const epochs = clampNumber(raw?.epochs, 1, 500, 400);
   const learningRate = clampNumber(raw?.learningRate, 1e-5, 0.1, 0.01);
   const batchSize = clampNumber(raw?.batchSize, 1, 4096, 1);
@@ -56,97 +54,6 @@ function sanitizeHyperparameters(raw) {
   };
 }
 
-function sanitizeFiniteNumber(value, fallback = 0) {
-  return Number.isFinite(value) ? value : fallback;
-}
-
-function computeDatasetNormalization(dataset) {
-  const featureSize = Number(dataset?.featureSize);
-  const frameCount = Number(dataset?.frameCount);
-  const features = dataset?.features;
-  const size = Number.isInteger(featureSize) && featureSize > 0 ? featureSize : 0;
-  const mean = new Float32Array(size);
-  const std = new Float32Array(size);
-  if (!(features instanceof Float32Array) || size === 0 || frameCount <= 0) {
-    for (let i = 0; i < size; i += 1) {
-      std[i] = 1;
-    }
-    return { mean, std };
-  }
-  const count = Math.max(1, frameCount);
-  for (let frame = 0; frame < frameCount; frame += 1) {
-    const offset = frame * featureSize;
-    for (let i = 0; i < featureSize; i += 1) {
-      mean[i] += sanitizeFiniteNumber(features[offset + i]);
-    }
-  }
-  for (let i = 0; i < featureSize; i += 1) {
-    mean[i] /= frameCount > 0 ? frameCount : 1;
-  }
-  for (let frame = 0; frame < frameCount; frame += 1) {
-    const offset = frame * featureSize;
-    for (let i = 0; i < featureSize; i += 1) {
-      const value = sanitizeFiniteNumber(features[offset + i]);
-      const diff = value - mean[i];
-      std[i] += diff * diff;
-    }
-  }
-  for (let i = 0; i < featureSize; i += 1) {
-    const variance = std[i] / count;
-    const sigma = Math.sqrt(variance);
-    std[i] = Number.isFinite(sigma) && sigma > MIN_STD ? sigma : 1;
-  }
-  return { mean, std };
-}
-
-function randomSigned() {
-  return Math.random() * 2 - 1;
-}
-
-function createFreshModelDefinition(dataset) {
-  const inputSize = Number(dataset?.featureSize);
-  if (!Number.isFinite(inputSize) || inputSize <= 0) {
-    throw new Error('Fresh training requires a dataset with a positive featureSize.');
-  }
-  const outputSize = Number(dataset?.targetSize);
-  if (!Number.isFinite(outputSize) || outputSize <= 0) {
-    throw new Error('Fresh training requires a dataset with a positive targetSize.');
-  }
-  const hiddenSize = FRESH_MODEL_HIDDEN_SIZE;
-  const normalization = computeDatasetNormalization(dataset);
-  const layer1Weights = new Float32Array(hiddenSize * inputSize);
-  const layer1Bias = new Float32Array(hiddenSize);
-  const layer2Weights = new Float32Array(outputSize * hiddenSize);
-  const layer2Bias = new Float32Array(outputSize);
-
-  const scale1 = Math.sqrt(2 / Math.max(inputSize, 1));
-  const scale2 = Math.sqrt(2 / Math.max(hiddenSize, 1));
-
-  for (let i = 0; i < layer1Weights.length; i += 1) {
-    layer1Weights[i] = Math.fround(randomSigned() * scale1);
-  }
-  for (let i = 0; i < layer2Weights.length; i += 1) {
-    layer2Weights[i] = Math.fround(randomSigned() * scale2);
-  }
-
-  return {
-    input: inputSize,
-    normalization,
-    layers: [
-      {
-        activation: 'relu',
-        weights: layer1Weights,
-        bias: layer1Bias,
-      },
-      {
-        activation: 'tanh',
-        weights: layer2Weights,
-        bias: layer2Bias,
-      },
-    ],
-  };
-}
-
 function createWorker() {
   const url = new URL('./workers/train-worker.js', import.meta.url);
   return new Worker(url, { type: 'module' });
@@ -314,6 +221,7 @@ export function createController(callbacks) {
       features: clonedFeatures,
       targets: clonedTargets,
       featureSize: dataset.featureSize,
+      featureNames: Array.isArray(dataset.featureNames) ? dataset.featureNames.slice() : null,
       targetSize: dataset.targetSize,
       frameCount: dataset.frameCount,
       hopSamples: dataset.hopSamples,
@@ -0,0 +1,178 @@
+/**
+ * Shareable URL state.
+ * Encodes what a deep link needs to reproduce a moment — track slug, start time, preset override, palette
+ * step, safe mode, NN bypass, and manual adjustments — as a URL hash, e.g.
+ *
+ *   #track=binary-mirage&t=1:32&safe=1&bypass=0&glow=0.12
+ *
+ * `palette` counts the 20° hue steps of the palette cycle keys. Unknown keys and malformed values are ignored,
+ * so hand-edited links degrade to the defaults instead of failing.
+ */
+
+export const URL_STATE_KEYS = Object.freeze({
+  TRACK: 'track',
+  TIME: 't',
+  PRESET: 'preset',
+  PALETTE: 'palette',
+  SAFE_MODE: 'safe',
+  NN_BYPASS: 'bypass',
+  SPAWN: 'spawn',
+  GLOW: 'glow',
+  SPARKLE: 'sparkle',
+});
+
+export const PALETTE_STEP_DEGREES = 20;
+
+// Same bounds the keyboard adjustments clamp to in app.js.
+const ADJUSTMENT_LIMITS = Object.freeze({
+  spawnOffset: { key: URL_STATE_KEYS.SPAWN, min: -0.4, max: 0.6 },
+  glowOffset: { key: URL_STATE_KEYS.GLOW, min: -0.5, max: 0.5 },
+  sparkleOffset: { key: URL_STATE_KEYS.SPARKLE, min: -0.6, max: 0.6 },
+});
+
+const MAX_PALETTE_STEPS = Math.floor(180 / PALETTE_STEP_DEGREES);
+
+function clamp(value, min, max) {
+  if (!Number.isFinite(value)) {
+    return min;
+  }
+  if (value < min) {
+    return min;
+  }
+  if (value > max) {
+    return max;
+  }
+  return value;
+}
+
+export function slugify(name) {
+  return String(name ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)+/g, '');
+}
+
+/**
+ * Parses `92`, `92.5`, `1:32`, or `1:01:32` into seconds; returns NaN otherwise.
+ * @param {string} value
+ * @returns {number}
+ */
+export function parseTimestamp(value) {
+  const text = String(value ?? '').trim();
+  if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(text)) {
+    return Number.NaN;
+  }
+  return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Formats whole seconds as `m:ss` (or `h:mm:ss`).
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(Number.isFinite(seconds) ? seconds : 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+function parseFlag(value) {
+  if (value === '1' || value === 'true' || value === 'on') {
+    return true;
+  }
+  if (value === '0' || value === 'false' || value === 'off') {
+    return false;
+  }
+  return undefined;
+}
+
+function roundOffset(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Reads the state encoded in a URL hash (with or without the leading `#`). Only fields present in the hash
+ * are set; returns null when it carries none.
+ * @param {string} hash
+ * @returns {{track?: string, time?: number, preset?: string, palette?: number, safeMode?: boolean,
+ *   nnBypass?: boolean, adjustments?: {spawnOffset?: number, glowOffset?: number, sparkleOffset?: number}}|null}
+ */
+export function parseUrlState(hash) {
+  const params = new URLSearchParams(String(hash ?? '').replace(/^#/, ''));
+  const state = {};
+  const track = slugify(params.get(URL_STATE_KEYS.TRACK));
+  if (track) {
+    state.track = track;
+  }
+  const time = parseTimestamp(params.get(URL_STATE_KEYS.TIME));
+  if (Number.isFinite(time)) {
+    state.time = time;
+  }
+  const preset = slugify(params.get(URL_STATE_KEYS.PRESET));
+  if (preset) {
+    state.preset = preset;
+  }
+  const palette = Number.parseInt(params.get(URL_STATE_KEYS.PALETTE) ?? '', 10);
+  if (Number.isInteger(palette)) {
+    state.palette = clamp(palette, -MAX_PALETTE_STEPS, MAX_PALETTE_STEPS);
+  }
+  const safeMode = parseFlag(params.get(URL_STATE_KEYS.SAFE_MODE));
+  if (safeMode !== undefined) {
+    state.safeMode = safeMode;
+  }
+  const nnBypass = parseFlag(params.get(URL_STATE_KEYS.NN_BYPASS));
+  if (nnBypass !== undefined) {
+    state.nnBypass = nnBypass;
+  }
+  Object.entries(ADJUSTMENT_LIMITS).forEach(([name, { key, min, max }]) => {
+    const raw = params.get(key);
+    const value = raw === null || raw.trim() === '' ? Number.NaN : Number(raw);
+    if (Number.isFinite(value)) {
+      state.adjustments = state.adjustments ?? {};
+      state.adjustments[name] = clamp(value, min, max);
+    }
+  });
+  return Object.keys(state).length > 0 ? state : null;
+}
+
+/**
+ * Builds the hash (including `#`) for a state object. Zero palette steps and adjustments are left out.
+ * @param {{track?: string, time?: number, preset?: string|null, palette?: number, safeMode?: boolean,
+ *   nnBypass?: boolean, adjustments?: {spawnOffset?: number, glowOffset?: number, sparkleOffset?: number}}} state
+ * @returns {string}
+ */
+export function formatUrlState(state) {
+  const params = new URLSearchParams();
+  const track = slugify(state?.track);
+  if (track) {
+    params.set(URL_STATE_KEYS.TRACK, track);
+  }
+  if (Number.isFinite(state?.time) && state.time >= 1) {
+    params.set(URL_STATE_KEYS.TIME, formatTimestamp(state.time));
+  }
+  const preset = slugify(state?.preset);
+  if (preset) {
+    params.set(URL_STATE_KEYS.PRESET, preset);
+  }
+  const palette = Math.round(Number(state?.palette));
+  if (Number.isFinite(palette) && palette !== 0) {
+    params.set(URL_STATE_KEYS.PALETTE, String(clamp(palette, -MAX_PALETTE_STEPS, MAX_PALETTE_STEPS)));
+  }
+  if (typeof state?.safeMode === 'boolean') {
+    params.set(URL_STATE_KEYS.SAFE_MODE, state.safeMode ? '1' : '0');
+  }
+  if (typeof state?.nnBypass === 'boolean') {
+    params.set(URL_STATE_KEYS.NN_BYPASS, state.nnBypass ? '1' : '0');
+  }
+  Object.entries(ADJUSTMENT_LIMITS).forEach(([name, { key, min, max }]) => {
+    const value = roundOffset(clamp(Number(state?.adjustments?.[name] ?? 0), min, max));
+    if (value !== 0) {
+      params.set(key, String(value));
+    }
+  });
+  // Keep `:` in timestamps readable; it is valid in a fragment.
+  const text = params.toString().replace(/%3A/gi, ':');
+  return text ? `#${text}` : '';
+}
@@ -0,0 +1,106 @@
+/**
+ * Minimal RIFF/WAVE decoder for PCM (8/16/24/32-bit) and IEEE float (32/64-bit) files.
+ * Used where `AudioContext.decodeAudioData` is unavailable, e.g. the headless training CLI.
+ */
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+function readTag(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3),
+  );
+}
+
+function createSampleReader(view, format, bitsPerSample) {
+  if (format === FORMAT_FLOAT) {
+    if (bitsPerSample === 32) {
+      return (offset) => view.getFloat32(offset, true);
+    }
+    if (bitsPerSample === 64) {
+      return (offset) => view.getFloat64(offset, true);
+    }
+  } else if (format === FORMAT_PCM) {
+    if (bitsPerSample === 8) {
+      return (offset) => (view.getUint8(offset) - 128) / 128;
+    }
+    if (bitsPerSample === 16) {
+      return (offset) => view.getInt16(offset, true) / 32768;
+    }
+    if (bitsPerSample === 24) {
+      return (offset) => {
+        const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+        return value / 8388608;
+      };
+    }
+    if (bitsPerSample === 32) {
+      return (offset) => view.getInt32(offset, true) / 2147483648;
+    }
+  }
+  throw new Error(`Unsupported WAV encoding (format ${format}, ${bitsPerSample}-bit).`);
+}
+
+/**
+ * Decodes a WAV file into per-channel float samples.
+ * Streams piped from encoders often carry placeholder chunk sizes, so the data chunk is clamped to the bytes present.
+ * @param {ArrayBuffer|ArrayBufferView} input
+ * @returns {{sampleRate: number, channels: Float32Array[], duration: number}}
+ */
+export function decodeWav(input) {
+  const view = ArrayBuffer.isView(input)
+    ? new DataView(input.buffer, input.byteOffset, input.byteLength)
+    : new DataView(input);
+  if (view.byteLength < 12 || readTag(view, 0) !== 'RIFF' || readTag(view, 8) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file.');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const tag = readTag(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (tag === 'fmt ') {
+      let formatTag = view.getUint16(body, true);
+      if (formatTag === FORMAT_EXTENSIBLE && size >= 26) {
+        formatTag = view.getUint16(body + 24, true);
+      }
+      format = {
+        formatTag,
+        channelCount: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+    } else if (tag === 'data') {
+      if (!format) {
+        throw new Error('WAV data chunk precedes its fmt chunk.');
+      }
+      const { formatTag, channelCount, sampleRate, blockAlign, bitsPerSample } = format;
+      if (channelCount <= 0 || sampleRate <= 0 || blockAlign <= 0) {
+        throw new Error('WAV fmt chunk is malformed.');
+      }
+      const readSample = createSampleReader(view, formatTag, bitsPerSample);
+      const byteLength = Math.min(size, view.byteLength - body);
+      const frameCount = Math.floor(byteLength / blockAlign);
+      const bytesPerSample = bitsPerSample / 8;
+      const channels = [];
+      for (let ch = 0; ch < channelCount; ch += 1) {
+        channels.push(new Float32Array(frameCount));
+      }
+      for (let frame = 0; frame < frameCount; frame += 1) {
+        const frameOffset = body + frame * blockAlign;
+        for (let ch = 0; ch < channelCount; ch += 1) {
+          channels[ch][frame] = readSample(frameOffset + ch * bytesPerSample);
+        }
+      }
+      return { sampleRate, channels, duration: frameCount / sampleRate };
+    }
+    offset = body + size + (size & 1);
+  }
+  throw new Error('WAV file has no data chunk.');
+}
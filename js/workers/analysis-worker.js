@@ -0,0 +1,123 @@
+import {
+  ANALYSIS_TRANSPORTS,
+  createAnalysisProcessor,
+  createInputLayout,
+  createOutputLayout,
+  INPUT_META,
+} from '../analysis-pipeline.js';
+import { attachFrameRing, readLatestFrame, waitForFrame, writeFrame } from '../frame-ring.js';
+
+// Upper bound on a blocking wait so queued model/reset messages are serviced even when input stalls.
+const WAIT_TIMEOUT_MS = 50;
+
+const state = {
+  processor: null,
+  transport: null,
+  inputRing: null,
+  outputRing: null,
+  input: null,
+  resultSequence: 0,
+  running: false,
+};
+
+const yieldChannel = new MessageChannel();
+let yieldResolve = null;
+yieldChannel.port1.onmessage = () => {
+  const resolve = yieldResolve;
+  yieldResolve = null;
+  resolve?.();
+};
+
+// Unlike setTimeout, a MessageChannel round trip is not clamped, so the loop stays responsive at frame rate.
+function yieldToMessages() {
+  return new Promise((resolve) => {
+    yieldResolve = resolve;
+    yieldChannel.port2.postMessage(null);
+  });
+}
+
+function postError(error) {
+  const payload = error instanceof Error ? { message: error.message, stack: error.stack } : { message: String(error) };
+  self.postMessage({ type: 'error', error: payload });
+}
+
+async function runSharedLoop() {
+  let lastInput = 0;
+  while (state.running) {
+    if (waitForFrame(state.inputRing, lastInput, WAIT_TIMEOUT_MS)) {
+      const sequence = readLatestFrame(state.inputRing, state.input, lastInput);
+      if (sequence > 0) {
+        lastInput = sequence;
+        writeFrame(state.outputRing, state.processor.process(state.input));
+      }
+    }
+    await yieldToMessages();
+  }
+}
+
+function handleInit(message) {
+  state.processor = createAnalysisProcessor({ outputCount: message.outputCount, bands: message.bands });
+  state.transport = message.transport;
+  if (state.transport !== ANALYSIS_TRANSPORTS.SHARED) {
+    return;
+  }
+  const inputLayout = createInputLayout(message.binCount, message.fftSize);
+  state.inputRing = attachFrameRing(inputLayout, message.inputBuffer);
+  state.outputRing = attachFrameRing(createOutputLayout(message.outputCount, message.bands), message.outputBuffer);
+  state.input = {
+    frequencyDb: new Float32Array(message.binCount),
+    waveform: new Float32Array(message.fftSize),
+    left: new Float32Array(message.fftSize),
+    right: new Float32Array(message.fftSize),
+    meta: new Float32Array(INPUT_META.LENGTH),
+  };
+  state.running = true;
+  runSharedLoop().catch((error) => {
+    state.running = false;
+    postError(error);
+  });
+}
+
+function handleFrame(message) {
+  const { features, outputs, meta } = state.processor.process(message);
+  state.resultSequence += 1;
+  const payload = {
+    type: 'result',
+    sequence: state.resultSequence,
+    features: features.slice(),
+    outputs: outputs.slice(),
+    meta: meta.slice(),
+  };
+  self.postMessage(payload, [payload.features.buffer, payload.outputs.buffer, payload.meta.buffer]);
+}
+
+self.addEventListener('message', (event) => {
+  const message = event.data;
+  if (!message || typeof message !== 'object') {
+    return;
+  }
+  try {
+    switch (message.type) {
+      case 'init':
+        handleInit(message);
+        break;
+      case 'frame':
+        if (state.processor) {
+          handleFrame(message);
+        }
+        break;
+      case 'model':
+        state.processor?.setModel(message.token, message.definition, {
+          features: message.features ?? undefined,
+        });
+        break;
+      case 'reset':
+        state.processor?.reset();
+        break;
+      default:
+        break;
+    }
+  } catch (error) {
+    postError(error);
+  }
+});
@@ -0,0 +1,57 @@
+import { createCanvas2dBackend } from '../render-backends.js';
+
+const state = {
+  backend: null,
+};
+
+function postError(error) {
+  const payload = error instanceof Error ? { message: error.message, stack: error.stack } : { message: String(error) };
+  self.postMessage({ type: 'error', error: payload });
+}
+
+function handleFrame(message) {
+  const { backend } = state;
+  const { frame, params, particles } = message;
+  backend.beginFrame(frame);
+  if (particles && params) {
+    backend.drawParticles(particles, params, frame);
+  }
+  backend.endFrame(frame);
+}
+
+self.addEventListener('message', (event) => {
+  const message = event.data;
+  if (!message || typeof message !== 'object') {
+    return;
+  }
+  try {
+    switch (message.type) {
+      case 'init':
+        state.backend = createCanvas2dBackend({ createCanvas: (width, height) => new OffscreenCanvas(width, height) });
+        state.backend.init({ canvas: message.canvas });
+        break;
+      case 'resize':
+        state.backend?.resize(message.size);
+        break;
+      case 'frame':
+        if (state.backend) {
+          handleFrame(message);
+        }
+        self.postMessage({
+          type: 'frameDone',
+          sample: message.frame?.sampleFlash ? state.backend?.getFrameSample() ?? null : null,
+        });
+        break;
+      case 'clear':
+        state.backend?.clear(message.palette);
+        break;
+      default:
+        break;
+    }
+  } catch (error) {
+    if (message.type === 'frame') {
+      self.postMessage({ type: 'frameDone' });
+    }
+    postError(error);
+  }
+});
@@ -13,6 +13,7 @@ import {
   randomPositive,
   randomSigned,
 } from './correlation-common.js';
+import { resolveModelFeatures } from '../js/audio-features.js';
 import { findTrack, formatTrackList } from './tracks.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -150,6 +151,10 @@ function loadModel(track) {
   if (!Number.isFinite(inputSize) || inputSize !== INPUT_SIZE) {
     throw new Error(`Model input size mismatch. Expected ${INPUT_SIZE}, received ${raw?.input}`);
   }
+  const { features } = resolveModelFeatures(raw, inputSize);
+  if (features.some((name, index) => name !== FEATURE_LABELS[index])) {
+    throw new Error(`Model feature list does not match the v1 schema: ${features.join(', ')}`);
+  }
 
   const layers = Array.isArray(raw?.layers) ? raw.layers : [];
   if (layers.length === 0) {
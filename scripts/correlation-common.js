@@ -1,6 +1,10 @@
+import { FEATURE_SCHEMAS, FEATURE_TYPES } from '../js/audio-features.js';
 import { findTrack, formatTrackList } from './tracks.js';
 
-export const INPUT_SIZE = 24;
+// The shipped models are trained on the v1 feature schema; labels and types come from the live extractor.
+export const FEATURE_SCHEMA_VERSION = 1;
+export const FEATURE_LABELS = FEATURE_SCHEMAS[FEATURE_SCHEMA_VERSION];
+export const INPUT_SIZE = FEATURE_LABELS.length;
 export const HIDDEN_SIZE = 16;
 export const OUTPUT_SIZE = 11;
 
@@ -10,32 +14,7 @@ export const DEFAULT_LEARNING_RATE = 0.01;
 export const PRIMARY_WEIGHT = 1;
 export const SECONDARY_WEIGHT = 0.5;
 
-export const FEATURE_LABELS = Object.freeze([
-  'sub',
-  'bass',
-  'lowMid',
-  'mid',
-  'high',
-  'rms',
-  'centroid',
-  'rollOff',
-  'flatness',
-  'deltaSub',
-  'deltaBass',
-  'deltaLowMid',
-  'deltaMid',
-  'deltaHigh',
-  'deltaRms',
-  'emaSub',
-  'emaBass',
-  'emaLowMid',
-  'emaMid',
-  'emaHigh',
-  'emaRms',
-  'flux',
-  'fluxEma',
-  'trackPosition',
-]);
+export { FEATURE_TYPES };
 
 export const OUTPUT_LABELS = Object.freeze([
   'spawnRate',
@@ -51,33 +30,6 @@ export const OUTPUT_LABELS = Object.freeze([
   'zoom',
 ]);
 
-export const FEATURE_TYPES = /** @type {const} */ ({
-  sub: 'signed',
-  bass: 'signed',
-  lowMid: 'signed',
-  mid: 'signed',
-  high: 'signed',
-  rms: 'positive',
-  centroid: 'positive',
-  rollOff: 'positive',
-  flatness: 'positive',
-  deltaSub: 'signed',
-  deltaBass: 'signed',
-  deltaLowMid: 'signed',
-  deltaMid: 'signed',
-  deltaHigh: 'signed',
-  deltaRms: 'signed',
-  emaSub: 'signed',
-  emaBass: 'signed',
-  emaLowMid: 'signed',
-  emaMid: 'signed',
-  emaHigh: 'signed',
-  emaRms: 'positive',
-  flux: 'positive',
-  fluxEma: 'positive',
-  trackPosition: 'positive',
-});
-
 export const FEATURE_INDEX_BY_NAME = new Map(
   FEATURE_LABELS.map((label, index) => [label.toLowerCase(), index]),
 );
@@ -3,9 +3,12 @@ import { writeFileSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
 
+import { FEATURE_SCHEMAS } from '../js/audio-features.js';
 import { TRACK_MODELS } from './tracks.js';
 
-const INPUT_SIZE = 24;
+const FEATURE_SCHEMA_VERSION = 1;
+const FEATURE_LABELS = FEATURE_SCHEMAS[FEATURE_SCHEMA_VERSION];
+const INPUT_SIZE = FEATURE_LABELS.length;
 const HIDDEN_SIZE = 16;
 const OUTPUT_SIZE = 11;
 const WEIGHT_SCALE = 0.35;
@@ -48,6 +51,8 @@ function createModelDefinition(track) {
 
   return {
     input: INPUT_SIZE,
+    featureSchemaVersion: FEATURE_SCHEMA_VERSION,
+    features: FEATURE_LABELS.slice(),
     normalization,
     layers,
     meta: {
@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+import { spawnSync } from 'node:child_process';
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { basename, dirname, extname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { resolveAnalysisConfig } from '../js/analysis-config.js';
+import {
+  BAND_LIMITS,
+  createFeatureLayout,
+  mixToMono,
+  sanitizeBandEdges,
+  usesExtendedFeatures,
+} from '../js/audio-features.js';
+import { buildAnalysisDataset } from '../js/byom-intake.js';
+import { PRIMARY_WEIGHT, SECONDARY_WEIGHT, resolveFeatureType } from '../js/correlation-math.js';
+import { PARAM_NAMES } from '../js/map.js';
+import { createModel } from '../js/nn.js';
+import { createFreshModelDefinition, trainCorrelationModel } from '../js/training-core.js';
+import { sanitizeHyperparameters } from '../js/training.js';
+import { decodeWav } from '../js/wav.js';
+import { createRandom, resolveOrientation } from './correlation-common.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = dirname(__dirname);
+const MODELS_DIR = join(PROJECT_ROOT, 'models');
+
+const FFMPEG_TIMEOUT_MS = 5 * 60 * 1000;
+const FFMPEG_MAX_BUFFER = 1024 * 1024 * 1024;
+
+const USAGE =
+  'Usage: node scripts/train-audio.js <audio.wav|audio.mp3> <feature> <output> [direct|inverse] [<feature> <output> [direct|inverse] ...] [--out=models/name.json] [--model=base.json] [--epochs=400] [--rate=0.01] [--batch=1] [--l2=0] [--seed=42] [--fft-size=2048] [--hop-ms=16.7] [--bands=0,60,250,2000,6000,20000] [--extended]';
+
+const OUTPUT_INDEX_BY_NAME = new Map(PARAM_NAMES.map((label, index) => [label.toLowerCase(), index]));
+
+function parseArguments(rawArgs) {
+  const positionals = [];
+  const options = {};
+
+  rawArgs.forEach((arg) => {
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.slice(2).split('=');
+      options[key] = value === undefined ? true : value;
+    } else {
+      positionals.push(arg);
+    }
+  });
+
+  const [audioPath, ...rest] = positionals;
+  if (!audioPath || rest.length < 2) {
+    throw new Error(USAGE);
+  }
+
+  const correlations = [];
+  let index = 0;
+  while (index < rest.length) {
+    const featureRef = rest[index];
+    const outputRef = rest[index + 1];
+    if (outputRef === undefined) {
+      throw new Error('Each correlation requires <feature> <output> [direct|inverse].');
+    }
+    const outputIndex = OUTPUT_INDEX_BY_NAME.get(String(outputRef).toLowerCase());
+    if (outputIndex === undefined) {
+      throw new Error(`Unknown output "${outputRef}". Choose from: ${PARAM_NAMES.join(', ')}`);
+    }
+    const orientation = resolveOrientation(rest[index + 2]);
+    correlations.push({ featureRef: String(featureRef), outputIndex, orientation });
+    index += orientation ? 3 : 2;
+  }
+
+  const bands = typeof options.bands === 'string' ? sanitizeBandEdges(options.bands.split(',').map(Number)) : undefined;
+  if (bands === null) {
+    throw new Error(
+      `--bands needs ${BAND_LIMITS.min + 1}–${BAND_LIMITS.max + 1} ascending edges in Hz, e.g. --bands=0,60,250,2000,6000,20000.`,
+    );
+  }
+
+  const seed = options.seed !== undefined ? Number(options.seed) : null;
+  const name = basename(audioPath, extname(audioPath));
+
+  return {
+    audioPath: resolve(audioPath),
+    name,
+    correlations,
+    outPath: resolve(typeof options.out === 'string' ? options.out : join(MODELS_DIR, `${name}.json`)),
+    basePath: typeof options.model === 'string' ? resolve(options.model) : null,
+    hyperparameters: sanitizeHyperparameters({
+      epochs: options.epochs,
+      learningRate: options.rate,
+      batchSize: options.batch,
+      l2: options.l2,
+    }),
+    seed,
+    extended: options.extended === true,
+    analysis: {
+      fftSize: options['fft-size'] !== undefined ? Number(options['fft-size']) : undefined,
+      hopMs: options['hop-ms'] !== undefined ? Number(options['hop-ms']) : undefined,
+      bands,
+    },
+  };
+}
+
+// Feature names depend on the band layout and on whether the extended block is kept, so correlations are
+// resolved once both are known.
+function resolveCorrelations(refs, featureNames) {
+  const indexByName = new Map(featureNames.map((label, index) => [label.toLowerCase(), index]));
+  return refs.map(({ featureRef, outputIndex, orientation }, position) => {
+    const featureIndex = indexByName.get(featureRef.toLowerCase());
+    if (featureIndex === undefined && usesExtendedFeatures([featureRef])) {
+      throw new Error(`Feature "${featureRef}" is in the timbre/harmony block; pass --extended to train on it.`);
+    }
+    if (featureIndex === undefined) {
+      throw new Error(`Unknown feature "${featureRef}". Choose from: ${featureNames.join(', ')}`);
+    }
+    const featureName = featureNames[featureIndex];
+    return {
+      featureIndex,
+      featureName,
+      featureType: resolveFeatureType(featureName),
+      outputIndex,
+      outputName: PARAM_NAMES[outputIndex],
+      inverse: orientation?.inverse ?? false,
+      orientationSign: orientation?.orientationSign ?? 1,
+      weight: position === 0 ? PRIMARY_WEIGHT : SECONDARY_WEIGHT,
+    };
+  });
+}
+
+function decodeWithFfmpeg(audioPath) {
+  const result = spawnSync(
+    'ffmpeg',
+    ['-v', 'error', '-i', audioPath, '-f', 'wav', '-acodec', 'pcm_f32le', '-'],
+    { maxBuffer: FFMPEG_MAX_BUFFER, timeout: FFMPEG_TIMEOUT_MS },
+  );
+  if (result.error) {
+    if (result.error.code === 'ENOENT') {
+      throw new Error(`Decoding ${extname(audioPath) || 'this file'} requires ffmpeg on PATH; convert to WAV or install ffmpeg.`);
+    }
+    throw result.error;
+  }
+  if (result.status !== 0) {
+    throw new Error(`ffmpeg failed to decode ${audioPath}: ${String(result.stderr).trim()}`);
+  }
+  return decodeWav(result.stdout);
+}
+
+function decodeAudioFile(audioPath) {
+  if (extname(audioPath).toLowerCase() === '.wav') {
+    return decodeWav(readFileSync(audioPath));
+  }
+  return decodeWithFfmpeg(audioPath);
+}
+
+function formatLoss(value) {
+  return Number.isFinite(value) ? value.toFixed(6) : 'n/a';
+}
+
+async function main() {
+  try {
+    const args = parseArguments(process.argv.slice(2));
+    const random = createRandom(args.seed);
+
+    console.log(`Decoding ${args.audioPath}`);
+    const audio = decodeAudioFile(args.audioPath);
+    const mono = mixToMono(audio.channels);
+    console.log(
+      `  ${audio.duration.toFixed(1)}s, ${audio.sampleRate} Hz, ${audio.channels.length} channel(s)`,
+    );
+
+    const baseDefinition = args.basePath ? JSON.parse(readFileSync(args.basePath, 'utf8')) : null;
+    const analysis = resolveAnalysisConfig(args.analysis, baseDefinition?.analysis);
+    const layout = createFeatureLayout(analysis.bands);
+    const baseModel = baseDefinition ? createModel(baseDefinition, { features: layout.labels }) : null;
+    // Same columns buildAnalysisDataset keeps, so correlation indices line up with the dataset.
+    const extended = args.extended || Boolean(baseModel && usesExtendedFeatures(baseModel.featureNames));
+    const featureNames = layout.labels.filter((label) => extended || !usesExtendedFeatures([label]));
+    const correlations = resolveCorrelations(args.correlations, featureNames);
+    console.log(
+      `  Analysis: ${analysis.fftSize}-point FFT, ${analysis.hopMs.toFixed(1)} ms hop, ${layout.bandDefs.length} bands${
+        extended ? ', timbre/harmony features' : ''
+      }`,
+    );
+    const { dataset, beat } = await buildAnalysisDataset({
+      mono,
+      channels: audio.channels,
+      sampleRate: audio.sampleRate,
+      duration: audio.duration,
+      analysis,
+      extended,
+      model: baseModel,
+    });
+    console.log(
+      `  ${dataset.frameCount} frames (${dataset.splits.train.count} train / ${dataset.splits.validation.count} validation)${
+        beat.bpm > 0 ? `, ~${beat.bpm.toFixed(1)} BPM` : ''
+      }`,
+    );
+
+    correlations.forEach((correlation, index) => {
+      const label = index === 0 ? 'Primary' : `Secondary #${index}`;
+      console.log(
+        `  ${label} → ${correlation.featureName} → ${correlation.outputName} (${correlation.inverse ? 'inverse' : 'direct'}, weight ${correlation.weight.toFixed(2)})`,
+      );
+    });
+    const { epochs, learningRate, batchSize, l2 } = args.hyperparameters;
+    console.log(
+      `  Epochs: ${epochs}, Learning rate: ${learningRate}, Batch: ${batchSize}, L2: ${l2}${
+        args.seed !== null ? `, Seed: ${args.seed}` : ''
+      }`,
+    );
+
+    const model = baseDefinition ?? createFreshModelDefinition(dataset, random);
+    let lastEpochLogged = 0;
+    const { model: trained, stats } = await trainCorrelationModel(
+      {
+        dataset,
+        correlations,
+        model,
+        hyperparameters: args.hyperparameters,
+      },
+      {
+        random,
+        onProgress(progress) {
+          const step = Math.max(1, Math.round(progress.epochs / 10));
+          if (progress.batch === progress.batches && progress.epoch !== lastEpochLogged
+            && (progress.epoch % step === 0 || progress.epoch === progress.epochs)) {
+            lastEpochLogged = progress.epoch;
+            console.log(
+              `  Epoch ${progress.epoch}/${progress.epochs}: train ${formatLoss(progress.trainLoss)}, validation ${formatLoss(progress.valLoss)}`,
+            );
+          }
+        },
+      },
+    );
+
+    stats.correlations.forEach((metrics, index) => {
+      const label = index === 0 ? 'Primary' : `Secondary #${index}`;
+      console.log(
+        `${label} correlation (${metrics.featureName} → ${metrics.outputName}): ${metrics.correlation.toFixed(4)}`,
+      );
+    });
+    console.log(`Combined fitness: ${stats.correlationMetrics.combinedFitness.toFixed(4)}`);
+
+    const definition = {
+      ...trained,
+      meta: {
+        ...(baseDefinition?.meta ?? {}),
+        name: args.name,
+        file: basename(args.audioPath),
+        trained: new Date().toISOString(),
+        training: {
+          base: args.basePath ? basename(args.basePath) : 'fresh',
+          ...args.hyperparameters,
+          trainLoss: stats.trainLoss,
+          valLoss: stats.valLoss,
+          combinedFitness: stats.correlationMetrics.combinedFitness,
+          correlations: stats.correlations.map((metrics) => ({
+            feature: metrics.featureName,
+            featureType: metrics.featureType,
+            output: metrics.outputName,
+            orientation: metrics.orientation,
+            weight: metrics.weight,
+            correlation: metrics.correlation,
+            fitness: metrics.fitness,
+            mse: metrics.mse,
+          })),
+        },
+      },
+    };
+
+    mkdirSync(dirname(args.outPath), { recursive: true });
+    writeFileSync(args.outPath, `${JSON.stringify(definition, null, 2)}\n`, 'utf8');
+    console.log(`Saved model → ${args.outPath}`);
+  } catch (error) {
+    console.error(error instanceof Error ? error.message : error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -4,6 +4,8 @@ import { dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
 
 import {
+  FEATURE_LABELS,
+  FEATURE_SCHEMA_VERSION,
   HIDDEN_SIZE,
   INPUT_SIZE,
   OUTPUT_SIZE,
@@ -177,6 +179,8 @@ function serializeTunedModel(
 
   return {
     input: INPUT_SIZE,
+    featureSchemaVersion: FEATURE_SCHEMA_VERSION,
+    features: FEATURE_LABELS.slice(),
     normalization: {
       mean: Array.from(normalization.mean, (value) => Number(Math.fround(value))),
       std: Array.from(normalization.std, (value) => Number(Math.fround(value))),